@@ -1,14 +1,15 @@
 import * as THREE from 'three';
 import networkManager from './network.js';
+import replayPlayer from './replay.js';
+import inputManager from './input.js';
 // Optional: If BufferGeometryUtils is needed
 // import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 
 // --- Game State ---
 const gameState = {
-    playerShip: { position: new THREE.Vector3(0, 0, 0), rotation: 0, speed: 0, turnSpeed: 0.03, maxSpeed: 0.6, acceleration: 0.02, health: 100, canShoot: true, shootCooldown: 125 },
+    playerShip: { position: new THREE.Vector3(0, 0, 0), rotation: 0, speed: 0, maxSpeed: window.ShipPhysics.SHIP_MAX_SPEED, health: 100, maxHealth: 100, canShoot: true, shootCooldown: 125 },
     otherPlayers: new Map(),
-    bullets: [],
-    keys: { up: false, down: false, left: false, right: false, space: false },
+    bullets: new Map(), // Server projectile id -> mesh
     islands: [],
     islandMarkers: new Map(),
     splashes: []
@@ -17,8 +18,8 @@ const gameState = {
 // --- Constants ---
 // SPLASH Constants
 const SPLASH_SPAWN_THRESHOLD_SPEED = 0.08; const SPLASH_MAX_PARTICLES = 350; const SPLASH_BASE_LIFETIME = 1.4; const SPLASH_PARTICLE_START_SIZE = 0.15; const SPLASH_PARTICLE_END_SCALE = 3.0; const SPLASH_BASE_OPACITY = 0.75; const SPLASH_SPAWN_RATE_SCALE = 25; const SPLASH_SIDE_OFFSET = 1.1; const SPLASH_VERTICAL_OFFSET = 0.3; const SPLASH_BACK_OFFSET = 0.3; const SPLASH_INITIAL_VEL_SIDE_MIN = 1.2; const SPLASH_INITIAL_VEL_SIDE_SCALE = 3.0; const SPLASH_INITIAL_VEL_UP_MIN = 2.5; const SPLASH_INITIAL_VEL_UP_SCALE = 2.5; const SPLASH_GRAVITY = 4.5; const SPLASH_DRAG = 0.25;
-// Physics
-const PHYSICS_DRAG_FACTOR = 0.98;
+// Physics (shared with the server, see js/physics.js)
+const ShipPhysics = window.ShipPhysics;
 // Clouds
 const CLOUD_COUNT = 30; const CLOUD_MIN_Y = 40; const CLOUD_MAX_Y = 70; const CLOUD_AREA_RADIUS = 900; const LARGE_CLOUD_PROBABILITY = 0.2; const LARGE_CLOUD_SCALE_MULTIPLIER = 2.5;
 // Shallow Water Gradient Constants - ADJUSTED for alphaMap
@@ -32,7 +33,8 @@ const SHALLOW_WATER_Y_OFFSET = 0.03;
 const ISLAND_SAND_COLOR_HEX = 0xC2B280; // Sand color
 
 // --- DOM Elements ---
-const statsElements = { playerCount: document.getElementById('player-count'), shipSpeed: document.getElementById('ship-speed'), shipHealth: document.getElementById('ship-health'), connectionStatus: document.getElementById('connection-status'), shipPosition: document.getElementById('ship-position') };
+const statsElements = { roomName: document.getElementById('room-name'), playerCount: document.getElementById('player-count'), shipSpeed: document.getElementById('ship-speed'), shipHealth: document.getElementById('ship-health'), connectionStatus: document.getElementById('connection-status'), shipPosition: document.getElementById('ship-position') };
+const scoreboardBody = document.getElementById('scoreboard-body');
 const gameContainer = document.getElementById('game-container'); const minimapContainer = document.getElementById('minimap-container');
 if (!gameContainer || !minimapContainer) { console.error('Essential containers not found!'); throw new Error("Missing essential DOM elements."); }
 
@@ -75,7 +77,7 @@ function createGradientTexture() {
 const shallowWaterAlphaTexture = createGradientTexture(); // Create alpha map once
 
 // --- Utility Functions ---
-function createShip(isNPC = false) { const shipGroup = new THREE.Group(); const mainColor = isNPC ? 0xcc0000 : 0x8B4513; const sailColor = isNPC ? 0xaaaaaa : 0xFFFFFF; const hullGeo = new THREE.BoxGeometry(2, 1, 4); const hullMat = new THREE.MeshPhongMaterial({ color: mainColor }); const hull = new THREE.Mesh(hullGeo, hullMat); hull.position.y = 0.5; hull.castShadow = true; hull.receiveShadow = true; shipGroup.add(hull); const mastGeo = new THREE.CylinderGeometry(0.1, 0.1, 3, 8); const mastMat = new THREE.MeshPhongMaterial({ color: 0x5a3a22 }); const mast = new THREE.Mesh(mastGeo, mastMat); mast.position.y = 2; mast.castShadow = true; shipGroup.add(mast); const sailGeo = new THREE.PlaneGeometry(1.5, 2); const sailMat = new THREE.MeshPhongMaterial({ color: sailColor, side: THREE.DoubleSide }); const sail = new THREE.Mesh(sailGeo, sailMat); sail.position.set(0, 2.5, -0.1); sail.castShadow = true; shipGroup.add(sail); shipGroup.userData.isShip = true; shipGroup.userData.isNPC = isNPC; return shipGroup; }
+function createShip(isNPC = false, color = null) { const shipGroup = new THREE.Group(); const mainColor = color ? new THREE.Color(color) : (isNPC ? 0xcc0000 : 0x8B4513); const sailColor = isNPC ? 0xaaaaaa : 0xFFFFFF; const hullGeo = new THREE.BoxGeometry(2, 1, 4); const hullMat = new THREE.MeshPhongMaterial({ color: mainColor }); const hull = new THREE.Mesh(hullGeo, hullMat); hull.position.y = 0.5; hull.castShadow = true; hull.receiveShadow = true; hull.userData.isHull = true; shipGroup.add(hull); const mastGeo = new THREE.CylinderGeometry(0.1, 0.1, 3, 8); const mastMat = new THREE.MeshPhongMaterial({ color: 0x5a3a22 }); const mast = new THREE.Mesh(mastGeo, mastMat); mast.position.y = 2; mast.castShadow = true; shipGroup.add(mast); const sailGeo = new THREE.PlaneGeometry(1.5, 2); const sailMat = new THREE.MeshPhongMaterial({ color: sailColor, side: THREE.DoubleSide }); const sail = new THREE.Mesh(sailGeo, sailMat); sail.position.set(0, 2.5, -0.1); sail.castShadow = true; shipGroup.add(sail); shipGroup.userData.isShip = true; shipGroup.userData.isNPC = isNPC; return shipGroup; }
 
 function createIsland(x, z, size, scaleX = 1, scaleZ = 1, rotation = 0, isLarge = false) {
     const islandGroup = new THREE.Group(); const islandHeight = isLarge ? 2.5 : 1.5;
@@ -107,75 +109,419 @@ function createIsland(x, z, size, scaleX = 1, scaleZ = 1, rotation = 0, isLarge
 }
 function createPalmTree() { const treeGroup = new THREE.Group(); const trunkHeight = 5 + Math.random() * 4; const trunkRadius = 0.3 + Math.random() * 0.1; const trunkGeo = new THREE.CylinderGeometry(trunkRadius * 0.8, trunkRadius, trunkHeight, 6); const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8, flatShading: true }); const trunk = new THREE.Mesh(trunkGeo, trunkMat); trunk.position.y = trunkHeight / 2; trunk.castShadow = true; treeGroup.add(trunk); const leafCount = 6 + Math.floor(Math.random() * 3); const leafLength = 2.5 + Math.random() * 1.5; const leafWidth = leafLength * 0.7; const leafGeo = new THREE.ConeGeometry(leafWidth / 2 , leafLength, 5); const leafMat = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.7, flatShading: true }); for (let i = 0; i < leafCount; i++) { const leaf = new THREE.Mesh(leafGeo, leafMat); leaf.position.y = trunkHeight - 0.4; const angle = (i / leafCount) * Math.PI * 2 + (Math.random() - 0.5) * 0.4; const tilt = Math.PI / 3.5 + (Math.random() - 0.5) * 0.4; leaf.position.x = Math.cos(angle) * 0.5; leaf.position.z = Math.sin(angle) * 0.5; leaf.rotation.x = tilt * Math.sin(angle); leaf.rotation.z = -tilt * Math.cos(angle); leaf.rotation.y = -angle; leaf.castShadow = true; treeGroup.add(leaf); } return treeGroup; }
 function createHut() { const hutGroup = new THREE.Group(); const baseScale = 1.8 + Math.random() * 0.6; const baseSize = 1.5 * baseScale; const baseHeight = 1.0 * baseScale; const baseGeo = new THREE.BoxGeometry(baseSize, baseHeight, baseSize * (0.8 + Math.random() * 0.4)); const baseMat = new THREE.MeshStandardMaterial({ color: 0xD2B48C, roughness: 0.8, flatShading: true }); const base = new THREE.Mesh(baseGeo, baseMat); base.position.y = baseHeight / 2; base.castShadow = true; hutGroup.add(base); const roofHeight = (1.0 + Math.random() * 0.5) * baseScale; const roofGeo = new THREE.ConeGeometry(baseSize * 0.8, roofHeight, 4); const roofMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9, flatShading: true }); const roof = new THREE.Mesh(roofGeo, roofMat); roof.position.y = baseHeight + roofHeight / 2 - 0.1 * baseScale; roof.rotation.y = Math.PI / 4; roof.castShadow = true; hutGroup.add(roof); return hutGroup; }
+function setShipColor(ship, color) { if (!color) return; ship.traverse(child => { if (child.userData.isHull) child.material.color.set(color); }); }
+function createNameLabel(name) { const canvas = document.createElement('canvas'); canvas.width = 256; canvas.height = 64; const context = canvas.getContext('2d'); context.font = 'bold 30px Arial'; context.textAlign = 'center'; context.textBaseline = 'middle'; context.lineWidth = 6; context.strokeStyle = 'rgba(0, 0, 0, 0.8)'; context.strokeText(name, 128, 32); context.fillStyle = '#ffffff'; context.fillText(name, 128, 32); const texture = new THREE.CanvasTexture(canvas); const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false })); label.scale.set(8, 2, 1); label.position.y = 5.5; return label; }
 function createMinimapMarker(color, size = 6, isIsland = false, scaleX = 1, scaleZ = 1) { let markerGeometry; let markerColor = color; if (isIsland) { markerGeometry = new THREE.CircleGeometry(size / 2, 16); markerColor = 0xD2B48C; } else { const shape = new THREE.Shape(); shape.moveTo(0, size / 2); shape.lineTo(-size / 2 * 0.6, -size / 2); shape.lineTo(size / 2 * 0.6, -size / 2); shape.closePath(); markerGeometry = new THREE.ShapeGeometry(shape); } const markerMaterial = new THREE.MeshBasicMaterial({ color: markerColor, side: THREE.DoubleSide }); const marker = new THREE.Mesh(markerGeometry, markerMaterial); marker.rotation.x = -Math.PI / 2; if (isIsland) { marker.scale.set(scaleX, scaleZ, 1); } marker.position.y = 0.1; return marker; }
-function createBullet(shooterPosition, shooterRotation, shooterId) { const bulletGeo = new THREE.SphereGeometry(0.25, 8, 6); const bulletMat = new THREE.MeshBasicMaterial({ color: 0xffcc00 }); const bulletMesh = new THREE.Mesh(bulletGeo, bulletMat); bulletMesh.userData = { shooterId: shooterId, rotation: shooterRotation, speed: 1.5, distanceTraveled: 0, maxDistance: 80, damage: 10, creationTime: Date.now() }; const forwardOffset = 2.5; const verticalOffset = 0.7; bulletMesh.position.set( shooterPosition.x - Math.sin(shooterRotation) * forwardOffset, shooterPosition.y + verticalOffset, shooterPosition.z - Math.cos(shooterRotation) * forwardOffset ); scene.add(bulletMesh); gameState.bullets.push(bulletMesh); }
+function createBullet(projectile) { if (!projectile || gameState.bullets.has(projectile.id)) return; const bulletGeo = new THREE.SphereGeometry(0.25, 8, 6); const bulletMat = new THREE.MeshBasicMaterial({ color: 0xffcc00 }); const bulletMesh = new THREE.Mesh(bulletGeo, bulletMat); bulletMesh.position.set(projectile.position.x, projectile.position.y, projectile.position.z); bulletMesh.userData = { id: projectile.id, ownerId: projectile.ownerId, position: bulletMesh.position, rotation: projectile.rotation, speed: projectile.speed, distanceTraveled: projectile.distanceTraveled || 0, maxDistance: projectile.maxDistance }; scene.add(bulletMesh); gameState.bullets.set(projectile.id, bulletMesh); }
+function removeBullet(projectileId) { const bulletMesh = gameState.bullets.get(projectileId); if (!bulletMesh) return; scene.remove(bulletMesh); bulletMesh.geometry?.dispose(); bulletMesh.material?.dispose(); gameState.bullets.delete(projectileId); }
 function createHitEffect(position) { if (!position || !(position instanceof THREE.Vector3)) { position = new THREE.Vector3(0, 0.5, 0); } const effectPosition = position.clone(); effectPosition.y = Math.max(0.5, position.y); const sphereGeo = new THREE.SphereGeometry(0.5, 16, 8); const sphereMat = new THREE.MeshBasicMaterial({ color: 0xff4500, transparent: true, opacity: 0.8 }); const sphereEffect = new THREE.Mesh(sphereGeo, sphereMat); sphereEffect.position.copy(effectPosition); scene.add(sphereEffect); const ringGeo = new THREE.RingGeometry(0.1, 0.5, 32); const ringMat = new THREE.MeshBasicMaterial({ color: 0xffaa00, side: THREE.DoubleSide, transparent: true, opacity: 0.7 }); const ringEffect = new THREE.Mesh(ringGeo, ringMat); ringEffect.position.copy(effectPosition); ringEffect.rotation.x = -Math.PI / 2; scene.add(ringEffect); const duration = 500; const startTime = Date.now(); function animateHit() { const elapsed = Date.now() - startTime; const progress = Math.min(1, elapsed / duration); if (progress < 1) { const easeOutQuart = 1 - Math.pow(1 - progress, 4); sphereEffect.scale.setScalar(1 + easeOutQuart * 4); sphereEffect.material.opacity = 0.8 * (1 - progress); ringEffect.scale.setScalar(1 + easeOutQuart * 6); ringEffect.material.opacity = 0.7 * (1 - progress * progress); requestAnimationFrame(animateHit); } else { scene.remove(sphereEffect); sphereEffect.geometry.dispose(); sphereEffect.material.dispose(); scene.remove(ringEffect); ringEffect.geometry.dispose(); ringEffect.material.dispose(); } } animateHit(); }
 
-// --- Collision Detection ---
-function checkIslandCollision(shipPosition, island) { const islandData = island.userData; const islandPos = islandData.center; const localShipPos = shipPosition.clone().sub(islandPos); localShipPos.applyAxisAngle(new THREE.Vector3(0, 1, 0), -islandData.rotation); const shipRadiusApproximation = 1.5; const effectiveRadiusX = islandData.effectiveRadiusX + shipRadiusApproximation; const effectiveRadiusZ = islandData.effectiveRadiusZ + shipRadiusApproximation; const dx = localShipPos.x / effectiveRadiusX; const dz = localShipPos.z / effectiveRadiusZ; return (dx * dx + dz * dz) <= 1; }
-function handlePlayerCollisions(newPosition) { for (const island of gameState.islands) { if (checkIslandCollision(newPosition, island)) return true; } return false; }
-function handleBulletCollisions(bulletMesh) { const bulletData = bulletMesh.userData; /* Islands */ for (const island of gameState.islands) { const islandData = island.userData; const distSq = bulletMesh.position.distanceToSquared(islandData.center); const maxIslandRadiusSq = Math.pow(Math.max(islandData.effectiveRadiusX, islandData.effectiveRadiusZ) + 0.5, 2); if (distSq < maxIslandRadiusSq && checkIslandCollision(bulletMesh.position, island)) { createHitEffect(bulletMesh.position.clone()); return true; } } /* Other Players */ const approxShipRadius = 2.0; for (const [playerId, playerData] of gameState.otherPlayers) { if (playerId === bulletData.shooterId) continue; const ship = playerData.ship; if (!ship) continue; const distance = bulletMesh.position.distanceTo(ship.position); if (distance < approxShipRadius) { networkManager.sendPlayerHit(playerId, bulletData.damage, bulletMesh.position.clone()); return true; } } /* Local Player */ if (networkManager.playerId && bulletData.shooterId !== networkManager.playerId) { const distance = bulletMesh.position.distanceTo(playerShip.position); if (distance < approxShipRadius) { networkManager.sendPlayerHit(networkManager.playerId, bulletData.damage, bulletMesh.position.clone()); return true; } } return false; }
-
 // --- Player Management ---
-function addOtherPlayer(playerData) { if (!playerData || !playerData.id) return; if (playerData.id === networkManager.playerId) return; if (gameState.otherPlayers.has(playerData.id)) { updateOtherPlayer(playerData); return; } console.log('Adding other player:', playerData.id); const ship = createShip(true); const position = playerData.position || { x: 0, y: 0, z: 0 }; const rotation = playerData.rotation || 0; ship.position.set(position.x, position.y, position.z); ship.rotation.y = rotation; scene.add(ship); const marker = createMinimapMarker(0xff0000, 40); marker.position.set(position.x, 0.6, position.z); marker.rotation.y = rotation; minimapScene.add(marker); gameState.otherPlayers.set(playerData.id, { ship, marker }); updateStatsDisplay(); }
-function removeOtherPlayer(playerId) { if (playerId === networkManager.playerId) return; const playerData = gameState.otherPlayers.get(playerId); if (playerData) { console.log('Removing other player:', playerId); if (playerData.ship) { scene.remove(playerData.ship); playerData.ship.traverse(child => { if (child.isMesh) { child.geometry?.dispose(); if (child.material) { if (Array.isArray(child.material)) child.material.forEach(mat => mat?.dispose()); else child.material?.dispose(); }}}); } if (playerData.marker) { minimapScene.remove(playerData.marker); playerData.marker.geometry?.dispose(); playerData.marker.material?.dispose(); } gameState.otherPlayers.delete(playerId); updateStatsDisplay(); } else { console.warn('Attempted to remove non-existent player:', playerId); } }
+function addOtherPlayer(playerData) { if (!playerData || !playerData.id) return; if (playerData.id === networkManager.playerId) return; if (gameState.otherPlayers.has(playerData.id)) { updateOtherPlayer(playerData); return; } console.log('Adding other player:', playerData.id, playerData.name); const shipColor = getShipColor(playerData); const ship = createShip(true, shipColor); if (playerData.name) ship.add(createNameLabel(playerData.name)); const position = playerData.position || { x: 0, y: 0, z: 0 }; const rotation = playerData.rotation || 0; ship.position.set(position.x, position.y, position.z); ship.rotation.y = rotation; scene.add(ship); const marker = createMinimapMarker(shipColor || 0xff0000, 40); marker.position.set(position.x, 0.6, position.z); marker.rotation.y = rotation; minimapScene.add(marker); gameState.otherPlayers.set(playerData.id, { ship, marker, name: playerData.name || playerData.id, color: playerData.color, team: playerData.team }); if (playerData.connected === false) setShipReconnecting(playerData.id, true); updateStatsDisplay(); }
+function removeOtherPlayer(playerId) { if (playerId === networkManager.playerId) return; const playerData = gameState.otherPlayers.get(playerId); if (playerData) { console.log('Removing other player:', playerId); if (playerData.ship) { scene.remove(playerData.ship); playerData.ship.traverse(child => { if (child.isSprite) { child.material.map?.dispose(); child.material.dispose(); } if (child.isMesh) { child.geometry?.dispose(); if (child.material) { if (Array.isArray(child.material)) child.material.forEach(mat => mat?.dispose()); else child.material?.dispose(); }}}); } if (playerData.marker) { minimapScene.remove(playerData.marker); playerData.marker.geometry?.dispose(); playerData.marker.material?.dispose(); } gameState.otherPlayers.delete(playerId); updateStatsDisplay(); } else { console.warn('Attempted to remove non-existent player:', playerId); } }
 function updateOtherPlayer(playerData) { if (!playerData || !playerData.id || playerData.id === networkManager.playerId) return; const clientIdStr = networkManager.playerId?.substring(0,4) ?? '???'; const rcvdIdStr = playerData.id.substring(0,4); const posStr = playerData.position ? `(${playerData.position.x.toFixed(1)}, ${playerData.position.z.toFixed(1)})` : 'N/A'; const rotStr = typeof playerData.rotation === 'number' ? playerData.rotation.toFixed(2) : 'N/A'; /* Logging */ const existingPlayerData = gameState.otherPlayers.get(playerData.id); if (existingPlayerData) { if (existingPlayerData.ship) { if (playerData.position) existingPlayerData.ship.position.set(playerData.position.x, playerData.position.y, playerData.position.z); if (typeof playerData.rotation === 'number') existingPlayerData.ship.rotation.y = playerData.rotation; } else { console.warn(`Ship missing for player ${playerData.id}.`); removeOtherPlayer(playerData.id); addOtherPlayer(playerData); return; } if (existingPlayerData.marker) { if (playerData.position) existingPlayerData.marker.position.set(playerData.position.x, existingPlayerData.marker.position.y, playerData.position.z); if (typeof playerData.rotation === 'number') existingPlayerData.marker.rotation.y = playerData.rotation; } else { console.warn(`Marker missing for player ${playerData.id}.`); } } else { addOtherPlayer(playerData); } }
 
+// Ghosts the ship of a player whose connection dropped while the server holds it for a resume
+function setShipReconnecting(playerId, isReconnecting) { const playerData = gameState.otherPlayers.get(playerId); if (!playerData) return; playerData.isReconnecting = isReconnecting; const opacity = isReconnecting ? 0.35 : 1; playerData.ship?.traverse(child => { if ((child.isMesh || child.isSprite) && child.material) { child.material.transparent = isReconnecting || child.isSprite; child.material.opacity = opacity; } }); if (playerData.marker) { playerData.marker.material.transparent = isReconnecting; playerData.marker.material.opacity = opacity; } }
+
+// Remote ships are drawn from the interpolation buffers in networkManager (hidden while out of view)
+function updateRemoteShips() { gameState.otherPlayers.forEach((playerData, playerId) => { const state = networkManager.getInterpolatedPlayer(playerId); const visible = !!state; if (playerData.ship) playerData.ship.visible = visible; if (playerData.marker) playerData.marker.visible = visible; if (!state) return; if (playerData.ship) { playerData.ship.position.set(state.x, 0, state.z); playerData.ship.rotation.y = state.r; } if (playerData.marker) { playerData.marker.position.set(state.x, playerData.marker.position.y, state.z); playerData.marker.rotation.y = state.r; } }); }
+
 // --- Stats & UI Updates ---
-function updateStatsDisplay() { if (statsElements.playerCount) statsElements.playerCount.textContent = gameState.otherPlayers.size + 1; if (statsElements.shipSpeed) statsElements.shipSpeed.textContent = Math.abs(gameState.playerShip.speed).toFixed(2); }
-function updateHealthDisplay(newHealth, oldHealth, damage) { const currentHealth = Math.max(0, Math.min(100, Math.round(newHealth))); gameState.playerShip.health = currentHealth; if (!statsElements.shipHealth) return; const healthElement = statsElements.shipHealth; healthElement.textContent = currentHealth.toString(); let healthColor = '#4CAF50'; if (currentHealth <= 30) healthColor = '#ff0000'; else if (currentHealth <= 60) healthColor = '#ffa500'; healthElement.style.color = healthColor; healthElement.style.fontWeight = currentHealth <= 30 ? 'bold' : 'normal'; if (damage && damage > 0 && oldHealth !== null && currentHealth < oldHealth) { const damageText = document.createElement('div'); damageText.textContent = `-${damage}`; /* Styles */ damageText.style.position = 'absolute'; damageText.style.color = '#ff0000'; damageText.style.fontWeight = 'bold'; damageText.style.fontSize = '20px'; damageText.style.left = '50%'; damageText.style.top = '-10px'; damageText.style.transform = 'translateX(-50%)'; damageText.style.pointerEvents = 'none'; damageText.style.transition = 'transform 1s ease-out, opacity 1s ease-out'; healthElement.parentElement.style.position = 'relative'; healthElement.parentElement.appendChild(damageText); requestAnimationFrame(() => { damageText.style.transform = 'translate(-50%, -40px)'; damageText.style.opacity = '0'; }); setTimeout(() => { damageText.parentNode?.removeChild(damageText); }, 1000); shakeScreen(0.4, 150); } }
+function updateStatsDisplay() { if (statsElements.playerCount) statsElements.playerCount.textContent = gameState.otherPlayers.size + (isWatching() ? 0 : 1); if (statsElements.shipSpeed) statsElements.shipSpeed.textContent = Math.abs(gameState.playerShip.speed).toFixed(2); }
+function updateRoomDisplay(room) { if (!statsElements.roomName || !room) return; statsElements.roomName.textContent = room.isPublic ? room.name : `${room.name} (#${room.id})`; statsElements.roomName.title = `Invite link: ${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(room.id)}\n${room.map ? `Map: ${room.map}` : `Seed: ${room.seed}`}`; window.history.replaceState(null, '', `${window.location.pathname}?room=${encodeURIComponent(room.id)}`); /* Refreshing rejoins instead of creating again */ }
+function updateHealthDisplay(newHealth, oldHealth, damage) { const maxHealth = gameState.playerShip.maxHealth; const currentHealth = Math.max(0, Math.min(maxHealth, Math.round(newHealth))); gameState.playerShip.health = currentHealth; if (!statsElements.shipHealth) return; const healthElement = statsElements.shipHealth; healthElement.textContent = maxHealth > 100 ? `${currentHealth} / ${maxHealth}` : currentHealth.toString(); const healthRatio = currentHealth / maxHealth; let healthColor = '#4CAF50'; if (healthRatio <= 0.3) healthColor = '#ff0000'; else if (healthRatio <= 0.6) healthColor = '#ffa500'; healthElement.style.color = healthColor; healthElement.style.fontWeight = healthRatio <= 0.3 ? 'bold' : 'normal'; if (damage && damage > 0 && oldHealth !== null && currentHealth < oldHealth) { const damageText = document.createElement('div'); damageText.textContent = `-${damage}`; /* Styles */ damageText.style.position = 'absolute'; damageText.style.color = '#ff0000'; damageText.style.fontWeight = 'bold'; damageText.style.fontSize = '20px'; damageText.style.left = '50%'; damageText.style.top = '-10px'; damageText.style.transform = 'translateX(-50%)'; damageText.style.pointerEvents = 'none'; damageText.style.transition = 'transform 1s ease-out, opacity 1s ease-out'; healthElement.parentElement.style.position = 'relative'; healthElement.parentElement.appendChild(damageText); requestAnimationFrame(() => { damageText.style.transform = 'translate(-50%, -40px)'; damageText.style.opacity = '0'; }); setTimeout(() => { damageText.parentNode?.removeChild(damageText); }, 1000); shakeScreen(0.4, 150); } }
 function shakeScreen(intensity = 0.5, duration = 200) { const startTime = Date.now(); const baseCameraY = camera.position.y; function animateShake() { const elapsed = Date.now() - startTime; const progress = elapsed / duration; if (progress < 1) { const shakeAmount = intensity * Math.sin(progress * Math.PI * 4) * (1 - progress); camera.position.y = baseCameraY + shakeAmount; requestAnimationFrame(animateShake); } else { camera.position.y = baseCameraY; } } animateShake(); }
 
+function getPlayerName(playerId) { if (playerId === networkManager.playerId) return 'You'; return gameState.otherPlayers.get(playerId)?.name ?? playerId; }
+function renderScoreboard(entries) { if (!scoreboardBody || !Array.isArray(entries)) return; scoreboardBody.innerHTML = ''; entries.forEach(entry => { const row = document.createElement('tr'); if (entry.id === networkManager.playerId) row.className = 'self'; const nameCell = document.createElement('td'); const swatch = document.createElement('span'); swatch.className = 'color-swatch'; swatch.style.backgroundColor = getShipColor(entry); nameCell.appendChild(swatch); nameCell.appendChild(document.createTextNode(entry.isBot ? `${entry.name} (bot)` : entry.name)); row.appendChild(nameCell); [entry.kills, entry.deaths, entry.damageDealt].forEach(value => { const cell = document.createElement('td'); cell.textContent = value; row.appendChild(cell); }); scoreboardBody.appendChild(row); }); }
+
+// --- Game Modes ---
+// The server sends the mode, phase, team scores and objectives in init and as 'matchState' (see server/match.js).
+// Team modes paint every ship in its team colour; capture-the-treasure adds the chest and rings around the home islands.
+const PHASE_LABELS = { lobby: 'Waiting for players', countdown: 'Match starts in', active: 'Time left', results: 'Next match in' };
+const MATCH_EVENT_DURATION = 4000; const CHEST_CARRY_HEIGHT = 3.2; const CHEST_ISLAND_HEIGHT = 1.6; const CHEST_WATER_HEIGHT = 0.3; const HOME_RING_WIDTH = 6;
+const matchState = { mode: null, phase: null, timeLeft: null, scores: [], winner: null, objectives: null };
+const matchElements = { hud: document.getElementById('match-hud'), mode: document.getElementById('match-mode'), phase: document.getElementById('match-phase'), scores: document.getElementById('match-scores'), objective: document.getElementById('match-objective'), event: document.getElementById('match-event') };
+let matchEventTimeout = null; let homeMarkers = [];
+const treasureChest = createTreasureChest(); treasureChest.visible = false; scene.add(treasureChest);
+const treasureMarker = new THREE.Mesh(new THREE.CircleGeometry(14, 16), new THREE.MeshBasicMaterial({ color: 0xffd700, side: THREE.DoubleSide })); treasureMarker.rotation.x = -Math.PI / 2; treasureMarker.position.y = 2; treasureMarker.visible = false; minimapScene.add(treasureMarker);
+
+function getTeam(team) { return matchState.mode?.teams?.[team] ?? null; }
+// Team colour in team modes, the captain's own colour otherwise
+function getShipColor(playerData) { return getTeam(playerData.team)?.color ?? playerData.color; }
+function refreshShipColor(playerData) { const entry = gameState.otherPlayers.get(playerData.id); if (!entry) return; entry.team = playerData.team; const color = getShipColor(playerData); if (!color) return; setShipColor(entry.ship, color); entry.marker?.material.color.set(color); }
+function createTreasureChest() { const chest = new THREE.Group(); const box = new THREE.Mesh(new THREE.BoxGeometry(1.6, 1, 1), new THREE.MeshPhongMaterial({ color: 0x6b3e1f })); box.position.y = 0.5; box.castShadow = true; chest.add(box); const lid = new THREE.Mesh(new THREE.BoxGeometry(1.7, 0.35, 1.1), new THREE.MeshPhongMaterial({ color: 0xffd700, emissive: 0x664400 })); lid.position.y = 1.15; chest.add(lid); return chest; }
+
+function applyMatchState(data) {
+    if (!data) return; Object.assign(matchState, { mode: data.mode, phase: data.phase, timeLeft: data.timeLeft, scores: data.scores || [], winner: data.winner, objectives: data.objectives });
+    updateHomeMarkers(); renderMatchHud(); if (data.event) showMatchEvent(data.event);
+}
+function updateHomeMarkers() {
+    homeMarkers.forEach(marker => { minimapScene.remove(marker); marker.geometry.dispose(); marker.material.dispose(); }); homeMarkers = [];
+    (matchState.objectives?.homes || []).forEach(home => { const marker = new THREE.Mesh(new THREE.RingGeometry(Math.max(1, home.radius - HOME_RING_WIDTH), home.radius, 32), new THREE.MeshBasicMaterial({ color: getTeam(home.team)?.color ?? 0xffffff, side: THREE.DoubleSide })); marker.rotation.x = -Math.PI / 2; marker.position.set(home.x, 0.8, home.z); minimapScene.add(marker); homeMarkers.push(marker); });
+}
+function showMatchEvent(text) { if (!matchElements.event) return; matchElements.event.textContent = text; clearTimeout(matchEventTimeout); matchEventTimeout = setTimeout(() => { matchElements.event.textContent = ''; }, MATCH_EVENT_DURATION); }
+function describeObjective() {
+    const treasure = matchState.objectives?.treasure; if (!treasure || matchState.phase !== 'active') return '';
+    if (!treasure.carrierId) return treasure.onIsland ? 'The treasure is buried on an island' : 'The treasure is adrift';
+    if (treasure.carrierId === networkManager.playerId) return 'You have the treasure! Sail it to your home island';
+    const carrierTeam = gameState.otherPlayers.get(treasure.carrierId)?.team; const carrierName = getPlayerName(treasure.carrierId);
+    if (gameState.playerShip.team === null || gameState.playerShip.team === undefined) return `${carrierName} has the treasure`; // Replay viewer
+    return carrierTeam === gameState.playerShip.team ? `${carrierName} has the treasure, escort them home` : `${carrierName} stole the treasure, sink them!`;
+}
+// Text that changes with the state; the timer is ticked every frame by updateMatchHud
+function renderMatchHud() {
+    if (!matchElements.hud) return; const mode = matchState.mode; matchElements.hud.style.display = mode?.phases ? 'block' : 'none'; if (!mode?.phases) return;
+    matchElements.mode.textContent = mode.name; matchElements.scores.innerHTML = '';
+    (mode.teams || []).forEach((team, index) => { if (index > 0) matchElements.scores.appendChild(document.createTextNode(' : ')); const score = document.createElement('span'); score.style.color = team.color; score.textContent = `${team.name} ${matchState.scores[team.id] ?? 0}`; matchElements.scores.appendChild(score); });
+    if (mode.scoreLimit) matchElements.scores.appendChild(document.createTextNode(` (first to ${mode.scoreLimit})`));
+    matchElements.objective.textContent = describeObjective(); updateMatchHud(0);
+}
+function updateMatchHud(deltaTime) {
+    if (!matchElements.phase || !matchState.mode?.phases) return; if (matchState.timeLeft !== null) matchState.timeLeft = Math.max(0, matchState.timeLeft - deltaTime * 1000 * networkManager.playbackRate);
+    const timer = matchState.timeLeft !== null ? ` ${formatReplayTime(Math.ceil(matchState.timeLeft / 1000))}` : ''; const winner = matchState.winner ? (matchState.winner.draw ? 'Draw! ' : `${getTeam(matchState.winner.team)?.name} wins! `) : '';
+    matchElements.phase.textContent = `${matchState.phase === 'results' ? winner : ''}${PHASE_LABELS[matchState.phase] || ''}${timer}`;
+}
+// The chest rides on its carrier's deck, otherwise sits where the server last put it
+function updateTreasure(deltaTime) {
+    const treasure = matchState.objectives?.treasure; const visible = !!treasure && matchState.phase === 'active'; treasureChest.visible = visible; treasureMarker.visible = visible; if (!visible) return;
+    const carrierShip = treasure.carrierId === networkManager.playerId ? playerShip : gameState.otherPlayers.get(treasure.carrierId)?.ship;
+    if (treasure.carrierId && carrierShip?.visible) treasureChest.position.set(carrierShip.position.x, CHEST_CARRY_HEIGHT, carrierShip.position.z); else treasureChest.position.set(treasure.x, treasure.onIsland ? CHEST_ISLAND_HEIGHT : CHEST_WATER_HEIGHT, treasure.z);
+    if (!treasure.carrierId) treasureChest.rotation.y += deltaTime; treasureMarker.position.set(treasureChest.position.x, treasureMarker.position.y, treasureChest.position.z);
+}
+
+// --- Loot & Upgrades ---
+// Floating loot (wrecks of sunk ships, treasure near the islands) is picked up by sailing over it; gold buys the upgrades
+// the server lists in init.economy (see server/loot.js and server/upgrades.js). U opens the upgrade menu, 1-4 buy while it is open.
+const LOOT_BOB_HEIGHT = 0.15; const LOOT_BOB_SPEED = 2; const LOOT_MARKER_SIZE = 8; const GOLD_POPUP_DURATION = 1000;
+const economy = { catalog: [], gold: 0, upgrades: {} }; const lootMeshes = new Map(); // Loot id -> { mesh, marker }
+const economyElements = { gold: document.getElementById('ship-gold'), menu: document.getElementById('upgrade-menu'), list: document.getElementById('upgrade-list'), error: document.getElementById('upgrade-error') };
+
+function createLootMesh(kind) {
+    const loot = new THREE.Group();
+    if (kind === 'wreck') { const plank = new THREE.Mesh(new THREE.BoxGeometry(2.2, 0.2, 0.6), new THREE.MeshPhongMaterial({ color: 0x5a3a1a })); plank.rotation.y = 0.6; loot.add(plank); const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 0.9, 10), new THREE.MeshPhongMaterial({ color: 0x8b5a2b })); barrel.rotation.z = Math.PI / 2; barrel.position.set(0.3, 0.3, 0.5); loot.add(barrel); }
+    else { const crate = new THREE.Mesh(new THREE.BoxGeometry(1, 0.7, 0.7), new THREE.MeshPhongMaterial({ color: 0x6b3e1f })); crate.position.y = 0.35; loot.add(crate); const coins = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.2, 10), new THREE.MeshPhongMaterial({ color: 0xffd700, emissive: 0x664400 })); coins.position.y = 0.8; loot.add(coins); }
+    return loot;
+}
+function addLoot(loot) {
+    if (!loot || lootMeshes.has(loot.id)) return; const mesh = createLootMesh(loot.kind); mesh.position.set(loot.x, 0, loot.z); mesh.userData.phase = Math.random() * Math.PI * 2; /* Bob out of step with the neighbours */ scene.add(mesh);
+    const marker = new THREE.Mesh(new THREE.CircleGeometry(LOOT_MARKER_SIZE, 8), new THREE.MeshBasicMaterial({ color: loot.kind === 'wreck' ? 0xcd853f : 0xffd700, side: THREE.DoubleSide })); marker.rotation.x = -Math.PI / 2; marker.position.set(loot.x, 1.5, loot.z); minimapScene.add(marker);
+    lootMeshes.set(loot.id, { mesh, marker });
+}
+function removeLoot(lootId) {
+    const entry = lootMeshes.get(lootId); if (!entry) return; scene.remove(entry.mesh); entry.mesh.traverse(child => { if (child.isMesh) { child.geometry.dispose(); child.material.dispose(); } });
+    minimapScene.remove(entry.marker); entry.marker.geometry.dispose(); entry.marker.material.dispose(); lootMeshes.delete(lootId);
+}
+function resetLoot(lootList) { Array.from(lootMeshes.keys()).forEach(removeLoot); (lootList || []).forEach(addLoot); }
+function updateLoot(deltaTime) { lootMeshes.forEach(({ mesh }) => { mesh.userData.phase += deltaTime * LOOT_BOB_SPEED * networkManager.playbackRate; mesh.position.y = Math.sin(mesh.userData.phase) * LOOT_BOB_HEIGHT; mesh.rotation.y += deltaTime * 0.3; }); }
+
+// Stats from 'upgrades' (and init.economy): gold, levels and the ship's derived maxHealth / maxSpeed / weaponCooldown
+function applyEconomy(data) {
+    if (!data) return; if (data.catalog) economy.catalog = data.catalog; economy.upgrades = data.upgrades || economy.upgrades; setGold(data.gold);
+    const shipState = gameState.playerShip; if (data.maxHealth) shipState.maxHealth = data.maxHealth; if (data.maxSpeed) shipState.maxSpeed = data.maxSpeed; if (data.weaponCooldown) shipState.shootCooldown = data.weaponCooldown;
+    if (economyElements.error) economyElements.error.textContent = data.error || ''; renderUpgradeMenu(); updateHealthDisplay(shipState.health, null, 0);
+}
+function setGold(gold, change = 0) {
+    if (typeof gold !== 'number') return; economy.gold = gold; if (!economyElements.gold) return; economyElements.gold.textContent = gold.toString(); renderUpgradeMenu();
+    if (change <= 0) return; const popup = document.createElement('span'); popup.className = 'gold-popup'; popup.textContent = `+${change}`; economyElements.gold.parentElement.appendChild(popup); setTimeout(() => popup.remove(), GOLD_POPUP_DURATION);
+}
+function renderUpgradeMenu() {
+    if (!economyElements.list) return; economyElements.list.innerHTML = '';
+    economy.catalog.forEach((upgrade, index) => {
+        const level = economy.upgrades[upgrade.id] || 0; const cost = upgrade.costs[level]; const button = document.createElement('button');
+        button.textContent = `${index + 1}. ${upgrade.name} (${level}/${upgrade.costs.length}) - ${cost === undefined ? 'Max' : `${cost} gold`}`; button.title = upgrade.description;
+        button.disabled = cost === undefined || economy.gold < cost; button.addEventListener('click', () => networkManager.buyUpgrade(upgrade.id)); economyElements.list.appendChild(button);
+    });
+}
+function toggleUpgradeMenu() { if (!economyElements.menu || isWatching()) return; economyElements.menu.style.display = economyElements.menu.style.display === 'block' ? 'none' : 'block'; }
+function isUpgradeMenuOpen() { return economyElements.menu?.style.display === 'block'; }
+
+// --- Weather & Day/Night ---
+// The server sends the wind, storm intensity and time of day in init and once a second as 'environment' (see server/environment.js).
+// Sky, lights and fog follow the sun and the storm; clouds and rain drift with the wind, and the sea gets rougher in storms.
+const SKY_DAY_COLOR = new THREE.Color(0x87CEEB); const SKY_NIGHT_COLOR = new THREE.Color(0x0b1026); const SKY_DUSK_COLOR = new THREE.Color(0xf4a261); const SKY_STORM_COLOR = new THREE.Color(0x4a525a);
+const FOG_CLEAR_FAR = 900; const FOG_NIGHT_FAR = 350; const FOG_STORM_FAR = 120; const FOG_NEAR_FACTOR = 0.25;
+const CLOUD_WIND_SPEED = 6; const STORM_WAVE_SCALE = 3; const STORM_SPLASH_BOOST = 2; const STORM_ROLL = 0.08; const WIND_KNOTS = 30; // Knots shown at full wind strength
+const RAIN_DROP_COUNT = 1200; const RAIN_AREA = 120; const RAIN_HEIGHT = 60; const RAIN_FALL_SPEED = 50; const RAIN_WIND_SPEED = 15;
+const environmentState = { wind: null, storm: 0, timeOfDay: 0.5, dayLength: 0 };
+const environmentElements = { indicator: document.getElementById('wind-indicator'), arrow: document.getElementById('wind-arrow'), wind: document.getElementById('wind-text'), time: document.getElementById('time-of-day') };
+scene.fog = new THREE.Fog(SKY_DAY_COLOR.getHex(), FOG_CLEAR_FAR * FOG_NEAR_FACTOR, FOG_CLEAR_FAR); const skyColor = new THREE.Color();
+const rain = createRain(); scene.add(rain);
+
+function createRain() {
+    const positions = new Float32Array(RAIN_DROP_COUNT * 3); for (let i = 0; i < RAIN_DROP_COUNT; i++) { positions[i * 3] = (Math.random() - 0.5) * RAIN_AREA; positions[i * 3 + 1] = Math.random() * RAIN_HEIGHT; positions[i * 3 + 2] = (Math.random() - 0.5) * RAIN_AREA; }
+    const geometry = new THREE.BufferGeometry(); geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const drops = new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xaabbdd, size: 0.25, transparent: true, opacity: 0, depthWrite: false })); drops.visible = false; return drops;
+}
+function applyEnvironment(data) { if (!data) return; Object.assign(environmentState, { wind: data.wind || null, storm: data.storm || 0, timeOfDay: data.timeOfDay ?? environmentState.timeOfDay, dayLength: data.dayLength || 0 }); }
+function getSunHeight(timeOfDay) { return -Math.cos(timeOfDay * Math.PI * 2); } // -1 at midnight, 1 at noon
+function getWaveFactor() { return 1 + (environmentState.wind?.strength ?? 0) + environmentState.storm * STORM_WAVE_SCALE; }
+function describeTimeOfDay(timeOfDay) { const minutes = Math.floor(timeOfDay * 24 * 60); const clock = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`; if (timeOfDay < 0.2 || timeOfDay >= 0.8) return `Night ${clock}`; if (timeOfDay < 0.3) return `Dawn ${clock}`; return timeOfDay < 0.7 ? `Day ${clock}` : `Dusk ${clock}`; }
+
+function updateEnvironment(deltaTime) {
+    const env = environmentState; const scaledDelta = deltaTime * networkManager.playbackRate; if (env.dayLength) env.timeOfDay = (env.timeOfDay + scaledDelta * 1000 / env.dayLength) % 1;
+    const sunHeight = getSunHeight(env.timeOfDay); const daylight = THREE.MathUtils.clamp((sunHeight + 0.2) / 0.5, 0, 1); const dusk = 1 - Math.min(1, Math.abs(sunHeight) / 0.3); const storm = env.storm;
+    const windX = -Math.sin(env.wind?.direction ?? 0) * (env.wind?.strength ?? 0); const windZ = -Math.cos(env.wind?.direction ?? 0) * (env.wind?.strength ?? 0);
+    /* Sky & Fog */ skyColor.copy(SKY_NIGHT_COLOR).lerp(SKY_DAY_COLOR, daylight).lerp(SKY_DUSK_COLOR, dusk * 0.5).lerp(SKY_STORM_COLOR, storm * 0.8); renderer.setClearColor(skyColor); scene.fog.color.copy(skyColor);
+    scene.fog.far = THREE.MathUtils.lerp(THREE.MathUtils.lerp(FOG_NIGHT_FAR, FOG_CLEAR_FAR, daylight), FOG_STORM_FAR, storm); scene.fog.near = scene.fog.far * FOG_NEAR_FACTOR;
+    /* Lights */ const sunAngle = env.timeOfDay * Math.PI * 2; sunLight.position.set(-Math.sin(sunAngle) * 150, Math.max(10, sunHeight * 150), 100); sunLight.intensity = 0.8 * daylight * (1 - 0.6 * storm); hemiLight.intensity = (0.25 + 0.95 * daylight) * (1 - 0.4 * storm);
+    /* Clouds */ const cloudShade = (0.35 + 0.65 * daylight) * (1 - 0.55 * storm);
+    clouds.forEach(cloud => { cloud.position.x += windX * CLOUD_WIND_SPEED * scaledDelta; cloud.position.z += windZ * CLOUD_WIND_SPEED * scaledDelta; if (Math.abs(cloud.position.x) > CLOUD_AREA_RADIUS) cloud.position.x -= Math.sign(cloud.position.x) * CLOUD_AREA_RADIUS * 2; if (Math.abs(cloud.position.z) > CLOUD_AREA_RADIUS) cloud.position.z -= Math.sign(cloud.position.z) * CLOUD_AREA_RADIUS * 2; cloud.children[0]?.material.color.setScalar(cloudShade); });
+    /* Sea */ oceanMaterial.normalScale.setScalar(0.3 * (1 + storm * 2));
+    /* Rain */ rain.visible = storm > 0.05;
+    if (rain.visible) {
+        rain.material.opacity = 0.6 * storm; rain.position.set(camera.position.x, 0, camera.position.z); const positions = rain.geometry.attributes.position.array;
+        for (let i = 0; i < positions.length; i += 3) { positions[i + 1] -= RAIN_FALL_SPEED * scaledDelta; positions[i] += windX * RAIN_WIND_SPEED * scaledDelta; positions[i + 2] += windZ * RAIN_WIND_SPEED * scaledDelta; if (positions[i + 1] < 0) { positions[i + 1] += RAIN_HEIGHT; positions[i] = (Math.random() - 0.5) * RAIN_AREA; positions[i + 2] = (Math.random() - 0.5) * RAIN_AREA; } }
+        rain.geometry.attributes.position.needsUpdate = true;
+    }
+    /* Ships Roll In Storms */ const rollPhase = oceanAnimation.time * 1.7; playerShip.rotation.z = Math.sin(rollPhase) * STORM_ROLL * storm; gameState.otherPlayers.forEach(playerData => { if (playerData.ship) playerData.ship.rotation.z = Math.sin(rollPhase + playerData.ship.position.x * 0.1) * STORM_ROLL * storm; });
+    updateWindIndicator();
+}
+// The arrow shows where the wind blows relative to the bow (up = wind from astern); live ships also see what it does to their top speed
+function updateWindIndicator() {
+    if (!environmentElements.indicator) return; const wind = environmentState.wind; environmentElements.indicator.style.display = wind ? 'block' : 'none'; if (!wind) return;
+    const heading = isWatching() ? freeCamera.yaw : gameState.playerShip.rotation; environmentElements.arrow.style.transform = `rotate(${heading - wind.direction}rad)`;
+    const sails = isWatching() ? '' : ` - Sails ${Math.round(ShipPhysics.getWindSpeedFactor(heading, wind) * 100)}%`;
+    environmentElements.wind.textContent = `Wind ${Math.round(wind.strength * WIND_KNOTS)} kn${sails}${environmentState.storm > 0.5 ? ' - Storm!' : ''}`; environmentElements.time.textContent = describeTimeOfDay(environmentState.timeOfDay);
+}
+
+// --- Profile ---
+// The server keeps lifetime stats per profile; a first join gets a guest token, kept here so the next visit adds to the same stats
+function applyProfile(data) {
+    if (data.profileToken) { try { localStorage.setItem('pirateProfileToken', data.profileToken); } catch (error) { /* Storage unavailable, stats only last this visit */ } }
+    const profile = data.profile; if (!profile || data.resumed) return; const stats = profile.stats;
+    addChatLine({ channel: 'notice', text: stats.matches || stats.kills ? `Welcome back, ${profile.name}! Lifetime: ${stats.kills} sunk, ${stats.deaths} lost, ${stats.matches} matches, ${stats.gold} gold.` : `Welcome, ${profile.name}! Your stats are saved${profile.username ? '' : ' on this browser (register on the home page to keep them anywhere)'}.` });
+}
+
+// --- Chat ---
+// Enter opens the chat box and sends, Escape closes it; while typing, keys don't steer or fire. Plain text goes to the room,
+// /g to every room, /t to your team, /w <name> whispers, /block and /unblock <name> hide a captain (see server/chat.js).
+const CHAT_LOG_LINES = 50; const MAX_CHAT_LENGTH = 200; // Matches the server limit
+const CHAT_LABELS = { global: '[All] ', team: '[Team] ', whisper: '[Whisper] ' };
+const CHAT_HELP = 'Enter: room chat, /g: all rooms, /t: team, /w <name>: whisper, /block or /unblock <name>, /spectate: watch this room without a ship';
+const chatElements = { box: document.getElementById('chat-box'), log: document.getElementById('chat-log'), input: document.getElementById('chat-input') };
+if (chatElements.input) chatElements.input.maxLength = MAX_CHAT_LENGTH;
+
+function isTyping() { return !!chatElements.input && document.activeElement === chatElements.input; }
+function openChat() { if (!chatElements.input || !networkManager.hasShip) return; inputManager.releaseAll(); chatElements.box.classList.add('active'); chatElements.input.focus(); } // Spectators only read
+function closeChat() { if (!chatElements.input) return; chatElements.input.value = ''; chatElements.input.blur(); chatElements.box.classList.remove('active'); }
+function clearChat() { if (chatElements.log) chatElements.log.innerHTML = ''; }
+function addChatLine(message) {
+    if (!chatElements.log || !message) return; const line = document.createElement('div'); line.className = `chat-line chat-${message.channel}`;
+    if (message.from) {
+        const whisperTarget = message.channel === 'whisper' && message.senderId === networkManager.playerId ? ` to ${message.to}` : ''; const room = message.roomName ? ` (${message.roomName})` : '';
+        const sender = document.createElement('span'); sender.className = 'chat-sender'; sender.textContent = `${CHAT_LABELS[message.channel] || ''}${message.from}${whisperTarget}${room}: `;
+        sender.style.color = message.senderId === networkManager.playerId ? '#FFD700' : getShipColor({ team: message.team, color: gameState.otherPlayers.get(message.senderId)?.color }) || '#ddd'; line.appendChild(sender);
+    }
+    line.appendChild(document.createTextNode(message.text)); chatElements.log.appendChild(line);
+    while (chatElements.log.childElementCount > CHAT_LOG_LINES) chatElements.log.firstElementChild.remove(); chatElements.log.scrollTop = chatElements.log.scrollHeight;
+}
+// Names can contain spaces, so "/w Anne Bonny hello" matches the longest known captain name first
+function splitWhisper(argument) {
+    const lower = argument.toLowerCase(); const names = Array.from(gameState.otherPlayers.values(), player => player.name).sort((a, b) => b.length - a.length);
+    const name = names.find(candidate => lower.startsWith(`${candidate.toLowerCase()} `)) ?? argument.split(' ')[0]; return { name, text: argument.substring(name.length).trim() };
+}
+function submitChat(input) {
+    const text = input.trim(); if (!text) return; const [command, ...words] = text.split(' '); const argument = words.join(' ').trim();
+    switch (command.toLowerCase()) {
+        case '/g': if (argument) networkManager.sendChat(argument, 'global'); break;
+        case '/t': if (argument) networkManager.sendChat(argument, 'team'); break;
+        case '/w': { const whisper = splitWhisper(argument); if (whisper.name && whisper.text) networkManager.sendChat(whisper.text, 'whisper', whisper.name); else addChatLine({ channel: 'notice', text: 'Usage: /w <name> <message>' }); break; }
+        case '/block': case '/unblock': if (argument) networkManager.blockPlayer(argument, command.toLowerCase() === '/block'); else addChatLine({ channel: 'notice', text: `Usage: ${command} <name>` }); break;
+        case '/spectate': watchRoom(); break;
+        case '/help': addChatLine({ channel: 'notice', text: CHAT_HELP }); break;
+        default: if (command.startsWith('/')) addChatLine({ channel: 'notice', text: `Unknown command ${command}. ${CHAT_HELP}` }); else networkManager.sendChat(text);
+    }
+}
+// The input handles its own keys; stopPropagation keeps Enter / Escape from reaching handleKeyDown
+chatElements.input?.addEventListener('keydown', (event) => { event.stopPropagation(); if (event.key === 'Enter') { submitChat(chatElements.input.value); closeChat(); } else if (event.key === 'Escape') closeChat(); });
+chatElements.input?.addEventListener('keyup', (event) => event.stopPropagation());
+
 // --- Input Handling ---
-function handleKeyDown(event) { /* console.log('KeyDown:', event.key); */ switch (event.key) { case 'ArrowUp': case 'w': gameState.keys.up = true; break; case 'ArrowDown': case 's': gameState.keys.down = true; break; case 'ArrowLeft': case 'a': gameState.keys.left = true; break; case 'ArrowRight': case 'd': gameState.keys.right = true; break; case ' ': gameState.keys.space = true; break; } }
-function handleKeyUp(event) { switch (event.key) { case 'ArrowUp': case 'w': gameState.keys.up = false; break; case 'ArrowDown': case 's': gameState.keys.down = false; break; case 'ArrowLeft': case 'a': gameState.keys.left = false; break; case 'ArrowRight': case 'd': gameState.keys.right = false; break; case ' ': gameState.keys.space = false; break; } }
-window.addEventListener('keydown', handleKeyDown); window.addEventListener('keyup', handleKeyUp);
+// Sailing, firing and the upgrade menu are actions of the input manager (js/input.js: keyboard, gamepad, touch); only the
+// chat and the upgrade menu's number keys are read here.
+function handleKeyDown(event) { if (isTyping()) return; if (event.key === 'Enter') { event.preventDefault(); openChat(); return; } if (isUpgradeMenuOpen() && event.key >= '1' && event.key <= '9') { const upgrade = economy.catalog[Number(event.key) - 1]; if (upgrade) networkManager.buyUpgrade(upgrade.id); } }
+window.addEventListener('keydown', handleKeyDown); inputManager.attach(window); inputManager.on('upgrades', toggleUpgradeMenu);
+
+// --- Controls Settings ---
+// The Controls button lists every action with its keys and gamepad buttons; Rebind takes the next key or button pressed
+// (it is taken away from any other action), the bindings are saved in this browser. Touch screens get an on-screen stick.
+const controlsElements = { button: document.getElementById('controls-button'), panel: document.getElementById('controls-panel'), list: document.getElementById('controls-list'), status: document.getElementById('controls-status'), reset: document.getElementById('controls-reset'), close: document.getElementById('controls-close'), touch: document.getElementById('touch-controls') };
+function isControlsOpen() { return !!controlsElements.panel && controlsElements.panel.style.display === 'block'; }
+function toggleControls() { if (!controlsElements.panel) return; if (inputManager.capturing) inputManager.finishCapture(null); controlsElements.panel.style.display = isControlsOpen() ? 'none' : 'block'; if (isControlsOpen()) renderControls(); }
+function renderControls() {
+    if (!controlsElements.list) return; controlsElements.list.innerHTML = '';
+    inputManager.actions.forEach(action => {
+        const row = document.createElement('tr'); [action.label, inputManager.describeKeys(action.id) || '-', inputManager.describeButtons(action.id) || '-'].forEach(text => { const cell = document.createElement('td'); cell.textContent = text; row.appendChild(cell); });
+        const actionsCell = document.createElement('td'); const rebind = document.createElement('button'); rebind.textContent = 'Rebind';
+        rebind.addEventListener('click', () => { rebind.blur(); controlsElements.status.textContent = `Press a key or gamepad button for "${action.label}" (Escape cancels).`; inputManager.rebind(action.id, () => { controlsElements.status.textContent = describeGamepad(); }); });
+        const clear = document.createElement('button'); clear.textContent = 'Clear'; clear.addEventListener('click', () => inputManager.clearBindings(action.id));
+        actionsCell.append(rebind, clear); row.appendChild(actionsCell); controlsElements.list.appendChild(row);
+    });
+    if (!inputManager.capturing) controlsElements.status.textContent = describeGamepad();
+}
+function describeGamepad() { const name = inputManager.gamepadName; return name ? `Gamepad: ${name} (left stick or triggers sail, the stick steers)` : 'No gamepad (press a button on one to connect it).'; }
+function isTouchDevice() { return navigator.maxTouchPoints > 0 || window.matchMedia?.('(pointer: coarse)').matches; }
+controlsElements.button?.addEventListener('click', (event) => { event.currentTarget.blur(); toggleControls(); }); controlsElements.close?.addEventListener('click', toggleControls);
+controlsElements.reset?.addEventListener('click', () => inputManager.resetBindings());
+inputManager.on('bindingsChanged', renderControls); inputManager.on('gamepad', () => { if (isControlsOpen()) renderControls(); });
+window.addEventListener('keydown', (event) => { if (event.key === 'Escape' && isControlsOpen() && !isTyping()) toggleControls(); }); // A key being bound never gets here
+if (controlsElements.touch && isTouchDevice()) { controlsElements.touch.style.display = 'block'; inputManager.attachTouchControls({ stick: document.getElementById('touch-stick'), knob: document.getElementById('touch-knob'), buttons: { fire: document.getElementById('touch-fire'), upgrades: document.getElementById('touch-upgrades') } }); }
 
 // --- Network Event Handlers ---
-networkManager.on('init', (data) => { console.log('Network Init:', data); if (!data.playerId || !data.gameState) return; /* Clear state */ gameState.otherPlayers.forEach((_, playerId) => removeOtherPlayer(playerId)); gameState.otherPlayers.clear(); gameState.islands.forEach(islandMesh => { scene.remove(islandMesh); islandMesh.traverse(child => { if (child.isMesh) { child.geometry?.dispose(); if (child.material) { if (Array.isArray(child.material)) child.material.forEach(mat => mat?.dispose()); else child.material?.dispose(); }}}); const marker = gameState.islandMarkers.get(islandMesh.uuid); if (marker) { minimapScene.remove(marker); marker.geometry?.dispose(); marker.material?.dispose(); } }); gameState.islands = []; gameState.islandMarkers.clear(); gameState.bullets.forEach(bulletMesh => { scene.remove(bulletMesh); bulletMesh.geometry?.dispose(); bulletMesh.material?.dispose(); }); gameState.bullets = []; gameState.splashes.forEach(particle => { scene.remove(particle); particle.material?.dispose(); }); gameState.splashes = []; /* Set new state */ if (data.gameState.world?.islands) { data.gameState.world.islands.forEach(islandData => { scene.add(createIsland(islandData.x, islandData.z, islandData.size, islandData.scaleX, islandData.scaleZ, islandData.rotation, islandData.isLarge )); }); } if (data.gameState.players) { data.gameState.players.forEach(playerData => addOtherPlayer(playerData)); } const selfData = data.gameState.players?.find(p => p.id === networkManager.playerId); if (selfData) { gameState.playerShip.health = selfData.health ?? 100; if (selfData.position && (selfData.position.x !== 0 || selfData.position.z !== 0)) { gameState.playerShip.position.set(selfData.position.x, selfData.position.y, selfData.position.z); playerShip.position.copy(gameState.playerShip.position); } else { playerShip.position.copy(gameState.playerShip.position); } if (typeof selfData.rotation === 'number') { gameState.playerShip.rotation = selfData.rotation; playerShip.rotation.y = selfData.rotation; } else { playerShip.rotation.y = gameState.playerShip.rotation; } } else { playerShip.position.copy(gameState.playerShip.position); playerShip.rotation.y = gameState.playerShip.rotation; console.warn("Server no init state for local player."); } updateHealthDisplay(gameState.playerShip.health, null, 0); updateStatsDisplay(); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = "Connected"; statsElements.connectionStatus.style.color = "#4CAF50"; } });
+networkManager.on('init', (data) => { console.log('Network Init:', data); if (!data.playerId || !data.gameState) return; /* Match (ship colours depend on it) */ applyMatchState(data.match); /* Clear state */ gameState.otherPlayers.forEach((_, playerId) => removeOtherPlayer(playerId)); gameState.otherPlayers.clear(); gameState.islands.forEach(islandMesh => { scene.remove(islandMesh); islandMesh.traverse(child => { if (child.isMesh) { child.geometry?.dispose(); if (child.material) { if (Array.isArray(child.material)) child.material.forEach(mat => mat?.dispose()); else child.material?.dispose(); }}}); const marker = gameState.islandMarkers.get(islandMesh.uuid); if (marker) { minimapScene.remove(marker); marker.geometry?.dispose(); marker.material?.dispose(); } }); gameState.islands = []; gameState.islandMarkers.clear(); gameState.bullets.forEach((_, projectileId) => removeBullet(projectileId)); gameState.splashes.forEach(particle => { scene.remove(particle); particle.material?.dispose(); }); gameState.splashes = []; /* Set new state */ applyEnvironment(data.environment); clearChat(); (data.chat || []).forEach(addChatLine); applyProfile(data); resetLoot(data.gameState.loot); applyEconomy(data.economy); if (data.gameState.world?.islands) { data.gameState.world.islands.forEach(islandData => { scene.add(createIsland(islandData.x, islandData.z, islandData.size, islandData.scaleX, islandData.scaleZ, islandData.rotation, islandData.isLarge )); }); } if (data.gameState.players) { data.gameState.players.forEach(playerData => addOtherPlayer(playerData)); } if (data.gameState.projectiles) data.gameState.projectiles.forEach(createBullet); const selfData = data.gameState.players?.find(p => p.id === networkManager.playerId); if (selfData) { gameState.playerShip.health = selfData.health ?? 100; if (selfData.position && (selfData.position.x !== 0 || selfData.position.z !== 0)) { gameState.playerShip.position.set(selfData.position.x, selfData.position.y, selfData.position.z); playerShip.position.copy(gameState.playerShip.position); } else { playerShip.position.copy(gameState.playerShip.position); } if (typeof selfData.rotation === 'number') { gameState.playerShip.rotation = selfData.rotation; playerShip.rotation.y = selfData.rotation; } else { playerShip.rotation.y = gameState.playerShip.rotation; } } else { playerShip.position.copy(gameState.playerShip.position); playerShip.rotation.y = gameState.playerShip.rotation; console.warn("Server no init state for local player."); } gameState.playerShip.team = selfData?.team ?? null; if (selfData) setShipColor(playerShip, getShipColor(selfData)); renderScoreboard(data.scoreboard); updateHealthDisplay(gameState.playerShip.health, null, 0); updateStatsDisplay(); updateRoomDisplay(data.room); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = data.replay ? "Replay" : data.spectator ? "Spectating" : data.resumed ? "Reconnected" : "Connected"; statsElements.connectionStatus.style.color = "#4CAF50"; } });
 networkManager.on('playerJoined', (data) => { if (data.player) addOtherPlayer(data.player); });
 networkManager.on('playerLeft', (data) => { if (data.playerId) removeOtherPlayer(data.playerId); });
-networkManager.on('playerMoved', (data) => { updateOtherPlayer(data); });
-networkManager.on('playerRotated', (data) => { updateOtherPlayer(data); });
-networkManager.on('playerSpeedChanged', (data) => { /* ... */ });
-networkManager.on('playerHitEffect', (data) => { if (data.position) createHitEffect(new THREE.Vector3(data.position.x, data.position.y, data.position.z)); });
-networkManager.on('updateHealth', (data) => { if (typeof data.health === 'number') updateHealthDisplay(data.health, data.oldHealth, data.damage); });
-networkManager.on('playerDefeated', (data) => { console.log(`Player ${data.playerId} defeated`); });
-networkManager.on('playerRespawned', (data) => { console.log('Network Player Respawned:', data); if (data.player) { if (data.player.id === networkManager.playerId) { /* Update local player state */ gameState.playerShip.health = data.player.health; gameState.playerShip.position.set(data.player.position.x, data.player.position.y, data.player.position.z); playerShip.position.copy(gameState.playerShip.position); gameState.playerShip.rotation = data.player.rotation; playerShip.rotation.y = data.player.rotation; gameState.playerShip.speed = 0; gameState.keys = { up: false, down: false, left: false, right: false, space: false }; updateHealthDisplay(gameState.playerShip.health, 0, 0); updateStatsDisplay(); } else { updateOtherPlayer(data.player); } } });
-networkManager.on('disconnected', (data) => { console.error(`Disconnected: ${data.reason}.`); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = "Disconnected"; statsElements.connectionStatus.style.color = "#ff4500"; } });
+networkManager.on('playerReconnecting', (data) => { console.log(`${getPlayerName(data.playerId)} is reconnecting...`); setShipReconnecting(data.playerId, true); });
+networkManager.on('playerResumed', (data) => { if (!data.player) return; updateOtherPlayer(data.player); setShipReconnecting(data.player.id, false); });
+networkManager.on('projectileSpawned', (data) => { createBullet(data.projectile); });
+networkManager.on('projectileImpact', (data) => { removeBullet(data.projectileId); if (data.position) createHitEffect(new THREE.Vector3(data.position.x, data.position.y, data.position.z)); });
+networkManager.on('updateHealth', (data) => { if (data.maxHealth) gameState.playerShip.maxHealth = data.maxHealth; if (typeof data.health === 'number') updateHealthDisplay(data.health, data.oldHealth, data.damage); });
+networkManager.on('lootSpawned', (data) => { addLoot(data.loot); });
+networkManager.on('lootCollected', (data) => { removeLoot(data.lootId); });
+networkManager.on('lootRemoved', (data) => { removeLoot(data.lootId); });
+networkManager.on('lootReset', (data) => { resetLoot(data.loot); });
+networkManager.on('updateGold', (data) => { setGold(data.gold, data.change); });
+networkManager.on('upgrades', applyEconomy);
+networkManager.on('environment', applyEnvironment);
+networkManager.on('chat', (message) => { addChatLine(message); if (message.channel === 'announcement') showMatchEvent(message.text); }); // Admin announcements also cross the screen
+networkManager.on('playerDefeated', (data) => { console.log(`${getPlayerName(data.playerId)} defeated by ${getPlayerName(data.killerId)}`); });
+networkManager.on('scoreboard', (data) => { renderScoreboard(data.entries); });
+networkManager.on('matchState', applyMatchState);
+networkManager.on('playerRespawned', (data) => { console.log('Network Player Respawned:', data); if (data.player) { if (data.player.id === networkManager.playerId) { /* Update local player state */ gameState.playerShip.health = data.player.health; gameState.playerShip.position.set(data.player.position.x, data.player.position.y, data.player.position.z); playerShip.position.copy(gameState.playerShip.position); gameState.playerShip.rotation = data.player.rotation; playerShip.rotation.y = data.player.rotation; gameState.playerShip.speed = 0; inputManager.releaseAll(); gameState.playerShip.team = data.player.team ?? null; setShipColor(playerShip, getShipColor(data.player)); updateHealthDisplay(gameState.playerShip.health, 0, 0); updateStatsDisplay(); } else { updateOtherPlayer(data.player); refreshShipColor(data.player); } } }); // Teams may be rebalanced when a match starts
+networkManager.on('roomError', (data) => { console.error(`Room error: ${data.reason}`); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = data.reason || 'Could not join room'; statsElements.connectionStatus.style.color = "#ff4500"; } });
+networkManager.on('disconnected', (data) => { console.error(`Disconnected: ${data.reason}.`); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = data.final ? `Disconnected: ${data.reason}` : networkManager.resumeToken ? "Reconnecting..." : "Disconnected"; statsElements.connectionStatus.style.color = "#ff4500"; } });
+networkManager.on('warning', (data) => { console.warn(`Server warning: ${data.reason}`); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = 'Warning from server'; statsElements.connectionStatus.style.color = "#ffa500"; statsElements.connectionStatus.title = data.reason || ''; } });
 
 // --- Game Loop ---
 let animationFrameId = null;
 
-function updateGame(deltaTime) { // Handles LOCAL player logic + network sending
-    const shipState = gameState.playerShip; const keys = gameState.keys; const currentSpeed = Math.abs(shipState.speed); const speedRatio = Math.min(1, currentSpeed / shipState.maxSpeed); let speedChanged = false; let rotationChanged = false; let positionChanged = false;
-    /* Physics & Input */ if (currentSpeed > 0.001) { shipState.speed *= Math.pow(PHYSICS_DRAG_FACTOR, deltaTime * 60); if (Math.abs(shipState.speed) < 0.001) shipState.speed = 0; speedChanged = true; } else if (shipState.speed !== 0) { shipState.speed = 0; speedChanged = true;} if (keys.up) { const newSpeed = Math.min(shipState.speed + shipState.acceleration * deltaTime * 60, shipState.maxSpeed); if(newSpeed !== shipState.speed) {shipState.speed = newSpeed; speedChanged = true;} } else if (keys.down) { const newSpeed = Math.max(shipState.speed - shipState.acceleration * deltaTime * 60 * 0.7, -shipState.maxSpeed / 2); if(newSpeed !== shipState.speed) { shipState.speed = newSpeed; speedChanged = true;} } if (keys.left) { shipState.rotation += shipState.turnSpeed * deltaTime * 60; rotationChanged = true; } if (keys.right) { shipState.rotation -= shipState.turnSpeed * deltaTime * 60; rotationChanged = true; }
-    /* Movement & Collision */ let deltaX = 0; let deltaZ = 0; if (currentSpeed > 0) { const moveDistance = shipState.speed * deltaTime * 60; deltaX = -Math.sin(shipState.rotation) * moveDistance; deltaZ = -Math.cos(shipState.rotation) * moveDistance; } if (deltaX !== 0 || deltaZ !== 0) { const currentPosition = gameState.playerShip.position; const tentativePosition = currentPosition.clone().add(new THREE.Vector3(deltaX, 0, deltaZ)); const collision = handlePlayerCollisions(tentativePosition); if (!collision) { gameState.playerShip.position.copy(tentativePosition); playerShip.position.copy(gameState.playerShip.position); positionChanged = true; } else { if (shipState.speed !== 0) { shipState.speed = 0; speedChanged = true; }} } playerShip.rotation.y = shipState.rotation;
-    /* Send Network Updates */ if (positionChanged) networkManager.updatePosition(gameState.playerShip.position); if (rotationChanged) networkManager.updateRotation(shipState.rotation); if (speedChanged) { networkManager.updateSpeed(shipState.speed); updateStatsDisplay(); }
+let simulationAccumulator = 0;
+
+function updateGame(deltaTime, input) { // Handles LOCAL player input (analog throttle / rudder from inputManager.read()), prediction + rendering state
+    const shipState = gameState.playerShip; const currentSpeed = Math.abs(shipState.speed); const speedRatio = Math.min(1, currentSpeed / shipState.maxSpeed); let speedChanged = false;
+    /* Fixed-Step Prediction */ simulationAccumulator += deltaTime; while (simulationAccumulator >= ShipPhysics.TICK_DT) { simulationAccumulator -= ShipPhysics.TICK_DT; networkManager.applyLocalInput({ throttle: input.throttle, rudder: input.rudder }); }
+    /* Apply Predicted State */ const predicted = networkManager.localShip; if (predicted.speed !== shipState.speed) speedChanged = true; shipState.speed = predicted.speed; shipState.rotation = predicted.rotation; shipState.position.set(predicted.position.x, predicted.position.y, predicted.position.z); playerShip.position.copy(shipState.position); playerShip.rotation.y = shipState.rotation; if (speedChanged) updateStatsDisplay();
     /* Camera */ const cameraDistance = 15; const cameraHeight = 10; const targetCameraPos = new THREE.Vector3( playerShip.position.x + Math.sin(shipState.rotation) * cameraDistance, playerShip.position.y + cameraHeight, playerShip.position.z + Math.cos(shipState.rotation) * cameraDistance ); camera.position.lerp(targetCameraPos, 0.05); camera.lookAt(playerShip.position.x, playerShip.position.y + 1.0, playerShip.position.z);
-    /* Shooting */ if (keys.space && shipState.canShoot && networkManager.playerId && gameState.playerShip.health > 0) { createBullet(playerShip.position, shipState.rotation, networkManager.playerId); shipState.canShoot = false; setTimeout(() => { shipState.canShoot = true; }, shipState.shootCooldown); }
-    /* Update Bullets */ for (let i = gameState.bullets.length - 1; i >= 0; i--) { const bulletMesh = gameState.bullets[i]; const bulletData = bulletMesh.userData; const moveStep = bulletData.speed * deltaTime * 60; bulletMesh.position.x -= Math.sin(bulletData.rotation) * moveStep; bulletMesh.position.z -= Math.cos(bulletData.rotation) * moveStep; bulletData.distanceTraveled += moveStep; let hit = false; if (moveStep > 0) hit = handleBulletCollisions(bulletMesh); if (hit || bulletData.distanceTraveled >= bulletData.maxDistance) { scene.remove(bulletMesh); bulletMesh.geometry?.dispose(); bulletMesh.material?.dispose(); gameState.bullets.splice(i, 1); } }
-    /* GENERATE SPLASHES */ if (currentSpeed > SPLASH_SPAWN_THRESHOLD_SPEED && gameState.splashes.length < SPLASH_MAX_PARTICLES) { const spawnProbability = speedRatio * deltaTime * SPLASH_SPAWN_RATE_SCALE; const numToSpawn = Math.floor(spawnProbability) + (Math.random() < (spawnProbability % 1) ? 1 : 0); for (let j = 0; j < numToSpawn; j++) { if (gameState.splashes.length >= SPLASH_MAX_PARTICLES) break; const side = (gameState.splashes.length % 2 === 0) ? 1 : -1; const shipForward = new THREE.Vector3(); playerShip.getWorldDirection(shipForward); shipForward.y = 0; shipForward.normalize(); const shipRight = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), shipForward).normalize(); const spawnPos = playerShip.position.clone().addScaledVector(shipRight, side * SPLASH_SIDE_OFFSET).addScaledVector(shipForward, SPLASH_BACK_OFFSET).add(new THREE.Vector3(0, SPLASH_VERTICAL_OFFSET, 0)); const baseVelSide = SPLASH_INITIAL_VEL_SIDE_MIN + speedRatio * SPLASH_INITIAL_VEL_SIDE_SCALE; const baseVelUp = SPLASH_INITIAL_VEL_UP_MIN + speedRatio * SPLASH_INITIAL_VEL_UP_SCALE; const randX = (Math.random() - 0.5) * 1.0; const randY = (Math.random() - 0.5) * 1.0; const randZ = (Math.random() - 0.5) * 1.0; const initialVelocity = shipRight.clone().multiplyScalar(side * baseVelSide).add(new THREE.Vector3(0, baseVelUp, 0)).add(new THREE.Vector3(randX, randY, randZ)); const particle = new THREE.Mesh(splashGeometry, splashMaterial.clone()); particle.scale.setScalar(SPLASH_PARTICLE_START_SIZE); particle.position.copy(spawnPos); const lifetime = SPLASH_BASE_LIFETIME * (0.7 + Math.random() * 0.6); particle.userData = { velocity: initialVelocity, life: 0, maxLife: lifetime, baseOpacity: splashMaterial.opacity * (0.6 + speedRatio * 0.4), startSize: SPLASH_PARTICLE_START_SIZE }; scene.add(particle); gameState.splashes.push(particle); } }
+    /* Shooting */ if (input.fire && shipState.canShoot && networkManager.playerId && gameState.playerShip.health > 0) { networkManager.fire(); shipState.canShoot = false; setTimeout(() => { shipState.canShoot = true; }, shipState.shootCooldown); }
+    /* GENERATE SPLASHES */ if (currentSpeed > SPLASH_SPAWN_THRESHOLD_SPEED && gameState.splashes.length < SPLASH_MAX_PARTICLES) { const spawnProbability = speedRatio * deltaTime * SPLASH_SPAWN_RATE_SCALE * (1 + environmentState.storm * STORM_SPLASH_BOOST); const numToSpawn = Math.floor(spawnProbability) + (Math.random() < (spawnProbability % 1) ? 1 : 0); for (let j = 0; j < numToSpawn; j++) { if (gameState.splashes.length >= SPLASH_MAX_PARTICLES) break; const side = (gameState.splashes.length % 2 === 0) ? 1 : -1; const shipForward = new THREE.Vector3(); playerShip.getWorldDirection(shipForward); shipForward.y = 0; shipForward.normalize(); const shipRight = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), shipForward).normalize(); const spawnPos = playerShip.position.clone().addScaledVector(shipRight, side * SPLASH_SIDE_OFFSET).addScaledVector(shipForward, SPLASH_BACK_OFFSET).add(new THREE.Vector3(0, SPLASH_VERTICAL_OFFSET, 0)); const baseVelSide = SPLASH_INITIAL_VEL_SIDE_MIN + speedRatio * SPLASH_INITIAL_VEL_SIDE_SCALE; const baseVelUp = SPLASH_INITIAL_VEL_UP_MIN + speedRatio * SPLASH_INITIAL_VEL_UP_SCALE; const randX = (Math.random() - 0.5) * 1.0; const randY = (Math.random() - 0.5) * 1.0; const randZ = (Math.random() - 0.5) * 1.0; const initialVelocity = shipRight.clone().multiplyScalar(side * baseVelSide).add(new THREE.Vector3(0, baseVelUp, 0)).add(new THREE.Vector3(randX, randY, randZ)); const particle = new THREE.Mesh(splashGeometry, splashMaterial.clone()); particle.scale.setScalar(SPLASH_PARTICLE_START_SIZE); particle.position.copy(spawnPos); const lifetime = SPLASH_BASE_LIFETIME * (0.7 + Math.random() * 0.6); particle.userData = { velocity: initialVelocity, life: 0, maxLife: lifetime, baseOpacity: splashMaterial.opacity * (0.6 + speedRatio * 0.4), startSize: SPLASH_PARTICLE_START_SIZE }; scene.add(particle); gameState.splashes.push(particle); } }
     /* Update Minimap */ playerMarkerGroup.position.set(gameState.playerShip.position.x, playerMarkerGroup.position.y, gameState.playerShip.position.z); playerMarkerGroup.rotation.y = shipState.rotation; minimapCamera.position.x = gameState.playerShip.position.x; minimapCamera.position.z = gameState.playerShip.position.z; minimapCamera.lookAt(gameState.playerShip.position.x, 0, gameState.playerShip.position.z);
 }
 
 function updateOfflineEffects(deltaTime) { // Handles animations/UI updates
+    /* Remote Ships */ updateRemoteShips();
+    /* Match HUD & Objectives */ updateMatchHud(deltaTime); updateTreasure(deltaTime);
+    /* Loot */ updateLoot(deltaTime);
+    /* Weather & Day/Night */ updateEnvironment(deltaTime);
+    /* Update Bullets (visual only, the server reports impacts) */ gameState.bullets.forEach((bulletMesh, projectileId) => { if (!ShipPhysics.stepProjectile(bulletMesh.userData, deltaTime * networkManager.playbackRate)) removeBullet(projectileId); });
     /* Update Splashes */ for (let i = gameState.splashes.length - 1; i >= 0; i--) { const particle = gameState.splashes[i]; if (!particle || !particle.userData) { console.warn("Skipping invalid splash particle"); gameState.splashes.splice(i, 1); continue; } const data = particle.userData; data.life += deltaTime; if (data.life >= data.maxLife) { scene.remove(particle); particle.material.dispose(); gameState.splashes.splice(i, 1); } else { data.velocity.y -= SPLASH_GRAVITY * deltaTime; data.velocity.multiplyScalar(1 - SPLASH_DRAG * deltaTime); particle.position.addScaledVector(data.velocity, deltaTime); particle.rotation.x += (Math.random()-0.5)*0.3; particle.rotation.y += (Math.random()-0.5)*0.3; particle.rotation.z += (Math.random()-0.5)*0.3; if (particle.position.y < 0.05) { particle.position.y = 0.05; data.velocity.y *= -0.2; data.velocity.x *= 0.3; data.velocity.z *= 0.3; } const lifeRatio = data.life / data.maxLife; const currentScale = data.startSize * (1 + lifeRatio * (SPLASH_PARTICLE_END_SCALE - 1)); particle.scale.setScalar(currentScale); particle.material.opacity = data.baseOpacity * (1 - lifeRatio * lifeRatio); } }
-    /* Update Ocean Texture Scroll */ oceanAnimation.time += deltaTime; waterTexture.offset.x = (waterTexture.offset.x + oceanAnimation.scrollSpeedX * deltaTime) % 1; waterTexture.offset.y = (waterTexture.offset.y + oceanAnimation.scrollSpeedZ * deltaTime) % 1; waterNormalMap.offset.x = (waterNormalMap.offset.x + oceanAnimation.normalScrollSpeedX * deltaTime) % 1; waterNormalMap.offset.y = (waterNormalMap.offset.y + oceanAnimation.normalScrollSpeedZ * deltaTime) % 1;
+    /* Update Ocean Texture Scroll (faster in wind and storms) */ const waveDelta = deltaTime * getWaveFactor(); oceanAnimation.time += waveDelta; waterTexture.offset.x = (waterTexture.offset.x + oceanAnimation.scrollSpeedX * waveDelta) % 1; waterTexture.offset.y = (waterTexture.offset.y + oceanAnimation.scrollSpeedZ * waveDelta) % 1; waterNormalMap.offset.x = (waterNormalMap.offset.x + oceanAnimation.normalScrollSpeedX * waveDelta) % 1; waterNormalMap.offset.y = (waterNormalMap.offset.y + oceanAnimation.normalScrollSpeedZ * waveDelta) % 1;
     /* Update UI */ if (statsElements.shipPosition) statsElements.shipPosition.textContent = `Pos: (${gameState.playerShip.position.x.toFixed(1)}, ${gameState.playerShip.position.y.toFixed(1)}, ${gameState.playerShip.position.z.toFixed(1)})`; if (statsElements.shipSpeed) statsElements.shipSpeed.textContent = Math.abs(gameState.playerShip.speed).toFixed(2);
 }
 
+// --- Viewer Camera ---
+// Replays and spectators have no ship of their own and watch through one of three cameras, cycled with C: free flies with
+// the sailing controls (mouse wheel or Q/E changes height), follow chases a ship (Tab / Shift+Tab picks the next / previous one)
+// and tactical is a top-down chart of the whole sea drawn with the minimap markers (the sailing controls pan it, the wheel zooms).
+const FREE_CAMERA_SPEED = 80; const FREE_CAMERA_TURN_SPEED = 1.5; const FREE_CAMERA_MIN_HEIGHT = 10; const FREE_CAMERA_MAX_HEIGHT = 400;
+const VIEWER_CAMERA_MODES = ['free', 'follow', 'tactical'];
+const FOLLOW_CAMERA_DISTANCE = 15; const FOLLOW_CAMERA_HEIGHT = 10; // Same chase view as your own ship
+const TACTICAL_VIEW_SCALE = 3; // Half the chart's height per unit of free camera height
+const TACTICAL_BACKGROUND = new THREE.Color(0x001a33); // The minimap's sea
+const freeCamera = { x: 0, z: 0, height: 80, yaw: 0, climb: 0 };
+const viewerCamera = { mode: 'free', targetId: null }; const tacticalCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+const viewerElements = { hud: document.getElementById('viewer-hud'), mode: document.getElementById('viewer-mode'), hint: document.getElementById('viewer-hint') };
+function isWatching() { return replayPlayer.active || networkManager.spectating; }
+function updateViewerCamera(deltaTime, input) {
+    let target = null;
+    if (viewerCamera.mode === 'follow') { target = networkManager.getInterpolatedPlayer(viewerCamera.targetId); if (!target) { cycleFollowTarget(1); target = networkManager.getInterpolatedPlayer(viewerCamera.targetId); } } // The followed ship left
+    if (target) { freeCamera.x = target.x; freeCamera.z = target.z; freeCamera.yaw = target.r; } // Switching back to the free camera starts here
+    else { freeCamera.yaw += input.rudder * FREE_CAMERA_TURN_SPEED * deltaTime; const move = input.throttle * FREE_CAMERA_SPEED * (freeCamera.height / 80) * deltaTime; freeCamera.x -= Math.sin(freeCamera.yaw) * move; freeCamera.z -= Math.cos(freeCamera.yaw) * move; }
+    freeCamera.height = Math.max(FREE_CAMERA_MIN_HEIGHT, Math.min(FREE_CAMERA_MAX_HEIGHT, freeCamera.height + freeCamera.climb * FREE_CAMERA_SPEED * deltaTime));
+    if (target) { camera.position.lerp(new THREE.Vector3(target.x + Math.sin(target.r) * FOLLOW_CAMERA_DISTANCE, FOLLOW_CAMERA_HEIGHT, target.z + Math.cos(target.r) * FOLLOW_CAMERA_DISTANCE), 0.05); camera.lookAt(target.x, 1.0, target.z); }
+    else { camera.position.set(freeCamera.x + Math.sin(freeCamera.yaw) * freeCamera.height * 0.6, freeCamera.height, freeCamera.z + Math.cos(freeCamera.yaw) * freeCamera.height * 0.6); camera.lookAt(freeCamera.x, 0, freeCamera.z); }
+    if (viewerCamera.mode === 'tactical') { // Heading up, so the controls pan the way it flies
+        const extent = freeCamera.height * TACTICAL_VIEW_SCALE; const aspect = window.innerWidth / window.innerHeight; Object.assign(tacticalCamera, { left: -extent * aspect, right: extent * aspect, top: extent, bottom: -extent }); tacticalCamera.updateProjectionMatrix();
+        tacticalCamera.position.set(freeCamera.x, 100, freeCamera.z); tacticalCamera.up.set(-Math.sin(freeCamera.yaw), 0, -Math.cos(freeCamera.yaw)); tacticalCamera.lookAt(freeCamera.x, 0, freeCamera.z);
+    }
+    minimapCamera.position.x = freeCamera.x; minimapCamera.position.z = freeCamera.z; minimapCamera.lookAt(freeCamera.x, 0, freeCamera.z);
+}
+function setViewerCameraMode(mode) { viewerCamera.mode = mode; if (mode === 'follow' && !gameState.otherPlayers.has(viewerCamera.targetId)) cycleFollowTarget(1); updateViewerHud(); }
+// step: 1 for the next ship in view, -1 for the previous one; also switches to the follow camera
+function cycleFollowTarget(step) {
+    const ids = Array.from(gameState.otherPlayers.keys()).filter(playerId => networkManager.getInterpolatedPlayer(playerId)); const index = ids.indexOf(viewerCamera.targetId);
+    viewerCamera.targetId = !ids.length ? null : index === -1 ? ids[step > 0 ? 0 : ids.length - 1] : ids[(index + step + ids.length) % ids.length]; viewerCamera.mode = 'follow'; updateViewerHud();
+}
+function updateViewerHud() {
+    if (!viewerElements.hud) return; const target = gameState.otherPlayers.get(viewerCamera.targetId);
+    viewerElements.mode.textContent = viewerCamera.mode === 'follow' ? (target ? `Following ${target.name}` : 'No ships to follow') : viewerCamera.mode === 'tactical' ? 'Tactical view' : 'Free camera';
+    viewerElements.hint.textContent = `C: change camera - Tab: next ship${networkManager.spectating ? ' - J: join the fight' : ''}`;
+}
+function renderViewerScene() { if (viewerCamera.mode !== 'tactical') { renderer.render(scene, camera); return; } minimapScene.background = TACTICAL_BACKGROUND; renderer.render(minimapScene, tacticalCamera); minimapScene.background = null; } // The minimap keeps its see-through sea
+// Hides our own ship, starts over the first ship of the first init (later inits keep the camera) and binds the camera keys
+function startViewerCamera() {
+    playerShip.visible = false; playerMarkerGroup.visible = false; if (viewerElements.hud) viewerElements.hud.style.display = 'block'; updateViewerHud();
+    let centered = false; networkManager.on('init', (data) => { updateViewerHud(); const firstShip = data.gameState?.players?.[0]; if (centered || !firstShip) return; centered = true; freeCamera.x = firstShip.position.x; freeCamera.z = firstShip.position.z; });
+    window.addEventListener('keydown', (event) => { if (event.target instanceof HTMLInputElement) return; if (event.key === 'q') freeCamera.climb = 1; else if (event.key === 'e') freeCamera.climb = -1; else if (event.key === 'c' && !event.repeat) setViewerCameraMode(VIEWER_CAMERA_MODES[(VIEWER_CAMERA_MODES.indexOf(viewerCamera.mode) + 1) % VIEWER_CAMERA_MODES.length]); else if (event.key === 'Tab') { event.preventDefault(); cycleFollowTarget(event.shiftKey ? -1 : 1); } });
+    window.addEventListener('keyup', (event) => { if (event.key === 'q' || event.key === 'e') freeCamera.climb = 0; });
+    renderer.domElement.addEventListener('wheel', (event) => { event.preventDefault(); freeCamera.height = Math.max(FREE_CAMERA_MIN_HEIGHT, Math.min(FREE_CAMERA_MAX_HEIGHT, freeCamera.height * (event.deltaY > 0 ? 1.1 : 0.9))); }, { passive: false });
+    networkManager.on('playerLeft', updateViewerHud); // The followed ship may be gone
+}
+
+// --- Spectator Mode ---
+// game.html?spectate[&room=<id>] watches a room without a ship (/spectate in the chat gets there from a game). The room
+// doesn't count spectators and ignores anything they send; J reloads the page as a player (resuming the ship if it's still held).
+function startSpectatorMode() {
+    startViewerCamera();
+    window.addEventListener('keydown', (event) => { if (event.key === 'j' && networkManager.room && !(event.target instanceof HTMLInputElement)) window.location.href = `game.html?room=${encodeURIComponent(networkManager.room.id)}`; });
+    networkManager.connect();
+}
+function watchRoom() { window.location.href = `game.html?room=${encodeURIComponent(networkManager.room?.id || 'public')}&spectate`; }
+
+// --- Replay Mode ---
+// game.html?replay loads a recording picked from disk, game.html?replay=<file> one recorded by this server (REPLAY_DIR).
+// The viewer cameras work as for spectators; Space pauses, [ and ] change speed.
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const replayElements = { controls: document.getElementById('replay-controls'), file: document.getElementById('replay-file'), play: document.getElementById('replay-play'), seek: document.getElementById('replay-seek'), time: document.getElementById('replay-time'), speed: document.getElementById('replay-speed') };
+function formatReplayTime(seconds) { const whole = Math.floor(seconds); return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`; }
+function updateReplayControls() {
+    if (!replayElements.controls) return; replayElements.play.textContent = replayPlayer.playing ? 'Pause' : 'Play';
+    replayElements.seek.max = replayPlayer.endTick; replayElements.seek.min = replayPlayer.startTick; if (document.activeElement !== replayElements.seek) replayElements.seek.value = Math.floor(replayPlayer.tick);
+    replayElements.time.textContent = `${formatReplayTime(replayPlayer.currentTime)} / ${formatReplayTime(replayPlayer.duration)}`;
+}
+function changeReplaySpeed(step) { const index = Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, REPLAY_SPEEDS.indexOf(replayPlayer.speed) + step)); replayPlayer.setSpeed(REPLAY_SPEEDS[index]); if (replayElements.speed) replayElements.speed.value = String(REPLAY_SPEEDS[index]); }
+function showReplayError(error) { console.error('Replay failed:', error); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = `Replay error: ${error.message}`; statsElements.connectionStatus.style.color = "#ff4500"; } }
+function startReplayMode(replayFile) {
+    startViewerCamera(); if (replayElements.controls) replayElements.controls.style.display = 'flex';
+    if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = "Choose a replay file"; statsElements.connectionStatus.style.color = "orange"; }
+    replayElements.file?.addEventListener('change', () => { const file = replayElements.file.files[0]; if (file) replayPlayer.loadFromFile(file).catch(showReplayError); });
+    replayElements.play?.addEventListener('click', () => replayPlayer.togglePlay());
+    replayElements.seek?.addEventListener('input', () => replayPlayer.seek(Number(replayElements.seek.value)));
+    replayElements.speed?.addEventListener('change', () => replayPlayer.setSpeed(Number(replayElements.speed.value)));
+    window.addEventListener('keydown', (event) => { if (event.target instanceof HTMLInputElement) return; if (event.key === ' ') { event.preventDefault(); replayPlayer.togglePlay(); } else if (event.key === '[') changeReplaySpeed(-1); else if (event.key === ']') changeReplaySpeed(1); });
+    if (replayFile) { if (replayElements.file) replayElements.file.style.display = 'none'; if (statsElements.connectionStatus) statsElements.connectionStatus.textContent = "Loading replay..."; replayPlayer.loadFromUrl(`replays/${encodeURIComponent(replayFile)}`).catch(showReplayError); }
+}
+
 // --- Animation Loop ---
 let lastTimestamp = 0;
 function animate(timestamp) {
     animationFrameId = requestAnimationFrame(animate); const delta = timestamp - lastTimestamp; const deltaTime = Math.max(0, Math.min(delta / 1000, 0.1)); lastTimestamp = timestamp;
-    if (deltaTime > 0) { if (networkManager.connected) updateGame(deltaTime); updateOfflineEffects(deltaTime); }
-    renderer.render(scene, camera); minimapRenderer.render(minimapScene, minimapCamera);
+    if (deltaTime > 0) { inputManager.update(); const input = inputManager.read(); if (networkManager.connected && !networkManager.spectating) updateGame(deltaTime, input); else if (isWatching()) { if (replayPlayer.active) { replayPlayer.update(deltaTime); updateReplayControls(); } updateViewerCamera(deltaTime, input); } updateOfflineEffects(deltaTime); }
+    if (isWatching()) renderViewerScene(); else renderer.render(scene, camera); minimapRenderer.render(minimapScene, minimapCamera);
 }
 
 // --- Initialization ---
+// game.html?room=<id> joins a room (&spectate watches it), game.html?create=<name>&private=1&max=<n>[&map=<name>|&seed=<seed>][&mode=<mode>] creates one, no parameters joins the public sea
+function getRoomRequestFromUrl() { const params = new URLSearchParams(window.location.search); if (params.has('create')) return { type: 'createRoom', name: params.get('create'), isPrivate: params.get('private') === '1', maxPlayers: parseInt(params.get('max'), 10) || undefined, map: params.get('map') || undefined, seed: params.get('seed') || undefined, mode: params.get('mode') || undefined }; return { type: 'joinRoom', roomId: params.get('room') || 'public', spectate: params.has('spectate') }; }
+networkManager.setRoomRequest(getRoomRequestFromUrl());
+networkManager.setIdentity({ name: localStorage.getItem('pirateName') || '', color: localStorage.getItem('pirateColor') || '', profileToken: localStorage.getItem('pirateProfileToken') || '' }); // Chosen on index.html (the profile token is issued by the server)
+networkManager.setEncoding(new URLSearchParams(window.location.search).get('protocol') || localStorage.getItem('pirateProtocol') || 'binary'); // ?protocol=json keeps every message readable in the dev tools
+networkManager.restoreSession(); // Reload of the same room resumes the same ship
 console.log("Game script loaded. Connecting..."); if (statsElements.connectionStatus) { statsElements.connectionStatus.textContent = "Connecting..."; statsElements.connectionStatus.style.color = "orange"; }
-networkManager.connect(); lastTimestamp = performance.now(); animate();
+const replayParam = new URLSearchParams(window.location.search).get('replay');
+if (replayParam !== null) startReplayMode(replayParam); else if (new URLSearchParams(window.location.search).has('spectate')) startSpectatorMode(); else networkManager.connect();
+lastTimestamp = performance.now(); animate();
 
 // --- Event Listeners & Cleanup ---
 window.addEventListener('resize', () => { camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix(); renderer.setSize(window.innerWidth, window.innerHeight); });
@@ -0,0 +1,144 @@
+// Player input by action rather than by key. Keyboard keys (KeyboardEvent.code, so layouts don't matter) and gamepad buttons
+// are bound to actions and can be rebound (saved in localStorage); a gamepad's stick and triggers and the on-screen stick
+// (touch screens) add analog throttle and rudder. game.js calls update() then read() once per frame.
+
+// --- CONSTANTS ---
+const STORAGE_KEY = 'pirateControls';
+const ACTIONS = [ // Sailing and fire are held; every action also fires an event per press (see on)
+    { id: 'forward', label: 'Sail forward' }, { id: 'back', label: 'Sail backward' }, { id: 'left', label: 'Steer left' }, { id: 'right', label: 'Steer right' },
+    { id: 'fire', label: 'Fire cannons' }, { id: 'upgrades', label: 'Shipwright (upgrades)' }
+];
+const DEFAULT_BINDINGS = { // buttons: indices in the standard gamepad layout (0 A, 3 Y, 5 RB, 12-15 d-pad)
+    forward: { keys: ['KeyW', 'ArrowUp'], buttons: [12] }, back: { keys: ['KeyS', 'ArrowDown'], buttons: [13] },
+    left: { keys: ['KeyA', 'ArrowLeft'], buttons: [14] }, right: { keys: ['KeyD', 'ArrowRight'], buttons: [15] },
+    fire: { keys: ['Space'], buttons: [0, 5] }, upgrades: { keys: ['KeyU'], buttons: [3] }
+};
+const MAX_BINDINGS = 3; // Per action and device; binding a fourth drops the oldest
+const DEAD_ZONE = 0.15; // Worn sticks rarely rest at exactly 0
+const GAMEPAD_STEER_AXIS = 0; const GAMEPAD_THROTTLE_AXIS = 1; // Left stick
+const GAMEPAD_REVERSE_TRIGGER = 6; const GAMEPAD_FORWARD_TRIGGER = 7; // LT / RT, analog
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+const KEY_NAMES = { Space: 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl' };
+
+class InputManager {
+    constructor() {
+        this.bindings = loadBindings();
+        this.pressedKeys = new Set(); // KeyboardEvent.code of every key held down
+        this.padButtons = []; // Pressed state of the gamepad's buttons at the last update(), for press events
+        this.touch = { throttle: 0, rudder: 0, actions: new Set() }; // From the on-screen controls
+        this.capture = null; // { action, onDone } while waiting for the key or button to bind (see rebind)
+        this.onEventCallbacks = new Map();
+    }
+
+    // Listens to the keyboard on target (window); keys typed into a text field are left alone
+    attach(target = window) {
+        target.addEventListener('keydown', (event) => this.handleKeyDown(event), true); // Capture phase, so a key being bound reaches nothing else
+        target.addEventListener('keyup', (event) => this.pressedKeys.delete(event.code), true);
+        target.addEventListener('blur', () => this.releaseAll()); // Keys let go in another window never send keyup
+        target.addEventListener('gamepadconnected', (event) => this.triggerEvent('gamepad', { connected: true, name: event.gamepad.id }));
+        target.addEventListener('gamepaddisconnected', (event) => this.triggerEvent('gamepad', { connected: false, name: event.gamepad.id }));
+    }
+    handleKeyDown(event) {
+        if (this.capture) { event.preventDefault(); event.stopImmediatePropagation(); if (!event.repeat) this.finishCapture(event.code === 'Escape' ? null : { key: event.code }); return; } // Escape cancels
+        if (isTextField(event.target)) return;
+        const actions = this.actionsFor('keys', event.code); if (!actions.length) return;
+        if (event.target instanceof HTMLButtonElement) event.preventDefault(); // Space would also click the last button clicked
+        this.pressedKeys.add(event.code); if (!event.repeat) actions.forEach(action => this.triggerEvent(action));
+    }
+
+    // Polls the gamepad (the Gamepad API has no button events): press events and rebinding. Call once per frame.
+    update() {
+        const pad = getGamepad(); const pressed = pad ? pad.buttons.map(button => button.pressed) : [];
+        pressed.forEach((isPressed, index) => {
+            if (!isPressed || this.padButtons[index]) return;
+            if (this.capture) this.finishCapture({ button: index }); else this.actionsFor('buttons', index).forEach(action => this.triggerEvent(action));
+        });
+        this.padButtons = pressed;
+    }
+    // Every source combined: { throttle, rudder } in [-1, 1] (rudder 1 steers left, as ShipPhysics takes it) and fire
+    read() {
+        const pad = getGamepad(); const held = (action) => this.isPressed(action, pad) ? 1 : 0;
+        let throttle = held('forward') - held('back') + this.touch.throttle; let rudder = held('left') - held('right') + this.touch.rudder;
+        if (pad) { // The stronger of stick and triggers, so resting triggers don't cancel the stick
+            const stick = -applyDeadZone(pad.axes[GAMEPAD_THROTTLE_AXIS] || 0); const triggers = applyDeadZone((pad.buttons[GAMEPAD_FORWARD_TRIGGER]?.value || 0) - (pad.buttons[GAMEPAD_REVERSE_TRIGGER]?.value || 0));
+            throttle += Math.abs(triggers) > Math.abs(stick) ? triggers : stick; rudder -= applyDeadZone(pad.axes[GAMEPAD_STEER_AXIS] || 0);
+        }
+        return { throttle: clampAxis(throttle), rudder: clampAxis(rudder), fire: this.isPressed('fire', pad) };
+    }
+    isPressed(action, pad = getGamepad()) {
+        const binding = this.bindings[action]; if (!binding) return false;
+        return binding.keys.some(code => this.pressedKeys.has(code)) || (!!pad && binding.buttons.some(index => pad.buttons[index]?.pressed)) || this.touch.actions.has(action);
+    }
+    // Forgets held keys and touches (chat opened, window blurred, respawn); the gamepad is read fresh every frame anyway
+    releaseAll() { this.pressedKeys.clear(); this.touch.throttle = 0; this.touch.rudder = 0; this.touch.actions.clear(); }
+    get gamepadName() { return getGamepad()?.id || null; }
+
+    // --- Touch Controls ---
+    // elements: { stick, knob, buttons: { action: element } }. The stick steers and sails in proportion to how far the knob is
+    // dragged (up sails forward, left steers left); the buttons act like held keys.
+    attachTouchControls({ stick, knob, buttons = {} }) {
+        let pointerId = null;
+        const move = (event) => {
+            const rect = stick.getBoundingClientRect(); const radius = rect.width / 2; let dx = (event.clientX - rect.left - radius) / radius; let dy = (event.clientY - rect.top - radius) / radius;
+            const length = Math.hypot(dx, dy); if (length > 1) { dx /= length; dy /= length; }
+            knob.style.transform = `translate(${dx * radius}px, ${dy * radius}px)`; this.touch.rudder = -applyDeadZone(dx); this.touch.throttle = -applyDeadZone(dy);
+        };
+        const release = (event) => { if (event.pointerId !== pointerId) return; pointerId = null; this.touch.throttle = 0; this.touch.rudder = 0; knob.style.transform = ''; };
+        stick.addEventListener('pointerdown', (event) => { event.preventDefault(); pointerId = event.pointerId; stick.setPointerCapture(pointerId); move(event); });
+        stick.addEventListener('pointermove', (event) => { if (event.pointerId === pointerId) move(event); });
+        stick.addEventListener('pointerup', release); stick.addEventListener('pointercancel', release);
+        Object.entries(buttons).forEach(([action, button]) => {
+            const up = () => this.touch.actions.delete(action);
+            button.addEventListener('pointerdown', (event) => { event.preventDefault(); this.touch.actions.add(action); this.triggerEvent(action); });
+            button.addEventListener('pointerup', up); button.addEventListener('pointercancel', up); button.addEventListener('pointerleave', up);
+        });
+    }
+
+    // --- Bindings ---
+    get actions() { return ACTIONS; }
+    getBindings(action) { return this.bindings[action]; }
+    // Waits for the next key or gamepad button and binds it to action (Escape cancels); onDone(input or null) afterwards
+    rebind(action, onDone) { this.capture = { action, onDone }; }
+    get capturing() { return !!this.capture; }
+    finishCapture(input) { const { action, onDone } = this.capture; this.capture = null; if (input) this.bind(action, input); if (onDone) onDone(input); }
+    // input: { key: code } or { button: index }; taken away from any other action it was bound to
+    bind(action, input) {
+        const device = input.key !== undefined ? 'keys' : 'buttons'; const value = input.key !== undefined ? input.key : input.button;
+        Object.values(this.bindings).forEach(binding => { binding[device] = binding[device].filter(bound => bound !== value); });
+        const list = this.bindings[action][device]; list.push(value); if (list.length > MAX_BINDINGS) list.shift(); this.saveBindings();
+    }
+    clearBindings(action) { this.bindings[action] = { keys: [], buttons: [] }; this.saveBindings(); }
+    resetBindings() { this.bindings = copyBindings(DEFAULT_BINDINGS); this.saveBindings(); }
+    saveBindings() { try { localStorage.setItem(STORAGE_KEY, JSON.stringify(this.bindings)); } catch (error) { /* Storage unavailable, the bindings last until reload */ } this.triggerEvent('bindingsChanged'); }
+    // 'W, ↑' / 'D-pad up' for the controls panel and hints
+    describeKeys(action) { return this.bindings[action].keys.map(describeKey).join(', '); }
+    describeButtons(action) { return this.bindings[action].buttons.map(index => GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`).join(', '); }
+    actionsFor(device, value) { return ACTIONS.map(action => action.id).filter(action => this.bindings[action][device].includes(value)); }
+
+    // --- Events ---
+    // Types: an action id (pressed), 'gamepad' ({ connected, name }), 'bindingsChanged'
+    on(type, callback) { if (!this.onEventCallbacks.has(type)) this.onEventCallbacks.set(type, new Set()); this.onEventCallbacks.get(type).add(callback); }
+    off(type, callback) { if (this.onEventCallbacks.has(type)) this.onEventCallbacks.get(type).delete(callback); }
+    triggerEvent(type, detail = {}) { if (this.onEventCallbacks.has(type)) { this.onEventCallbacks.get(type).forEach(callback => { try { callback(detail); } catch (error) { console.error(`Error in '${type}' input callback:`, error); } }); } }
+}
+
+function copyBindings(bindings) { const copy = {}; ACTIONS.forEach(({ id }) => { copy[id] = { keys: [...bindings[id].keys], buttons: [...bindings[id].buttons] }; }); return copy; }
+// Saved bindings, falling back to the defaults for anything missing or malformed (older saves, hand edits)
+function loadBindings() {
+    const bindings = copyBindings(DEFAULT_BINDINGS); let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null'); } catch (error) { /* Storage unavailable or corrupt */ }
+    if (!saved || typeof saved !== 'object') return bindings;
+    ACTIONS.forEach(({ id }) => {
+        const entry = saved[id]; if (!entry || !Array.isArray(entry.keys) || !Array.isArray(entry.buttons)) return;
+        bindings[id] = { keys: entry.keys.filter(code => typeof code === 'string').slice(0, MAX_BINDINGS), buttons: entry.buttons.filter(index => Number.isInteger(index) && index >= 0).slice(0, MAX_BINDINGS) };
+    });
+    return bindings;
+}
+function describeKey(code) { return KEY_NAMES[code] || code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num '); }
+function getGamepad() { if (!navigator.getGamepads) return null; return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected) || null; }
+function isTextField(target) { return target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement; }
+function applyDeadZone(value) { return Math.abs(value) < DEAD_ZONE ? 0 : Math.sign(value) * (Math.abs(value) - DEAD_ZONE) / (1 - DEAD_ZONE); }
+function clampAxis(value) { return Math.max(-1, Math.min(1, value)); }
+
+const inputManager = new InputManager();
+export default inputManager;
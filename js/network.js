@@ -1,15 +1,30 @@
+const ShipPhysics = window.ShipPhysics; // Loaded by game.html from js/physics.js (shared with the server)
+const { PlayerUpdateBuffer } = window.PlayerUpdates; // js/playerUpdates.js, shared with the headless client
+const Protocol = window.PirateProtocol; // Loaded by game.html from js/protocol.js (shared with the server)
+const INTERPOLATION_DELAY_TICKS = 6; // Remote ships are drawn ~100ms (two snapshots) in the past so there are always two samples to blend
+const MAX_INTERPOLATION_SAMPLES = 20;
+
 class NetworkManager {
     constructor() {
         this.ws = null;
         this.playerId = null;
         this.connected = false;
         this.onMessageCallbacks = new Map();
-        this.lastPositionUpdate = 0;
-        this.lastRotationUpdate = 0;
-        this.lastSpeedUpdate = 0;
-        this.updateThrottleTime = 30; // ms (~33 updates/sec max)
-        this.pendingUpdates = new Map();
-        this.knownPlayers = new Set();
+        this.inputSeq = 0;
+        this.pendingInputs = []; // Inputs sent but not yet acknowledged by a server snapshot
+        this.localShip = { position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0, health: 100, maxSpeed: ShipPhysics.SHIP_MAX_SPEED }; // Predicted local ship (maxSpeed follows sail upgrades)
+        this.world = { islands: [], worldBounds: null, wind: null };
+        this.remoteStates = new Map(); // playerId -> latest merged compact state { x, z, r, s } (snapshots only carry changed fields)
+        this.remoteBuffers = new Map(); // playerId -> [{ tick, x, z, r }] oldest first, for interpolation
+        this.lastSnapshotTick = 0; this.lastSnapshotTime = 0;
+        this.playbackRate = 1; // Replays speed up, slow down or freeze (0) interpolation; always 1 when live
+        this.playerUpdates = new PlayerUpdateBuffer(); // Holds updates about players whose playerJoined hasn't arrived yet
+        this.roomRequest = { type: 'joinRoom', roomId: 'public' }; // Sent on every (re)connect, see setRoomRequest
+        this.spectating = false; // Set by init: watching the room without a ship
+        this.room = null;
+        this.identity = { name: '', color: '' }; // Display name + ship colour (+ profile token) sent with the room request
+        this.resumeToken = null; // Issued in init; lets a reconnect reclaim the same ship (kept across disconnects)
+        this.encoding = 'binary'; // Wire encoding asked for in the handshake; 'json' keeps every message readable (debug, see setEncoding)
         this.reconnectAttempts = 0; // For exponential backoff
         this.reconnectTimeoutId = null; // To clear pending reconnects
     }
@@ -29,24 +44,37 @@ class NetworkManager {
         console.log(`Attempting to connect: ${wsUrl} (Attempt ${this.reconnectAttempts + 1})`);
         this.triggerEvent('connecting'); // Notify UI
 
-        try { this.ws = new WebSocket(wsUrl); } catch (error) { console.error("WebSocket creation failed:", error); this.connected = false; this.scheduleReconnect(); this.triggerEvent('disconnected', { reason: 'WebSocket creation failed' }); return; }
+        try { this.ws = new WebSocket(wsUrl); this.ws.binaryType = 'arraybuffer'; } catch (error) { console.error("WebSocket creation failed:", error); this.connected = false; this.scheduleReconnect(); this.triggerEvent('disconnected', { reason: 'WebSocket creation failed' }); return; }
 
-        this.ws.onopen = () => { console.log('WebSocket established'); this.connected = true; this.reconnectAttempts = 0; /* 'init' handles UI now */ };
+        this.ws.onopen = () => { console.log('WebSocket established'); this.connected = true; this.reconnectAttempts = 0; const protocol = { version: Protocol.PROTOCOL_VERSION, encoding: this.encoding }; this.send(this.resumeToken && this.room ? { type: 'resume', roomId: this.room.id, resumeToken: this.resumeToken, player: this.identity, protocol: protocol } : { ...this.roomRequest, player: this.identity, protocol: protocol }); /* 'init' handles UI now */ };
 
-        this.ws.onclose = (event) => { console.log(`WebSocket disconnected: Code=${event.code}, Reason='${event.reason}'`); const wasConnected = this.connected; this.connected = false; this.clearStateOnDisconnect(); this.triggerEvent('disconnected', { reason: event.reason || 'Connection closed' }); if (wasConnected || this.reconnectAttempts > 0) this.scheduleReconnect(); };
+        this.ws.onclose = (event) => { console.log(`WebSocket disconnected: Code=${event.code}, Reason='${event.reason}'`); const wasConnected = this.connected; this.connected = false; this.clearStateOnDisconnect(); if (event.code === Protocol.CLOSE_CODE_KICKED || event.code === Protocol.CLOSE_CODE_BANNED || event.code === Protocol.CLOSE_CODE_OUTDATED) { this.resumeToken = null; try { sessionStorage.removeItem('pirateSession'); } catch (error) { /* Storage unavailable */ } this.triggerEvent('disconnected', { reason: event.reason || 'Kicked', final: true }); return; } this.triggerEvent('disconnected', { reason: event.reason || 'Connection closed' }); if (wasConnected || this.reconnectAttempts > 0) this.scheduleReconnect(); }; // Kicked, banned or an outdated client: don't reconnect
 
         this.ws.onerror = (error) => { console.error('WebSocket error:', error); if (this.connected) this.triggerEvent('disconnected', { reason: 'WebSocket error' }); this.connected = false; };
 
         this.ws.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                if (data.type === 'init') { this.handleInit(data); return; }
-                if (data.playerId && data.playerId !== this.playerId && !this.knownPlayers.has(data.playerId)) { if (!this.pendingUpdates.has(data.playerId)) this.pendingUpdates.set(data.playerId, []); this.pendingUpdates.get(data.playerId).push(data); return; }
-                this.handleMessage(data);
-            } catch (error) { console.error('Error processing message:', event.data, error); }
+            try { const data = typeof event.data === 'string' ? JSON.parse(event.data) : Protocol.decode(event.data); if (!data) { console.error('Malformed binary message from the server.'); return; } this.receive(data); } catch (error) { console.error('Error processing message:', event.data, error); }
         };
     }
 
+    // Entry point for every server message (the socket, or js/replay.js playing a recording)
+    receive(data) {
+        if (data.type === 'init') { this.handleInit(data); return; }
+        this.playerUpdates.dispatch(data, this.playerId, update => this.handleMessage(update));
+    }
+
+    // Which room to enter once the socket opens: { type: 'joinRoom', roomId[, spectate: true] } or { type: 'createRoom', name, isPrivate, maxPlayers }
+    setRoomRequest(request) { if (request && (request.type === 'joinRoom' || request.type === 'createRoom')) this.roomRequest = request; }
+
+    // Session resume survives page reloads through sessionStorage (per tab)
+    saveSession() { try { sessionStorage.setItem('pirateSession', JSON.stringify({ roomId: this.room.id, resumeToken: this.resumeToken })); } catch (error) { /* Storage unavailable, resume only works within this page */ } }
+    restoreSession() { try { const session = JSON.parse(sessionStorage.getItem('pirateSession') || 'null'); if (session?.resumeToken && this.roomRequest.type === 'joinRoom' && !this.roomRequest.spectate && session.roomId === this.roomRequest.roomId) { this.room = { id: session.roomId }; this.resumeToken = session.resumeToken; } } catch (error) { console.warn('Could not restore session:', error); } }
+
+    // 'binary' (default) or 'json'; applies from the next connection
+    setEncoding(encoding) { if (Protocol.ENCODINGS.includes(encoding)) this.encoding = encoding; }
+
+    setIdentity(identity) { this.identity = { name: String(identity?.name || ''), color: String(identity?.color || '') }; if (identity?.profileToken) this.identity.profileToken = String(identity.profileToken); }
+
     scheduleReconnect() {
         if (this.reconnectTimeoutId) return; this.reconnectAttempts++;
         const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts - 1 ), 30000);
@@ -56,34 +84,83 @@ class NetworkManager {
 
     triggerEvent(type, detail = {}) { if (this.onMessageCallbacks.has(type)) { this.onMessageCallbacks.get(type).forEach(callback => { try { callback(detail); } catch (error) { console.error(`Error in '${type}' callback:`, error); } }); } }
 
-    clearStateOnDisconnect() { this.playerId = null; this.pendingUpdates.clear(); this.knownPlayers.clear(); }
+    clearStateOnDisconnect() { this.playerId = null; this.playerUpdates.clear(); this.pendingInputs = []; }
 
     handleMessage(data) {
         if (!data || !data.type) return;
-        if (data.type === 'playerJoined' && data.player?.id) { if (data.player.id !== this.playerId) { this.knownPlayers.add(data.player.id); this.processPendingUpdates(data.player.id); } }
-        else if (data.type === 'playerLeft' && data.playerId) { this.knownPlayers.delete(data.playerId); this.pendingUpdates.delete(data.playerId); }
+        if (data.type === 'snapshot') { this.handleSnapshot(data); return; }
+        if (data.type === 'playerRespawned' && data.player?.id === this.playerId) this.resetLocalShip(data.player);
+        else if (data.type === 'playerRespawned' && data.player?.id) this.clearRemoteHistory(data.player.id); // Teleported, don't slide across the map
+        else if (data.type === 'updateHealth' && typeof data.health === 'number') this.localShip.health = data.health;
+        else if (data.type === 'upgrades' && typeof data.maxSpeed === 'number') this.localShip.maxSpeed = data.maxSpeed;
+        else if (data.type === 'environment') this.world.wind = data.wind || null; // Predict with the wind the server sails with
+        if (data.type === 'playerLeft' && data.playerId) this.clearRemoteHistory(data.playerId);
         this.triggerEvent(data.type, data);
     }
 
     handleInit(data) {
-        console.log('Handling init data:', data); this.playerId = data.playerId; this.pendingUpdates.clear(); this.knownPlayers.clear();
-        if (data.gameState?.players) data.gameState.players.forEach(player => { if (player.id !== this.playerId) this.knownPlayers.add(player.id); });
-        console.log('Initial known players:', Array.from(this.knownPlayers));
+        console.log('Handling init data:', data); this.playerId = data.playerId; this.playerUpdates.reset(this.playerId, data.gameState?.players);
+        this.spectating = !!data.spectator; if (data.room) { this.room = data.room; this.roomRequest = { type: 'joinRoom', roomId: data.room.id, ...(this.spectating ? { spectate: true } : {}) }; } // Reconnects go back to the same room, as a spectator again if watching
+        if (data.resumeToken) { this.resumeToken = data.resumeToken; if (this.room) this.saveSession(); }
+        if (data.profileToken) this.identity.profileToken = data.profileToken; // A new guest profile; later joins keep adding to it
+        this.world = { islands: data.gameState?.world?.islands || [], worldBounds: data.gameState?.world?.worldBounds || null, wind: data.environment?.wind || null }; this.inputSeq = 0; this.pendingInputs = []; this.remoteStates.clear(); this.remoteBuffers.clear(); this.lastSnapshotTick = data.tick || 0; this.lastSnapshotTime = performance.now();
+        const selfData = data.gameState?.players?.find(p => p.id === this.playerId); if (selfData) this.resetLocalShip(selfData);
+        console.log('Initial known players:', Array.from(this.playerUpdates.knownPlayers));
         this.triggerEvent('init', data);
-        setTimeout(() => { this.knownPlayers.forEach(playerId => { this.processPendingUpdates(playerId); }); }, 0);
+        setTimeout(() => this.playerUpdates.releaseKnown(this.playerId, update => this.handleMessage(update)), 0);
     }
 
-    processPendingUpdates(playerId) { const updates = this.pendingUpdates.get(playerId); if (updates) { /* console.log(`Processing ${updates.length} pending updates for ${playerId}`); */ updates.forEach(update => this.handleMessage(update)); this.pendingUpdates.delete(playerId); } }
+    // --- Prediction & Reconciliation ---
+    resetLocalShip(playerData) { const position = playerData.position || { x: 0, y: 0, z: 0 }; this.localShip.position = { x: position.x, y: position.y || 0, z: position.z }; this.localShip.rotation = playerData.rotation || 0; this.localShip.speed = playerData.speed || 0; if (typeof playerData.health === 'number') this.localShip.health = playerData.health; if (typeof playerData.maxSpeed === 'number') this.localShip.maxSpeed = playerData.maxSpeed; }
+
+    // A ship of our own to steer: not while disconnected, spectating or watching a replay
+    get hasShip() { return !!this.playerId && this.connected && !this.spectating; }
+
+    // Called once per fixed simulation step: predicts the local ship immediately and sends the input to the server.
+    applyLocalInput(input) {
+        if (!this.hasShip) return;
+        const command = { seq: ++this.inputSeq, throttle: Protocol.quantizeAxis(ShipPhysics.clampInput(input.throttle)), rudder: Protocol.quantizeAxis(ShipPhysics.clampInput(input.rudder)) };
+        this.pendingInputs.push(command); this.send({ type: 'input', ...command });
+        this.predictStep(command);
+    }
+    predictStep(command) { ShipPhysics.stepShip(this.localShip, this.localShip.health > 0 ? command : { throttle: 0, rudder: 0 }, ShipPhysics.TICK_DT, this.world.islands, this.world.worldBounds, this.world.wind); }
+
+    // self { x, z, r, s, q } rewinds the local ship to the authoritative state and replays every input the server has not
+    // processed yet; the other entries are compact deltas { id, x, z, r, s } merged into remoteStates.
+    handleSnapshot(data) {
+        const others = []; this.lastSnapshotTick = data.tick; this.lastSnapshotTime = performance.now(); const own = data.self;
+        if (own) { this.resetLocalShip({ position: { x: own.x, y: 0, z: own.z }, rotation: own.r, speed: own.s }); this.pendingInputs = this.pendingInputs.filter(command => command.seq > own.q); this.pendingInputs.forEach(command => this.predictStep(command)); }
+        (data.players || []).forEach(entry => {
+            const state = { ...this.remoteStates.get(entry.id), ...entry }; delete state.id; if (typeof state.x !== 'number') return; // No base state to apply the delta to
+            this.remoteStates.set(entry.id, state); this.pushRemoteSample(entry.id, data.tick, state);
+            if (this.playerUpdates.knownPlayers.has(entry.id)) others.push({ id: entry.id, position: { x: state.x, y: 0, z: state.z }, rotation: state.r, speed: state.s });
+        });
+        (data.removed || []).forEach(playerId => this.clearRemoteHistory(playerId)); // Out of view
+        this.triggerEvent('snapshot', { tick: data.tick, players: others, removed: data.removed || [] });
+    }
+
+    // --- Remote Ship Interpolation ---
+    pushRemoteSample(playerId, tick, state) { if (!this.remoteBuffers.has(playerId)) this.remoteBuffers.set(playerId, []); const buffer = this.remoteBuffers.get(playerId); buffer.push({ tick: tick, x: state.x, z: state.z, r: state.r }); if (buffer.length > MAX_INTERPOLATION_SAMPLES) buffer.shift(); }
+    clearRemoteHistory(playerId) { this.remoteStates.delete(playerId); this.remoteBuffers.delete(playerId); }
+    // Returns { x, z, r } for a remote ship at the current render time, or null if it is not in view
+    getInterpolatedPlayer(playerId, now = performance.now()) {
+        const buffer = this.remoteBuffers.get(playerId); if (!buffer || !buffer.length) return null;
+        const renderTick = this.lastSnapshotTick + (now - this.lastSnapshotTime) * this.playbackRate / (ShipPhysics.TICK_DT * 1000) - INTERPOLATION_DELAY_TICKS;
+        while (buffer.length > 2 && buffer[1].tick <= renderTick) buffer.shift(); // Keep one sample at or before renderTick
+        const from = buffer[0]; const to = buffer[1]; if (!to || renderTick <= from.tick) return from; if (renderTick >= to.tick) return to;
+        const t = (renderTick - from.tick) / (to.tick - from.tick); let deltaRotation = (to.r - from.r) % (Math.PI * 2); if (deltaRotation > Math.PI) deltaRotation -= Math.PI * 2; else if (deltaRotation < -Math.PI) deltaRotation += Math.PI * 2;
+        return { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t, r: from.r + deltaRotation * t };
+    }
 
     on(type, callback) { if (!this.onMessageCallbacks.has(type)) this.onMessageCallbacks.set(type, new Set()); this.onMessageCallbacks.get(type).add(callback); }
     off(type, callback) { if (this.onMessageCallbacks.has(type)) { this.onMessageCallbacks.get(type).delete(callback); if (this.onMessageCallbacks.get(type).size === 0) this.onMessageCallbacks.delete(type); } }
 
-    send(data) { if (!this.connected || !this.ws || this.ws.readyState !== WebSocket.OPEN) return; if (!data || !data.type) { console.error('Invalid message format to send:', data); return; } try { this.ws.send(JSON.stringify(data)); } catch (error) { console.error('Error sending message:', data.type, error); } }
+    send(data) { if (!this.connected || !this.ws || this.ws.readyState !== WebSocket.OPEN) return; if (!data || !data.type) { console.error('Invalid message format to send:', data); return; } try { this.ws.send(this.encoding === 'binary' && Protocol.isBinaryType(data.type) ? Protocol.encode(data) : JSON.stringify(data)); } catch (error) { console.error('Error sending message:', data.type, error); } }
 
-    updatePosition(position) { const now = Date.now(); if (now - this.lastPositionUpdate > this.updateThrottleTime) { this.send({ type: 'updatePosition', position: { x: position.x, y: position.y, z: position.z } }); this.lastPositionUpdate = now; } }
-    updateRotation(rotation) { const now = Date.now(); if (now - this.lastRotationUpdate > this.updateThrottleTime) { this.send({ type: 'updateRotation', rotation: rotation }); this.lastRotationUpdate = now; } }
-    updateSpeed(speed) { const now = Date.now(); const throttle = (speed === 0 || Math.abs(speed) < 0.01) ? this.updateThrottleTime : this.updateThrottleTime * 2; if (now - this.lastSpeedUpdate > throttle) { this.send({ type: 'updateSpeed', speed: speed }); this.lastSpeedUpdate = now; } }
-    sendPlayerHit(targetId, damage, hitPosition) { if (!this.playerId || !this.connected) return; this.send({ type: 'playerHit', targetId: targetId, damage: damage, position: { x: hitPosition.x, y: hitPosition.y, z: hitPosition.z } }); }
+    fire() { if (!this.hasShip) return; this.send({ type: 'fire' }); } // Server spawns the cannonball and decides any hit
+    buyUpgrade(upgrade) { if (!this.hasShip) return; this.send({ type: 'buyUpgrade', upgrade: upgrade }); } // Answered with 'upgrades' (error set if refused)
+    sendChat(text, channel = 'room', to = undefined) { if (!this.hasShip) return; this.send({ type: 'chat', channel: channel, text: text, to: to }); } // channel: room, team, global or whisper (to: name)
+    blockPlayer(name, blocked = true) { if (!this.hasShip) return; this.send({ type: 'chatBlock', name: name, blocked: blocked }); }
 }
 const networkManager = new NetworkManager();
 export default networkManager;
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Shared ship physics - loaded by server.js (require) and game.html (<script>, exposes window.ShipPhysics)
+// Both sides step the exact same rules so client prediction matches the authoritative server simulation.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ShipPhysics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- CONSTANTS --- (frame based, tuned against 60 fps like the original client loop)
+    const TICK_RATE = 60; // Simulation steps per second (server and client prediction)
+    const TICK_DT = 1 / TICK_RATE;
+    const PHYSICS_DRAG_FACTOR = 0.98;
+    const SHIP_MAX_SPEED = 0.6; const SHIP_ACCELERATION = 0.02; const SHIP_TURN_SPEED = 0.03;
+    const SHIP_REVERSE_ACCELERATION_FACTOR = 0.7; const SHIP_MAX_REVERSE_SPEED = SHIP_MAX_SPEED / 2;
+    const SHIP_COLLISION_RADIUS = 1.5; // Approximate ship radius used against island ellipses
+    const PROJECTILE_SPEED = 1.5; const PROJECTILE_MAX_DISTANCE = 80; // Matches the server MAX_WEAPON_RANGE
+    const PROJECTILE_FORWARD_OFFSET = 2.5; const PROJECTILE_HEIGHT = 0.7; const SHIP_HIT_RADIUS = 2.0;
+    // Top speed multiplier at full wind strength: best on a beam reach, good running downwind, worst heading into it
+    const WIND_BEAM_BONUS = 0.25; const WIND_RUN_BONUS = 0.15; const WIND_HEAD_PENALTY = 0.5; 
+    // The factor peaks a little abaft the beam, at alignment WIND_RUN_BONUS / (2 * WIND_BEAM_BONUS), where the run bonus adds to the beam bonus
+    const WIND_MAX_SPEED_FACTOR = 1 + WIND_BEAM_BONUS + WIND_RUN_BONUS * WIND_RUN_BONUS / (4 * WIND_BEAM_BONUS);
+
+    function clampInput(value) { return typeof value === 'number' && Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0; }
+
+    // Ellipse test in island-local space (mirrors the old client checkIslandCollision)
+    function checkIslandCollision(x, z, island, extraRadius = SHIP_COLLISION_RADIUS) {
+        const localX = x - island.x; const localZ = z - island.z;
+        const cos = Math.cos(-island.rotation); const sin = Math.sin(-island.rotation);
+        const rotatedX = localX * cos + localZ * sin; const rotatedZ = -localX * sin + localZ * cos;
+        const radiusX = island.size * island.scaleX + extraRadius; const radiusZ = island.size * island.scaleZ + extraRadius;
+        const dx = rotatedX / radiusX; const dz = rotatedZ / radiusZ;
+        return (dx * dx + dz * dz) <= 1;
+    }
+    function collidesWithIslands(x, z, islands, extraRadius = SHIP_COLLISION_RADIUS) {
+        for (const island of islands) { if (checkIslandCollision(x, z, island, extraRadius)) return true; }
+        return false;
+    }
+
+    function isInsideBounds(x, z, bounds) { return !bounds || (x >= bounds.minX && x <= bounds.maxX && z >= bounds.minZ && z <= bounds.maxZ); }
+
+    // Wind { direction, strength, drift }: direction is where it blows towards (same convention as a ship's rotation), strength in [0, 1]
+    function getWindSpeedFactor(rotation, wind) {
+        if (!wind || !wind.strength) return 1; const alignment = Math.cos(rotation - wind.direction); // 1 = wind from astern, -1 = head-on
+        return 1 + wind.strength * (WIND_BEAM_BONUS * (1 - alignment * alignment) + WIND_RUN_BONUS * Math.max(0, alignment) - WIND_HEAD_PENALTY * Math.max(0, -alignment));
+    }
+
+    // Advances a ship { position, rotation, speed, maxSpeed? } in place by dt seconds using input { throttle, rudder } in [-1, 1].
+    // wind (optional) changes the top speed by heading and, in storms, drifts the ship downwind by wind.drift units per frame.
+    // Returns true when an island or the world edge blocked the move (the ship is stopped instead of moved).
+    function stepShip(ship, input, dt, islands, bounds = null, wind = null) {
+        const frames = dt * 60; const throttle = clampInput(input && input.throttle); const rudder = clampInput(input && input.rudder);
+        const currentSpeed = Math.abs(ship.speed); const maxSpeed = (ship.maxSpeed || SHIP_MAX_SPEED) * getWindSpeedFactor(ship.rotation, wind); // Sail upgrades raise maxSpeed
+        /* Drag */ if (currentSpeed > 0.001) { ship.speed *= Math.pow(PHYSICS_DRAG_FACTOR, frames); if (Math.abs(ship.speed) < 0.001) ship.speed = 0; } else { ship.speed = 0; }
+        /* Throttle (a ship above its top speed after turning into the wind slows down with drag) */ if (throttle > 0) ship.speed = Math.max(ship.speed, Math.min(ship.speed + SHIP_ACCELERATION * frames * throttle, maxSpeed)); else if (throttle < 0) ship.speed = Math.max(ship.speed + SHIP_ACCELERATION * frames * SHIP_REVERSE_ACCELERATION_FACTOR * throttle, -maxSpeed * SHIP_MAX_REVERSE_SPEED / SHIP_MAX_SPEED);
+        /* Rudder */ ship.rotation += SHIP_TURN_SPEED * frames * rudder;
+        /* Movement & Collision */ let collided = false; const drift = wind && wind.drift ? wind.drift * frames : 0;
+        if (currentSpeed > 0 || drift > 0) {
+            const moveDistance = ship.speed * frames;
+            const nextX = ship.position.x - Math.sin(ship.rotation) * moveDistance - (drift && Math.sin(wind.direction) * drift); const nextZ = ship.position.z - Math.cos(ship.rotation) * moveDistance - (drift && Math.cos(wind.direction) * drift);
+            if (!isInsideBounds(nextX, nextZ, bounds) || collidesWithIslands(nextX, nextZ, islands || [])) { ship.speed = 0; collided = true; } else { ship.position.x = nextX; ship.position.z = nextZ; }
+        }
+        return collided;
+    }
+
+    // Cannonballs leave the bow of the ship and travel straight along its heading
+    function createProjectile(ship) {
+        return { position: { x: ship.position.x - Math.sin(ship.rotation) * PROJECTILE_FORWARD_OFFSET, y: (ship.position.y || 0) + PROJECTILE_HEIGHT, z: ship.position.z - Math.cos(ship.rotation) * PROJECTILE_FORWARD_OFFSET }, rotation: ship.rotation, speed: PROJECTILE_SPEED, distanceTraveled: 0, maxDistance: PROJECTILE_MAX_DISTANCE };
+    }
+    // Moves a projectile in place; returns false once it has flown its maximum distance
+    function stepProjectile(projectile, dt) {
+        const moveStep = projectile.speed * dt * 60;
+        projectile.position.x -= Math.sin(projectile.rotation) * moveStep; projectile.position.z -= Math.cos(projectile.rotation) * moveStep; projectile.distanceTraveled += moveStep;
+        return projectile.distanceTraveled < projectile.maxDistance;
+    }
+    function isProjectileHittingShip(projectile, ship) { const dx = projectile.position.x - ship.position.x; const dy = projectile.position.y - (ship.position.y || 0); const dz = projectile.position.z - ship.position.z; return dx * dx + dy * dy + dz * dz < SHIP_HIT_RADIUS * SHIP_HIT_RADIUS; }
+
+    return { TICK_RATE, TICK_DT, PHYSICS_DRAG_FACTOR, SHIP_MAX_SPEED, SHIP_ACCELERATION, SHIP_TURN_SPEED, SHIP_MAX_REVERSE_SPEED, SHIP_COLLISION_RADIUS, PROJECTILE_SPEED, PROJECTILE_MAX_DISTANCE, SHIP_HIT_RADIUS, WIND_MAX_SPEED_FACTOR, clampInput, getWindSpeedFactor, checkIslandCollision, collidesWithIslands, isInsideBounds, stepShip, createProjectile, stepProjectile, isProjectileHittingShip };
+});
@@ -0,0 +1,36 @@
+// Holds messages about players this client hasn't seen join yet - loaded by js/network.js (window.PlayerUpdates) and
+// server/headlessClient.js (require), so the browser and headless clients hand updates on in the same order.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.PlayerUpdates = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class PlayerUpdateBuffer {
+        constructor() {
+            this.knownPlayers = new Set();
+            this.pendingUpdates = new Map(); // playerId -> [message] waiting for that player's playerJoined
+        }
+
+        // On init: everyone in its player list (except ourselves) is known, anything held before belongs to the old session
+        reset(selfId = null, players = []) { this.clear(); players.forEach(player => { if (player.id !== selfId) this.knownPlayers.add(player.id); }); }
+        clear() { this.knownPlayers.clear(); this.pendingUpdates.clear(); }
+
+        // Calls handle(data) unless data is about a player we haven't seen join, in which case it waits for that join.
+        // The join itself is handled first and then releases what waited for it, so the ship exists when its updates arrive.
+        dispatch(data, selfId, handle) {
+            const playerId = data.playerId;
+            if (playerId && playerId !== selfId && !this.knownPlayers.has(playerId)) { if (!this.pendingUpdates.has(playerId)) this.pendingUpdates.set(playerId, []); this.pendingUpdates.get(playerId).push(data); return; }
+            const joinedId = data.type === 'playerJoined' && data.player?.id && data.player.id !== selfId ? data.player.id : null;
+            if (joinedId) this.knownPlayers.add(joinedId);
+            else if (data.type === 'playerLeft' && playerId) { this.knownPlayers.delete(playerId); this.pendingUpdates.delete(playerId); }
+            handle(data);
+            if (joinedId) this.release(joinedId, selfId, handle);
+        }
+        release(playerId, selfId, handle) { const updates = this.pendingUpdates.get(playerId); if (!updates) return; this.pendingUpdates.delete(playerId); updates.forEach(update => this.dispatch(update, selfId, handle)); }
+        // After init: hands on what arrived for the players it listed before init was handled
+        releaseKnown(selfId, handle) { this.knownPlayers.forEach(playerId => this.release(playerId, selfId, handle)); }
+    }
+
+    return { PlayerUpdateBuffer };
+});
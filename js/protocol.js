@@ -0,0 +1,117 @@
+// Shared wire protocol - loaded by the server (require) and game.html (<script>, exposes window.PirateProtocol)
+// Every message is a JSON object with a type. The high-frequency ones (inputs, fire, snapshots) are described in
+// BINARY_MESSAGES and travel as compact binary frames once both sides agreed on it in the join handshake; everything else,
+// and every message of a client that asked for the 'json' encoding (debug mode), stays JSON.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.PirateProtocol = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- CONSTANTS ---
+    const PROTOCOL_VERSION = 1; // Bump on any change to a message a peer relies on; the server closes mismatched clients
+    const ENCODINGS = ['binary', 'json'];
+    const CLOSE_CODE_KICKED = 4002; const CLOSE_CODE_BANNED = 4003; // Closed by the server guard or an admin
+    const CLOSE_CODE_OUTDATED = 4004; // Client and server protocol versions differ, the page must be reloaded
+    const AXIS_STEPS = 127; // Inputs in [-1, 1] travel as one signed byte
+    const OPTIONAL = true;
+
+    // --- Schema ---
+    // Field types: 'u8', 'u16', 'u32', 'f64', 'axis' (input in [-1, 1]), 'centi' / 'milli' (fixed point with 2 / 3 decimals),
+    // 'string' (UTF-8, at most 255 bytes), a nested field list, or listOf(type). A field is [name, type] or
+    // [name, type, OPTIONAL]; a field list with optional fields starts with a byte marking which are present (at most 8).
+    const listOf = (type) => ({ list: type });
+    // The receiving client's own ship, in full precision: prediction rewinds to it and replays the inputs after seq q
+    const OWN_SHIP_STATE = [['x', 'f64'], ['z', 'f64'], ['r', 'f64'], ['s', 'f64'], ['q', 'u32']];
+    // Another ship: only the fields that changed since the last snapshot sent to this client (see Room.sendSnapshots)
+    const SHIP_DELTA = [['id', 'string'], ['x', 'centi', OPTIONAL], ['z', 'centi', OPTIONAL], ['r', 'milli', OPTIONAL], ['s', 'milli', OPTIONAL]];
+    const BINARY_MESSAGES = {
+        input: { id: 1, fields: [['seq', 'u32'], ['throttle', 'axis'], ['rudder', 'axis']] }, // Client, every tick
+        fire: { id: 2, fields: [] }, // Client
+        snapshot: { id: 3, fields: [['tick', 'u32'], ['self', OWN_SHIP_STATE, OPTIONAL], ['players', listOf(SHIP_DELTA)], ['removed', listOf('string'), OPTIONAL]] } // Server, 20 per second
+    };
+    const TYPES_BY_ID = {}; Object.keys(BINARY_MESSAGES).forEach(type => { TYPES_BY_ID[BINARY_MESSAGES[type].id] = type; });
+
+    function isBinaryType(type) { return Object.prototype.hasOwnProperty.call(BINARY_MESSAGES, type); }
+    // Inputs are quantized before they are predicted, so the client steps its ship with exactly what the server decodes
+    function quantizeAxis(value) { return Math.round(Math.max(-1, Math.min(1, value)) * AXIS_STEPS) / AXIS_STEPS; }
+
+    // --- Encoding ---
+    // Returns a Uint8Array; throws if the message doesn't fit its schema (a bug on the sending side)
+    function encode(message) {
+        const definition = BINARY_MESSAGES[message.type]; if (!definition) throw new Error(`No binary encoding for '${message.type}'.`);
+        const writer = createWriter(); writer.u8(definition.id); writeFields(writer, definition.fields, message); return writer.finish();
+    }
+    function writeFields(writer, fields, value) {
+        const optional = fields.filter(field => field[2]); let mask = 0;
+        optional.forEach((field, index) => { if (value[field[0]] !== undefined && value[field[0]] !== null) mask |= 1 << index; }); if (optional.length) writer.u8(mask);
+        fields.forEach(([name, type, isOptional]) => { const fieldValue = value[name]; if (isOptional && (fieldValue === undefined || fieldValue === null)) return; writeValue(writer, type, fieldValue, name); });
+    }
+    function writeValue(writer, type, value, name) {
+        if (Array.isArray(type)) { writeFields(writer, type, value || {}); return; }
+        if (type.list) { if (!Array.isArray(value) || value.length > 0xffff) throw new Error(`Field '${name}' must be a list of at most 65535 items.`); writer.u16(value.length); value.forEach(item => writeValue(writer, type.list, item, name)); return; }
+        if (type === 'string') { const bytes = writer.text(String(value)); if (bytes.length > 255) throw new Error(`Field '${name}' is longer than 255 bytes.`); writer.u8(bytes.length); writer.bytes(bytes); return; }
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`Field '${name}' must be a number.`);
+        switch (type) {
+            case 'u8': writer.u8(checkInteger(value, 0, 0xff, name)); break;
+            case 'u16': writer.u16(checkInteger(value, 0, 0xffff, name)); break;
+            case 'u32': writer.u32(checkInteger(value, 0, 0xffffffff, name)); break;
+            case 'f64': writer.f64(value); break;
+            case 'axis': writer.i8(Math.round(Math.max(-1, Math.min(1, value)) * AXIS_STEPS)); break;
+            case 'centi': writer.i32(Math.round(value * 100)); break;
+            case 'milli': writer.i32(Math.round(value * 1000)); break;
+            default: throw new Error(`Unknown field type '${type}'.`);
+        }
+    }
+    function checkInteger(value, min, max, name) { if (!Number.isInteger(value) || value < min || value > max) throw new Error(`Field '${name}' must be a whole number from ${min} to ${max}.`); return value; }
+
+    // Growable buffer; TextEncoder exists in browsers and Node alike
+    function createWriter() {
+        let buffer = new ArrayBuffer(256); let view = new DataView(buffer); let offset = 0; const encoder = new TextEncoder();
+        const ensure = (size) => { if (offset + size <= buffer.byteLength) return; const grown = new ArrayBuffer(Math.max(buffer.byteLength * 2, offset + size)); new Uint8Array(grown).set(new Uint8Array(buffer, 0, offset)); buffer = grown; view = new DataView(buffer); };
+        return {
+            u8(value) { ensure(1); view.setUint8(offset, value); offset += 1; }, i8(value) { ensure(1); view.setInt8(offset, value); offset += 1; },
+            u16(value) { ensure(2); view.setUint16(offset, value); offset += 2; }, u32(value) { ensure(4); view.setUint32(offset, value); offset += 4; },
+            i32(value) { ensure(4); view.setInt32(offset, value); offset += 4; }, f64(value) { ensure(8); view.setFloat64(offset, value); offset += 8; },
+            text(value) { return encoder.encode(value); }, bytes(bytes) { ensure(bytes.length); new Uint8Array(buffer, offset, bytes.length).set(bytes); offset += bytes.length; },
+            finish() { return new Uint8Array(buffer, 0, offset); }
+        };
+    }
+
+    // --- Decoding ---
+    // data: ArrayBuffer or a typed array / Node Buffer. Returns the message object, or null for anything malformed
+    // (unknown type, truncated, trailing bytes), so the server can score it like bad JSON.
+    function decode(data) {
+        try {
+            const view = ArrayBuffer.isView(data) ? new DataView(data.buffer, data.byteOffset, data.byteLength) : new DataView(data); const reader = { view: view, offset: 0, decoder: new TextDecoder('utf-8', { fatal: true }) };
+            const type = TYPES_BY_ID[readNumber(reader, 'u8')]; if (!type) return null;
+            const message = { type: type, ...readFields(reader, BINARY_MESSAGES[type].fields) }; return reader.offset === view.byteLength ? message : null;
+        } catch (error) { return null; } // RangeError past the end, or invalid UTF-8
+    }
+    function readFields(reader, fields) {
+        const hasOptional = fields.some(field => field[2]); const mask = hasOptional ? readNumber(reader, 'u8') : 0; const value = {}; let optionalIndex = 0;
+        fields.forEach(([name, type, isOptional]) => { if (isOptional && !(mask & (1 << optionalIndex++))) return; value[name] = readValue(reader, type); });
+        return value;
+    }
+    function readValue(reader, type) {
+        if (Array.isArray(type)) return readFields(reader, type);
+        if (type.list) { const count = readNumber(reader, 'u16'); const items = []; for (let i = 0; i < count; i++) items.push(readValue(reader, type.list)); return items; }
+        if (type === 'string') { const length = readNumber(reader, 'u8'); if (reader.offset + length > reader.view.byteLength) throw new RangeError('Truncated string'); const bytes = new Uint8Array(reader.view.buffer, reader.view.byteOffset + reader.offset, length); reader.offset += length; return reader.decoder.decode(bytes); }
+        return readNumber(reader, type);
+    }
+    function readNumber(reader, type) {
+        const view = reader.view; const at = reader.offset;
+        switch (type) {
+            case 'u8': reader.offset += 1; return view.getUint8(at);
+            case 'u16': reader.offset += 2; return view.getUint16(at);
+            case 'u32': reader.offset += 4; return view.getUint32(at);
+            case 'f64': reader.offset += 8; return view.getFloat64(at);
+            case 'axis': reader.offset += 1; return Math.max(-AXIS_STEPS, view.getInt8(at)) / AXIS_STEPS;
+            case 'centi': reader.offset += 4; return view.getInt32(at) / 100;
+            case 'milli': reader.offset += 4; return view.getInt32(at) / 1000;
+            default: throw new Error(`Unknown field type '${type}'.`);
+        }
+    }
+
+    return { PROTOCOL_VERSION, ENCODINGS, CLOSE_CODE_KICKED, CLOSE_CODE_BANNED, CLOSE_CODE_OUTDATED, BINARY_MESSAGES, isBinaryType, quantizeAxis, encode, decode };
+});
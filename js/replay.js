@@ -0,0 +1,69 @@
+// Replay playback for game.html?replay[=<file>]. A recorded match (see server/replayRecorder.js) is fed through
+// networkManager.receive() as if it came from the server: a synthetic init, the recorded events, and snapshots rebuilt
+// from the recorded ship states. The viewer has no ship of its own.
+import networkManager from './network.js';
+
+// --- CONSTANTS ---
+const REPLAY_VERSION = 1;
+const REPLAY_VIEWER_ID = 'replay-viewer'; // Matches no ship, so every recorded ship is drawn as a remote one
+const SNAPSHOT_EVERY_TICKS = 3; // Same 20Hz as the live server
+const SEEK_EFFECT_WINDOW_TICKS = 90; // When seeking, skip cannonball events older than this (they'd already have landed)
+const TRANSIENT_EVENTS = new Set(['projectileSpawned', 'projectileImpact']);
+
+class ReplayPlayer {
+    constructor() {
+        this.header = null; this.records = []; // [tick, 'e', message] | [tick, 's', [[id, x, z, r, s, health], ...]]
+        this.active = false; this.playing = false; this.speed = 1;
+        this.tick = 0; this.startTick = 0; this.endTick = 0; this.nextRecord = 0; this.lastSnapshotTick = -Infinity;
+        this.states = new Map(); // playerId -> latest recorded state tuple
+    }
+
+    async loadFromUrl(url) { const response = await fetch(url); if (!response.ok) throw new Error(`Could not download replay (${response.status})`); return this.load(await response.arrayBuffer()); }
+    async loadFromFile(file) { return this.load(await file.arrayBuffer()); }
+    // Accepts the gzipped file as written by the server, or the plain NDJSON inside it
+    async load(buffer) {
+        const bytes = new Uint8Array(buffer); let text;
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) text = await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text(); else text = new TextDecoder().decode(bytes);
+        const lines = text.split('\n').filter(line => line.trim()); const header = lines.length ? JSON.parse(lines[0]) : null;
+        if (!header || header.type !== 'replayHeader') throw new Error('Not a replay file'); if (header.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${header.version}`);
+        this.header = header; this.records = lines.slice(1).map(line => JSON.parse(line)); this.startTick = header.startTick; this.endTick = this.records.length ? this.records[this.records.length - 1][0] : header.startTick;
+        this.active = true; this.seek(this.startTick); this.play();
+    }
+
+    play() { if (!this.active) return; if (this.tick >= this.endTick) this.seek(this.startTick); this.playing = true; networkManager.playbackRate = this.speed; }
+    pause() { this.playing = false; networkManager.playbackRate = 0; }
+    togglePlay() { if (this.playing) this.pause(); else this.play(); }
+    setSpeed(speed) { this.speed = speed > 0 ? speed : 1; if (this.playing) networkManager.playbackRate = this.speed; }
+
+    // Rebuilds the match from the header and fast-forwards to tick; going backwards is the same as going forwards from the start
+    seek(tick) {
+        if (!this.header) return; const target = Math.max(this.startTick, Math.min(this.endTick, Math.floor(tick)));
+        this.states = new Map(this.header.players.map(player => [player.id, [player.id, player.position.x, player.position.z, player.rotation, player.speed, player.health]]));
+        this.nextRecord = 0; this.lastSnapshotTick = -Infinity; networkManager.receive(this.createInitMessage());
+        this.applyRecords(target, true); this.tick = target; this.emitSnapshot();
+    }
+    createInitMessage() { const header = this.header; return { type: 'init', playerId: REPLAY_VIEWER_ID, tick: header.startTick, room: header.room, seed: header.world.seed, scoreboard: header.scoreboard, match: header.match, chat: header.chat, environment: header.environment, gameState: { players: header.players, projectiles: header.projectiles, loot: header.loot, world: header.world }, replay: true }; }
+
+    applyRecords(untilTick, seeking = false) {
+        while (this.nextRecord < this.records.length && this.records[this.nextRecord][0] <= untilTick) {
+            const [recordTick, kind, payload] = this.records[this.nextRecord++];
+            if (kind === 's') payload.forEach(state => this.states.set(state[0], state));
+            else if (kind === 'e' && !(seeking && TRANSIENT_EVENTS.has(payload.type) && recordTick < untilTick - SEEK_EFFECT_WINDOW_TICKS)) networkManager.receive(payload);
+        }
+    }
+    emitSnapshot() { this.lastSnapshotTick = Math.floor(this.tick); networkManager.receive({ type: 'snapshot', tick: this.lastSnapshotTick, players: Array.from(this.states.values(), ([id, x, z, r, s]) => ({ id, x, z, r, s })) }); }
+
+    // Called every frame with real seconds elapsed
+    update(deltaTime) {
+        if (!this.active || !this.playing) return;
+        this.tick = Math.min(this.endTick, this.tick + deltaTime * this.header.tickRate * this.speed); this.applyRecords(Math.floor(this.tick));
+        if (Math.floor(this.tick) - this.lastSnapshotTick >= SNAPSHOT_EVERY_TICKS) this.emitSnapshot();
+        if (this.tick >= this.endTick) this.pause();
+    }
+    // Seconds since the start of the recording
+    get currentTime() { return this.header ? (this.tick - this.startTick) / this.header.tickRate : 0; }
+    get duration() { return this.header ? (this.endTick - this.startTick) / this.header.tickRate : 0; }
+}
+
+const replayPlayer = new ReplayPlayer();
+export default replayPlayer;
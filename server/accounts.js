@@ -0,0 +1,55 @@
+// Account and leaderboard HTTP routes for index.html. Guests get their token when they first join a room; register turns
+// the guest (or nobody, without a token) into an account, login hands an account's token to another browser.
+const express = require('express');
+const { serializeProfile, PROFILE_STATS, LEADERBOARD_PERIODS } = require('./profiles.js');
+
+// --- CONSTANTS ---
+const DEFAULT_LEADERBOARD_SIZE = 10; const MAX_LEADERBOARD_SIZE = 50;
+const LOGIN_ATTEMPTS = 5; const LOGIN_WINDOW = 60000; // Failed logins allowed per address per minute
+const REGISTER_ATTEMPTS = 5; // Registrations (each one a scrypt hash) allowed per address per LOGIN_WINDOW
+
+// profiles: the ProfileStore (see profiles.js). now: clock for the login and registration limiters.
+function createAccountRouter({ profiles, now = Date.now }) {
+    const router = express.Router(); const failedLogins = createAddressLimiter(LOGIN_ATTEMPTS, LOGIN_WINDOW, now); const registrations = createAddressLimiter(REGISTER_ATTEMPTS, LOGIN_WINDOW, now);
+    const tokenOf = (req) => { const header = req.get('authorization') || ''; return header.startsWith('Bearer ') ? header.substring(7) : null; };
+
+    // ?period=all|week&stat=kills|deaths|matches|wins|gold|upgrades&limit=10
+    router.get('/api/leaderboard', (req, res) => {
+        const period = req.query.period || 'all'; const stat = req.query.stat || 'kills'; const limit = req.query.limit === undefined ? DEFAULT_LEADERBOARD_SIZE : parseInt(req.query.limit, 10);
+        if (!LEADERBOARD_PERIODS.includes(period) || !PROFILE_STATS.includes(stat) || !Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE) { res.status(400).json({ error: `period is ${LEADERBOARD_PERIODS.join(' or ')}, stat one of ${PROFILE_STATS.join(', ')}, limit 1 to ${MAX_LEADERBOARD_SIZE}.` }); return; }
+        res.json(profiles.getLeaderboard(period, stat, limit));
+    });
+
+    router.use('/api/profile', express.json({ limit: '1kb' }));
+    router.get('/api/profile', (req, res) => { const profile = profiles.findByToken(tokenOf(req)); if (!profile) { res.status(401).json({ error: 'Unknown profile token.' }); return; } res.json({ profile: serializeProfile(profile) }); });
+    // { username, password }; with the guest's token as bearer the guest's stats carry over
+    router.post('/api/profile/register', async (req, res) => {
+        try {
+            if (registrations.isLimited(req.ip)) { res.status(429).json({ error: 'Too many registrations, try again in a minute.' }); return; } registrations.record(req.ip); // Every attempt counts, scrypt runs for the valid ones
+            const token = tokenOf(req); const guest = token ? profiles.findByToken(token) : null; if (token && !guest) { res.status(401).json({ error: 'Unknown profile token.' }); return; }
+            const result = await profiles.register(req.body?.username, req.body?.password, guest); if (result.error) { res.status(400).json({ error: result.error }); return; }
+            res.json({ token: result.token, profile: serializeProfile(result.profile) });
+        } catch (error) { console.error('[Profiles] Registration failed:', error); res.status(500).json({ error: 'Registration failed.' }); }
+    });
+    router.post('/api/profile/login', async (req, res) => {
+        try {
+            if (failedLogins.isLimited(req.ip)) { res.status(429).json({ error: 'Too many failed logins, try again in a minute.' }); return; }
+            const result = await profiles.login(req.body?.username, req.body?.password); if (!result) { failedLogins.record(req.ip); res.status(401).json({ error: 'Wrong username or password.' }); return; }
+            res.json({ token: result.token, profile: serializeProfile(result.profile) });
+        } catch (error) { console.error('[Profiles] Login failed:', error); res.status(500).json({ error: 'Login failed.' }); }
+    });
+    // Forgets this browser's token (the next join starts a new guest)
+    router.post('/api/profile/logout', (req, res) => { res.status(profiles.revokeToken(tokenOf(req)) ? 200 : 401).json({}); });
+    return router;
+}
+
+// Counts events per address (failed logins, registrations); an address is limited once it has `limit` of them within `window` ms
+function createAddressLimiter(limit, window, now) {
+    const entries = new Map(); // ip -> { count, since }
+    return {
+        isLimited(ip) { const entry = entries.get(ip); if (!entry) return false; if (now() - entry.since > window) { entries.delete(ip); return false; } return entry.count >= limit; },
+        record(ip) { entries.forEach((entry, key) => { if (now() - entry.since > window) entries.delete(key); }); const entry = entries.get(ip); if (entry) entry.count++; else entries.set(ip, { count: 1, since: now() }); }
+    };
+}
+
+module.exports = { createAccountRouter };
@@ -0,0 +1,89 @@
+// Admin HTTP API (/api/admin/*) and the Prometheus endpoint (/metrics). Every route needs "Authorization: Bearer <token>";
+// without a configured token (ADMIN_TOKEN) they all answer 404. admin.html is the dashboard for these routes.
+const crypto = require('crypto');
+const express = require('express');
+const { updateSettings, describeSettings } = require('./settings.js');
+const { cleanChatText } = require('./chat.js');
+const { CLOSE_CODE_KICKED, CLOSE_CODE_BANNED } = require('../js/protocol.js');
+
+// --- CONSTANTS ---
+const DEFAULT_BAN_MINUTES = 60; const MAX_BAN_MINUTES = 7 * 24 * 60;
+const DEFAULT_MUTE_SECONDS = 300; const MAX_MUTE_SECONDS = 24 * 60 * 60;
+
+// token: the admin bearer token (null disables the routes). metrics: a ServerMetrics (see metrics.js).
+function createAdminRouter({ token, roomManager, protocolGuard, metrics }) {
+    const router = express.Router();
+    const requireToken = (req, res, next) => {
+        if (!token) { res.status(404).json({ error: 'The admin API is disabled (set ADMIN_TOKEN).' }); return; }
+        const header = req.get('authorization') || ''; if (!tokensMatch(header.startsWith('Bearer ') ? header.substring(7) : '', token)) { res.status(401).json({ error: 'Invalid admin token.' }); return; }
+        next();
+    };
+
+    router.get('/metrics', requireToken, (req, res) => { res.type('text/plain; version=0.0.4').send(metrics.toPrometheus(roomManager)); });
+    router.use('/api/admin', requireToken, express.json({ limit: '4kb' }));
+    router.get('/api/admin/stats', (req, res) => { res.json(metrics.snapshot(roomManager)); });
+
+    // --- Players ---
+    router.get('/api/admin/players', (req, res) => { res.json({ players: listPlayers(roomManager) }); });
+    router.post('/api/admin/players/:id/kick', (req, res) => {
+        const found = findPlayer(roomManager, req.params.id); if (!found) { res.status(404).json({ error: 'No such player.' }); return; }
+        disconnectPlayer(found.room, found.player.id, CLOSE_CODE_KICKED, 'Kicked by an admin'); res.json({ kicked: found.player.id });
+    });
+    // Bans the player's address (bots and dropped ships have none) and disconnects every ship sailing, and every spectator watching, from it
+    router.post('/api/admin/players/:id/ban', (req, res) => {
+        const found = findPlayer(roomManager, req.params.id); const ip = found && found.room.sockets.get(found.player.id)?.guard?.ip; if (!ip) { res.status(found ? 409 : 404).json({ error: found ? 'This player has no connection to ban.' : 'No such player.' }); return; }
+        const minutes = req.body?.minutes ?? DEFAULT_BAN_MINUTES; if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_BAN_MINUTES) { res.status(400).json({ error: `minutes must be a whole number from 1 to ${MAX_BAN_MINUTES}.` }); return; }
+        protocolGuard.ban(ip, minutes * 60000); roomManager.rooms.forEach(room => room.sockets.forEach((ws, playerId) => { if (ws.guard?.ip === ip) disconnectPlayer(room, playerId, CLOSE_CODE_BANNED, 'Banned by an admin'); }));
+        roomManager.rooms.forEach(room => room.spectators.forEach(ws => { if (ws.guard?.ip === ip) { ws.guard.kicked = true; ws.close(CLOSE_CODE_BANNED, 'Banned by an admin'); } }));
+        res.json({ banned: ip, minutes: minutes });
+    });
+    router.post('/api/admin/players/:id/mute', (req, res) => {
+        const found = findPlayer(roomManager, req.params.id); if (!found) { res.status(404).json({ error: 'No such player.' }); return; }
+        const seconds = req.body?.seconds ?? DEFAULT_MUTE_SECONDS; if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_MUTE_SECONDS) { res.status(400).json({ error: `seconds must be a whole number from 0 to ${MAX_MUTE_SECONDS}.` }); return; }
+        found.room.mutePlayer(found.player.id, seconds * 1000); res.json({ muted: found.player.id, seconds: seconds });
+    });
+    router.get('/api/admin/bans', (req, res) => { res.json({ bans: protocolGuard.listBans() }); });
+    router.delete('/api/admin/bans/:ip', (req, res) => { res.status(protocolGuard.unban(req.params.ip) ? 200 : 404).json({ unbanned: req.params.ip }); });
+
+    // --- Rooms ---
+    // New islands for a room: { seed } or { map }, or nothing for a random seed. Every ship respawns.
+    router.post('/api/admin/rooms/:id/regenerate', (req, res) => {
+        const room = roomManager.getRoom(req.params.id); if (!room) { res.status(404).json({ error: 'No such room.' }); return; } const { seed, map } = req.body || {};
+        if ((seed !== undefined && typeof seed !== 'string' && !Number.isFinite(seed)) || (map !== undefined && typeof map !== 'string')) { res.status(400).json({ error: 'seed must be a string or number and map a string.' }); return; }
+        try { room.loadWorld({ seed: seed, map: map || null }); } catch (error) { res.status(400).json({ error: error.message }); return; }
+        res.json({ room: room.getSummary() });
+    });
+    // Shown to every player (or one room's, with roomId) in the chat and across the screen
+    router.post('/api/admin/announce', (req, res) => {
+        const text = cleanChatText(req.body?.text); if (!text) { res.status(400).json({ error: 'text is required.' }); return; }
+        const roomId = req.body?.roomId; const rooms = roomId ? [roomManager.getRoom(roomId)].filter(Boolean) : Array.from(roomManager.rooms.values()); if (!rooms.length) { res.status(404).json({ error: 'No such room.' }); return; }
+        rooms.forEach(room => room.announce(text)); res.json({ rooms: rooms.map(room => room.id), text: text });
+    });
+
+    // --- Settings ---
+    router.get('/api/admin/settings', (req, res) => { res.json({ settings: describeSettings(roomManager.settings) }); });
+    router.patch('/api/admin/settings', (req, res) => {
+        const error = updateSettings(roomManager.settings, req.body); if (error) { res.status(400).json({ error: error }); return; }
+        console.log(`[Admin] Settings changed: ${JSON.stringify(req.body)}`); if ('botCount' in req.body) roomManager.rooms.forEach(room => room.rebalanceBots());
+        res.json({ settings: describeSettings(roomManager.settings) });
+    });
+    return router;
+}
+
+// Compares digests so the check takes the same time whatever the guess
+function tokensMatch(given, expected) { const hash = (value) => crypto.createHash('sha256').update(String(value)).digest(); return crypto.timingSafeEqual(hash(given), hash(expected)); }
+function findPlayer(roomManager, playerId) { for (const room of roomManager.rooms.values()) { const player = room.gameState.players.get(playerId); if (player) return { room, player }; } return null; }
+function listPlayers(roomManager) {
+    return Array.from(roomManager.rooms.values()).flatMap(room => Array.from(room.gameState.players.values(), player => ({
+        id: player.id, name: player.name, roomId: room.id, roomName: room.name, isBot: !!player.bot, connected: player.connected, team: player.team,
+        position: { x: Math.round(player.position.x * 10) / 10, z: Math.round(player.position.z * 10) / 10 }, health: player.health, maxHealth: player.maxHealth, gold: player.gold,
+        ping: player.ping, ip: room.sockets.get(player.id)?.guard?.ip ?? null, kills: player.stats.kills, deaths: player.stats.deaths
+    })));
+}
+// Same as a guard kick: the ship is removed at once (no grace period to resume), then the socket is closed
+function disconnectPlayer(room, playerId, code, reason) {
+    const ws = room.sockets.get(playerId); if (ws?.guard) ws.guard.kicked = true;
+    console.log(`[Admin] ${reason}: ${playerId} in room ${room.id}.`); room.handlePlayerCleanup(playerId, reason); if (ws) ws.close(code, reason);
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,92 @@
+// Server-run NPC ships. A bot is an ordinary entry in gameState.players with a `bot` brain attached; every tick the
+// room asks updateBot() for its input (and whether to fire), then steps it with the same physics as everyone else.
+const ShipPhysics = require('../js/physics.js');
+const { isPointInsideIsland, getRandomSpawnPoint } = require('./world.js');
+
+// --- CONSTANTS ---
+const MAX_WEAPON_RANGE = ShipPhysics.PROJECTILE_MAX_DISTANCE;
+const BOT_THINK_TICKS = 10; // Re-evaluate state / target six times a second, steer every tick
+const BOT_FLEE_HEALTH = 30; const BOT_CHASE_GIVE_UP = MAX_WEAPON_RANGE * 1.5; // Hysteresis so bots don't flip between chase and patrol
+const BOT_FIRE_RANGE = MAX_WEAPON_RANGE * 0.9; const BOT_AIM_TOLERANCE = ShipPhysics.SHIP_HIT_RADIUS * 0.75; const BOT_FIRE_TICKS = 45; // Sideways miss allowed at the target, ticks between shots
+const BOT_HOLD_DISTANCE = 20; // Closer than this a chasing bot stops and turns on the spot to bring its bow round
+const BOT_LOOKAHEAD = 30; const BOT_STEER_OFFSETS = [0, 0.4, -0.4, 0.8, -0.8, 1.2, -1.2, 1.6, -1.6, Math.PI]; // Headings tried, in order, to get around islands
+const WAYPOINT_REACHED = 20; const WAYPOINT_CLEARANCE = 25; const STUCK_THINKS = 3; const REVERSE_TICKS = 60;
+const BOT_NAMES = ['Blackbeard', 'Anne Bonny', 'Calico Jack', 'Mary Read', 'Black Bart', 'Captain Kidd', 'Ching Shih', 'Henry Every', 'Sam Bellamy', 'Grace O\'Malley', 'Stede Bonnet', 'Edward Low'];
+
+function createBotBrain() { return { state: 'patrol', targetId: null, waypoint: null, nextThinkTick: 0, nextFireTick: 0, lastThinkPosition: null, stuckThinks: 0, reverseUntilTick: 0 }; }
+function pickBotName(index) { return BOT_NAMES[index % BOT_NAMES.length]; }
+
+function normalizeAngle(angle) { while (angle > Math.PI) angle -= Math.PI * 2; while (angle < -Math.PI) angle += Math.PI * 2; return angle; }
+// Ships move along (-sin r, -cos r), so this is the rotation that points a ship from `from` at `to`
+function headingTo(from, to) { return Math.atan2(-(to.x - from.x), -(to.z - from.z)); }
+function distanceBetween(a, b) { return Math.hypot(a.x - b.x, a.z - b.z); }
+function isOpenWater(x, z, world) { return ShipPhysics.isInsideBounds(x, z, world.worldBounds) && !isPointInsideIsland(x, z, world.islands); }
+
+// Patrol points sit just off a random island's coast; falls back to a spawn point on empty seas
+function pickWaypoint(world, random) {
+    for (let attempt = 0; attempt < 10 && world.islands.length; attempt++) {
+        const island = world.islands[Math.floor(random() * world.islands.length)]; const angle = random() * Math.PI * 2;
+        const distance = Math.max(island.size * island.scaleX, island.size * island.scaleZ) + WAYPOINT_CLEARANCE + 15;
+        const x = island.x + Math.cos(angle) * distance; const z = island.z + Math.sin(angle) * distance; if (isOpenWater(x, z, world)) return { x, z };
+    }
+    return getRandomSpawnPoint(world, random);
+}
+
+// Nearest living enemy: any human in free-for-all (bots leave each other alone), any ship of the other team in team modes.
+// Nobody is a target while the match isn't running.
+function findNearestTarget(bot, room) {
+    const match = room.match; let nearest = null; let nearestDistance = Infinity; if (!match.allowsDamage) return { target: null, distance: Infinity };
+    room.gameState.players.forEach(player => { if (player === bot || (player.bot && !match.isTeamMode) || match.isFriendly(bot, player) || player.health <= 0 || !player.connected) return; const distance = distanceBetween(bot.position, player.position); if (distance < nearestDistance) { nearest = player; nearestDistance = distance; } });
+    return { target: nearest, distance: nearestDistance };
+}
+
+// State machine: patrol -> chase (an enemy within MAX_WEAPON_RANGE) -> flee (low health) -> patrol once out of reach.
+// A mode objective (e.g. the treasure) replaces the patrol waypoint; an urgent one (carrying it home) overrides chasing too.
+function think(bot, room) {
+    const brain = bot.bot; const { target, distance } = findNearestTarget(bot, room); const objective = room.match.getBotObjective(bot);
+    if (objective && objective.urgent) { brain.state = 'patrol'; brain.targetId = null; }
+    else if (target && bot.health <= BOT_FLEE_HEALTH && distance < BOT_CHASE_GIVE_UP) { brain.state = 'flee'; brain.targetId = target.id; }
+    else if (target && (distance <= MAX_WEAPON_RANGE || (brain.state === 'chase' && brain.targetId === target.id && distance <= BOT_CHASE_GIVE_UP))) { brain.state = 'chase'; brain.targetId = target.id; }
+    else { if (brain.state !== 'patrol') brain.waypoint = null; brain.state = 'patrol'; brain.targetId = null; }
+    if (brain.state === 'patrol' && objective) brain.waypoint = { x: objective.x, z: objective.z };
+    else if (brain.state === 'patrol' && (!brain.waypoint || distanceBetween(bot.position, brain.waypoint) < WAYPOINT_REACHED)) brain.waypoint = pickWaypoint(room.gameState.world, room.botRandom);
+    // Stuck against a coast or the world edge: back off and pick somewhere else to go
+    if (brain.lastThinkPosition && bot.input.throttle > 0 && distanceBetween(bot.position, brain.lastThinkPosition) < 0.5) brain.stuckThinks++; else brain.stuckThinks = 0;
+    if (brain.stuckThinks >= STUCK_THINKS) { brain.stuckThinks = 0; brain.reverseUntilTick = room.currentTick + REVERSE_TICKS; brain.waypoint = null; }
+    brain.lastThinkPosition = { x: bot.position.x, z: bot.position.z };
+}
+
+// First heading near `desired` whose lookahead points are open water, using the spawn-point island test
+function chooseHeading(bot, desired, world) {
+    for (const offset of BOT_STEER_OFFSETS) {
+        const heading = desired + offset; const dirX = -Math.sin(heading); const dirZ = -Math.cos(heading);
+        if (isOpenWater(bot.position.x + dirX * BOT_LOOKAHEAD, bot.position.z + dirZ * BOT_LOOKAHEAD, world) && isOpenWater(bot.position.x + dirX * BOT_LOOKAHEAD / 2, bot.position.z + dirZ * BOT_LOOKAHEAD / 2, world)) return heading;
+    }
+    return desired;
+}
+
+// Where the target will be when a cannonball fired now reaches it (ships move speed units per tick along their heading)
+function leadTarget(bot, target) {
+    const ticks = distanceBetween(bot.position, target.position) / ShipPhysics.PROJECTILE_SPEED;
+    return { x: target.position.x - Math.sin(target.rotation) * target.speed * ticks, z: target.position.z - Math.cos(target.rotation) * target.speed * ticks };
+}
+
+// Sets bot.input for this tick and fires through the room's normal handleFire (cooldown included)
+function updateBot(bot, room) {
+    const brain = bot.bot; const world = room.gameState.world;
+    if (bot.health <= 0) { bot.input = { throttle: 0, rudder: 0 }; return; }
+    if (room.currentTick >= brain.nextThinkTick) { brain.nextThinkTick = room.currentTick + BOT_THINK_TICKS; think(bot, room); }
+    if (room.currentTick < brain.reverseUntilTick) { bot.input = { throttle: -1, rudder: 1 }; return; }
+    const target = brain.targetId ? room.gameState.players.get(brain.targetId) : null; if (brain.state !== 'patrol' && !target) { brain.state = 'patrol'; brain.targetId = null; }
+    let goal = brain.waypoint || bot.position; let throttle = 0.7;
+    if (brain.state === 'chase') { goal = leadTarget(bot, target); throttle = distanceBetween(bot.position, target.position) < BOT_HOLD_DISTANCE ? 0 : 1; }
+    else if (brain.state === 'flee') { goal = { x: bot.position.x * 2 - target.position.x, z: bot.position.z * 2 - target.position.z }; throttle = 1; }
+    // Close goals may sit on a coast (the treasure), so those are steered at directly
+    const desired = headingTo(bot.position, goal); const heading = distanceBetween(bot.position, goal) < BOT_LOOKAHEAD ? desired : chooseHeading(bot, desired, world); const turn = normalizeAngle(heading - bot.rotation);
+    bot.input = { throttle: Math.abs(turn) > 1.5 ? Math.min(throttle, 0.4) : throttle, rudder: ShipPhysics.clampInput(turn / 0.5) };
+    if (brain.state !== 'chase' || room.currentTick < brain.nextFireTick) return;
+    const range = distanceBetween(bot.position, goal); const miss = Math.abs(Math.sin(normalizeAngle(desired - bot.rotation))) * range;
+    if (range <= BOT_FIRE_RANGE && miss < BOT_AIM_TOLERANCE && Math.abs(normalizeAngle(desired - bot.rotation)) < Math.PI / 2) { brain.nextFireTick = room.currentTick + BOT_FIRE_TICKS; room.handleFire(bot); }
+}
+
+module.exports = { createBotBrain, pickBotName, updateBot };
@@ -0,0 +1,36 @@
+// Chat rules: text cleanup, the profanity filter, per-player rate limits and mutes. The room decides who receives a
+// message (room, team, whisper, or every room for global chat) and keeps the short history new players get in init.
+// --- CONSTANTS ---
+const MAX_CHAT_LENGTH = 200; const CHAT_HISTORY_SIZE = 20;
+const CHAT_CHANNELS = ['global', 'room', 'team', 'whisper'];
+const CHAT_BURST = 5; const CHAT_REFILL_MS = 2000; // Five messages at once, then one every two seconds
+const CHAT_STRIKES_TO_MUTE = 3; const CHAT_STRIKE_WINDOW = 60000; const CHAT_AUTO_MUTE_TIME = 60000; // Spamming or swearing three times in a minute
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069]/g; // Includes zero-width and text direction marks
+// Used unless the server is given its own list (CHAT_BLOCKED_WORDS); words also match with a suffix ("fucking")
+const DEFAULT_BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dick', 'piss', 'slut', 'whore', 'fag', 'nigger', 'retard'];
+
+// Returns text -> { text, filtered } with every blocked word masked by asterisks
+function createChatFilter(blockedWords = DEFAULT_BLOCKED_WORDS) {
+    const words = (blockedWords || []).map(word => String(word).trim().toLowerCase()).filter(Boolean).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (!words.length) return (text) => ({ text, filtered: false });
+    const pattern = new RegExp(`\\b(?:${words.join('|')})\\w*`, 'gi');
+    return (text) => { let filtered = false; const masked = text.replace(pattern, match => { filtered = true; return '*'.repeat(match.length); }); return { text: masked, filtered }; };
+}
+// Strips control / invisible characters and collapses whitespace; '' when nothing is left
+function cleanChatText(text) { return typeof text === 'string' ? text.replace(CONTROL_CHARS, '').replace(/\s+/g, ' ').trim().substring(0, MAX_CHAT_LENGTH) : ''; }
+
+function createChatState() { return { tokens: CHAT_BURST, lastRefill: 0, strikes: 0, lastStrike: 0, mutedUntil: 0, blocked: new Set() }; }
+// Spends one message from the player's allowance. Returns null when they may talk, otherwise why not.
+function takeChatToken(chat, now) {
+    if (now < chat.mutedUntil) return `You are muted for ${Math.ceil((chat.mutedUntil - now) / 1000)} more seconds.`;
+    chat.tokens = Math.min(CHAT_BURST, chat.tokens + (now - chat.lastRefill) / CHAT_REFILL_MS); chat.lastRefill = now;
+    if (chat.tokens < 1) return addChatStrike(chat, now) ? `You were muted for ${CHAT_AUTO_MUTE_TIME / 1000} seconds for spamming.` : 'You are sending messages too fast.';
+    chat.tokens -= 1; return null;
+}
+// Returns true when this strike got the player muted
+function addChatStrike(chat, now) {
+    if (now - chat.lastStrike > CHAT_STRIKE_WINDOW) chat.strikes = 0; chat.strikes++; chat.lastStrike = now;
+    if (chat.strikes < CHAT_STRIKES_TO_MUTE) return false; chat.strikes = 0; chat.mutedUntil = now + CHAT_AUTO_MUTE_TIME; return true;
+}
+
+module.exports = { MAX_CHAT_LENGTH, CHAT_HISTORY_SIZE, CHAT_CHANNELS, CHAT_AUTO_MUTE_TIME, DEFAULT_BLOCKED_WORDS, createChatFilter, cleanChatText, createChatState, takeChatToken, addChatStrike };
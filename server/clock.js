@@ -0,0 +1,28 @@
+// Time source for rooms, the room manager and the protocol guard. The server uses systemClock; tests can pass a manual
+// clock and advance() it to run ticks, respawns and grace periods instantly and in a fixed order.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms), clearTimeout: (timerId) => clearTimeout(timerId),
+    setInterval: (callback, ms) => setInterval(callback, ms), clearInterval: (timerId) => clearInterval(timerId)
+};
+
+// Same interface as systemClock; nothing runs until advance(ms) moves time forward (due timers fire in time order)
+function createManualClock(startTime = 0) {
+    let currentTime = startTime; let nextTimerId = 1; const timers = new Map(); // timerId -> { at, callback, interval }
+    const schedule = (callback, ms, repeat) => { const timerId = nextTimerId++; const delay = Math.max(repeat ? 1 : 0, Number(ms) || 0); timers.set(timerId, { at: currentTime + delay, callback: callback, interval: repeat ? delay : null }); return timerId; };
+    const cancel = (timerId) => { timers.delete(timerId); };
+    function nextDueTimer(until) { let due = null; timers.forEach((timer, timerId) => { if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { timerId, timer }; }); return due; }
+    return {
+        now: () => currentTime,
+        setTimeout: (callback, ms) => schedule(callback, ms, false), clearTimeout: cancel,
+        setInterval: (callback, ms) => schedule(callback, ms, true), clearInterval: cancel,
+        advance(ms) {
+            const until = currentTime + ms; let due;
+            while ((due = nextDueTimer(until))) { currentTime = due.timer.at; if (due.timer.interval) due.timer.at += due.timer.interval; else timers.delete(due.timerId); due.timer.callback(); }
+            currentTime = until;
+        },
+        get pendingTimers() { return timers.size; }
+    };
+}
+
+module.exports = { systemClock, createManualClock };
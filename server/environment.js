@@ -0,0 +1,52 @@
+// Weather and time of day of a room. The wind turns and gusts, storms blow in and out, and the day goes round; the room
+// steps ships with getWind() and sends serialize() to its clients. Everything only changes once per update interval, so
+// the wind a client predicts its own ship with (see ShipPhysics.stepShip) is the one the server used.
+const { createRandom } = require('./random.js');
+
+// --- CONSTANTS ---
+const ENVIRONMENT_UPDATE_INTERVAL = 1000; // Also how often clients are sent the environment
+const DAY_LENGTH = 10 * 60 * 1000; const DAY_START = 0.3; // Time of day in [0, 1): 0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset
+const WIND_MIN_STRENGTH = 0.2; const WIND_MAX_STRENGTH = 0.8; const WIND_MAX_TURN = 0.05; const WIND_MAX_GUST = 0.05; // Per update
+const WIND_SHIFT_MIN_TIME = 30000; const WIND_SHIFT_MAX_TIME = 90000; // How long the wind heads for one direction / strength
+const STORM_CHECK_INTERVAL = 60000; const STORM_CHANCE = 0.25; const STORM_MIN_TIME = 45000; const STORM_MAX_TIME = 90000;
+const STORM_RAMP = 0.1; // Intensity change per update, storms take 10 seconds to build up or clear
+const STORM_DRIFT = 0.08; // Units per frame a full storm pushes ships downwind
+const STORM_VISIBILITY = 0.4; // Share of the normal view radius left in a full storm
+
+class Environment {
+    constructor(seed, now) { this.reset(seed, now); }
+    // New world: the weather follows the world seed and the day starts in the morning
+    reset(seed, now) {
+        this.random = createRandom(`${seed}:weather`); this.startedAt = now; this.nextUpdate = now;
+        this.wind = { direction: this.random() * Math.PI * 2, strength: WIND_MIN_STRENGTH + this.random() * (WIND_MAX_STRENGTH - WIND_MIN_STRENGTH) }; this.pickWindTarget(now);
+        this.storm = { intensity: 0, active: false, until: 0 }; this.nextStormCheck = now + STORM_CHECK_INTERVAL;
+    }
+    pickWindTarget(now) {
+        this.windTarget = { direction: this.wind.direction + (this.random() - 0.5) * Math.PI, strength: WIND_MIN_STRENGTH + this.random() * (WIND_MAX_STRENGTH - WIND_MIN_STRENGTH) };
+        this.nextWindShift = now + WIND_SHIFT_MIN_TIME + this.random() * (WIND_SHIFT_MAX_TIME - WIND_SHIFT_MIN_TIME);
+    }
+
+    // Called every tick; returns true when the environment changed and should be sent to the clients
+    update(now) {
+        if (now < this.nextUpdate) return false; this.nextUpdate = now + ENVIRONMENT_UPDATE_INTERVAL;
+        if (now >= this.nextWindShift) this.pickWindTarget(now);
+        if (now >= this.nextStormCheck) { this.nextStormCheck = now + STORM_CHECK_INTERVAL; if (!this.storm.active && this.random() < STORM_CHANCE) this.startStorm(now); }
+        if (this.storm.active && now >= this.storm.until) this.storm.active = false;
+        this.storm.intensity = approach(this.storm.intensity, this.storm.active ? 1 : 0, STORM_RAMP);
+        const targetStrength = this.windTarget.strength + (1 - this.windTarget.strength) * this.storm.intensity; // Storms blow at full strength
+        this.wind.direction = approach(this.wind.direction, this.windTarget.direction, WIND_MAX_TURN); this.wind.strength = approach(this.wind.strength, targetStrength, WIND_MAX_GUST);
+        return true;
+    }
+    startStorm(now) { this.storm.active = true; this.storm.until = now + STORM_MIN_TIME + this.random() * (STORM_MAX_TIME - STORM_MIN_TIME); }
+
+    // The wind ShipPhysics.stepShip sails with
+    getWind() { return { direction: this.wind.direction, strength: this.wind.strength, drift: STORM_DRIFT * this.storm.intensity * this.wind.strength }; }
+    // Multiplier for how far ships can see each other (interest management), lower in storms
+    getVisibility() { return 1 - (1 - STORM_VISIBILITY) * this.storm.intensity; }
+    getTimeOfDay(now) { return ((now - this.startedAt) / DAY_LENGTH + DAY_START) % 1; }
+    serialize(now) { return { wind: this.getWind(), storm: this.storm.intensity, timeOfDay: this.getTimeOfDay(now), dayLength: DAY_LENGTH }; }
+}
+
+function approach(value, target, maxStep) { return value + Math.max(-maxStep, Math.min(maxStep, target - value)); }
+
+module.exports = { Environment };
@@ -0,0 +1,88 @@
+// Game modes: plain objects of rules the Match (match.js) consults - teams, the lobby -> countdown -> active -> results cycle,
+// time / score limits - and optional hooks: setup, onStart, onTick, onKill(match, shooter, target), serializeObjectives,
+// getBotObjective(match, bot) and onPlayerLeft(match, player), also called when a connection drops (player.connected false).
+const ShipPhysics = require('../js/physics.js');
+
+// --- CONSTANTS ---
+const TEAMS = [{ id: 0, name: 'Red', color: '#d0342c' }, { id: 1, name: 'Blue', color: '#2f6fd6' }];
+const TEAM_ZONE_OFFSET = 300; const TEAM_ZONE_RADIUS = 75; // Worlds with a single spawn zone get one either side of it
+const TREASURE_PICKUP_RANGE = 15; const HOME_DELIVERY_RANGE = 25; // Distance from the chest / the home island's coast
+const CHEST_BEACH_FACTOR = 0.95; const CHEST_ISLAND_CHOICES = 5; const CHEST_MAX_DETOUR = 1.2; // Chest sits on the beach of one of the islands nearest both homes
+
+// --- Team Spawn Zones ---
+// Zones marked with a team in the map win; otherwise the first two zones are used, or two are made either side of the only one
+function getTeamSpawnZones(world) {
+    const zones = world.spawnZones || []; const marked = TEAMS.map(team => zones.find(zone => zone.team === team.id));
+    if (marked.every(Boolean)) return marked; if (zones.length >= TEAMS.length) return TEAMS.map(team => zones[team.id]);
+    const center = zones[0] || { x: 0, z: 0 }; const bounds = world.worldBounds; const offset = Math.min(TEAM_ZONE_OFFSET, (bounds.maxX - bounds.minX) / 2 - TEAM_ZONE_RADIUS);
+    return [{ x: center.x - offset, z: center.z, radius: TEAM_ZONE_RADIUS }, { x: center.x + offset, z: center.z, radius: TEAM_ZONE_RADIUS }];
+}
+
+// --- Capture the Treasure ---
+function distanceBetween(a, b) { return Math.hypot(a.x - b.x, a.z - b.z); }
+function islandRadius(island) { return Math.max(island.size * island.scaleX, island.size * island.scaleZ); }
+// Each team's home is the nearest island that is closer to its own spawn zone than to any other; open water (the zone itself) if none
+function findHomes(world, zones) {
+    return zones.map((zone, team) => {
+        let home = null; let homeDistance = Infinity;
+        world.islands.forEach((island, index) => { const distance = distanceBetween(island, zone); if (distance < homeDistance && zones.every((other, otherTeam) => otherTeam === team || distanceBetween(island, other) > distance)) { home = { team: team, islandIndex: index, x: island.x, z: island.z, radius: islandRadius(island) + HOME_DELIVERY_RANGE }; homeDistance = distance; } });
+        return home || { team: team, islandIndex: null, x: zone.x, z: zone.z, radius: zone.radius };
+    });
+}
+function isAtHome(ship, home, world) { return home.islandIndex === null ? distanceBetween(ship.position, home) <= home.radius : ShipPhysics.checkIslandCollision(ship.position.x, ship.position.z, world.islands[home.islandIndex], HOME_DELIVERY_RANGE); }
+// A point on the island's beach at angle (inverse of the island-local transform in ShipPhysics.checkIslandCollision)
+function beachPoint(island, angle) {
+    const localX = Math.cos(angle) * island.size * island.scaleX * CHEST_BEACH_FACTOR; const localZ = Math.sin(angle) * island.size * island.scaleZ * CHEST_BEACH_FACTOR;
+    const cos = Math.cos(-island.rotation); const sin = Math.sin(-island.rotation);
+    return { x: island.x + localX * cos - localZ * sin, z: island.z + localX * sin + localZ * cos };
+}
+function farthestHome(point, homes) { return Math.max(...homes.map(home => distanceBetween(point, home))); }
+// Puts the chest on a random one of the non-home islands that are the shortest sail from both homes, so neither team is favoured
+function placeTreasure(match) {
+    const world = match.room.gameState.world; const homes = match.objectives.homes; const homeIslands = new Set(homes.map(home => home.islandIndex));
+    const candidates = world.islands.map((island, index) => ({ island, index })).filter(({ island, index }) => !homeIslands.has(index) && !island.isLarge)
+        .map(candidate => ({ ...candidate, sail: farthestHome(candidate.island, homes) })).sort((a, b) => a.sail - b.sail).filter((candidate, rank, sorted) => rank < CHEST_ISLAND_CHOICES && candidate.sail <= sorted[0].sail * CHEST_MAX_DETOUR);
+    if (!candidates.length) { match.objectives.treasure = { x: (homes[0].x + homes[1].x) / 2, z: (homes[0].z + homes[1].z) / 2, carrierId: null, onIsland: false }; return; }
+    const { island } = candidates[Math.floor(match.random() * candidates.length)];
+    match.objectives.treasure = { ...beachPoint(island, match.random() * Math.PI * 2), carrierId: null, onIsland: true };
+}
+function dropTreasure(match, carrier, reason) {
+    const treasure = match.objectives.treasure; if (!treasure || treasure.carrierId !== carrier.id) return;
+    Object.assign(treasure, { x: carrier.position.x, z: carrier.position.z, carrierId: null, onIsland: false }); match.announce(`${carrier.name} ${reason}, the treasure is adrift!`);
+}
+
+const GAME_MODES = {
+    // The original endless sea: no teams, no rounds
+    ffa: { id: 'ffa', name: 'Free-for-all', teams: false, phases: false, timeLimit: 0, scoreLimit: 0 },
+    // Every kill scores for the shooter's team
+    tdm: {
+        id: 'tdm', name: 'Team Deathmatch', teams: true, phases: true, timeLimit: 8 * 60 * 1000, scoreLimit: 25,
+        onKill(match, shooter) { match.addScore(shooter.team, 1); }
+    },
+    // Grab the chest from its island and sail it to your own home island; sinking the carrier drops it in the water
+    treasure: {
+        id: 'treasure', name: 'Capture the Treasure', teams: true, phases: true, timeLimit: 10 * 60 * 1000, scoreLimit: 3,
+        setup(match) { match.objectives = { homes: findHomes(match.room.gameState.world, match.teamZones), treasure: null }; },
+        onStart(match) { placeTreasure(match); },
+        onTick(match) {
+            const treasure = match.objectives.treasure; if (!treasure) return; const players = match.room.gameState.players;
+            if (treasure.carrierId) {
+                const carrier = players.get(treasure.carrierId); if (!carrier) return; treasure.x = carrier.position.x; treasure.z = carrier.position.z;
+                if (isAtHome(carrier, match.objectives.homes[carrier.team], match.room.gameState.world)) { placeTreasure(match); match.addScore(carrier.team, 1, `${carrier.name} brought the treasure home for ${TEAMS[carrier.team].name}!`); }
+                return;
+            }
+            for (const player of players.values()) { if (player.health > 0 && player.connected && distanceBetween(player.position, treasure) <= TREASURE_PICKUP_RANGE) { Object.assign(treasure, { carrierId: player.id, onIsland: false }); match.announce(`${player.name} has the treasure!`); return; } }
+        },
+        onKill(match, shooter, target) { dropTreasure(match, target, 'was sunk'); },
+        onPlayerLeft(match, player) { dropTreasure(match, player, player.connected ? 'left' : 'lost the connection'); },
+        serializeObjectives(match) { return match.objectives; },
+        // Carriers head home; everyone else goes for a loose chest (the usual chase logic takes over near enemies)
+        getBotObjective(match, bot) {
+            const treasure = match.objectives.treasure; if (!treasure) return null;
+            if (treasure.carrierId === bot.id) { const home = match.objectives.homes[bot.team]; return { x: home.x, z: home.z, urgent: true }; }
+            return treasure.carrierId ? null : { x: treasure.x, z: treasure.z, urgent: false };
+        }
+    }
+};
+
+module.exports = { GAME_MODES, TEAMS, getTeamSpawnZones };
@@ -0,0 +1,116 @@
+// The whole game server (HTTP routes, WebSocket lobby, rooms) as a factory, so server.js and in-process tests can each
+// start their own. Nothing listens until listen() is called.
+const http = require('http');
+const path = require('path');
+const WebSocket = require('ws');
+const express = require('express');
+const Protocol = require('../js/protocol.js');
+const { RoomManager } = require('./roomManager.js');
+const { safeSend } = require('./room.js');
+const { listMaps } = require('./world.js');
+const { ProtocolGuard, MAX_MESSAGE_BYTES } = require('./protocolGuard.js');
+const { systemClock } = require('./clock.js');
+const { listReplays, resolveReplayPath } = require('./replayRecorder.js');
+const { createSettings } = require('./settings.js');
+const { ServerMetrics } = require('./metrics.js');
+const { createAdminRouter } = require('./admin.js');
+const { ProfileStore } = require('./profiles.js');
+const { createAccountRouter } = require('./accounts.js');
+
+// --- CONSTANTS ---
+const JOIN_TIMEOUT = 15000; // A socket must join or create a room within this time
+
+// publicWorld / publicMode / botCount: see RoomManager. clock / random: injectable time source and RNG (see clock.js).
+// staticDir: folder served over HTTP (the game client), or null to serve nothing. replayDir: record matches there (see Room).
+// blockedWords: chat profanity filter list, defaults to the built-in one (see chat.js). adminToken: enables the admin API and /metrics (see admin.js).
+// profileFile: JSON file keeping player profiles and leaderboards across restarts, or null to keep them in memory (see profiles.js).
+function createGameServer({ publicWorld = {}, publicMode = 'ffa', botCount = 0, clock = systemClock, random = Math.random, staticDir = '.', replayDir = null, blockedWords = undefined, adminToken = null, profileFile = null } = {}) {
+    const app = express();
+
+    // Enable CORS
+    app.use((req, res, next) => {
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+        next();
+    });
+
+    // Serve static files
+    if (staticDir) app.use(express.static(staticDir));
+
+    // Rooms (the public sea plus any private sessions)
+    const settings = createSettings({ botCount }); // Changeable at runtime through the admin API
+    const profiles = new ProfileStore({ file: profileFile, clock }); // Throws if an existing profile file can't be read
+    const roomManager = new RoomManager({ publicWorld, publicMode, clock, random, replayDir, blockedWords, settings, profiles });
+    // Every message passes the guard (size, rate limit, schema, plausibility) before it reaches the lobby or a room
+    const protocolGuard = new ProtocolGuard({ now: clock.now });
+    const metrics = new ServerMetrics({ now: clock.now });
+
+    // Admin API, /metrics and the admin.html dashboard's data (bearer token)
+    app.use(createAdminRouter({ token: adminToken, roomManager, protocolGuard, metrics }));
+
+    // Accounts and leaderboards for index.html
+    app.use(createAccountRouter({ profiles, now: clock.now }));
+
+    // Open rooms for the lobby in index.html
+    app.get('/api/rooms', (req, res) => { res.json({ rooms: roomManager.listRooms(), maps: listMaps() }); });
+
+    // Recorded matches for game.html?replay=<file>
+    app.get('/api/replays', (req, res) => { res.json({ replays: replayDir ? listReplays(replayDir) : [] }); });
+    app.get('/replays/:file', (req, res) => { const filePath = replayDir ? resolveReplayPath(replayDir, req.params.file) : null; if (!filePath) { res.status(404).end(); return; } res.sendFile(path.resolve(filePath), (error) => { if (error && !res.headersSent) res.status(404).end(); }); });
+
+    const httpServer = http.createServer(app);
+    const wss = new WebSocket.Server({ server: httpServer, perMessageDeflate: false, clientTracking: true, maxPayload: MAX_MESSAGE_BYTES * 4 }); // Hard cap; the guard scores anything above MAX_MESSAGE_BYTES
+
+    // --- WebSocket Connection Handling ---
+    // A fresh socket is in the lobby: it can list, create or join rooms. Once in a room every message is handed to that room.
+    // joinRoom/createRoom carry the join handshake: player: { name, color, profileToken } and protocol: { version, encoding };
+    // joinRoom with spectate: true watches the room without a ship.
+    // resume { roomId, resumeToken } reclaims a dropped ship. A client speaking another protocol version is closed (see js/protocol.js).
+    wss.on('connection', (ws, req) => {
+        const remoteAddr = req.socket.remoteAddress || req.headers['x-forwarded-for']; console.log('New client connected from:', remoteAddr);
+        if (protocolGuard.isBanned(remoteAddr)) { console.log(`[Guard] Rejecting banned address ${remoteAddr}.`); ws.close(Protocol.CLOSE_CODE_BANNED, 'Banned'); return; }
+        protocolGuard.attach(ws, remoteAddr); metrics.connectionOpened();
+        const send = ws.send.bind(ws); ws.send = (data, ...rest) => { metrics.recordOut(Buffer.byteLength(data)); return send(data, ...rest); }; // Every send path (safeSend, broadcasts, chat) goes through here
+        const joinTimeout = clock.setTimeout(() => { if (!ws.room) { console.log(`[Lobby] Client ${remoteAddr} never joined a room. Closing.`); ws.close(4000, 'Join timeout'); } }, JOIN_TIMEOUT);
+
+        ws.on('message', (message, isBinary) => {
+            metrics.recordIn(message.length);
+            try { const data = protocolGuard.inspect(ws, message, isBinary); if (!data || ws.readyState !== WebSocket.OPEN) return; if (ws.room) ws.room.handleMessage(ws.playerId, data); else handleLobbyMessage(ws, data); } catch (error) { console.error(`Failed to process message from ${ws.playerId || remoteAddr}:`, message.toString(), error); }
+        });
+        ws.on('pong', () => { if (ws.room) ws.room.handlePong(ws.playerId); });
+        ws.on('close', (code, reason) => { clock.clearTimeout(joinTimeout); metrics.connectionClosed(); if (ws.room) ws.room.handleDisconnect(ws, `WebSocket closed (Code: ${code}, Reason: ${reason || 'None'})`); });
+        ws.on('error', (error) => { if (ws.room) ws.room.handleDisconnect(ws, `WebSocket error (${error.message})`); ws.terminate(); });
+    });
+
+    function handleLobbyMessage(ws, data) {
+        if ((data.type === 'createRoom' || data.type === 'joinRoom' || data.type === 'resume') && !acceptProtocol(ws, data.protocol)) return;
+        switch (data.type) {
+            case 'listRooms': safeSend(ws, { type: 'roomList', rooms: roomManager.listRooms() }); break;
+            case 'createRoom': { const created = roomManager.createRoom({ name: data.name, maxPlayers: data.maxPlayers, isPublic: !data.isPrivate, world: { map: data.map || null, seed: typeof data.seed === 'string' || typeof data.seed === 'number' ? data.seed : undefined }, mode: data.mode || 'ffa' }); if (created.error) { safeSend(ws, { type: 'roomError', reason: created.error }); break; } joinRoom(ws, created.room.id, data.player); break; }
+            case 'joinRoom': if (data.spectate) spectateRoom(ws, data.roomId); else joinRoom(ws, data.roomId, data.player); break;
+            case 'resume': { const resumed = roomManager.resumeSession(data.roomId, ws, data.resumeToken, data.player && typeof data.player === 'object' ? data.player : {}); if (resumed.error) safeSend(ws, { type: 'roomError', reason: resumed.error }); break; }
+            default: console.log(`Unknown lobby message type: ${data.type}`);
+        }
+    }
+    // Clients from before versioning send no protocol at all; either way they can't be served and must reload the page
+    function acceptProtocol(ws, protocol) {
+        if (protocol?.version === Protocol.PROTOCOL_VERSION) { ws.encoding = protocol.encoding; return true; }
+        console.log(`[Lobby] Closing client ${ws.guard.ip} speaking protocol ${protocol?.version ?? 'none'} (server: ${Protocol.PROTOCOL_VERSION}).`);
+        safeSend(ws, { type: 'roomError', reason: 'The game was updated. Reload the page to keep playing.' }); ws.close(Protocol.CLOSE_CODE_OUTDATED, 'Outdated client, reload the page'); return false;
+    }
+    function joinRoom(ws, roomId, identity) { const joined = roomManager.joinRoom(roomId, ws, identity && typeof identity === 'object' ? identity : {}); if (joined.error) safeSend(ws, { type: 'roomError', reason: joined.error }); }
+    function spectateRoom(ws, roomId) { const watching = roomManager.spectateRoom(roomId, ws); if (watching.error) safeSend(ws, { type: 'roomError', reason: watching.error }); }
+
+    wss.on('close', () => roomManager.stopAll());
+
+    return {
+        app, httpServer, wss, roomManager, protocolGuard, metrics, settings, profiles,
+        // Resolves with the bound port (pass 0 for a free one)
+        listen(port = 0) { return new Promise((resolve, reject) => { httpServer.once('error', reject); httpServer.listen(port, () => { httpServer.off('error', reject); resolve(httpServer.address().port); }); }); },
+        // Stops every room, drops every socket, stops listening and writes any unsaved profile changes
+        close() { return new Promise(resolve => { wss.clients.forEach(client => client.terminate()); wss.close(() => httpServer.close(() => { profiles.flush(); resolve(); })); }); }
+    };
+}
+
+module.exports = { createGameServer };
@@ -0,0 +1,121 @@
+// A Node client that speaks the same protocol as js/network.js (room request / resume on open, init, holding updates
+// until their player joins, delta snapshots, seq'd inputs), for scripting players against a server started with createGameServer().
+//
+//   const client = new HeadlessClient({ url: `ws://localhost:${port}`, identity: { name: 'Bot A' } });
+//   await client.connect(); await client.waitFor('init');
+//   client.sendInput({ throttle: 1, rudder: 0 }); client.fire();
+//   await client.waitFor('playerDefeated', data => data.playerId === client.playerId);
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js');
+const { PlayerUpdateBuffer } = require('../js/playerUpdates.js');
+const Protocol = require('../js/protocol.js');
+
+// --- CONSTANTS ---
+const DEFAULT_WAIT_TIMEOUT = 2000;
+
+class HeadlessClient {
+    // roomRequest: { type: 'joinRoom', roomId } or { type: 'createRoom', ... } as in NetworkManager.setRoomRequest; { type: 'joinRoom', roomId, spectate: true } watches without a ship.
+    // encoding: 'binary' or 'json' (see js/protocol.js); protocolVersion: sent in the handshake, only for testing version checks.
+    constructor({ url, identity = {}, roomRequest = { type: 'joinRoom', roomId: 'public' }, log = false, encoding = 'binary', protocolVersion = Protocol.PROTOCOL_VERSION } = {}) {
+        this.url = url; this.encoding = encoding; this.protocolVersion = protocolVersion; this.identity = { name: String(identity.name || ''), color: String(identity.color || '') }; if (identity.profileToken) this.identity.profileToken = String(identity.profileToken); this.roomRequest = roomRequest; this.log = log;
+        this.ws = null; this.connected = false; this.playerId = null; this.room = null; this.resumeToken = null; this.spectating = false;
+        this.callbacks = new Map(); this.received = []; // Every handled message in order (after playerUpdates held what came too early), for ordering checks
+        this.playerUpdates = new PlayerUpdateBuffer();
+        this.players = new Map(); // playerId -> latest full player data (init / playerJoined / playerRespawned, positions merged from snapshots)
+        this.inputSeq = 0; this.pendingInputs = []; this.world = { islands: [], worldBounds: null, wind: null };
+        this.localShip = { position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0, health: 100, maxSpeed: ShipPhysics.SHIP_MAX_SPEED }; this.lastSnapshotTick = 0;
+        this.closeEvent = null;
+    }
+
+    // Resolves once the socket is open and the room request (or resume) has been sent
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.closeEvent = null; this.ws = new WebSocket(this.url);
+            this.ws.on('open', () => { this.connected = true; const protocol = { version: this.protocolVersion, encoding: this.encoding }; this.send(this.resumeToken && this.room ? { type: 'resume', roomId: this.room.id, resumeToken: this.resumeToken, player: this.identity, protocol: protocol } : { ...this.roomRequest, player: this.identity, protocol: protocol }); resolve(this); });
+            this.ws.on('message', (message, isBinary) => this.receive(message, isBinary));
+            this.ws.on('close', (code, reason) => { this.connected = false; this.playerId = null; this.playerUpdates.clear(); this.pendingInputs = []; this.closeEvent = { code, reason: reason.toString() }; this.triggerEvent('disconnected', this.closeEvent); });
+            this.ws.on('error', (error) => { if (!this.connected) reject(error); });
+        });
+    }
+    // Clean close; the server removes the ship after its grace period unless resume() is called
+    close(code = 1000) { if (this.ws) this.ws.close(code); }
+    // Drops the connection without a close handshake, like a lost network
+    drop() { if (this.ws) this.ws.terminate(); }
+    // Reconnects with the resume token from the last init
+    resume() { return this.connect(); }
+
+    receive(message, isBinary = false) {
+        const data = isBinary ? Protocol.decode(message) : JSON.parse(message); if (!data) throw new Error('Malformed binary message from the server.'); if (this.log) console.log(`[HeadlessClient ${this.identity.name || this.playerId}]`, data.type);
+        if (data.type === 'init') { this.handleInit(data); return; }
+        this.playerUpdates.dispatch(data, this.playerId, update => this.handleMessage(update));
+    }
+
+    handleInit(data) {
+        this.playerId = data.playerId; this.playerUpdates.reset(this.playerId, data.gameState?.players); this.players.clear();
+        this.spectating = !!data.spectator; if (data.room) { this.room = data.room; this.roomRequest = { type: 'joinRoom', roomId: data.room.id, ...(this.spectating ? { spectate: true } : {}) }; }
+        if (data.resumeToken) this.resumeToken = data.resumeToken; if (data.profileToken) this.identity.profileToken = data.profileToken;
+        this.world = { islands: data.gameState?.world?.islands || [], worldBounds: data.gameState?.world?.worldBounds || null, wind: data.environment?.wind || null }; this.inputSeq = 0; this.pendingInputs = []; this.lastSnapshotTick = data.tick || 0;
+        (data.gameState?.players || []).forEach(player => { this.players.set(player.id, player); });
+        const self = this.players.get(this.playerId); if (self) this.resetLocalShip(self);
+        this.received.push(data); this.triggerEvent('init', data);
+        this.playerUpdates.releaseKnown(this.playerId, update => this.handleMessage(update));
+    }
+
+    handleMessage(data) {
+        if (!data || !data.type) return;
+        if (data.type === 'snapshot') this.handleSnapshot(data);
+        else if ((data.type === 'playerJoined' || data.type === 'playerResumed' || data.type === 'playerRespawned') && data.player?.id) { this.players.set(data.player.id, { ...this.players.get(data.player.id), ...data.player }); if (data.player.id === this.playerId) this.resetLocalShip(data.player); }
+        else if (data.type === 'updateHealth' && typeof data.health === 'number') { this.localShip.health = data.health; const self = this.players.get(this.playerId); if (self) self.health = data.health; }
+        else if (data.type === 'playerDefeated' && this.players.has(data.playerId)) this.players.get(data.playerId).health = 0;
+        else if (data.type === 'upgrades' && typeof data.maxSpeed === 'number') this.localShip.maxSpeed = data.maxSpeed;
+        else if (data.type === 'environment') this.world.wind = data.wind || null; // Predict with the wind the server sails with
+        if (data.type === 'playerLeft' && data.playerId) this.players.delete(data.playerId);
+        this.received.push(data); this.triggerEvent(data.type, data);
+    }
+
+    // self reconciles the predicted ship like NetworkManager does; the compact { id, x, z, r, s } deltas update the others
+    handleSnapshot(data) {
+        this.lastSnapshotTick = data.tick; const own = data.self;
+        if (own) {
+            this.resetLocalShip({ position: { x: own.x, y: 0, z: own.z }, rotation: own.r, speed: own.s }); this.pendingInputs = this.pendingInputs.filter(command => command.seq > own.q); this.pendingInputs.forEach(command => this.predictStep(command));
+            const self = this.players.get(this.playerId); if (self) Object.assign(self, { position: { ...self.position, x: own.x, z: own.z }, rotation: own.r, speed: own.s });
+        }
+        (data.players || []).forEach(entry => {
+            const player = this.players.get(entry.id); if (!player) return;
+            const position = { ...player.position }; if (typeof entry.x === 'number') position.x = entry.x; if (typeof entry.z === 'number') position.z = entry.z; player.position = position;
+            if (typeof entry.r === 'number') player.rotation = entry.r; if (typeof entry.s === 'number') player.speed = entry.s;
+        });
+    }
+
+    // --- Sending ---
+    // One input per simulation tick, predicted locally like the browser client
+    sendInput({ throttle = 0, rudder = 0 } = {}) {
+        if (!this.playerId || !this.connected) return null;
+        const command = { seq: ++this.inputSeq, throttle: Protocol.quantizeAxis(ShipPhysics.clampInput(throttle)), rudder: Protocol.quantizeAxis(ShipPhysics.clampInput(rudder)) };
+        this.pendingInputs.push(command); this.send({ type: 'input', ...command }); this.predictStep(command); return command;
+    }
+    fire() { if (this.playerId && this.connected) this.send({ type: 'fire' }); }
+    buyUpgrade(upgrade) { if (this.playerId && this.connected) this.send({ type: 'buyUpgrade', upgrade: upgrade }); }
+    sendChat(text, channel = 'room', to = undefined) { if (this.playerId && this.connected) this.send({ type: 'chat', channel: channel, text: text, to: to }); }
+    blockPlayer(name, blocked = true) { if (this.playerId && this.connected) this.send({ type: 'chatBlock', name: name, blocked: blocked }); }
+    send(data) { if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.send(this.encoding === 'binary' && Protocol.isBinaryType(data.type) ? Protocol.encode(data) : JSON.stringify(data)); }
+
+    resetLocalShip(playerData) { const position = playerData.position || { x: 0, y: 0, z: 0 }; this.localShip.position = { x: position.x, y: position.y || 0, z: position.z }; this.localShip.rotation = playerData.rotation || 0; this.localShip.speed = playerData.speed || 0; if (typeof playerData.health === 'number') this.localShip.health = playerData.health; if (typeof playerData.maxSpeed === 'number') this.localShip.maxSpeed = playerData.maxSpeed; }
+    predictStep(command) { ShipPhysics.stepShip(this.localShip, this.localShip.health > 0 ? command : { throttle: 0, rudder: 0 }, ShipPhysics.TICK_DT, this.world.islands, this.world.worldBounds, this.world.wind); }
+
+    // --- Events ---
+    on(type, callback) { if (!this.callbacks.has(type)) this.callbacks.set(type, new Set()); this.callbacks.get(type).add(callback); }
+    off(type, callback) { if (this.callbacks.has(type)) this.callbacks.get(type).delete(callback); }
+    triggerEvent(type, detail) { if (this.callbacks.has(type)) this.callbacks.get(type).forEach(callback => callback(detail)); }
+    // Resolves with the next message of this type matching predicate (already received ones don't count); rejects after timeoutMs
+    waitFor(type, predicate = () => true, timeoutMs = DEFAULT_WAIT_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const onMessage = (data) => { if (!predicate(data)) return; clearTimeout(timeoutId); this.off(type, onMessage); resolve(data); };
+            const timeoutId = setTimeout(() => { this.off(type, onMessage); reject(new Error(`Timed out after ${timeoutMs}ms waiting for '${type}'`)); }, timeoutMs);
+            this.on(type, onMessage);
+        });
+    }
+    receivedTypes() { return this.received.map(data => data.type); }
+}
+
+module.exports = { HeadlessClient };
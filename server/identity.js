@@ -0,0 +1,20 @@
+// Player identity from the join handshake: display name and ship colour
+// --- CONSTANTS ---
+const MAX_NAME_LENGTH = 16;
+const NAME_ALLOWED_CHARS = /[^A-Za-z0-9 _\-'.]/g; // Everything else is stripped
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const SHIP_COLORS = ['#8B4513', '#cc0000', '#1f6fb2', '#2e8b57', '#6a3d9a', '#d4a017', '#e0e0e0', '#ff7f00'];
+
+// Returns a clean, room-unique display name. takenNames holds the names already in the room (lower-cased).
+function sanitizePlayerName(name, takenNames = new Set(), random = Math.random) {
+    let base = typeof name === 'string' ? name.replace(NAME_ALLOWED_CHARS, '').replace(/\s+/g, ' ').trim().substring(0, MAX_NAME_LENGTH) : '';
+    if (!base) base = `Pirate ${Math.floor(1000 + random() * 9000)}`;
+    let candidate = base; let suffix = 2;
+    while (takenNames.has(candidate.toLowerCase())) { const tag = ` ${suffix++}`; candidate = base.substring(0, MAX_NAME_LENGTH - tag.length) + tag; }
+    return candidate;
+}
+
+// Accepts '#rrggbb'; anything else gets a colour from the palette
+function sanitizeShipColor(color, fallbackIndex = 0) { return typeof color === 'string' && COLOR_PATTERN.test(color) ? color.toLowerCase() : SHIP_COLORS[fallbackIndex % SHIP_COLORS.length]; }
+
+module.exports = { sanitizePlayerName, sanitizeShipColor, MAX_NAME_LENGTH, SHIP_COLORS };
@@ -0,0 +1,47 @@
+// Floating loot: wreckage left where a ship sank, and treasure washed up near the islands. Ships collect it by sailing
+// over it. The room owns one LootField and reports what happened to its clients (lootSpawned / lootCollected / lootRemoved).
+const ShipPhysics = require('../js/physics.js');
+const { createRandom } = require('./random.js');
+
+// --- CONSTANTS ---
+const LOOT_PICKUP_RADIUS = 6;
+const WRECK_BASE_GOLD = 20; const WRECK_GOLD_SHARE = 0.25; const WRECK_LIFETIME = 60000; // A sunk ship also spills a quarter of its gold
+const ISLAND_LOOT_INTERVAL = 8000; const MAX_ISLAND_LOOT = 12; const ISLAND_LOOT_MIN_GOLD = 15; const ISLAND_LOOT_MAX_GOLD = 40;
+const ISLAND_LOOT_CLEARANCE = 8; const ISLAND_LOOT_SPREAD = 20; // Just off the coast, where a ship can reach it
+
+class LootField {
+    constructor(world, now) { this.loot = new Map(); this.nextLootId = 1; this.reset(world, now); }
+    // New world or new match: everything afloat is gone and the island spawns follow the world seed
+    reset(world, now) { this.world = world; this.random = createRandom(`${world.seed}:loot`); this.loot.clear(); this.nextIslandSpawn = now; }
+
+    add(kind, x, z, gold, expiresAt = null) { const loot = { id: this.nextLootId++, kind: kind, x: x, z: z, gold: gold, expiresAt: expiresAt }; this.loot.set(loot.id, loot); return loot; }
+    // Takes the wreck's share of the victim's gold; returns the new loot
+    dropWreck(player, now) { const spilled = Math.floor((player.gold || 0) * WRECK_GOLD_SHARE); player.gold -= spilled; return this.add('wreck', player.position.x, player.position.z, WRECK_BASE_GOLD + spilled, now + WRECK_LIFETIME); }
+    // Returns the new island loot, or null when the sea is full or no spot was found
+    spawnIslandLoot() {
+        const islands = this.world.islands; let islandLoot = 0; this.loot.forEach(loot => { if (loot.kind === 'treasure') islandLoot++; }); if (islandLoot >= MAX_ISLAND_LOOT || !islands.length) return null;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const island = islands[Math.floor(this.random() * islands.length)]; const angle = this.random() * Math.PI * 2;
+            const distance = Math.max(island.size * island.scaleX, island.size * island.scaleZ) + ISLAND_LOOT_CLEARANCE + this.random() * ISLAND_LOOT_SPREAD;
+            const x = island.x + Math.cos(angle) * distance; const z = island.z + Math.sin(angle) * distance;
+            if (ShipPhysics.isInsideBounds(x, z, this.world.worldBounds) && !ShipPhysics.collidesWithIslands(x, z, islands, LOOT_PICKUP_RADIUS)) return this.add('treasure', x, z, ISLAND_LOOT_MIN_GOLD + Math.floor(this.random() * (ISLAND_LOOT_MAX_GOLD - ISLAND_LOOT_MIN_GOLD + 1)));
+        }
+        return null;
+    }
+
+    // Called every tick. Returns { spawned: [loot], collected: [{ loot, player }], expired: [lootId] }; collected gold is already added.
+    update(players, now) {
+        const result = { spawned: [], collected: [], expired: [] };
+        if (now >= this.nextIslandSpawn) { this.nextIslandSpawn = now + ISLAND_LOOT_INTERVAL; const loot = this.spawnIslandLoot(); if (loot) result.spawned.push(loot); }
+        this.loot.forEach(loot => {
+            if (loot.expiresAt !== null && now >= loot.expiresAt) { this.loot.delete(loot.id); result.expired.push(loot.id); return; }
+            for (const player of players.values()) { if (player.health > 0 && Math.hypot(player.position.x - loot.x, player.position.z - loot.z) <= LOOT_PICKUP_RADIUS) { this.loot.delete(loot.id); player.gold += loot.gold; result.collected.push({ loot, player }); return; } }
+        });
+        return result;
+    }
+    serialize() { return Array.from(this.loot.values(), serializeLoot); }
+}
+
+function serializeLoot(loot) { return { id: loot.id, kind: loot.kind, x: loot.x, z: loot.z, gold: loot.gold }; }
+
+module.exports = { LootField, serializeLoot };
@@ -0,0 +1,94 @@
+// The match cycle of a room: lobby (waiting for ships) -> countdown -> active (until the time or score limit) -> results
+// -> countdown again. Modes without phases (free-for-all) stay active forever. The rules themselves live in gameModes.js.
+const { getRandomSpawnPoint } = require('./world.js');
+const { createRandom } = require('./random.js');
+const { GAME_MODES, TEAMS, getTeamSpawnZones } = require('./gameModes.js');
+
+// --- CONSTANTS ---
+const MIN_MATCH_SHIPS = 2; // Bots count, so a lone player with BOTS set still gets matches
+const COUNTDOWN_MS = 10000; const RESULTS_MS = 15000;
+
+class Match {
+    // Throws for an unknown modeId (room creation reports it)
+    constructor(room, modeId = 'ffa') {
+        const mode = Object.prototype.hasOwnProperty.call(GAME_MODES, modeId) ? GAME_MODES[modeId] : null; if (!mode) throw new Error(`Unknown game mode '${modeId}'.`);
+        this.room = room; this.mode = mode; this.phase = mode.phases ? 'lobby' : 'active'; this.phaseEndsAt = null;
+        this.scores = mode.teams ? TEAMS.map(() => 0) : []; this.winner = null; this.objectives = null;
+        this.onWorldLoaded();
+    }
+
+    get isTeamMode() { return this.mode.teams; }
+    get allowsDamage() { return this.phase === 'active'; }
+    isFriendly(a, b) { return this.mode.teams && a.team === b.team; }
+    canDamage(shooter, target) { return this.allowsDamage && !this.isFriendly(shooter, target); }
+
+    // Team zones, objectives and the match RNG all follow the world, so a new map gets fresh ones
+    onWorldLoaded() {
+        const world = this.room.gameState.world; this.random = createRandom(`${world.seed}:match`); this.teamZones = this.mode.teams ? getTeamSpawnZones(world) : null;
+        if (this.mode.setup) this.mode.setup(this); if (this.phase === 'active' && this.mode.onStart) this.mode.onStart(this);
+    }
+
+    // --- Teams & Spawns ---
+    // Smaller team first, then the one behind on score
+    pickTeam() {
+        if (!this.mode.teams) return null; const counts = this.countTeams();
+        return TEAMS.map(team => team.id).sort((a, b) => counts[a] - counts[b] || this.scores[a] - this.scores[b])[0];
+    }
+    countTeams() { const counts = TEAMS.map(() => 0); this.room.gameState.players.forEach(player => { if (player.team !== null && player.team !== undefined) counts[player.team]++; }); return counts; }
+    // Moves ships (bots first) off the bigger team until the teams differ by at most one
+    balanceTeams() {
+        if (!this.mode.teams) return; const players = Array.from(this.room.gameState.players.values()).sort((a, b) => (b.bot ? 1 : 0) - (a.bot ? 1 : 0));
+        for (let counts = this.countTeams(); Math.max(...counts) - Math.min(...counts) > 1; counts = this.countTeams()) {
+            const from = counts.indexOf(Math.max(...counts)); const to = counts.indexOf(Math.min(...counts)); const moved = players.find(player => player.team === from);
+            moved.team = to; console.log(`[Room ${this.room.id}] Moved ${moved.name} to team ${TEAMS[to].name}.`);
+        }
+    }
+    getSpawnPoint(player) { const world = this.room.gameState.world; return this.teamZones && player.team !== null ? getRandomSpawnPoint({ islands: world.islands, spawnZones: [this.teamZones[player.team]] }, this.room.random) : getRandomSpawnPoint(world, this.room.random); }
+
+    // --- Events From the Room ---
+    onPlayerDefeated(shooter, target) { if (this.phase === 'active' && this.mode.onKill) this.mode.onKill(this, shooter, target); }
+    onPlayerLeft(player) { if (this.phase === 'active' && this.mode.onPlayerLeft) this.mode.onPlayerLeft(this, player); }
+    addScore(team, points, event = null) { this.scores[team] += points; this.broadcastState(event); }
+    announce(event) { this.broadcastState(event); }
+
+    // --- Phases ---
+    // Called every simulation tick
+    tick() {
+        if (!this.mode.phases) return; const room = this.room; const now = room.clock.now(); const enoughShips = room.playerCount > 0 && room.gameState.players.size >= MIN_MATCH_SHIPS;
+        if (this.phase !== 'lobby' && room.playerCount === 0) { this.setPhase('lobby'); return; } // Everyone left mid-match
+        switch (this.phase) {
+            case 'lobby': if (enoughShips) this.setPhase('countdown', COUNTDOWN_MS); break;
+            case 'countdown': if (!enoughShips) this.setPhase('lobby'); else if (now >= this.phaseEndsAt) this.startMatch(); break;
+            case 'active': { if (this.mode.onTick) this.mode.onTick(this); if (this.phase !== 'active') break; const winner = this.checkWinner(now); if (winner) this.endMatch(winner); break; }
+            case 'results': if (now >= this.phaseEndsAt) this.setPhase(enoughShips ? 'countdown' : 'lobby', enoughShips ? COUNTDOWN_MS : 0); break;
+        }
+    }
+    setPhase(phase, duration = 0, event = null) {
+        this.phase = phase; this.phaseEndsAt = duration ? this.room.clock.now() + duration : null;
+        console.log(`[Room ${this.room.id}] ${this.mode.name}: ${phase}${duration ? ` (${duration / 1000}s)` : ''}.`); this.broadcastState(event);
+    }
+    startMatch() {
+        this.scores = this.scores.map(() => 0); this.winner = null; this.balanceTeams();
+        if (this.mode.onStart) this.mode.onStart(this); this.room.resetForMatch(); // Every ship respawns before the new phase is announced
+        this.room.restartRecording(); this.setPhase('active', this.mode.timeLimit, 'The match has begun!'); // Each match gets its own replay file
+    }
+    // { team } once a team reaches the score limit, or the leader (or { draw: true }) when time runs out
+    checkWinner(now) {
+        const leader = this.scores.indexOf(Math.max(...this.scores));
+        if (this.mode.scoreLimit && this.scores[leader] >= this.mode.scoreLimit) return { team: leader };
+        if (this.phaseEndsAt && now >= this.phaseEndsAt) return this.scores.filter(score => score === this.scores[leader]).length > 1 ? { draw: true } : { team: leader };
+        return null;
+    }
+    endMatch(winner) { this.winner = winner; this.room.recordMatchResults(winner); this.setPhase('results', RESULTS_MS, winner.draw ? 'The match is a draw!' : `${TEAMS[winner.team].name} wins the match!`); this.room.restartRecording(); } // The match's file ends with its result
+
+    // --- Client State ---
+    // Sent in init and as 'matchState' whenever the phase, a score or an objective changes. timeLeft is ms left in the phase.
+    serialize() {
+        return { mode: { id: this.mode.id, name: this.mode.name, phases: this.mode.phases, teams: this.mode.teams ? TEAMS : null, timeLimit: this.mode.timeLimit, scoreLimit: this.mode.scoreLimit },
+            phase: this.phase, timeLeft: this.phaseEndsAt ? Math.max(0, Math.round(this.phaseEndsAt - this.room.clock.now())) : null, scores: this.scores, winner: this.winner, objectives: this.mode.serializeObjectives ? this.mode.serializeObjectives(this) : null };
+    }
+    broadcastState(event = null) { this.room.broadcast({ type: 'matchState', ...this.serialize(), event: event }); }
+    getBotObjective(bot) { return this.phase === 'active' && this.mode.getBotObjective ? this.mode.getBotObjective(this, bot) : null; }
+}
+
+module.exports = { Match };
@@ -0,0 +1,61 @@
+// Live server metrics. Connections and traffic are counted where the WebSocket server sends and receives; room counts and
+// tick timing are read from the rooms when asked. toPrometheus() renders GET /metrics, snapshot() is the same data as JSON.
+// --- CONSTANTS ---
+const RATE_WINDOW_SECONDS = 10; // Per-second rates average the last 10 complete seconds
+const METRIC_PREFIX = 'pirate';
+
+class ServerMetrics {
+    constructor({ now = Date.now } = {}) {
+        this.now = now; this.startedAt = now(); this.connections = 0;
+        this.totals = { connections: 0, messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 }; this.buckets = new Map(); // second -> traffic counted in it
+    }
+
+    connectionOpened() { this.connections++; this.totals.connections++; }
+    connectionClosed() { this.connections = Math.max(0, this.connections - 1); }
+    recordIn(bytes) { this.count('messagesIn', 'bytesIn', bytes); }
+    recordOut(bytes) { this.count('messagesOut', 'bytesOut', bytes); }
+    count(messageKey, byteKey, bytes) { const bucket = this.getBucket(); this.totals[messageKey]++; this.totals[byteKey] += bytes; bucket[messageKey]++; bucket[byteKey] += bytes; }
+    getBucket() {
+        const second = Math.floor(this.now() / 1000); let bucket = this.buckets.get(second); if (bucket) return bucket;
+        bucket = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 }; this.buckets.set(second, bucket);
+        this.buckets.forEach((_, key) => { if (key < second - RATE_WINDOW_SECONDS) this.buckets.delete(key); }); return bucket;
+    }
+    getRates() {
+        const current = Math.floor(this.now() / 1000); const rates = { messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.buckets.forEach((bucket, second) => { if (second < current && second >= current - RATE_WINDOW_SECONDS) Object.keys(rates).forEach(key => { rates[key] += bucket[key]; }); });
+        Object.keys(rates).forEach(key => { rates[key] /= RATE_WINDOW_SECONDS; }); return rates;
+    }
+
+    snapshot(roomManager) {
+        const rooms = Array.from(roomManager.rooms.values(), room => ({ id: room.id, name: room.name, mode: room.match.mode.id, players: room.playerCount, bots: room.activeBotCount, spectators: room.spectators.size, projectiles: room.gameState.projectiles.size, tick: room.currentTick, tickTiming: room.getTickTiming() }));
+        return { uptime: (this.now() - this.startedAt) / 1000, connections: this.connections, totals: { ...this.totals }, rates: this.getRates(), memory: process.memoryUsage().rss, rooms: rooms };
+    }
+    // Prometheus text exposition format (version 0.0.4)
+    toPrometheus(roomManager) {
+        const data = this.snapshot(roomManager); const lines = []; const metric = (name, type, help, samples) => addMetric(lines, `${METRIC_PREFIX}_${name}`, type, help, samples);
+        metric('uptime_seconds', 'gauge', 'Seconds since the server started', [[{}, data.uptime]]);
+        metric('connections', 'gauge', 'Open WebSocket connections', [[{}, data.connections]]);
+        metric('connections_total', 'counter', 'WebSocket connections accepted', [[{}, data.totals.connections]]);
+        metric('messages_received_total', 'counter', 'WebSocket messages received', [[{}, data.totals.messagesIn]]);
+        metric('messages_sent_total', 'counter', 'WebSocket messages sent', [[{}, data.totals.messagesOut]]);
+        metric('bytes_received_total', 'counter', 'WebSocket payload bytes received', [[{}, data.totals.bytesIn]]);
+        metric('bytes_sent_total', 'counter', 'WebSocket payload bytes sent', [[{}, data.totals.bytesOut]]);
+        metric('messages_received_per_second', 'gauge', `Messages received per second (last ${RATE_WINDOW_SECONDS}s)`, [[{}, data.rates.messagesIn]]);
+        metric('messages_sent_per_second', 'gauge', `Messages sent per second (last ${RATE_WINDOW_SECONDS}s)`, [[{}, data.rates.messagesOut]]);
+        metric('bytes_received_per_second', 'gauge', `Bytes received per second (last ${RATE_WINDOW_SECONDS}s)`, [[{}, data.rates.bytesIn]]);
+        metric('bytes_sent_per_second', 'gauge', `Bytes sent per second (last ${RATE_WINDOW_SECONDS}s)`, [[{}, data.rates.bytesOut]]);
+        metric('memory_rss_bytes', 'gauge', 'Resident memory of the server process', [[{}, data.memory]]);
+        metric('rooms', 'gauge', 'Open rooms', [[{}, data.rooms.length]]);
+        metric('room_players', 'gauge', 'Human players per room', data.rooms.map(room => [{ room: room.id }, room.players]));
+        metric('room_bots', 'gauge', 'Bots per room', data.rooms.map(room => [{ room: room.id }, room.bots]));
+        metric('room_spectators', 'gauge', 'Spectators per room', data.rooms.map(room => [{ room: room.id }, room.spectators]));
+        metric('room_tick_duration_milliseconds', 'gauge', 'Simulation tick duration over the last 300 ticks', data.rooms.flatMap(room => [[{ room: room.id, stat: 'average' }, room.tickTiming.average], [{ room: room.id, stat: 'max' }, room.tickTiming.max]]));
+        metric('room_ticks_total', 'counter', 'Simulation ticks run per room', data.rooms.map(room => [{ room: room.id }, room.tickTiming.ticks]));
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+function addMetric(lines, name, type, help, samples) { lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`); samples.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`)); }
+function formatLabels(labels) { const entries = Object.entries(labels); return entries.length ? `{${entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}` : ''; }
+
+module.exports = { ServerMetrics };
@@ -0,0 +1,131 @@
+// Persistent player profiles. A browser gets a guest profile on its first join and keeps the token it is given; a guest can
+// claim a username and password later (see accounts.js) without losing its stats. Every profile keeps lifetime and
+// weekly stats, and the whole store is one JSON file, rewritten shortly after a change (never more than once per SAVE_DELAY).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { systemClock } = require('./clock.js');
+
+// --- CONSTANTS ---
+const PROFILE_STATS = ['kills', 'deaths', 'matches', 'wins', 'gold', 'upgrades'];
+const STORE_VERSION = 1;
+const SAVE_DELAY = 2000; // Coalesces the writes of a busy fight
+const MAX_TOKENS_PER_PROFILE = 5; // Devices a player can stay logged in on; the oldest token is dropped first
+const GUEST_EXPIRY = 30 * 24 * 60 * 60 * 1000; // Guests who never scored anything are forgotten after 30 days
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const MIN_PASSWORD_LENGTH = 8; const MAX_PASSWORD_LENGTH = 128;
+const SCRYPT_KEY_LENGTH = 32;
+const LEADERBOARD_PERIODS = ['all', 'week'];
+
+class ProfileStore {
+    // file: the JSON file, or null to keep profiles in memory only (tests). Throws if an existing file can't be read, rather
+    // than starting empty and overwriting it.
+    constructor({ file = null, clock = systemClock } = {}) {
+        this.file = file; this.clock = clock; this.saveTimeout = null;
+        this.profiles = new Map(); this.byToken = new Map(); this.byUsername = new Map(); // id -> profile, token hash -> id, lower-cased username -> id
+        if (file) this.load();
+    }
+
+    load() {
+        let data; try { data = JSON.parse(fs.readFileSync(this.file, 'utf8')); } catch (error) { if (error.code === 'ENOENT') return; throw new Error(`Could not read profiles from ${this.file}: ${error.message}`); }
+        const now = this.clock.now(); let expired = 0;
+        (data.profiles || []).forEach(profile => { if (!profile.username && now - profile.lastSeen > GUEST_EXPIRY && PROFILE_STATS.every(stat => !profile.stats[stat])) { expired++; return; } this.index(profile); });
+        console.log(`[Profiles] Loaded ${this.profiles.size} profiles from ${this.file}${expired ? ` (${expired} idle guests dropped)` : ''}.`);
+    }
+    index(profile) { this.profiles.set(profile.id, profile); profile.tokenHashes.forEach(hash => this.byToken.set(hash, profile.id)); if (profile.username) this.byUsername.set(profile.username.toLowerCase(), profile.id); }
+    // Writes at most once per SAVE_DELAY; flush() writes right away (shutdown)
+    save() { if (!this.file || this.saveTimeout) return; this.saveTimeout = this.clock.setTimeout(() => { this.saveTimeout = null; this.flush(); }, SAVE_DELAY); }
+    flush() {
+        if (!this.file) return; this.clock.clearTimeout(this.saveTimeout); this.saveTimeout = null;
+        const tempFile = `${this.file}.tmp`; // Written next to the store and renamed over it, so a crash never leaves half a file
+        try { fs.mkdirSync(path.dirname(this.file), { recursive: true }); fs.writeFileSync(tempFile, JSON.stringify({ version: STORE_VERSION, profiles: Array.from(this.profiles.values()) })); fs.renameSync(tempFile, this.file); } catch (error) { console.error(`[Profiles] Could not save ${this.file}:`, error.message); }
+    }
+
+    get(profileId) { return this.profiles.get(profileId) || null; }
+
+    // --- Tokens ---
+    // The profile owning token, or null. Tokens are only stored hashed.
+    findByToken(token) { const id = typeof token === 'string' ? this.byToken.get(hashToken(token)) : null; return id ? this.profiles.get(id) : null; }
+    issueToken(profile) {
+        const token = crypto.randomBytes(24).toString('hex'); const hash = hashToken(token); profile.tokenHashes.push(hash); this.byToken.set(hash, profile.id);
+        while (profile.tokenHashes.length > MAX_TOKENS_PER_PROFILE) this.byToken.delete(profile.tokenHashes.shift());
+        this.save(); return token;
+    }
+    revokeToken(token) { const profile = this.findByToken(token); if (!profile) return false; const hash = hashToken(token); profile.tokenHashes = profile.tokenHashes.filter(candidate => candidate !== hash); this.byToken.delete(hash); this.save(); return true; }
+
+    // --- Join ---
+    // The profile of a joining player: the one owning token, otherwise a new guest (token is then the guest's new token)
+    resolve(token, name) {
+        let profile = this.findByToken(token); let newToken = null;
+        if (!profile) { profile = this.createProfile(null, name); newToken = this.issueToken(profile); }
+        profile.name = name; profile.lastSeen = this.clock.now(); this.save(); return { profile, token: newToken };
+    }
+    createProfile(username, name) {
+        const now = this.clock.now(); const profile = { id: crypto.randomUUID(), username: username, passwordHash: null, name: name || username || 'Pirate', createdAt: now, lastSeen: now, tokenHashes: [], stats: createStats(), week: { id: getWeekId(now), stats: createStats() } };
+        this.index(profile); return profile;
+    }
+    // changes: { kills: 1 } etc.; counted in the lifetime and this week's stats
+    addStats(profileId, changes) {
+        const profile = this.profiles.get(profileId); if (!profile) return; const weekId = getWeekId(this.clock.now());
+        if (profile.week.id !== weekId) profile.week = { id: weekId, stats: createStats() };
+        Object.entries(changes).forEach(([stat, amount]) => { if (!PROFILE_STATS.includes(stat) || !amount) return; profile.stats[stat] += amount; profile.week.stats[stat] += amount; });
+        profile.lastSeen = this.clock.now(); this.save();
+    }
+
+    // --- Accounts ---
+    // Returns an error string, or null when the username is free and both fields are acceptable
+    validateCredentials(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) return 'Usernames are 3-16 letters, digits or underscores.';
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) return `Passwords are ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters.`;
+        return this.byUsername.has(username.toLowerCase()) ? 'That username is taken.' : null;
+    }
+    // Gives guestProfile (or a new profile) a username and password. Resolves with { profile, token } or { error }.
+    async register(username, password, guestProfile = null) {
+        const error = this.validateCredentials(username, password); if (error) return { error };
+        if (guestProfile?.username) return { error: 'This profile already has a username.' };
+        const passwordHash = await hashPassword(password); if (this.byUsername.has(username.toLowerCase())) return { error: 'That username is taken.' }; // Taken while hashing
+        const profile = guestProfile || this.createProfile(username, username); profile.username = username; profile.passwordHash = passwordHash; this.byUsername.set(username.toLowerCase(), profile.id);
+        console.log(`[Profiles] Registered '${username}'${guestProfile ? ' (from a guest profile)' : ''}.`); return { profile, token: this.issueToken(profile) };
+    }
+    // Resolves with { profile, token } for the right password, otherwise null
+    async login(username, password) {
+        const id = typeof username === 'string' ? this.byUsername.get(username.toLowerCase()) : null; const profile = id ? this.profiles.get(id) : null;
+        if (!profile || typeof password !== 'string' || !(await verifyPassword(password, profile.passwordHash))) return null;
+        return { profile, token: this.issueToken(profile) };
+    }
+
+    // --- Leaderboards ---
+    // period: 'all' or 'week' (the current ISO week, UTC). Profiles without any of the stat are left out.
+    getLeaderboard(period = 'all', stat = 'kills', limit = 10) {
+        const weekId = getWeekId(this.clock.now()); const statsOf = (profile) => period === 'week' ? (profile.week.id === weekId ? profile.week.stats : null) : profile.stats;
+        const entries = Array.from(this.profiles.values(), profile => ({ profile, stats: statsOf(profile) })).filter(entry => entry.stats && entry.stats[stat] > 0);
+        entries.sort((a, b) => b.stats[stat] - a.stats[stat] || a.stats.deaths - b.stats.deaths || a.profile.createdAt - b.profile.createdAt);
+        return { period: period, stat: stat, week: weekId, entries: entries.slice(0, limit).map((entry, index) => ({ rank: index + 1, name: displayName(entry.profile), registered: !!entry.profile.username, ...entry.stats })) };
+    }
+}
+
+function createStats() { const stats = {}; PROFILE_STATS.forEach(stat => { stats[stat] = 0; }); return stats; }
+function hashToken(token) { return crypto.createHash('sha256').update(token).digest('hex'); }
+function displayName(profile) { return profile.username || profile.name; }
+// What the owner sees (init, GET /api/profile): never the password or token hashes
+function serializeProfile(profile) { return { name: displayName(profile), username: profile.username, createdAt: profile.createdAt, stats: { ...profile.stats }, week: { id: profile.week.id, stats: { ...profile.week.stats } } }; }
+
+// 'scrypt$<salt>$<key>' (hex); scrypt runs off the main thread, so logins don't stall the rooms' ticks
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return new Promise((resolve, reject) => crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => error ? reject(error) : resolve(`scrypt$${salt}$${key.toString('hex')}`)));
+}
+function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = typeof stored === 'string' ? stored.split('$') : []; if (scheme !== 'scrypt' || !salt || !expected) return Promise.resolve(false);
+    const expectedKey = Buffer.from(expected, 'hex');
+    return new Promise((resolve, reject) => crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => error ? reject(error) : resolve(expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey))));
+}
+
+// ISO 8601 week in UTC, e.g. '2026-W42'; weeks start on Monday
+function getWeekId(time) {
+    const date = new Date(time); const day = date.getUTCDay() || 7; const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day);
+    const year = new Date(thursday).getUTCFullYear(); const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+module.exports = { ProfileStore, serializeProfile, getWeekId, PROFILE_STATS, LEADERBOARD_PERIODS };
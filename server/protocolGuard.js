@@ -0,0 +1,101 @@
+// Validation layer in front of the message switch: size limit, per-connection token bucket, per-type schemas and
+// plausibility checks. Every violation raises the connection's score; enough score gets a warning, then a kick, and an
+// IP that keeps getting kicked is banned for a while.
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js');
+const Protocol = require('../js/protocol.js');
+const { WEAPON_COOLDOWN } = require('./room.js');
+const { MAX_CHAT_LENGTH } = require('./chat.js');
+
+// --- CONSTANTS ---
+const MAX_MESSAGE_BYTES = 1024; // Largest legitimate message is a createRoom with a name, map and identity
+const RATE_LIMIT_PER_SECOND = 100; const RATE_LIMIT_BURST = 120; // Inputs arrive at TICK_RATE, plus fire and lobby messages
+const MAX_INPUTS_PER_SECOND = ShipPhysics.TICK_RATE * 1.5; // Fixed-step clients send one input per tick; allow catch-up bursts
+const FIRE_INTERVAL_TOLERANCE = 0.5; // Fire messages closer than half the cooldown can't come from the real client (upgrades.js keeps the fastest reload above this)
+const WARN_SCORE = 10; const KICK_SCORE = 25; const SCORE_DECAY_MS = 5000; // Score drops by 1 every SCORE_DECAY_MS
+const KICKS_BEFORE_BAN = 3; const KICK_WINDOW_MS = 10 * 60 * 1000; const BAN_DURATION_MS = 15 * 60 * 1000;
+
+// --- Schemas ---
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+const isString = (maxLength) => (value) => typeof value === 'string' && value.length <= maxLength;
+const isInteger = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const isNumberIn = (min, max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isBoolean = (value) => typeof value === 'boolean';
+// The version is checked by the lobby (an outdated client is told to reload, not scored)
+const isProtocolInfo = (value) => !!value && typeof value === 'object' && Number.isInteger(value.version) && Protocol.ENCODINGS.includes(value.encoding);
+const isIdentity = (value) => !!value && typeof value === 'object' && optional(isString(32))(value.name) && optional(isString(16))(value.color) && optional(isString(64))(value.profileToken);
+const MESSAGE_SCHEMAS = {
+    listRooms: {},
+    createRoom: { name: optional(isString(64)), maxPlayers: optional(isInteger(1, 64)), isPrivate: optional(isBoolean), map: optional(isString(64)), seed: optional((value) => isString(32)(value) || Number.isFinite(value)), mode: optional(isString(16)), player: optional(isIdentity), protocol: optional(isProtocolInfo) },
+    joinRoom: { roomId: optional(isString(32)), player: optional(isIdentity), protocol: optional(isProtocolInfo), spectate: optional(isBoolean) },
+    resume: { roomId: isString(32), resumeToken: isString(64), player: optional(isIdentity), protocol: optional(isProtocolInfo) },
+    input: { seq: isInteger(1, Number.MAX_SAFE_INTEGER), throttle: isNumberIn(-1, 1), rudder: isNumberIn(-1, 1) },
+    fire: {},
+    buyUpgrade: { upgrade: isString(16) },
+    chat: { channel: isString(16), text: isString(MAX_CHAT_LENGTH), to: optional(isString(32)) }, // The client's input is limited to MAX_CHAT_LENGTH too
+    chatBlock: { name: isString(32), blocked: isBoolean }
+};
+// Returns the name of the first invalid field, or null when the message matches its schema
+function validateMessage(data) {
+    const schema = MESSAGE_SCHEMAS[data.type]; if (!schema) return 'type';
+    for (const [field, check] of Object.entries(schema)) { if (!check(data[field])) return field; }
+    return null;
+}
+
+class ProtocolGuard {
+    constructor({ now = Date.now } = {}) { this.now = now; this.bans = new Map(); this.kickHistory = new Map(); } // ip -> ban expiry, ip -> [kick times]
+
+    isBanned(ip) { const expiresAt = this.bans.get(ip); if (!expiresAt) return false; if (this.now() >= expiresAt) { this.bans.delete(ip); return false; } return true; }
+    // Manual bans from the admin API
+    ban(ip, durationMs) { this.bans.set(ip, this.now() + durationMs); console.warn(`[Guard] Banning ${ip} for ${Math.round(durationMs / 60000)} minutes (admin).`); }
+    unban(ip) { this.kickHistory.delete(ip); return this.bans.delete(ip); }
+    listBans() { return Array.from(this.bans.keys()).filter(ip => this.isBanned(ip)).map(ip => ({ ip: ip, expiresAt: this.bans.get(ip) })); }
+    attach(ws, ip) { const now = this.now(); ws.guard = { ip: ip, tokens: RATE_LIMIT_BURST, lastRefill: now, score: 0, lastDecay: now, warned: false, kicked: false, inputWindowStart: now, inputCount: 0, lastFireTime: 0 }; }
+
+    // Returns the parsed message, or null if it must be dropped. Binary frames are only accepted once the join handshake chose them.
+    inspect(ws, message, isBinary = false) {
+        const guard = ws.guard; if (guard.kicked) return null; const now = this.now(); this.decayScore(guard, now);
+        const size = Buffer.isBuffer(message) ? message.length : Buffer.byteLength(String(message)); if (size > MAX_MESSAGE_BYTES) { this.recordViolation(ws, `message of ${size} bytes`, 5); return null; }
+        guard.tokens = Math.min(RATE_LIMIT_BURST, guard.tokens + (now - guard.lastRefill) / 1000 * RATE_LIMIT_PER_SECOND); guard.lastRefill = now;
+        if (guard.tokens < 1) { this.recordViolation(ws, 'rate limit exceeded', 1); return null; } guard.tokens -= 1;
+        if (isBinary) { const decoded = ws.encoding === 'binary' ? Protocol.decode(message) : null; if (!decoded) { this.recordViolation(ws, ws.encoding === 'binary' ? 'malformed binary message' : 'binary message before the handshake', 3); return null; } return this.checkMessage(ws, decoded, now); }
+        let data; try { data = JSON.parse(message); } catch (error) { this.recordViolation(ws, 'malformed JSON', 3); return null; }
+        return this.checkMessage(ws, data, now);
+    }
+    checkMessage(ws, data, now) {
+        if (!data || typeof data !== 'object' || typeof data.type !== 'string') { this.recordViolation(ws, 'message without type', 3); return null; }
+        const invalidField = validateMessage(data); if (invalidField) { this.recordViolation(ws, invalidField === 'type' ? `unknown message type '${String(data.type).substring(0, 32)}'` : `invalid '${invalidField}' in ${data.type}`, invalidField === 'type' ? 3 : 2); return null; }
+        return this.checkPlausibility(ws, data, now) ? data : null;
+    }
+
+    // Positions and speeds come from the server simulation, so what's left to check is how fast the client drives it
+    checkPlausibility(ws, data, now) {
+        const guard = ws.guard;
+        if (data.type === 'input') {
+            if (now - guard.inputWindowStart >= 1000) { guard.inputWindowStart = now; guard.inputCount = 0; }
+            if (++guard.inputCount > MAX_INPUTS_PER_SECOND) { this.recordViolation(ws, `more than ${MAX_INPUTS_PER_SECOND} inputs/s (speed hack?)`, 2); return false; }
+        } else if (data.type === 'fire') {
+            const interval = now - guard.lastFireTime; guard.lastFireTime = now;
+            if (interval < WEAPON_COOLDOWN * FIRE_INTERVAL_TOLERANCE) { this.recordViolation(ws, `fired ${interval}ms after the last shot (cooldown ${WEAPON_COOLDOWN}ms)`, 1); return false; }
+        }
+        return true;
+    }
+
+    decayScore(guard, now) { const steps = Math.floor((now - guard.lastDecay) / SCORE_DECAY_MS); if (steps > 0) { guard.score = Math.max(0, guard.score - steps); guard.lastDecay += steps * SCORE_DECAY_MS; if (guard.score < WARN_SCORE) guard.warned = false; } }
+
+    recordViolation(ws, reason, weight) {
+        const guard = ws.guard; guard.score += weight; console.warn(`[Guard] ${guard.ip} (${ws.playerId || 'lobby'}) violation: ${reason} (+${weight}, score ${guard.score})`);
+        if (guard.score >= KICK_SCORE) { this.kick(ws, reason); return; }
+        if (guard.score >= WARN_SCORE && !guard.warned) { guard.warned = true; if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'warning', reason: `Your client is sending invalid or too many messages (${reason}).` })); }
+    }
+
+    kick(ws, reason) {
+        const ip = ws.guard.ip; ws.guard.kicked = true; const now = this.now(); const kicks = (this.kickHistory.get(ip) || []).filter(time => now - time < KICK_WINDOW_MS); kicks.push(now); this.kickHistory.set(ip, kicks);
+        const banned = kicks.length >= KICKS_BEFORE_BAN; if (banned) { this.bans.set(ip, now + BAN_DURATION_MS); this.kickHistory.delete(ip); }
+        console.warn(`[Guard] ${banned ? 'Banning' : 'Kicking'} ${ip} (${ws.playerId || 'lobby'}): ${reason}.${banned ? ` Banned for ${BAN_DURATION_MS / 60000} minutes.` : ` Kick ${kicks.length}/${KICKS_BEFORE_BAN}.`}`);
+        if (ws.room) ws.room.handlePlayerCleanup(ws.playerId, `Kicked by guard (${reason})`); // No grace period / resume for kicked ships
+        ws.close(banned ? Protocol.CLOSE_CODE_BANNED : Protocol.CLOSE_CODE_KICKED, banned ? 'Banned' : 'Kicked');
+    }
+}
+
+module.exports = { ProtocolGuard, validateMessage, MAX_MESSAGE_BYTES, FIRE_INTERVAL_TOLERANCE };
@@ -0,0 +1,22 @@
+// Seeded pseudo-random numbers so a world (and its spawn sequence) can be recreated from its seed
+// --- CONSTANTS ---
+const MAX_SEED = 0xFFFFFFFF;
+
+// Hashes any string/number seed to a 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+    const text = String(seed); let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) { hash ^= text.charCodeAt(i); hash = Math.imul(hash, 0x01000193); }
+    return hash >>> 0;
+}
+
+// Returns a random() function like Math.random(), driven by mulberry32. The original seed is kept on random.seed.
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    const random = () => { state = (state + 0x6D2B79F5) >>> 0; let t = state; t = Math.imul(t ^ (t >>> 15), t | 1); t ^= t + Math.imul(t ^ (t >>> 7), t | 61); return ((t ^ (t >>> 14)) >>> 0) / 4294967296; };
+    random.seed = seed;
+    return random;
+}
+
+function generateSeed(random = Math.random) { return Math.floor(random() * MAX_SEED).toString(36); }
+
+module.exports = { hashSeed, createRandom, generateSeed };
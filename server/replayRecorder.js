@@ -0,0 +1,53 @@
+// Match recording: gzipped NDJSON files covering a public room from the first human joining until it empties. A match
+// starting or ending, a new world and every 30 minutes start a new file, so each team match has its own. The first line
+// is a header with the world and the ships at the start; every following line is [tick, 'e', message] for a broadcast
+// event or [tick, 's', [[id, x, z, r, s, health], ...]] for the ships whose state changed that tick. game.html?replay
+// plays the file back (see js/replay.js).
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const ShipPhysics = require('../js/physics.js');
+
+// --- CONSTANTS ---
+const REPLAY_VERSION = 1;
+const REPLAY_FILE_PATTERN = /^[a-z0-9-]+\.replay\.gz$/; // Names created here, never paths
+const MAX_REPLAY_TICKS = ShipPhysics.TICK_RATE * 60 * 30; // Long-running rooms start a new file every 30 minutes
+const MAX_REPLAY_FILES = 100; // Starting a recording deletes the oldest files beyond this
+
+class ReplayRecorder {
+    // header: { room, world, players, projectiles, scoreboard, match } as sent in init; startedAt: clock time for the file name
+    constructor(replayDir, { startTick, startedAt, header }) {
+        this.startTick = startTick; this.lastStates = new Map(); // playerId -> last recorded tuple
+        this.fileName = `${String(header.room.id).toLowerCase().replace(/[^a-z0-9-]/g, '')}-${startedAt}.replay.gz`; this.filePath = path.join(replayDir, this.fileName);
+        fs.mkdirSync(replayDir, { recursive: true }); pruneReplays(replayDir, MAX_REPLAY_FILES - 1);
+        this.gzip = zlib.createGzip(); const file = this.gzip.pipe(fs.createWriteStream(this.filePath)).on('error', (error) => console.error(`[Replay] Could not write ${this.filePath}:`, error.message));
+        this.finished = new Promise(resolve => file.on('close', resolve)); // Resolves once close() has flushed the whole file
+        this.writeLine({ type: 'replayHeader', version: REPLAY_VERSION, tickRate: ShipPhysics.TICK_RATE, startTick: startTick, startedAt: startedAt, ...header });
+        header.players.forEach(player => this.lastStates.set(player.id, toStateTuple(player)));
+        console.log(`[Replay] Recording ${this.fileName}.`);
+    }
+
+    get isFull() { return this.lastTick - this.startTick >= MAX_REPLAY_TICKS; }
+    recordEvent(tick, data) { this.lastTick = tick; this.writeLine([tick, 'e', data]); }
+    // Only ships whose rounded state changed since the last recorded tick are written
+    recordTick(tick, players) {
+        this.lastTick = tick; const changed = [];
+        players.forEach(player => { const tuple = toStateTuple(player); const previous = this.lastStates.get(player.id); if (!previous || tuple.some((value, index) => value !== previous[index])) { changed.push(tuple); this.lastStates.set(player.id, tuple); } });
+        if (changed.length) this.writeLine([tick, 's', changed]);
+    }
+    close() { if (!this.gzip) return; this.gzip.end(); this.gzip = null; console.log(`[Replay] Finished ${this.fileName} (${(this.lastTick || this.startTick) - this.startTick} ticks).`); }
+    writeLine(value) { if (this.gzip) this.gzip.write(JSON.stringify(value) + '\n'); }
+}
+
+function roundTo(value, decimals) { const factor = Math.pow(10, decimals); return Math.round(value * factor) / factor; }
+function toStateTuple(player) { return [player.id, roundTo(player.position.x, 2), roundTo(player.position.z, 2), roundTo(player.rotation, 3), roundTo(player.speed, 3), player.health]; }
+
+// Newest first (by the start time in the file name)
+function listReplays(replayDir) { try { return fs.readdirSync(replayDir).filter(file => REPLAY_FILE_PATTERN.test(file)).sort((a, b) => startedAtOf(b) - startedAtOf(a) || b.localeCompare(a)); } catch (error) { return []; } }
+function startedAtOf(fileName) { return Number(fileName.match(/-(\d+)\.replay\.gz$/)?.[1]) || 0; }
+// Deletes all but the newest keep replays
+function pruneReplays(replayDir, keep) { listReplays(replayDir).slice(keep).forEach(file => { try { fs.unlinkSync(path.join(replayDir, file)); console.log(`[Replay] Deleted old replay ${file}.`); } catch (error) { console.warn(`[Replay] Could not delete ${file}:`, error.message); } }); }
+// Absolute path of a replay in replayDir, or null for anything that isn't a replay file name
+function resolveReplayPath(replayDir, fileName) { return typeof fileName === 'string' && REPLAY_FILE_PATTERN.test(fileName) ? path.join(replayDir, fileName) : null; }
+
+module.exports = { ReplayRecorder, listReplays, pruneReplays, resolveReplayPath, REPLAY_VERSION, MAX_REPLAY_FILES };
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js');
+const Protocol = require('../js/protocol.js');
+const { buildWorld } = require('./world.js');
+const { createRandom } = require('./random.js');
+const { sanitizePlayerName, sanitizeShipColor } = require('./identity.js');
+const { SpatialGrid } = require('./spatialGrid.js');
+const { createBotBrain, pickBotName, updateBot } = require('./bots.js');
+const { systemClock } = require('./clock.js');
+const { ReplayRecorder } = require('./replayRecorder.js');
+const { Match } = require('./match.js');
+const { LootField, serializeLoot } = require('./loot.js');
+const { Environment } = require('./environment.js');
+const { createSettings } = require('./settings.js');
+const { serializeProfile } = require('./profiles.js');
+const { CHAT_HISTORY_SIZE, CHAT_CHANNELS, CHAT_AUTO_MUTE_TIME, DEFAULT_BLOCKED_WORDS, createChatFilter, cleanChatText, createChatState, takeChatToken, addChatStrike } = require('./chat.js');
+const { BASE_HEALTH, BASE_WEAPON_COOLDOWN, createUpgrades, applyUpgrades, purchaseUpgrade, serializeUpgrades, getUpgradeCatalog } = require('./upgrades.js');
+
+// --- CONSTANTS ---
+const MAX_WEAPON_RANGE = ShipPhysics.PROJECTILE_MAX_DISTANCE; const WEAPON_COOLDOWN = BASE_WEAPON_COOLDOWN; // Before upgrades (see upgrades.js); damage and respawn time are runtime settings
+const PING_INTERVAL = 20000; const CLIENT_TIMEOUT = 45000;
+const RESUME_GRACE_PERIOD = 30000; // A dropped player's ship is kept this long for a resume
+const TICK_MS = 1000 / ShipPhysics.TICK_RATE; const SNAPSHOT_EVERY_TICKS = 3; // 60Hz simulation, 20Hz snapshots
+const MAX_CATCHUP_TICKS = 5; const MAX_INPUT_QUEUE = 30; // Bound work after a stall and inputs buffered per player
+const NEUTRAL_INPUT = { throttle: 0, rudder: 0 };
+const DEFAULT_MAX_PLAYERS = 16;
+const VIEW_RADIUS = 400; // Matches the client minimap half-extent; ships further away are left out of a client's snapshots
+const SCOREBOARD_EVERY_TICKS = 30; // At most two scoreboard pushes per second, and only when something changed
+const TICK_TIMING_SAMPLES = 300; // Last 5 seconds of tick durations, for the metrics
+const MAX_SPECTATORS = 32; // Per room, on top of the player slots
+
+// A Room is one independent match: its own players, islands, projectiles, tick loop and heartbeat.
+class Room {
+    // world: { seed } or { map } (see buildWorld); throws if the map can't be loaded.
+    // botCount: bots sailing with a lone human; each extra human replaces one, and an empty room has none.
+    // settings: runtime settings shared with other rooms (see settings.js); when omitted the room gets its own, using botCount.
+    // clock / random: injectable time source (see clock.js) and RNG for player ids and unseeded worlds, for tests.
+    // replayDir: when set, public rooms are recorded there (see replayRecorder.js). Private rooms never are: replays are served to anyone.
+    // mode: a game mode id from gameModes.js ('ffa', 'tdm', 'treasure'); throws if unknown.
+    // blockedWords: the chat profanity filter's word list (see chat.js). profiles: a ProfileStore for lifetime stats (see profiles.js), or null.
+    constructor({ id, name, maxPlayers = DEFAULT_MAX_PLAYERS, isPublic = true, world = {}, mode = 'ffa', botCount = 0, clock = systemClock, random = Math.random, replayDir = null, blockedWords = DEFAULT_BLOCKED_WORDS, settings = null, profiles = null } = {}) {
+        this.id = id; this.name = name || id; this.maxPlayers = maxPlayers; this.isPublic = isPublic; this.settings = settings || createSettings({ botCount }); this.profiles = profiles; this.clock = clock; this.baseRandom = random; this.createdAt = clock.now();
+        this.gameState = { players: new Map(), projectiles: new Map(), world: buildWorld(world, random) };
+        this.random = createRandom(`${this.gameState.world.seed}:spawns`); // Spawn sequence is reproducible from the world seed
+        this.botRandom = createRandom(`${this.gameState.world.seed}:bots`); this.botsCreated = 0;
+        this.match = new Match(this, mode); // Phases, teams and objectives of the game mode
+        this.loot = new LootField(this.gameState.world, clock.now()); // Wrecks and island treasure worth gold
+        this.environment = new Environment(this.gameState.world.seed, clock.now()); // Wind, storms and time of day
+        this.chatHistory = []; this.filterChat = createChatFilter(blockedWords); this.onGlobalChat = null; // Set by the RoomManager to reach every room
+        this.sockets = new Map(); // playerId -> ws
+        this.spectators = new Map(); // spectatorId -> ws, watching without a ship (see addSpectator)
+        this.viewStates = new Map(); // playerId -> Map(entityId -> last snapshot entry sent to that client)
+        this.grid = new SpatialGrid(VIEW_RADIUS);
+        this.currentTick = 0; this.lastTickTime = this.clock.now(); this.tickAccumulator = 0; this.nextProjectileId = 1;
+        this.simulationInterval = null; this.heartbeatInterval = null; this.respawnTimeouts = new Set(); this.scoreboardDirty = false;
+        this.replayDir = replayDir; this.recorder = null;
+        this.tickDurations = new Float64Array(TICK_TIMING_SAMPLES); this.tickTimingCount = 0; // Ring buffer of wall-clock ms per simulation tick
+        this.onEmpty = null; // Set by the RoomManager
+    }
+
+    start() {
+        if (this.simulationInterval) return; this.lastTickTime = this.clock.now();
+        this.simulationInterval = this.clock.setInterval(() => this.runPendingTicks(), TICK_MS);
+        this.heartbeatInterval = this.clock.setInterval(() => this.heartbeat(), PING_INTERVAL);
+        console.log(`[Room ${this.id}] Started '${this.name}' (max ${this.maxPlayers} players, ${this.isPublic ? 'public' : 'private'}).`);
+    }
+    stop() {
+        this.clock.clearInterval(this.simulationInterval); this.clock.clearInterval(this.heartbeatInterval); this.simulationInterval = null; this.heartbeatInterval = null;
+        this.respawnTimeouts.forEach(timeoutId => this.clock.clearTimeout(timeoutId)); this.respawnTimeouts.clear(); this.gameState.players.forEach(player => this.clock.clearTimeout(player.graceTimeout));
+        this.stopRecording(); this.sockets.forEach(ws => ws.close(1001, 'Room closed')); this.spectators.forEach(ws => ws.close(1001, 'Room closed')); console.log(`[Room ${this.id}] Stopped.`);
+    }
+
+    // Humans only: bots never take a player slot or keep a room open
+    get playerCount() { let humans = 0; this.gameState.players.forEach(player => { if (!player.bot) humans++; }); return humans; }
+    get activeBotCount() { return this.gameState.players.size - this.playerCount; }
+    isFull() { return this.playerCount >= this.maxPlayers; }
+    getSummary() { return { id: this.id, name: this.name, players: this.playerCount, bots: this.activeBotCount, spectators: this.spectators.size, maxPlayers: this.maxPlayers, isPublic: this.isPublic, seed: this.gameState.world.seed, map: this.gameState.world.mapName, mode: this.match.mode.id, modeName: this.match.mode.name }; }
+
+    // Swaps in a new world (e.g. the next map between matches): every ship respawns and every client gets a fresh init
+    loadWorld(worldOptions) {
+        const gameState = this.gameState; gameState.world = buildWorld(worldOptions, this.baseRandom); gameState.projectiles.clear(); this.random = createRandom(`${gameState.world.seed}:spawns`);
+        console.log(`[Room ${this.id}] Loaded world '${gameState.world.mapName || gameState.world.seed}'.`); this.match.onWorldLoaded(); this.loot.reset(gameState.world, this.clock.now()); this.environment.reset(gameState.world.seed, this.clock.now());
+        gameState.players.forEach(player => { Object.assign(player, { position: this.match.getSpawnPoint(player), rotation: 0, speed: 0, health: player.maxHealth, input: NEUTRAL_INPUT, inputQueue: [], lastQueuedSeq: 0, lastInputSeq: 0 }); if (player.bot) player.bot = createBotBrain(); });
+        this.sockets.forEach((ws, playerId) => this.sendInit(ws, playerId)); this.spectators.forEach((ws, spectatorId) => this.sendInit(ws, spectatorId));
+        this.restartRecording(); // A new world starts a new file
+    }
+
+    // --- Replay Recording ---
+    startRecording() {
+        if (!this.replayDir || !this.isPublic || this.recorder) return; const gameState = this.gameState;
+        const header = { room: this.getSummary(), world: gameState.world, players: Array.from(gameState.players.values(), serializePlayer), projectiles: Array.from(gameState.projectiles.values(), serializeProjectile), scoreboard: this.getScoreboard(), match: this.match.serialize(), loot: this.loot.serialize(), environment: this.environment.serialize(this.clock.now()), chat: this.getChatHistory(null) };
+        try { this.recorder = new ReplayRecorder(this.replayDir, { startTick: this.currentTick, startedAt: this.clock.now(), header: header }); } catch (error) { console.error(`[Room ${this.id}] Could not start replay recording:`, error.message); }
+    }
+    stopRecording() { if (this.recorder) { this.recorder.close(); this.recorder = null; } }
+    // Closes the current file and carries on in a new one (a new world or match, or a long recording); no-op when not recording
+    restartRecording() { if (this.recorder) { this.stopRecording(); this.startRecording(); } }
+
+    // --- Joining & Leaving ---
+    // identity: { name, color } from the join handshake, validated here
+    addPlayer(ws, identity = {}) {
+        this.startRecording(); // No-op unless replays are on, the room is public and this is the first human
+        const known = this.profiles ? this.profiles.findByToken(identity.profileToken) : null; // Accounts sail under their username unless another name was chosen
+        const gameState = this.gameState; const playerData = this.createPlayerData({ ...identity, name: identity.name || known?.username }); const playerId = playerData.id; ws.playerId = playerId; ws.room = this;
+        const profileToken = this.attachProfile(playerData, identity.profileToken);
+        gameState.players.set(playerId, playerData); this.sockets.set(playerId, ws); this.scoreboardDirty = true; console.log(`[Room ${this.id}] Player ${playerId} ('${playerData.name}') joined. Spawned at (${playerData.position.x.toFixed(1)}, ${playerData.position.z.toFixed(1)}). Total players: ${gameState.players.size}`);
+        const initData = this.sendInit(ws, playerId, profileToken ? { profileToken: profileToken } : {}); console.log(`[Server Init] Sent init data to ${playerId}. Players included: ${initData.gameState.players.map(p => p.id)}`);
+        this.broadcast({ type: 'playerJoined', player: serializePlayer(playerData) }, ws); this.systemChat(`${playerData.name} joined the room.`);
+        this.rebalanceBots();
+        return playerData;
+    }
+    // A fresh ship at a spawn point (its team's, in team modes); shared by humans and bots
+    createPlayerData(identity = {}) {
+        const gameState = this.gameState; const playerId = this.clock.now().toString() + this.baseRandom().toString(36).substring(2, 7); const team = this.match.pickTeam(); const initialPosition = this.match.getSpawnPoint({ team: team });
+        const takenNames = new Set(Array.from(gameState.players.values(), player => player.name.toLowerCase())); const name = sanitizePlayerName(identity.name, takenNames, this.baseRandom); const color = sanitizeShipColor(identity.color, gameState.players.size);
+        const playerData = { id: playerId, resumeToken: crypto.randomBytes(16).toString('hex'), connected: true, graceTimeout: null, name: name, color: color, position: initialPosition, rotation: 0, speed: 0, health: BASE_HEALTH, team: team, lastUpdate: this.clock.now(), ping: null, lastShotTime: 0, input: NEUTRAL_INPUT, inputQueue: [], lastQueuedSeq: 0, lastInputSeq: 0, stats: { kills: 0, deaths: 0, damageDealt: 0 }, gold: 0, upgrades: createUpgrades(), chat: createChatState() };
+        applyUpgrades(playerData); return playerData;
+    }
+
+    // --- Spectators ---
+    // A spectator has no ship and no player data: it takes no slot, isn't in the player counts or the scoreboard, never keeps
+    // the room open, and anything it sends is ignored. It gets every ship in its snapshots (no view radius, no 'self'), every
+    // event and the chat except team channels. Returns { room } or { error }.
+    addSpectator(ws) {
+        if (this.spectators.size >= MAX_SPECTATORS) return { error: `Room '${this.name}' has too many spectators (${MAX_SPECTATORS}).` };
+        const spectatorId = `spectator-${this.clock.now().toString(36)}${this.baseRandom().toString(36).substring(2, 7)}`; ws.playerId = spectatorId; ws.room = this; ws.isSpectator = true; ws.lastSeen = this.clock.now();
+        this.spectators.set(spectatorId, ws); console.log(`[Room ${this.id}] Spectator ${spectatorId} joined. Spectators: ${this.spectators.size}`);
+        this.sendInit(ws, spectatorId); return { room: this };
+    }
+    removeSpectator(spectatorId, reason = 'Unknown') { if (!this.spectators.delete(spectatorId)) return; this.viewStates.delete(spectatorId); console.log(`[Room ${this.id}] Spectator ${spectatorId} left (${reason}). Spectators: ${this.spectators.size}`); }
+
+    // --- Profiles ---
+    // Links a human to their profile (a new guest for an unknown token). Returns the new guest's token, which only init carries.
+    attachProfile(player, token) { if (!this.profiles) return null; const { profile, token: newToken } = this.profiles.resolve(token, player.name); player.profileId = profile.id; return newToken; }
+    recordProfileStats(player, changes) { if (this.profiles && player.profileId) this.profiles.addStats(player.profileId, changes); }
+    // Phased modes count a match for every human sailing when it ends; winners are the winning team's
+    recordMatchResults(winner) { this.gameState.players.forEach(player => this.recordProfileStats(player, { matches: 1, wins: winner.team !== undefined && player.team === winner.team ? 1 : 0 })); }
+
+    // --- Bots ---
+    // Keeps botCount bots next to a lone human, one fewer per extra human, never more than the free slots, none when empty
+    rebalanceBots() {
+        const humans = this.playerCount; const wanted = humans > 0 ? Math.max(0, Math.min(this.settings.botCount - (humans - 1), this.maxPlayers - humans)) : 0;
+        while (this.activeBotCount < wanted) this.addBot();
+        if (this.activeBotCount > wanted) { const bots = Array.from(this.gameState.players.values()).filter(player => player.bot); bots.slice(wanted).forEach(bot => this.handlePlayerCleanup(bot.id, 'Bot no longer needed')); }
+    }
+    addBot() {
+        const bot = this.createPlayerData({ name: pickBotName(this.botsCreated++) }); bot.resumeToken = null; bot.bot = createBotBrain(); this.gameState.players.set(bot.id, bot); this.scoreboardDirty = true;
+        console.log(`[Room ${this.id}] Bot ${bot.id} ('${bot.name}') joined. Spawned at (${bot.position.x.toFixed(1)}, ${bot.position.z.toFixed(1)}).`);
+        this.broadcast({ type: 'playerJoined', player: serializePlayer(bot) });
+    }
+
+    // Only the owning client ever receives its resumeToken (and its gold / upgrades, with the upgrade catalog)
+    createInitData(playerId) {
+        const gameState = this.gameState; const player = gameState.players.get(playerId); const spectator = this.spectators.has(playerId);
+        return { type: 'init', playerId: playerId, spectator: spectator, resumeToken: player?.resumeToken, tick: this.currentTick, room: this.getSummary(), seed: gameState.world.seed, scoreboard: this.getScoreboard(), match: this.match.serialize(), environment: this.environment.serialize(this.clock.now()), chat: this.getChatHistory(player), profile: player?.profileId ? serializeProfile(this.profiles.get(player.profileId)) : null, economy: player ? { catalog: getUpgradeCatalog(), ...serializeUpgrades(player) } : null, gameState: { players: Array.from(gameState.players.values(), serializePlayer), projectiles: Array.from(gameState.projectiles.values(), serializeProjectile), loot: this.loot.serialize(), world: gameState.world } };
+    }
+
+    // Every init is a full state, so the next snapshots to this client start again from scratch (no deltas)
+    sendInit(ws, playerId, extra = {}) { const initData = { ...this.createInitData(playerId), protocol: { version: Protocol.PROTOCOL_VERSION, encoding: ws.encoding || 'json' }, ...extra }; this.viewStates.set(playerId, new Map()); safeSend(ws, initData); return initData; }
+
+    // --- Scoreboard ---
+    getScoreboard() { return Array.from(this.gameState.players.values(), player => ({ id: player.id, name: player.name, color: player.color, team: player.team, isBot: !!player.bot, ...player.stats })).sort((a, b) => b.kills - a.kills || a.deaths - b.deaths || b.damageDealt - a.damageDealt); }
+    pushScoreboardIfDirty() { if (!this.scoreboardDirty) return; this.scoreboardDirty = false; this.broadcast({ type: 'scoreboard', entries: this.getScoreboard() }); }
+
+    // --- Disconnect & Resume ---
+    // A dropped socket keeps its ship for RESUME_GRACE_PERIOD; other clients see it as reconnecting instead of leaving.
+    handleDisconnect(ws, reason = 'Unknown') {
+        if (ws.isSpectator) { this.removeSpectator(ws.playerId, reason); return; } // Nothing to hold, a spectator just joins again
+        const playerId = ws.playerId; if (this.sockets.get(playerId) !== ws) return; // Already replaced by a resumed socket
+        this.sockets.delete(playerId); const player = this.gameState.players.get(playerId); if (!player) return;
+        player.connected = false; player.input = NEUTRAL_INPUT; player.inputQueue = []; console.log(`[Room ${this.id}] Player ${playerId} disconnected (${reason}). Holding ship for ${RESUME_GRACE_PERIOD / 1000}s.`);
+        this.broadcast({ type: 'playerReconnecting', playerId: playerId }); this.match.onPlayerLeft(player); // An idle ship mustn't hold the treasure through the grace period
+        player.graceTimeout = this.clock.setTimeout(() => this.handlePlayerCleanup(playerId, `No resume within grace period (${reason})`), RESUME_GRACE_PERIOD);
+    }
+    // Reattaches a socket to the ship owning resumeToken. Returns the player, or null if the token is unknown here.
+    resumePlayer(ws, resumeToken) {
+        if (typeof resumeToken !== 'string') return null; const player = Array.from(this.gameState.players.values()).find(candidate => candidate.resumeToken === resumeToken); if (!player) return null;
+        const oldWs = this.sockets.get(player.id); this.sockets.set(player.id, ws); if (oldWs && oldWs !== ws) oldWs.terminate(); // Server hadn't noticed the drop yet
+        this.clock.clearTimeout(player.graceTimeout); player.graceTimeout = null; ws.playerId = player.id; ws.room = this;
+        Object.assign(player, { connected: true, lastUpdate: this.clock.now(), inputQueue: [], lastQueuedSeq: 0, lastInputSeq: 0 }); // Client restarts its input sequence on init
+        console.log(`[Room ${this.id}] Player ${player.id} ('${player.name}') resumed their session.`);
+        this.sendInit(ws, player.id, { resumed: true }); this.broadcast({ type: 'playerResumed', player: serializePlayer(player) }, ws);
+        return player;
+    }
+
+    // --- Refactored Player Cleanup Logic ---
+    handlePlayerCleanup(playerId, reason = 'Unknown') {
+        const gameState = this.gameState; const player = gameState.players.get(playerId); if (!player) return; console.log(`[Cleanup] Removing player ${playerId} from room ${this.id}. Reason: ${reason}.`); this.clock.clearTimeout(player.graceTimeout); this.match.onPlayerLeft(player); this.sockets.delete(playerId); this.viewStates.delete(playerId); const deleted = gameState.players.delete(playerId); if (deleted) { console.log(`[Cleanup] Player ${playerId} removed from gameState. Total players: ${gameState.players.size}`); this.broadcast({ type: 'playerLeft', playerId: playerId }); this.scoreboardDirty = true; } else { console.warn(`[Cleanup] Attempted to remove player ${playerId}, but they were not found in the map.`); }
+        if (player.bot) return; if (deleted) this.systemChat(`${player.name} left the room.`); this.rebalanceBots();
+        if (!this.match.mode.phases) this.recordProfileStats(player, { matches: 1 }); if (this.profiles) this.profiles.save(); // A free-for-all session counts as one match
+        if (this.playerCount === 0) { this.stopRecording(); if (this.onEmpty) this.onEmpty(this); }
+    }
+
+    handleMessage(playerId, data) {
+        const player = this.gameState.players.get(playerId); if (!player) return; player.lastUpdate = this.clock.now();
+        switch (data.type) { case 'input': this.queuePlayerInput(player, data); break; case 'fire': this.handleFire(player); break; case 'buyUpgrade': this.handleBuyUpgrade(player, data.upgrade); break; case 'chat': this.handleChat(player, data); break; case 'chatBlock': this.handleChatBlock(player, data.name, data.blocked); break; default: console.log(`Unknown message type from ${playerId}: ${data.type}`); }
+    }
+    handlePong(playerId) { const spectator = this.spectators.get(playerId); if (spectator) { spectator.lastSeen = this.clock.now(); return; } const player = this.gameState.players.get(playerId); if (!player) return; const now = this.clock.now(); player.lastUpdate = now; const ws = this.sockets.get(playerId); if (ws?.pingSentAt) player.ping = now - ws.pingSentAt; } // Round trip of the heartbeat ping
+
+    // --- Heartbeat and Timeout ---
+    heartbeat() {
+        const now = this.clock.now(); this.sockets.forEach((client, playerId) => { const player = this.gameState.players.get(playerId); if (!player) { console.warn(`[Interval] Client ${playerId} connected but not in gameState. Terminating.`); client.terminate(); this.sockets.delete(playerId); return; } if (now - player.lastUpdate > CLIENT_TIMEOUT) { console.log(`[Interval] Player ${playerId} timed out. Terminating.`); this.handleDisconnect(client, 'Client Activity Timeout'); client.terminate(); } else { if (client.readyState === WebSocket.OPEN) { client.pingSentAt = now; client.ping(); } } });
+        this.spectators.forEach((client, spectatorId) => { if (now - client.lastSeen > CLIENT_TIMEOUT) { this.removeSpectator(spectatorId, 'Client Activity Timeout'); client.terminate(); } else if (client.readyState === WebSocket.OPEN) { client.pingSentAt = now; client.ping(); } });
+    }
+
+    // --- Authoritative Simulation ---
+    // Clients only send inputs; every tick each ship consumes one queued input (or repeats its last one) and is stepped with the shared physics.
+    queuePlayerInput(player, data) {
+        if (!Number.isInteger(data.seq) || data.seq <= player.lastQueuedSeq) return; // Ignore duplicates / out-of-order inputs
+        player.lastQueuedSeq = data.seq; player.inputQueue.push({ seq: data.seq, throttle: ShipPhysics.clampInput(data.throttle), rudder: ShipPhysics.clampInput(data.rudder) });
+        if (player.inputQueue.length > MAX_INPUT_QUEUE) player.inputQueue.shift(); // Client is running ahead of the server, drop the oldest
+    }
+    simulatePlayer(player) {
+        if (player.bot) updateBot(player, this); // Bots pick their input (and fire) right before being stepped like everyone else
+        const queued = player.inputQueue.shift(); if (queued) { player.input = queued; player.lastInputSeq = queued.seq; }
+        const previousX = player.position.x; const previousZ = player.position.z;
+        const wind = this.environment.getWind(); ShipPhysics.stepShip(player, player.health > 0 ? player.input : NEUTRAL_INPUT, ShipPhysics.TICK_DT, this.gameState.world.islands, this.gameState.world.worldBounds, wind);
+        // Plausibility: a ship can never outrun its (upgraded) max speed with the best wind plus storm drift, or end up inside an island; if it does, undo the step
+        const moved = Math.hypot(player.position.x - previousX, player.position.z - previousZ);
+        if (moved > player.maxSpeed * ShipPhysics.WIND_MAX_SPEED_FACTOR + wind.drift + 1e-6 || (moved > 0 && ShipPhysics.collidesWithIslands(player.position.x, player.position.z, this.gameState.world.islands))) { console.warn(`[Room ${this.id}] Implausible move for ${player.id} (${moved.toFixed(3)} units in one tick). Reverting.`); player.position.x = previousX; player.position.z = previousZ; player.speed = 0; }
+    }
+    simulationTick() {
+        const gameState = this.gameState; this.currentTick++; this.updateEnvironment(); gameState.players.forEach(player => this.simulatePlayer(player)); gameState.projectiles.forEach(projectile => this.simulateProjectile(projectile)); this.updateLoot(); this.match.tick();
+        if (this.recorder) { this.recorder.recordTick(this.currentTick, gameState.players); if (this.recorder.isFull) this.restartRecording(); }
+        if (this.currentTick % SCOREBOARD_EVERY_TICKS === 0) this.pushScoreboardIfDirty();
+        if (this.currentTick % SNAPSHOT_EVERY_TICKS === 0) this.sendSnapshots();
+    }
+
+    // --- Weather & Time of Day ---
+    updateEnvironment() { const now = this.clock.now(); if (this.environment.update(now)) this.broadcast({ type: 'environment', ...this.environment.serialize(now) }, null, true); }
+
+    // --- Interest Management & Delta Snapshots ---
+    // Each client gets its own snapshot: only ships within VIEW_RADIUS (less in a storm), and for those only the fields that changed since
+    // the last snapshot it was sent. Ships that drop out of view are listed in 'removed'. The client's own ship is always
+    // sent in full precision as 'self' because prediction reconciles against it. Spectators see every ship.
+    sendSnapshots() {
+        const players = this.gameState.players; const viewRadius = VIEW_RADIUS * this.environment.getVisibility(); this.grid.clear(); players.forEach(player => this.grid.insert(player.id, player.position.x, player.position.z));
+        this.sockets.forEach((ws, viewerId) => {
+            const viewer = players.get(viewerId); if (!viewer) return;
+            const visibleIds = new Set(this.grid.query(viewer.position.x, viewer.position.z, viewRadius)); visibleIds.delete(viewerId);
+            const snapshot = this.createSnapshot(viewerId, visibleIds); snapshot.self = { x: viewer.position.x, z: viewer.position.z, r: viewer.rotation, s: viewer.speed, q: viewer.lastInputSeq }; safeSend(ws, snapshot);
+        });
+        if (this.spectators.size) { const allIds = new Set(players.keys()); this.spectators.forEach((ws, spectatorId) => safeSend(ws, this.createSnapshot(spectatorId, allIds))); }
+    }
+    // Deltas of the ships in visibleIds against what viewerId was sent last; ships it no longer sees are listed in 'removed'
+    createSnapshot(viewerId, visibleIds) {
+        const players = this.gameState.players; let sent = this.viewStates.get(viewerId); if (!sent) { sent = new Map(); this.viewStates.set(viewerId, sent); }
+        const entries = []; visibleIds.forEach(id => { const entry = diffSnapshotEntry(sent, players.get(id)); if (entry) entries.push(entry); });
+        const removed = []; sent.forEach((_, id) => { if (!visibleIds.has(id)) { removed.push(id); sent.delete(id); } });
+        const snapshot = { type: 'snapshot', tick: this.currentTick, players: entries }; if (removed.length) snapshot.removed = removed; return snapshot;
+    }
+    // Sends to clients whose ship is within radius of position (projectile events nobody can see are skipped) and to every spectator
+    broadcastNear(position, radius, data) {
+        if (this.recorder) this.recorder.recordEvent(this.currentTick, data); // The replay sees everything, not just what one client saw
+        const message = JSON.stringify(data); const radiusSq = radius * radius;
+        this.sockets.forEach((client, playerId) => { const player = this.gameState.players.get(playerId); if (!player || client.readyState !== WebSocket.OPEN) return; const dx = player.position.x - position.x; const dz = player.position.z - position.z; if (dx * dx + dz * dz <= radiusSq) client.send(message); });
+        this.spectators.forEach(client => { if (client.readyState === WebSocket.OPEN) client.send(message); });
+    }
+    runPendingTicks() {
+        const now = this.clock.now(); this.tickAccumulator += now - this.lastTickTime; this.lastTickTime = now; let ticksRun = 0;
+        while (this.tickAccumulator >= TICK_MS && ticksRun < MAX_CATCHUP_TICKS) { const started = performance.now(); this.simulationTick(); this.recordTickDuration(performance.now() - started); this.tickAccumulator -= TICK_MS; ticksRun++; }
+        if (ticksRun === MAX_CATCHUP_TICKS) this.tickAccumulator = 0; // Server stalled; drop the backlog instead of fast-forwarding
+    }
+
+    recordTickDuration(ms) { this.tickDurations[this.tickTimingCount % TICK_TIMING_SAMPLES] = ms; this.tickTimingCount++; }
+    // Average and slowest tick over the last TICK_TIMING_SAMPLES ticks, in milliseconds
+    getTickTiming() { const samples = Math.min(this.tickTimingCount, TICK_TIMING_SAMPLES); let total = 0; let max = 0; for (let i = 0; i < samples; i++) { total += this.tickDurations[i]; max = Math.max(max, this.tickDurations[i]); } return { average: samples ? total / samples : 0, max: max, ticks: this.tickTimingCount }; }
+
+    // --- Projectiles ---
+    // Cannonballs are owned by the server: it spawns them, moves them every tick and decides what they hit.
+    handleFire(player) {
+        const now = this.clock.now(); if (player.health <= 0 || now - player.lastShotTime < player.weaponCooldown) return; player.lastShotTime = now;
+        const projectile = { id: this.nextProjectileId++, ownerId: player.id, ...ShipPhysics.createProjectile(player), maxDistance: player.weaponRange }; this.gameState.projectiles.set(projectile.id, projectile);
+        this.broadcastNear(projectile.position, VIEW_RADIUS + projectile.maxDistance, { type: 'projectileSpawned', projectile: serializeProjectile(projectile) });
+    }
+    simulateProjectile(projectile) {
+        const gameState = this.gameState; const inFlight = ShipPhysics.stepProjectile(projectile, ShipPhysics.TICK_DT);
+        if (ShipPhysics.collidesWithIslands(projectile.position.x, projectile.position.z, gameState.world.islands)) { this.resolveProjectile(projectile, null); return; }
+        for (const target of gameState.players.values()) { if (target.id !== projectile.ownerId && target.health > 0 && ShipPhysics.isProjectileHittingShip(projectile, target)) { this.resolveProjectile(projectile, target); return; } }
+        if (!inFlight) gameState.projectiles.delete(projectile.id); // Clients expire it themselves at maxDistance
+    }
+    resolveProjectile(projectile, target) {
+        this.gameState.projectiles.delete(projectile.id); const position = { ...projectile.position };
+        this.broadcastNear(position, VIEW_RADIUS, { type: 'projectileImpact', projectileId: projectile.id, targetId: target ? target.id : null, position: position });
+        const shooter = this.gameState.players.get(projectile.ownerId); if (target && shooter) this.handlePlayerHit(shooter, target, position);
+    }
+
+    // SERVER HIT HANDLING LOGIC (damage is decided here, never by the client)
+    handlePlayerHit(shooterPlayer, targetPlayer, position) {
+        const shooterId = shooterPlayer.id; const targetId = targetPlayer.id; const damage = this.settings.cannonballDamage; if (targetPlayer.health <= 0 || shooterId === targetId) return;
+        if (!this.match.canDamage(shooterPlayer, targetPlayer)) return; // No friendly fire, and no damage outside the active phase
+        const oldHealth = targetPlayer.health; targetPlayer.health = Math.max(0, oldHealth - damage); targetPlayer.lastUpdate = this.clock.now(); shooterPlayer.stats.damageDealt += oldHealth - targetPlayer.health; this.scoreboardDirty = true; console.log(`Player ${targetId} health changed: ${oldHealth} -> ${targetPlayer.health} (hit by ${shooterId} at ${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+        const targetWs = this.sockets.get(targetId); if (targetWs) safeSend(targetWs, { type: 'updateHealth', health: targetPlayer.health, maxHealth: targetPlayer.maxHealth, oldHealth: oldHealth, damage: damage, source: 'hit' }); else if (!targetPlayer.bot) console.warn(`Could not find WebSocket for target ${targetId} to send health update.`);
+        // Check defeat & respawn
+        if (targetPlayer.health <= 0 && oldHealth > 0) {
+            console.log(`Player ${targetId} defeated by ${shooterId}!`); shooterPlayer.stats.kills++; targetPlayer.stats.deaths++; this.recordProfileStats(shooterPlayer, { kills: 1 }); this.recordProfileStats(targetPlayer, { deaths: 1 }); this.broadcast({ type: 'playerDefeated', playerId: targetId, killerId: shooterId }); this.systemChat(`${targetPlayer.name} was sunk by ${shooterPlayer.name}.`); this.match.onPlayerDefeated(shooterPlayer, targetPlayer); this.dropWreck(targetPlayer);
+            const timeoutId = this.clock.setTimeout(() => { this.respawnTimeouts.delete(timeoutId); this.respawnPlayer(targetId); }, this.settings.respawnTime); this.respawnTimeouts.add(timeoutId);
+        }
+    }
+    respawnPlayer(playerId) {
+        const playerToRespawn = this.gameState.players.get(playerId); if (!playerToRespawn) return;
+        playerToRespawn.health = playerToRespawn.maxHealth; playerToRespawn.position = this.match.getSpawnPoint(playerToRespawn); playerToRespawn.rotation = 0; playerToRespawn.speed = 0; playerToRespawn.lastShotTime = 0; playerToRespawn.input = NEUTRAL_INPUT; playerToRespawn.lastUpdate = this.clock.now(); if (playerToRespawn.bot) playerToRespawn.bot = createBotBrain(); console.log(`Player ${playerId} respawned.`);
+        this.broadcast({ type: 'playerRespawned', player: serializePlayer(playerToRespawn) });
+        const respawnedWs = this.sockets.get(playerId); if (respawnedWs) safeSend(respawnedWs, { type: 'updateHealth', health: playerToRespawn.health, maxHealth: playerToRespawn.maxHealth, oldHealth: 0, damage: 0, source: 'respawn' });
+    }
+
+    // Start of a match: projectiles, loot and pending respawns are dropped, every ship respawns with fresh stats, no gold and no upgrades
+    resetForMatch() {
+        this.gameState.projectiles.clear(); this.respawnTimeouts.forEach(timeoutId => this.clock.clearTimeout(timeoutId)); this.respawnTimeouts.clear();
+        this.loot.reset(this.gameState.world, this.clock.now()); this.broadcast({ type: 'lootReset', loot: this.loot.serialize() });
+        this.gameState.players.forEach(player => { Object.assign(player, { stats: { kills: 0, deaths: 0, damageDealt: 0 }, gold: 0, upgrades: createUpgrades() }); applyUpgrades(player); this.sendUpgrades(player); this.respawnPlayer(player.id); }); this.scoreboardDirty = true;
+    }
+
+    // --- Loot & Upgrades ---
+    updateLoot() {
+        const { spawned, collected, expired } = this.loot.update(this.gameState.players, this.clock.now());
+        spawned.forEach(loot => this.broadcast({ type: 'lootSpawned', loot: serializeLoot(loot) }));
+        collected.forEach(({ loot, player }) => { this.broadcast({ type: 'lootCollected', lootId: loot.id, collectorId: player.id, gold: loot.gold }); this.sendGold(player, loot.gold, 'loot'); this.recordProfileStats(player, { gold: loot.gold }); });
+        expired.forEach(lootId => this.broadcast({ type: 'lootRemoved', lootId: lootId }));
+    }
+    // A sunk ship leaves wreckage worth some gold, part of it taken from the victim
+    dropWreck(player) { const goldBefore = player.gold; const loot = this.loot.dropWreck(player, this.clock.now()); this.broadcast({ type: 'lootSpawned', loot: serializeLoot(loot) }); if (player.gold !== goldBefore) this.sendGold(player, player.gold - goldBefore, 'wreck'); }
+    sendGold(player, change, source) { const ws = this.sockets.get(player.id); if (ws) safeSend(ws, { type: 'updateGold', gold: player.gold, change: change, source: source }); }
+    sendUpgrades(player, error = null) { const ws = this.sockets.get(player.id); if (ws) safeSend(ws, { type: 'upgrades', ...serializeUpgrades(player), error: error }); }
+    // The server decides: unknown upgrades, maxed levels and missing gold are refused with the reason
+    handleBuyUpgrade(player, upgrade) {
+        const oldHealth = player.health; const error = purchaseUpgrade(player, upgrade); this.sendUpgrades(player, error); if (error) return; this.recordProfileStats(player, { upgrades: 1 });
+        console.log(`[Room ${this.id}] ${player.name} bought ${upgrade} level ${player.upgrades[upgrade]} (${player.gold} gold left).`);
+        const ws = this.sockets.get(player.id); if (ws && player.health !== oldHealth) safeSend(ws, { type: 'updateHealth', health: player.health, maxHealth: player.maxHealth, oldHealth: oldHealth, damage: 0, source: 'upgrade' });
+    }
+
+    // --- Chat ---
+    // channel: 'room' (the default), 'team' (teammates, the whole room outside team modes), 'global' (every room) or 'whisper' (to: a captain's name in this room)
+    handleChat(player, data) {
+        const now = this.clock.now(); const refusal = takeChatToken(player.chat, now); if (refusal) { this.sendChatNotice(player, refusal); return; }
+        const cleaned = cleanChatText(data.text); if (!cleaned) return; const { text, filtered } = this.filterChat(cleaned);
+        if (filtered && addChatStrike(player.chat, now)) this.sendChatNotice(player, `You were muted for ${CHAT_AUTO_MUTE_TIME / 1000} seconds for bad language.`); // This message still goes out, masked
+        let channel = CHAT_CHANNELS.includes(data.channel) ? data.channel : 'room'; if (channel === 'team' && !this.match.isTeamMode) channel = 'room';
+        const message = { type: 'chat', channel: channel, senderId: player.id, from: player.name, team: player.team, text: text };
+        if (channel === 'whisper') this.sendWhisper(player, data.to, message); else if (channel === 'global' && this.onGlobalChat) this.onGlobalChat({ ...message, roomName: this.name }); else this.deliverChat(message);
+    }
+    // Sends a message to everyone here allowed to read it and keeps it for players who join later (global chat arrives here from the RoomManager)
+    deliverChat(message) {
+        this.chatHistory.push(message); if (this.chatHistory.length > CHAT_HISTORY_SIZE) this.chatHistory.shift();
+        if (this.recorder && isPublicChat(message)) this.recorder.recordEvent(this.currentTick, message); // Replays are public, team talk isn't
+        const data = JSON.stringify(message); this.sockets.forEach((client, playerId) => { const player = this.gameState.players.get(playerId); if (player && this.canReadChat(player, message) && client.readyState === WebSocket.OPEN) client.send(data); });
+        this.spectators.forEach(client => { if (isPublicChat(message) && client.readyState === WebSocket.OPEN) client.send(data); });
+    }
+    // Team chat is for the sender's team only, and nobody hears a captain they blocked
+    canReadChat(player, message) { return (message.channel !== 'team' || message.team === player.team) && !player.chat.blocked.has(message.senderId); }
+    getChatHistory(player) { return this.chatHistory.filter(message => player ? this.canReadChat(player, message) : isPublicChat(message)); } // No player: a spectator or the replay
+    // Whispers are never kept or recorded; the sender gets an echo even when the target blocked them
+    sendWhisper(sender, toName, message) {
+        const target = this.findPlayerByName(toName); if (!target || target === sender) { this.sendChatNotice(sender, target ? "You can't whisper to yourself." : `No captain named '${toName}' in this room.`); return; }
+        const whisper = { ...message, to: target.name }; const targetWs = this.sockets.get(target.id); if (targetWs && !target.chat.blocked.has(sender.id)) safeSend(targetWs, whisper);
+        const senderWs = this.sockets.get(sender.id); if (senderWs) safeSend(senderWs, whisper);
+    }
+    handleChatBlock(player, name, blocked) {
+        const target = this.findPlayerByName(name); if (!target || target === player) { this.sendChatNotice(player, target ? "You can't block yourself." : `No captain named '${name}' in this room.`); return; }
+        if (blocked) player.chat.blocked.add(target.id); else player.chat.blocked.delete(target.id); this.sendChatNotice(player, blocked ? `You blocked ${target.name}; you won't see their messages.` : `You unblocked ${target.name}.`);
+    }
+    // Moderation: silences a player for durationMs (0 lifts the mute). Returns false if the player isn't here.
+    mutePlayer(playerId, durationMs) {
+        const player = this.gameState.players.get(playerId); if (!player) return false; player.chat.mutedUntil = durationMs > 0 ? this.clock.now() + durationMs : 0;
+        this.sendChatNotice(player, durationMs > 0 ? `You were muted for ${Math.ceil(durationMs / 1000)} seconds by a moderator.` : 'You can chat again.'); return true;
+    }
+    findPlayerByName(name) { if (typeof name !== 'string') return null; const wanted = name.trim().toLowerCase(); return Array.from(this.gameState.players.values()).find(player => player.name.toLowerCase() === wanted) || null; }
+    systemChat(text) { this.deliverChat({ type: 'chat', channel: 'system', text: text }); } // Joins, leaves and sinkings
+    announce(text) { this.deliverChat({ type: 'chat', channel: 'announcement', text: text }); } // From the admin API, clients also show it across the screen
+    sendChatNotice(player, text) { const ws = this.sockets.get(player.id); if (ws) safeSend(ws, { type: 'chat', channel: 'notice', text: text }); } // Only for this player's eyes
+
+    // Broadcast data to everyone in this room, spectators included
+    broadcast(data, excludeWs = null, isFrequent = false) {
+        // Optional reduced logging
+        // if (!isFrequent) { console.log(`Broadcasting: ${data.type}`) }
+        if (this.recorder) this.recorder.recordEvent(this.currentTick, data);
+        const message = JSON.stringify(data);
+        this.sockets.forEach(client => { if (client !== excludeWs && client.readyState === WebSocket.OPEN) client.send(message); });
+        this.spectators.forEach(client => { if (client.readyState === WebSocket.OPEN) client.send(message); });
+    }
+}
+
+// --- Helper Functions ---
+// Binary for the high-frequency messages when the client agreed to it in the join handshake (see js/protocol.js)
+function safeSend(ws, data) { if (ws.readyState === WebSocket.OPEN) ws.send(ws.encoding === 'binary' && Protocol.isBinaryType(data.type) ? Protocol.encode(data) : JSON.stringify(data)); }
+function serializePlayerState(player) { return { id: player.id, position: player.position, rotation: player.rotation, speed: player.speed, lastInputSeq: player.lastInputSeq }; }
+// Compact snapshot entry { id, x, z, r, s } for another player's ship, keeping only the fields that changed since the last send
+function roundTo(value, decimals) { const factor = Math.pow(10, decimals); return Math.round(value * factor) / factor; }
+function diffSnapshotEntry(sent, player) {
+    const current = { x: roundTo(player.position.x, 2), z: roundTo(player.position.z, 2), r: roundTo(player.rotation, 3), s: roundTo(player.speed, 3) };
+    const previous = sent.get(player.id); const entry = { id: player.id }; let changed = false;
+    for (const key of Object.keys(current)) { if (!previous || previous[key] !== current[key]) { entry[key] = current[key]; changed = true; } }
+    if (!changed) return null; sent.set(player.id, current); return entry;
+}
+// What spectators and replays get: either could be watching for the other team, so team chat stays with the team
+function isPublicChat(message) { return message.channel !== 'team'; }
+function serializeProjectile(projectile) { return { id: projectile.id, ownerId: projectile.ownerId, position: projectile.position, rotation: projectile.rotation, speed: projectile.speed, distanceTraveled: projectile.distanceTraveled, maxDistance: projectile.maxDistance }; }
+function serializePlayer(player) { return { ...serializePlayerState(player), name: player.name, color: player.color, health: player.health, maxHealth: player.maxHealth, maxSpeed: player.maxSpeed, team: player.team, connected: player.connected, isBot: !!player.bot }; }
+
+module.exports = { Room, safeSend, DEFAULT_MAX_PLAYERS, WEAPON_COOLDOWN, RESUME_GRACE_PERIOD };
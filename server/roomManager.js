@@ -0,0 +1,66 @@
+const { Room, DEFAULT_MAX_PLAYERS } = require('./room.js');
+const { systemClock } = require('./clock.js');
+const { DEFAULT_BLOCKED_WORDS } = require('./chat.js');
+const { createSettings } = require('./settings.js');
+
+// --- CONSTANTS ---
+const PUBLIC_ROOM_ID = 'public'; const PUBLIC_ROOM_NAME = 'The Open Sea';
+const MIN_ROOM_PLAYERS = 2; const MAX_ROOM_NAME_LENGTH = 32; const MAX_ROOMS = 50;
+const EMPTY_ROOM_TTL = 60000; // Keep an empty private room around briefly so its players can reconnect
+
+// Owns every running Room. The public sea always exists; other rooms are created on demand and closed once empty.
+class RoomManager {
+    // publicWorld: world options for the public sea, e.g. { seed } or { map } (see world.js buildWorld). publicMode: its game mode (see gameModes.js).
+    // botCount: bots per room (see Room). settings: runtime settings shared by every room (see settings.js), created from botCount when omitted.
+    // clock / random are handed to every room (see clock.js); tests pass a manual clock and a seeded RNG. replayDir, blockedWords, profiles: see Room.
+    constructor({ publicWorld = {}, publicMode = 'ffa', botCount = 0, clock = systemClock, random = Math.random, replayDir = null, blockedWords = DEFAULT_BLOCKED_WORDS, settings = null, profiles = null } = {}) {
+        this.rooms = new Map(); this.emptyRoomTimeouts = new Map(); this.settings = settings || createSettings({ botCount }); this.clock = clock; this.random = random; this.replayDir = replayDir; this.blockedWords = blockedWords; this.profiles = profiles;
+        const created = this.createRoom({ id: PUBLIC_ROOM_ID, name: PUBLIC_ROOM_NAME, isPublic: true, world: publicWorld, mode: publicMode }); if (created.error) throw new Error(created.error);
+    }
+
+    createRoom({ id = null, name, maxPlayers = DEFAULT_MAX_PLAYERS, isPublic = false, world = {}, mode = 'ffa' } = {}) {
+        if (this.rooms.size >= MAX_ROOMS) return { error: 'Too many rooms are open, try again later.' };
+        const roomId = id || this.generateRoomId(); const cleanName = typeof name === 'string' && name.trim() ? name.trim().substring(0, MAX_ROOM_NAME_LENGTH) : `Room ${roomId}`;
+        const cap = Number.isInteger(maxPlayers) ? Math.max(MIN_ROOM_PLAYERS, Math.min(DEFAULT_MAX_PLAYERS, maxPlayers)) : DEFAULT_MAX_PLAYERS;
+        let room; try { room = new Room({ id: roomId, name: cleanName, maxPlayers: cap, isPublic: !!isPublic, world: world, mode: mode, settings: this.settings, clock: this.clock, random: this.random, replayDir: this.replayDir, blockedWords: this.blockedWords, profiles: this.profiles }); } catch (error) { console.warn(`[Rooms] Could not create room '${cleanName}': ${error.message}`); return { error: error.message }; }
+        room.onEmpty = (emptyRoom) => this.scheduleEmptyRoomRemoval(emptyRoom); room.onGlobalChat = (message) => this.rooms.forEach(target => target.deliverChat(message));
+        this.rooms.set(roomId, room); room.start();
+        if (roomId !== PUBLIC_ROOM_ID) this.scheduleEmptyRoomRemoval(room); // Nobody may ever join it
+        return { room };
+    }
+
+    // Returns { room } or { error } so callers can report why a join failed. identity: { name, color } for the new ship.
+    joinRoom(roomId, ws, identity = {}) {
+        const room = this.rooms.get(roomId || PUBLIC_ROOM_ID); if (!room) return { error: `Room '${roomId}' does not exist.` };
+        if (room.isFull()) return { error: `Room '${room.name}' is full (${room.maxPlayers} players).` };
+        this.cancelEmptyRoomRemoval(room.id); const player = room.addPlayer(ws, identity); return { room, player };
+    }
+
+    // Watches roomId without a ship (see Room.addSpectator): a full room can still be watched, and a spectator never keeps a room open
+    spectateRoom(roomId, ws) {
+        const room = this.rooms.get(roomId || PUBLIC_ROOM_ID); if (!room) return { error: `Room '${roomId}' does not exist.` };
+        return room.addSpectator(ws);
+    }
+
+    // Resumes the ship owning resumeToken in roomId, or falls back to a fresh join when the session has expired
+    resumeSession(roomId, ws, resumeToken, identity = {}) {
+        const room = this.rooms.get(roomId); const player = room ? room.resumePlayer(ws, resumeToken) : null;
+        if (player) { this.cancelEmptyRoomRemoval(room.id); return { room, player, resumed: true }; }
+        console.log(`[Rooms] Resume token for room '${roomId}' not found, joining as a new player.`); return this.joinRoom(roomId, ws, identity);
+    }
+
+    listRooms() { return Array.from(this.rooms.values()).filter(room => room.isPublic && !room.isFull()).map(room => room.getSummary()); }
+    getRoom(roomId) { return this.rooms.get(roomId) || null; }
+
+    scheduleEmptyRoomRemoval(room) {
+        if (room.id === PUBLIC_ROOM_ID || this.emptyRoomTimeouts.has(room.id)) return;
+        this.emptyRoomTimeouts.set(room.id, this.clock.setTimeout(() => { this.emptyRoomTimeouts.delete(room.id); if (room.playerCount === 0) this.removeRoom(room.id); }, EMPTY_ROOM_TTL));
+    }
+    cancelEmptyRoomRemoval(roomId) { const timeoutId = this.emptyRoomTimeouts.get(roomId); if (timeoutId) { this.clock.clearTimeout(timeoutId); this.emptyRoomTimeouts.delete(roomId); } }
+    removeRoom(roomId) { const room = this.rooms.get(roomId); if (!room) return; this.cancelEmptyRoomRemoval(roomId); this.rooms.delete(roomId); room.onEmpty = null; room.onGlobalChat = null; room.stop(); console.log(`[Rooms] Removed room ${roomId}. Open rooms: ${this.rooms.size}`); }
+    stopAll() { Array.from(this.rooms.keys()).forEach(roomId => this.removeRoom(roomId)); }
+
+    generateRoomId() { let roomId; do { roomId = this.random().toString(36).substring(2, 8); } while (this.rooms.has(roomId)); return roomId; }
+}
+
+module.exports = { RoomManager, PUBLIC_ROOM_ID };
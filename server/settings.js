@@ -0,0 +1,26 @@
+// Server settings that operators can change while the server runs (PATCH /api/admin/settings). One settings object is
+// shared by every room, which reads it whenever it needs a value, so a change applies to the next respawn, hit or join.
+// --- CONSTANTS ---
+const SETTINGS_SCHEMA = {
+    respawnTime: { defaultValue: 5000, min: 1000, max: 60000, description: 'Milliseconds before a sunk ship respawns' },
+    cannonballDamage: { defaultValue: 10, min: 1, max: 100, description: 'Damage of one cannonball hit (before hull upgrades)' },
+    botCount: { defaultValue: 0, min: 0, max: 15, description: 'AI ships sailing with a lone player in every room' }
+};
+
+function createSettings(overrides = {}) {
+    const settings = {}; Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => { settings[key] = field.defaultValue; });
+    const error = updateSettings(settings, overrides); if (error) throw new Error(error); return settings;
+}
+// Applies every change or none. Returns null on success, otherwise why the changes were refused.
+function updateSettings(settings, changes) {
+    if (!changes || typeof changes !== 'object') return 'Settings must be an object.';
+    for (const [key, value] of Object.entries(changes)) {
+        const field = Object.prototype.hasOwnProperty.call(SETTINGS_SCHEMA, key) ? SETTINGS_SCHEMA[key] : null; if (!field) return `Unknown setting '${key}'.`;
+        if (!Number.isInteger(value) || value < field.min || value > field.max) return `${key} must be a whole number from ${field.min} to ${field.max}.`;
+    }
+    Object.assign(settings, changes); return null;
+}
+// Current values with their allowed ranges, for the admin dashboard
+function describeSettings(settings) { return Object.entries(SETTINGS_SCHEMA).map(([key, field]) => ({ key, value: settings[key], min: field.min, max: field.max, description: field.description })); }
+
+module.exports = { createSettings, updateSettings, describeSettings };
@@ -0,0 +1,26 @@
+// Uniform grid over the ocean for "who is near this point" queries (interest management)
+class SpatialGrid {
+    constructor(cellSize) { this.cellSize = cellSize; this.cells = new Map(); this.positions = new Map(); }
+
+    cellKey(cellX, cellZ) { return `${cellX},${cellZ}`; }
+    clear() { this.cells.clear(); this.positions.clear(); }
+    insert(id, x, z) {
+        const key = this.cellKey(Math.floor(x / this.cellSize), Math.floor(z / this.cellSize));
+        if (!this.cells.has(key)) this.cells.set(key, []); this.cells.get(key).push(id); this.positions.set(id, { x, z });
+    }
+    // Returns the ids inside the circle; only the cells overlapping it are scanned
+    query(x, z, radius) {
+        const result = []; const radiusSq = radius * radius;
+        const minCellX = Math.floor((x - radius) / this.cellSize); const maxCellX = Math.floor((x + radius) / this.cellSize);
+        const minCellZ = Math.floor((z - radius) / this.cellSize); const maxCellZ = Math.floor((z + radius) / this.cellSize);
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellZ = minCellZ; cellZ <= maxCellZ; cellZ++) {
+                const ids = this.cells.get(this.cellKey(cellX, cellZ)); if (!ids) continue;
+                for (const id of ids) { const position = this.positions.get(id); const dx = position.x - x; const dz = position.z - z; if (dx * dx + dz * dz <= radiusSq) result.push(id); }
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = { SpatialGrid };
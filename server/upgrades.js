@@ -0,0 +1,39 @@
+// Ship upgrades bought with gold. Levels live in playerData.upgrades; applyUpgrades() turns them into the ship stats the
+// room enforces (maxHealth, maxSpeed for the shared physics, weaponCooldown in handleFire, weaponRange on new cannonballs).
+const ShipPhysics = require('../js/physics.js');
+
+// --- CONSTANTS ---
+const BASE_HEALTH = 100; const BASE_WEAPON_RANGE = ShipPhysics.PROJECTILE_MAX_DISTANCE; const BASE_WEAPON_COOLDOWN = 125;
+// Reload is capped at 3 levels so the fastest cooldown (55%) stays above the protocol guard's FIRE_INTERVAL_TOLERANCE (50%);
+// test/upgrades.test.js fails if either side changes without the other
+const UPGRADES = {
+    hull: { name: 'Reinforced Hull', description: '+25 max health', costs: [60, 120, 240] },
+    range: { name: 'Long Guns', description: '+15% cannon range', costs: [50, 100, 200] },
+    reload: { name: 'Gun Crew', description: '-15% reload time', costs: [50, 100, 200] },
+    speed: { name: 'Extra Sails', description: '+10% top speed', costs: [40, 80, 160] }
+};
+const HULL_PER_LEVEL = 25; const RANGE_PER_LEVEL = 0.15; const RELOAD_PER_LEVEL = 0.15; const SPEED_PER_LEVEL = 0.1;
+
+function createUpgrades() { return { hull: 0, range: 0, reload: 0, speed: 0 }; }
+// Sets the derived stats on playerData from its upgrade levels
+function applyUpgrades(player) {
+    const levels = player.upgrades;
+    player.maxHealth = BASE_HEALTH + levels.hull * HULL_PER_LEVEL; player.maxSpeed = ShipPhysics.SHIP_MAX_SPEED * (1 + levels.speed * SPEED_PER_LEVEL);
+    player.weaponRange = BASE_WEAPON_RANGE * (1 + levels.range * RANGE_PER_LEVEL); player.weaponCooldown = BASE_WEAPON_COOLDOWN * (1 - levels.reload * RELOAD_PER_LEVEL);
+}
+// Cost of the next level, or null when maxed out
+function getUpgradeCost(player, upgrade) { return UPGRADES[upgrade].costs[player.upgrades[upgrade]] ?? null; }
+// Spends the gold and applies the level. Returns null on success, otherwise why it was refused.
+function purchaseUpgrade(player, upgrade) {
+    if (!Object.prototype.hasOwnProperty.call(UPGRADES, upgrade)) return 'Unknown upgrade.';
+    const cost = getUpgradeCost(player, upgrade); if (cost === null) return `${UPGRADES[upgrade].name} is fully upgraded.`; if (player.gold < cost) return `${UPGRADES[upgrade].name} costs ${cost} gold.`;
+    const oldMaxHealth = player.maxHealth; player.gold -= cost; player.upgrades[upgrade]++; applyUpgrades(player);
+    if (player.health > 0) player.health += player.maxHealth - oldMaxHealth; // New hull planks come undamaged
+    return null;
+}
+// What the owning client needs to show its ship and the upgrade menu
+function serializeUpgrades(player) { return { gold: player.gold, upgrades: player.upgrades, maxHealth: player.maxHealth, maxSpeed: player.maxSpeed, weaponRange: player.weaponRange, weaponCooldown: player.weaponCooldown }; }
+// Catalog for the client menu (sent in init)
+function getUpgradeCatalog() { return Object.entries(UPGRADES).map(([id, upgrade]) => ({ id, ...upgrade })); }
+
+module.exports = { BASE_HEALTH, BASE_WEAPON_COOLDOWN, createUpgrades, applyUpgrades, purchaseUpgrade, serializeUpgrades, getUpgradeCatalog };
@@ -0,0 +1,159 @@
+// World generation: islands and safe spawn points, either generated from a seed or loaded from a JSON map (see maps/)
+const fs = require('fs');
+const path = require('path');
+const { createRandom, generateSeed } = require('./random.js');
+
+// --- CONSTANTS ---
+const ISLAND_BASE_SIZE = 5;
+const SPAWN_RADIUS = 75; const ISLAND_SPAWN_BUFFER = 15;
+const LARGE_ISLAND_PROBABILITY = 0.10; // 10% chance for huge islands
+const LARGE_ISLAND_SIZE_MULTIPLIER = 20; // Make large islands MUCH bigger
+const DEFAULT_OCEAN_SIZE = 2000;
+const DEFAULT_SPAWN_ZONES = [{ x: 0, z: 0, radius: SPAWN_RADIUS }];
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+const MAP_NAME_PATTERN = /^[a-z0-9-]+$/; // Map names are file names in MAPS_DIR, never paths
+
+function isPointInsideIsland(x, z, islands) {
+    for (const island of islands) {
+        const dx = island.x - x;
+        const dz = island.z - z;
+        const distSq = dx * dx + dz * dz;
+        const islandRadius = Math.max(island.size * island.scaleX, island.size * island.scaleZ);
+        const safeRadius = islandRadius + ISLAND_SPAWN_BUFFER;
+        if (distSq < safeRadius * safeRadius) {
+            return true; // Point is too close or inside the island buffer zone
+        }
+    }
+    return false;
+}
+// Picks a point inside one of the world's spawn zones (default: a circle at the center) that is clear of islands
+function getRandomSpawnPoint(world, random = Math.random) {
+    const islands = world.islands; const zones = world.spawnZones && world.spawnZones.length ? world.spawnZones : DEFAULT_SPAWN_ZONES;
+    let spawnX, spawnZ;
+    let attempts = 0;
+    const maxAttempts = 20; // Prevent infinite loops
+
+    do {
+        const zone = zones[Math.floor(random() * zones.length)];
+        const angle = random() * Math.PI * 2;
+        const distance = random() * zone.radius; // Random distance within radius
+        spawnX = zone.x + Math.cos(angle) * distance;
+        spawnZ = zone.z + Math.sin(angle) * distance;
+        attempts++;
+        if (attempts > maxAttempts) {
+            console.warn("Could not find safe spawn point after max attempts, defaulting to zone center.");
+            return { x: zones[0].x, y: 0, z: zones[0].z }; // Fallback to center
+        }
+    } while (isPointInsideIsland(spawnX, spawnZ, islands)); // Keep trying if inside an island
+
+    console.log(`Generated spawn point: (${spawnX.toFixed(1)}, ${spawnZ.toFixed(1)}) after ${attempts} attempts.`);
+    return { x: spawnX, y: 0, z: spawnZ };
+}
+
+// Generate random islands (MODIFIED for large islands & placement). The same random() sequence always yields the same islands.
+function generateIslands(oceanSize, random = Math.random) {
+    const islands = [];
+    const baseSize = ISLAND_BASE_SIZE;
+    const numIslands = 12; // Reduced slightly to make space for huge islands
+    const worldSize = oceanSize;
+    const safeZone = SPAWN_RADIUS + 30; // Increased safe zone around center spawn
+
+    console.log(`Generating islands...`);
+
+    for (let i = 0; i < numIslands; i++) {
+        let x, z, size, scaleX, scaleZ, rotation, isLarge;
+        let islandAttempts = 0;
+        const maxIslandAttempts = 100; // Allow more attempts for placement
+        let validPosition = false;
+
+        while (!validPosition && islandAttempts < maxIslandAttempts) {
+             islandAttempts++;
+             const angle = random() * Math.PI * 2;
+             // Ensure distance allows for potentially large islands without hitting edge immediately
+             const maxPossibleRadius = baseSize * LARGE_ISLAND_SIZE_MULTIPLIER * 1.6; // Estimate max radius
+             const distance = safeZone + random() * (worldSize / 2 - safeZone - maxPossibleRadius);
+             x = Math.cos(angle) * distance;
+             z = Math.sin(angle) * distance;
+
+             isLarge = random() < LARGE_ISLAND_PROBABILITY;
+
+             if (isLarge) {
+                 size = (baseSize * LARGE_ISLAND_SIZE_MULTIPLIER * 0.9) + (random() * baseSize * LARGE_ISLAND_SIZE_MULTIPLIER * 0.2); // Huge size range
+                 console.log(` -> Attempting LARGE island, size: ${size.toFixed(1)}`);
+             } else {
+                 // Regular islands slightly smaller maybe?
+                 size = baseSize + random() * (baseSize * 5 - baseSize); // Regular size up to 5x base
+             }
+
+             scaleX = 0.7 + random() * 0.6; // More variation?
+             scaleZ = 0.7 + random() * 0.6;
+             rotation = random() * Math.PI * 2;
+
+             // Collision check radius - ensure it's large enough for huge islands
+             const checkRadius = size * Math.max(scaleX, scaleZ);
+             // Increase minimum distance significantly
+             const minDistance = checkRadius * (isLarge ? 1.8 : 1.5);
+
+             let overlapping = false;
+             for (const existingIsland of islands) {
+                 const dx = existingIsland.x - x;
+                 const dz = existingIsland.z - z;
+                 const dist = Math.sqrt(dx * dx + dz * dz);
+                 const existingCheckRadius = existingIsland.size * Math.max(existingIsland.scaleX, existingIsland.scaleZ);
+                 // Use larger buffer, especially if one is large
+                 const bufferMultiplier = (isLarge || existingIsland.isLarge) ? 1.8 : 1.5;
+                 const combinedMinDist = (checkRadius + existingCheckRadius) * bufferMultiplier;
+                 if (dist < combinedMinDist) {
+                     overlapping = true;
+                     break;
+                 }
+             }
+
+             if (!overlapping) {
+                  islands.push({ x, z, size, scaleX, scaleZ, rotation, isLarge });
+                  validPosition = true;
+                  console.log(`   Placed ${isLarge ? 'LARGE' : 'Regular'} island ${i+1} at (${x.toFixed(0)}, ${z.toFixed(0)}) Size: ${size.toFixed(1)}`);
+             }
+        }
+        if (!validPosition) { console.warn("Could not place an island after max attempts."); i--;} // Try again for this index if placement failed
+    }
+    console.log(`Generated ${islands.length} islands.`);
+    return islands;
+}
+// Generated world: { seed, mapName, islands, oceanSize, worldBounds, spawnZones }
+function createWorld({ seed = generateSeed(), oceanSize = DEFAULT_OCEAN_SIZE } = {}) {
+    const half = oceanSize / 2; console.log(`Creating world from seed '${seed}'.`);
+    return { seed: seed, mapName: null, islands: generateIslands(oceanSize, createRandom(seed)), oceanSize: oceanSize, worldBounds: { minX: -half, maxX: half, minZ: -half, maxZ: half }, spawnZones: DEFAULT_SPAWN_ZONES };
+}
+
+// --- JSON Map Format ---
+// { "name": "...", "worldBounds": { "minX", "maxX", "minZ", "maxZ" }, "islands": [{ "x", "z", "size", "scaleX"?, "scaleZ"?, "rotation"?, "isLarge"? }], "spawnZones": [{ "x", "z", "radius", "team"? }]? }
+// Throws an Error describing the first problem found.
+function parseMap(data, mapName = 'map') {
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    if (!data || typeof data !== 'object') throw new Error(`Map '${mapName}' must be a JSON object.`);
+    const bounds = data.worldBounds; if (!bounds || !['minX', 'maxX', 'minZ', 'maxZ'].every(key => isNumber(bounds[key])) || bounds.minX >= bounds.maxX || bounds.minZ >= bounds.maxZ) throw new Error(`Map '${mapName}' needs worldBounds with numeric minX < maxX and minZ < maxZ.`);
+    if (!Array.isArray(data.islands)) throw new Error(`Map '${mapName}' needs an islands array.`);
+    const islands = data.islands.map((island, index) => {
+        if (!island || !isNumber(island.x) || !isNumber(island.z) || !isNumber(island.size) || island.size <= 0) throw new Error(`Map '${mapName}' island ${index} needs numeric x, z and a positive size.`);
+        return { x: island.x, z: island.z, size: island.size, scaleX: isNumber(island.scaleX) ? island.scaleX : 1, scaleZ: isNumber(island.scaleZ) ? island.scaleZ : 1, rotation: isNumber(island.rotation) ? island.rotation : 0, isLarge: !!island.isLarge };
+    });
+    const spawnZones = (data.spawnZones || DEFAULT_SPAWN_ZONES).map((zone, index) => {
+        if (!zone || !isNumber(zone.x) || !isNumber(zone.z) || !isNumber(zone.radius) || zone.radius <= 0) throw new Error(`Map '${mapName}' spawn zone ${index} needs numeric x, z and a positive radius.`);
+        if (zone.team !== undefined && zone.team !== 0 && zone.team !== 1) throw new Error(`Map '${mapName}' spawn zone ${index} team must be 0 or 1.`);
+        return zone.team === undefined ? { x: zone.x, z: zone.z, radius: zone.radius } : { x: zone.x, z: zone.z, radius: zone.radius, team: zone.team }; // team: where that team starts in team modes
+    });
+    const oceanSize = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+    return { seed: data.seed !== undefined ? data.seed : mapName, mapName: data.name || mapName, islands: islands, oceanSize: oceanSize, worldBounds: { minX: bounds.minX, maxX: bounds.maxX, minZ: bounds.minZ, maxZ: bounds.maxZ }, spawnZones: spawnZones };
+}
+function listMaps() { try { return fs.readdirSync(MAPS_DIR).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)); } catch (error) { return []; } }
+// Reads maps/<name>.json from disk (re-read every call, so edited maps are picked up on the next match)
+function loadMap(mapName) {
+    if (typeof mapName !== 'string' || !MAP_NAME_PATTERN.test(mapName)) throw new Error(`Invalid map name '${mapName}'.`);
+    const filePath = path.join(MAPS_DIR, `${mapName}.json`); if (!fs.existsSync(filePath)) throw new Error(`Map '${mapName}' not found.`);
+    return parseMap(JSON.parse(fs.readFileSync(filePath, 'utf8')), mapName);
+}
+// Builds a world from { map } (a maps/ file name) or { seed } (generated); random only picks the seed when none is given
+function buildWorld({ map = null, seed } = {}, random = Math.random) { return map ? loadMap(map) : createWorld({ seed: seed === undefined || seed === null || seed === '' ? generateSeed(random) : seed }); }
+
+module.exports = { isPointInsideIsland, getRandomSpawnPoint, generateIslands, createWorld, parseMap, listMaps, loadMap, buildWorld };
@@ -0,0 +1,75 @@
+// Admin API and /metrics over HTTP: bearer auth, settings, moderation, regenerating a room and the Prometheus format
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { CLOSE_CODE_KICKED, CLOSE_CODE_BANNED } = require('../js/protocol.js');
+const { startServer } = require('./helpers.js');
+
+const TOKEN = 'test-admin-token';
+// Calls an admin route as the dashboard does; token: null sends no Authorization header
+async function api(port, route, { method = 'GET', body = undefined, token = TOKEN } = {}) {
+    const headers = { ...(token !== null ? { authorization: `Bearer ${token}` } : {}), ...(body !== undefined ? { 'content-type': 'application/json' } : {}) };
+    const response = await fetch(`http://localhost:${port}${route}`, { method, headers, body: body !== undefined ? JSON.stringify(body) : undefined });
+    const text = await response.text(); return { status: response.status, type: response.headers.get('content-type'), text, json: text.startsWith('{') ? JSON.parse(text) : null };
+}
+const closed = (client) => client.closeEvent ? Promise.resolve(client.closeEvent) : client.waitFor('disconnected').then(() => client.closeEvent);
+
+test('every admin route needs the right bearer token, and without a configured token none exist', async (t) => {
+    const { port } = await startServer(t, { adminToken: TOKEN });
+    for (const route of ['/metrics', '/api/admin/stats', '/api/admin/players', '/api/admin/settings']) {
+        assert.equal((await api(port, route, { token: null })).status, 401, `${route} without a token`); assert.equal((await api(port, route, { token: 'wrong' })).status, 401, `${route} with a wrong token`);
+        assert.equal((await api(port, route)).status, 200, route);
+    }
+    assert.equal((await fetch(`http://localhost:${port}/api/admin/stats`, { headers: { authorization: TOKEN } })).status, 401, 'the Bearer scheme is required');
+    assert.equal((await api(port, '/api/admin/players/nobody/kick', { method: 'POST', token: 'wrong' })).status, 401);
+    const { port: closedPort } = await startServer(t); const disabled = await api(closedPort, '/api/admin/stats');
+    assert.equal(disabled.status, 404); assert.equal(disabled.json.error, 'The admin API is disabled (set ADMIN_TOKEN).'); assert.equal((await api(closedPort, '/metrics')).status, 404);
+});
+
+test('settings are validated as a whole, and bot count changes apply to the rooms at once', async (t) => {
+    const { port, gameServer, join, room } = await startServer(t, { adminToken: TOKEN }); await join('Anne');
+    assert.deepEqual((await api(port, '/api/admin/settings')).json.settings.find(setting => setting.key === 'respawnTime'), { key: 'respawnTime', value: 5000, min: 1000, max: 60000, description: 'Milliseconds before a sunk ship respawns' });
+    for (const [body, error] of [[{ respawnTime: 500 }, 'respawnTime must be a whole number from 1000 to 60000.'], [{ cannonballDamage: 12.5 }, 'cannonballDamage must be a whole number from 1 to 100.'], [{ botCount: '3' }, 'botCount must be a whole number from 0 to 15.'], [{ tickRate: 30 }, "Unknown setting 'tickRate'."], [{ respawnTime: 2000, botCount: 99 }, 'botCount must be a whole number from 0 to 15.']]) {
+        const response = await api(port, '/api/admin/settings', { method: 'PATCH', body }); assert.equal(response.status, 400, JSON.stringify(body)); assert.equal(response.json.error, error);
+    }
+    assert.equal(gameServer.settings.respawnTime, 5000, 'a refused change applies nothing');
+    const changed = await api(port, '/api/admin/settings', { method: 'PATCH', body: { respawnTime: 2000, botCount: 2 } }); assert.equal(changed.status, 200);
+    assert.equal(changed.json.settings.find(setting => setting.key === 'respawnTime').value, 2000); assert.equal(gameServer.settings.respawnTime, 2000); assert.equal(room().activeBotCount, 2);
+});
+
+test('admins can kick, mute and ban players, and lift bans', async (t) => {
+    const { port, join, room } = await startServer(t, { adminToken: TOKEN }); const anne = await join('Anne'); const mary = await join('Mary');
+    assert.deepEqual((await api(port, '/api/admin/players')).json.players.map(player => player.name), ['Anne', 'Mary']);
+    const muted = mary.waitFor('chat', data => data.channel === 'notice'); assert.equal((await api(port, `/api/admin/players/${mary.playerId}/mute`, { method: 'POST', body: { seconds: 120 } })).status, 200);
+    assert.equal((await muted).text, 'You were muted for 120 seconds by a moderator.'); assert.equal((await api(port, `/api/admin/players/${mary.playerId}/mute`, { method: 'POST', body: { seconds: -1 } })).status, 400);
+    const anneId = anne.playerId; const kicked = await api(port, `/api/admin/players/${anneId}/kick`, { method: 'POST' }); assert.deepEqual(kicked.json, { kicked: anneId });
+    assert.equal((await closed(anne)).code, CLOSE_CODE_KICKED); assert.ok(!room().gameState.players.has(anneId), 'no grace period to resume');
+    assert.equal((await api(port, `/api/admin/players/${anneId}/kick`, { method: 'POST' })).status, 404);
+    assert.equal((await api(port, `/api/admin/players/${mary.playerId}/ban`, { method: 'POST', body: { minutes: 0 } })).status, 400);
+    const banned = await api(port, `/api/admin/players/${mary.playerId}/ban`, { method: 'POST', body: { minutes: 5 } }); assert.equal(banned.status, 200); assert.equal((await closed(mary)).code, CLOSE_CODE_BANNED);
+    const { bans } = (await api(port, '/api/admin/bans')).json; assert.deepEqual(bans.map(ban => ban.ip), [banned.json.banned]);
+    const rejected = new WebSocket(`ws://localhost:${port}`); assert.equal(await new Promise(resolve => rejected.on('close', resolve)), CLOSE_CODE_BANNED, 'the address stays banned');
+    assert.equal((await api(port, `/api/admin/bans/${encodeURIComponent(banned.json.banned)}`, { method: 'DELETE' })).status, 200); assert.deepEqual((await api(port, '/api/admin/bans')).json.bans, []);
+    await join('Mary'); assert.equal((await api(port, `/api/admin/bans/${encodeURIComponent(banned.json.banned)}`, { method: 'DELETE' })).status, 404);
+});
+
+test('regenerating a room gives it new islands and refuses bad input', async (t) => {
+    const { port, join, room } = await startServer(t, { adminToken: TOKEN }); const anne = await join('Anne'); const init = anne.waitFor('init');
+    const regenerated = await api(port, '/api/admin/rooms/public/regenerate', { method: 'POST', body: { seed: 'fresh' } });
+    assert.equal(regenerated.status, 200); assert.equal(regenerated.json.room.seed, 'fresh'); assert.equal(room().gameState.world.seed, 'fresh'); assert.equal((await init).seed, 'fresh', 'players are sent the new world');
+    assert.equal((await api(port, '/api/admin/rooms/nowhere/regenerate', { method: 'POST', body: {} })).status, 404);
+    assert.equal((await api(port, '/api/admin/rooms/public/regenerate', { method: 'POST', body: { seed: { nested: true } } })).status, 400);
+    const missingMap = await api(port, '/api/admin/rooms/public/regenerate', { method: 'POST', body: { map: 'atlantis' } }); assert.equal(missingMap.status, 400); assert.equal(room().gameState.world.seed, 'fresh', 'a failed load keeps the old world');
+});
+
+test('/metrics is in the Prometheus text format and counts rooms, players and traffic', async (t) => {
+    const { port, join } = await startServer(t, { adminToken: TOKEN }); await join('Anne'); const metrics = await api(port, '/metrics');
+    assert.equal(metrics.status, 200); assert.match(metrics.type, /^text\/plain;/); assert.ok(metrics.type.includes('version=0.0.4')); assert.ok(metrics.text.endsWith('\n'));
+    const lines = metrics.text.trimEnd().split('\n'); const names = new Set();
+    lines.forEach(line => {
+        const comment = line.match(/^# (HELP|TYPE) (\w+) (.+)$/); if (comment) { if (comment[1] === 'TYPE') { assert.match(comment[3], /^(gauge|counter)$/); names.add(comment[2]); } return; }
+        const sample = line.match(/^(\w+)(\{[a-z]+="[^"]*"(,[a-z]+="[^"]*")*\})? (-?[\d.e+]+)$/); assert.ok(sample, line); assert.ok(names.has(sample[1]), `${sample[1]} has a TYPE line before it`);
+    });
+    assert.ok(lines.includes('pirate_connections 1')); assert.ok(lines.includes('pirate_room_players{room="public"} 1')); assert.ok(lines.includes('pirate_rooms 1'));
+    assert.ok(Number(lines.find(line => line.startsWith('pirate_messages_sent_total ')).split(' ')[1]) > 0);
+    for (const name of names) { if (name.endsWith('_total')) assert.ok(lines.includes(`# TYPE ${name} counter`), name); }
+});
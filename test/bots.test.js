@@ -0,0 +1,69 @@
+// Bot ships: the patrol / chase / flee state machine, steering around islands and making room for humans
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js'); const { Room } = require('../server/room.js'); const { parseMap, isPointInsideIsland } = require('../server/world.js');
+const { muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, close() {}, terminate() {} });
+const botsOf = (room) => Array.from(room.gameState.players.values()).filter(player => player.bot);
+const runTicks = (room, ticks) => { for (let i = 0; i < ticks; i++) room.simulationTick(); };
+// A seeded room on open water (no islands) with one human at the origin and botCount bots; ticks are run by hand
+function createRoom(t, { botCount = 1, maxPlayers, islands = [] } = {}) {
+    muteConsole(t); const room = new Room({ id: 'bots', world: { seed: 'bots' }, botCount, maxPlayers }); room.gameState.world = parseMap({ worldBounds: { minX: -1000, maxX: 1000, minZ: -1000, maxZ: 1000 }, islands }, 'open-water');
+    t.after(() => room.stop()); return room;
+}
+const place = (ship, x, z, rotation = 0) => Object.assign(ship, { position: { x, y: 0, z }, rotation, speed: 0 });
+
+test('a bot patrols, chases a human in weapon range, flees when hurt and goes back to patrolling', (t) => {
+    const room = createRoom(t); const human = room.addPlayer(fakeSocket(), { name: 'Human' }); const [bot] = botsOf(room);
+    place(human, 0, 0); place(bot, 0, 300); runTicks(room, 10); assert.equal(bot.bot.state, 'patrol'); assert.ok(bot.bot.waypoint);
+    place(bot, 0, 60); runTicks(room, 10); assert.equal(bot.bot.state, 'chase'); assert.equal(bot.bot.targetId, human.id);
+    place(bot, 0, 100); runTicks(room, 10); assert.equal(bot.bot.state, 'chase', 'a chase only ends beyond 1.5x the weapon range');
+    place(bot, 0, 130); runTicks(room, 10); assert.equal(bot.bot.state, 'patrol');
+    place(bot, 0, 100); runTicks(room, 10); assert.equal(bot.bot.state, 'patrol', 'a patrolling bot only starts a chase within weapon range');
+    place(bot, 0, 60); bot.health = 30; runTicks(room, 10); assert.equal(bot.bot.state, 'flee'); const before = Math.hypot(bot.position.x - human.position.x, bot.position.z - human.position.z);
+    runTicks(room, 240); assert.ok(Math.hypot(bot.position.x - human.position.x, bot.position.z - human.position.z) > before, 'a fleeing bot opens the distance');
+    place(bot, 0, 200); runTicks(room, 10); assert.equal(bot.bot.state, 'patrol');
+});
+
+test('bots ignore each other, dead ships and disconnected humans', (t) => {
+    const room = createRoom(t, { botCount: 2 }); const human = room.addPlayer(fakeSocket(), { name: 'Human' }); const [first, second] = botsOf(room);
+    place(human, 0, 500); place(first, 0, 0); place(second, 0, 30); runTicks(room, 10); assert.equal(first.bot.state, 'patrol');
+    place(human, 0, 50); human.health = 0; runTicks(room, 10); assert.equal(first.bot.state, 'patrol');
+    human.health = 100; human.connected = false; runTicks(room, 10); assert.equal(first.bot.state, 'patrol');
+});
+
+test('a chasing bot turns towards its target and fires through the normal cooldown', (t) => {
+    const room = createRoom(t); const ws = fakeSocket(); const human = room.addPlayer(ws, { name: 'Human' }); const [bot] = botsOf(room);
+    place(human, 0, 0); place(bot, 50, 0, 0); runTicks(room, 120);
+    const shots = ws.sent.filter(data => data.type === 'projectileSpawned'); assert.ok(shots.length >= 1); assert.equal(shots[0].projectile.ownerId, bot.id);
+    const offTarget = Math.atan2(-(human.position.x - bot.position.x), -(human.position.z - bot.position.z)) - bot.rotation; assert.ok(Math.abs(Math.atan2(Math.sin(offTarget), Math.cos(offTarget))) < 0.3, 'bow points at the target');
+});
+
+test('a bot steers around an island in its way using the spawn collision test', (t) => {
+    const island = { x: 0, z: -150, size: 40, scaleX: 1, scaleZ: 1, rotation: 0 }; const room = createRoom(t, { islands: [island] }); room.addBot(); const [bot] = botsOf(room);
+    place(bot, 0, 0); bot.bot.waypoint = { x: 0, z: -320 }; let closest = Infinity; let insideBuffer = 0;
+    for (let tick = 0; tick < 1500 && closest >= 20; tick++) { room.simulationTick(); closest = Math.min(closest, Math.hypot(bot.position.x, bot.position.z + 320)); if (isPointInsideIsland(bot.position.x, bot.position.z, [island])) insideBuffer++; }
+    assert.ok(closest < 20, `reached the waypoint behind the island (closest ${closest.toFixed(1)})`); assert.equal(bot.bot.reverseUntilTick, 0, 'never got stuck on the coast');
+    assert.ok(!ShipPhysics.collidesWithIslands(bot.position.x, bot.position.z, [island])); assert.ok(insideBuffer < 30, `only skirted the spawn buffer (${insideBuffer} ticks)`);
+});
+
+test('bots make room as humans join and come back as they leave', (t) => {
+    const room = createRoom(t, { botCount: 3 }); const sockets = [1, 2, 3, 4].map(fakeSocket); let emptied = 0; room.onEmpty = () => emptied++;
+    assert.equal(room.activeBotCount, 0, 'an empty room has no bots');
+    const humans = sockets.map((ws, index) => { const human = room.addPlayer(ws, { name: `Human ${index}` }); assert.equal(room.activeBotCount, Math.max(0, 3 - index), `with ${index + 1} humans`); return human; });
+    assert.equal(room.playerCount, 4); assert.equal(room.getSummary().bots, 0);
+    room.handlePlayerCleanup(humans[3].id, 'test'); assert.equal(room.activeBotCount, 1); room.handlePlayerCleanup(humans[2].id, 'test'); assert.equal(room.activeBotCount, 2);
+    assert.ok(sockets[0].sent.some(data => data.type === 'playerJoined' && data.player.isBot), 'clients hear about new bots');
+    room.handlePlayerCleanup(humans[1].id, 'test'); room.handlePlayerCleanup(humans[0].id, 'test'); assert.equal(room.activeBotCount, 0); assert.equal(emptied, 1, 'bots never keep a room open');
+});
+
+test('bots never take the slots humans need', (t) => {
+    const room = createRoom(t, { botCount: 5, maxPlayers: 3 }); room.addPlayer(fakeSocket()); assert.equal(room.activeBotCount, 2);
+    room.addPlayer(fakeSocket()); assert.equal(room.activeBotCount, 1); assert.equal(room.isFull(), false);
+});
+
+test('the same seed sails the bots the same way', (t) => {
+    const track = () => { const room = createRoom(t, { botCount: 2 }); place(room.addPlayer(fakeSocket()), 900, 900); runTicks(room, 300); return botsOf(room).map(bot => [bot.position.x, bot.position.z, bot.rotation]); };
+    assert.deepEqual(track(), track());
+});
@@ -0,0 +1,84 @@
+// Chat over real sockets: length and rate limits, the profanity filter and mutes, whispers, team chat, blocking and what replays keep
+const test = require('node:test'); const assert = require('node:assert/strict');
+const fs = require('node:fs'); const os = require('node:os'); const path = require('node:path'); const zlib = require('node:zlib');
+const { createChatFilter, cleanChatText, MAX_CHAT_LENGTH } = require('../server/chat.js');
+const { startServer } = require('./helpers.js');
+
+const chatsOf = (client, channel) => client.received.filter(data => data.type === 'chat' && data.channel === channel);
+async function readReplay(recorder) { await recorder.finished; return zlib.gunzipSync(fs.readFileSync(recorder.filePath)).toString().trim().split('\n').map(line => JSON.parse(line)); }
+const nextNotice = (client) => client.waitFor('chat', data => data.channel === 'notice');
+// Sends a room message from sender and waits until every client got it; anything sent before it has then arrived too
+async function flush(clock, sender, ...clients) { clock.advance(10000); const marker = `flush ${clock.now()}`; const arrived = clients.map(client => client.waitFor('chat', data => data.text === marker)); sender.sendChat(marker); await Promise.all(arrived); }
+// Anne, Mary and Ben in the public room; in team modes Anne and Ben share a team
+async function joinCrew(t, options = {}) { const server = await startServer(t, options); const anne = await server.join('Anne'); const mary = await server.join('Mary'); const ben = await server.join('Ben'); return { ...server, anne, mary, ben }; }
+
+test('chat text is cleaned up and limited in length, and blocked words are masked', () => {
+    assert.equal(cleanChatText('  ahoy\u200b\u202e   there\n '), 'ahoy there'); assert.equal(cleanChatText('x'.repeat(300)).length, MAX_CHAT_LENGTH); assert.equal(cleanChatText(42), '');
+    const filter = createChatFilter(); assert.deepEqual(filter('Shitty weather, shipmates'), { text: '****** weather, shipmates', filtered: true }); assert.deepEqual(filter('Scunthorpe'), { text: 'Scunthorpe', filtered: false });
+    assert.deepEqual(createChatFilter([])('shit'), { text: 'shit', filtered: false }, 'an empty list turns the filter off');
+});
+
+test('room chat reaches the room, and messages over the length limit never arrive', async (t) => {
+    const { clock, anne, mary } = await joinCrew(t); const arrived = mary.waitFor('chat', data => data.channel === 'room');
+    anne.sendChat('x'.repeat(MAX_CHAT_LENGTH + 1)); anne.sendChat('  Ahoy,   Mary!  ');
+    assert.deepEqual(await arrived, { type: 'chat', channel: 'room', senderId: anne.playerId, from: 'Anne', team: null, text: 'Ahoy, Mary!' });
+    await flush(clock, anne, mary); assert.equal(chatsOf(mary, 'room').length, 2, 'the guard dropped the long one');
+});
+
+test('five messages go out at once, then one every two seconds, and spamming on gets the sender muted', async (t) => {
+    const { clock, anne, mary } = await joinCrew(t);
+    for (let index = 0; index < 5; index++) anne.sendChat(`message ${index}`); const tooFast = nextNotice(anne); anne.sendChat('message 5');
+    assert.equal((await tooFast).text, 'You are sending messages too fast.');
+    clock.advance(2000); const sixth = mary.waitFor('chat', data => data.text === 'message 6'); anne.sendChat('message 6'); await sixth;
+    const strike = nextNotice(anne); anne.sendChat('spam'); await strike; const muted = nextNotice(anne); anne.sendChat('spam'); assert.equal((await muted).text, 'You were muted for 60 seconds for spamming.', 'the third strike within a minute');
+    clock.advance(30000); const stillMuted = nextNotice(anne); anne.sendChat('hello?'); assert.equal((await stillMuted).text, 'You are muted for 30 more seconds.');
+    await flush(clock, mary, anne); clock.advance(30000); const back = mary.waitFor('chat', data => data.text === 'back'); anne.sendChat('back'); await back;
+    assert.deepEqual(chatsOf(mary, 'room').map(data => data.text).filter(text => text.startsWith('message')), ['message 0', 'message 1', 'message 2', 'message 3', 'message 4', 'message 6']);
+});
+
+test('swearing is masked, and three times in a minute mutes the sender', async (t) => {
+    const { clock, anne, mary } = await joinCrew(t); const masked = mary.waitFor('chat', data => data.senderId === anne.playerId);
+    anne.sendChat('Well shit'); assert.equal((await masked).text, 'Well ****');
+    anne.sendChat('shit'); const muted = nextNotice(anne); anne.sendChat('bastards'); assert.equal((await muted).text, 'You were muted for 60 seconds for bad language.');
+    const refused = nextNotice(anne); anne.sendChat('sorry'); assert.match((await refused).text, /^You are muted/);
+    await flush(clock, mary, anne); assert.deepEqual(chatsOf(mary, 'room').filter(data => data.senderId === anne.playerId).map(data => data.text), ['Well ****', '****', '********'], 'the muting message still goes out, masked');
+});
+
+test('a moderator mute silences a player until it runs out or is lifted', async (t) => {
+    const { clock, anne, mary, room } = await joinCrew(t); const notice = nextNotice(anne);
+    assert.equal(room().mutePlayer(anne.playerId, 30000), true); assert.equal((await notice).text, 'You were muted for 30 seconds by a moderator.');
+    const refused = nextNotice(anne); anne.sendChat('hello?'); assert.equal((await refused).text, 'You are muted for 30 more seconds.');
+    const lifted = nextNotice(anne); room().mutePlayer(anne.playerId, 0); assert.equal((await lifted).text, 'You can chat again.');
+    await flush(clock, anne, mary); assert.equal(room().mutePlayer('nobody', 1000), false);
+});
+
+test('whispers reach only their target, who can block the sender', async (t) => {
+    const { clock, anne, mary, ben } = await joinCrew(t); const whisper = mary.waitFor('chat', data => data.channel === 'whisper'); const echo = anne.waitFor('chat', data => data.channel === 'whisper');
+    anne.sendChat('psst', 'whisper', 'mary'); assert.equal((await whisper).to, 'Mary'); assert.equal((await echo).text, 'psst');
+    const unknown = nextNotice(anne); anne.sendChat('psst', 'whisper', 'Calico Jack'); assert.equal((await unknown).text, "No captain named 'Calico Jack' in this room.");
+    const blocked = nextNotice(mary); mary.blockPlayer('Anne'); assert.equal((await blocked).text, "You blocked Anne; you won't see their messages.");
+    const secondEcho = anne.waitFor('chat', data => data.text === 'still there?'); anne.sendChat('still there?', 'whisper', 'Mary'); await secondEcho;
+    anne.sendChat('hello all'); await flush(clock, ben, mary, anne);
+    assert.deepEqual(chatsOf(mary, 'whisper').map(data => data.text), ['psst'], 'no whispers from a blocked captain'); assert.ok(!chatsOf(mary, 'room').some(data => data.text === 'hello all'), 'nor room chat');
+    assert.equal(chatsOf(ben, 'whisper').length, 0); assert.ok(chatsOf(ben, 'room').some(data => data.text === 'hello all'));
+    const unblocked = nextNotice(mary); mary.blockPlayer('Anne', false); await unblocked; const heard = mary.waitFor('chat', data => data.text === 'hello again'); anne.sendChat('hello again'); await heard;
+});
+
+test('team chat stays on the team, in history too, and is room chat outside team modes', async (t) => {
+    const { clock, anne, mary, ben, join, room } = await joinCrew(t, { publicMode: 'tdm' }); const heard = ben.waitFor('chat', data => data.channel === 'team');
+    anne.sendChat('flank them', 'team'); assert.equal((await heard).text, 'flank them'); await flush(clock, anne, mary, ben); assert.equal(chatsOf(mary, 'team').length, 0);
+    const teamOf = (client) => room().gameState.players.get(client.playerId).team; assert.equal(teamOf(ben), teamOf(anne)); assert.notEqual(teamOf(mary), teamOf(anne));
+    const cook = await join('Cook'); assert.equal(cook.received[0].chat.some(data => data.text === 'flank them'), teamOf(cook) === teamOf(anne), 'new players only see their own team\'s chat');
+    const ffa = await startServer(t); const jack = await ffa.join('Jack'); const anneBonny = await ffa.join('Anne'); const heardAll = anneBonny.waitFor('chat', data => data.senderId === jack.playerId);
+    jack.sendChat('all hands', 'team'); assert.equal((await heardAll).channel, 'room');
+});
+
+test('whispers and team chat never reach a replay, which anyone can download', async (t) => {
+    const replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-')); t.after(() => fs.rmSync(replayDir, { recursive: true, force: true }));
+    const { clock, anne, mary, ben, room } = await joinCrew(t, { publicMode: 'tdm', replayDir }); const whisper = mary.waitFor('chat', data => data.channel === 'whisper'); const team = ben.waitFor('chat', data => data.channel === 'team');
+    anne.sendChat('secret plan', 'team'); anne.sendChat('psst', 'whisper', 'Mary'); anne.sendChat('ahoy all'); await Promise.all([whisper, team]); await flush(clock, anne, mary, ben);
+    const recorder = room().recorder; room().restartRecording(); const next = room().recorder; room().stopRecording();
+    const chats = (await readReplay(recorder)).filter(record => record[1] === 'e' && record[2].type === 'chat').map(record => record[2]);
+    assert.ok(chats.some(data => data.text === 'ahoy all')); assert.deepEqual(chats.filter(data => ['team', 'whisper'].includes(data.channel)), []);
+    const [header] = await readReplay(next); assert.ok(header.chat.some(data => data.text === 'ahoy all'), 'the next file starts with the room\'s chat history'); assert.ok(!header.chat.some(data => data.channel === 'team'));
+});
@@ -0,0 +1,25 @@
+// Room weather: seeded wind and storms, the once-a-second update, and the storm's drift and visibility
+const test = require('node:test'); const assert = require('node:assert/strict');
+const { Environment } = require('../server/environment.js');
+
+// Steps the environment once a second for the given time and returns every wind it produced
+function run(environment, ms, from = 0) { const winds = []; for (let now = from; now <= from + ms; now += 1000) { environment.update(now); winds.push(environment.getWind()); } return winds; }
+
+test('the same world seed blows the same weather, and the wind stays within its strength and gust limits', () => {
+    const winds = run(new Environment('seed', 0), 10 * 60 * 1000); assert.deepEqual(run(new Environment('seed', 0), 10 * 60 * 1000), winds);
+    assert.notDeepEqual(run(new Environment('other', 0), 10 * 60 * 1000), winds);
+    winds.forEach((wind, index) => { assert.ok(wind.strength >= 0.2 - 1e-9 && wind.strength <= 1 + 1e-9); if (index) assert.ok(Math.abs(wind.strength - winds[index - 1].strength) <= 0.05 + 1e-9); });
+});
+
+test('the environment only changes once per update interval', () => {
+    const environment = new Environment('seed', 0); assert.equal(environment.update(0), true); const wind = environment.getWind();
+    assert.equal(environment.update(999), false); assert.deepEqual(environment.getWind(), wind); assert.equal(environment.update(1000), true);
+});
+
+test('a storm builds up to full strength, drifts ships downwind and shortens the view, then clears', () => {
+    const environment = new Environment('seed', 0); environment.update(0); assert.equal(environment.getVisibility(), 1); assert.equal(environment.getWind().drift, 0);
+    environment.startStorm(0); environment.storm.until = 60000; run(environment, 30000, 1000);
+    assert.equal(environment.storm.intensity, 1); assert.equal(environment.getWind().strength, 1); assert.ok(Math.abs(environment.getWind().drift - 0.08) < 1e-9); assert.ok(Math.abs(environment.getVisibility() - 0.4) < 1e-9);
+    environment.nextStormCheck = Infinity; run(environment, 10000, 60000); assert.equal(environment.storm.active, false); assert.equal(environment.storm.intensity, 0); assert.equal(environment.getVisibility(), 1);
+    assert.equal(environment.serialize(0).timeOfDay, 0.3, 'the day starts in the morning');
+});
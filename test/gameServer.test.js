@@ -0,0 +1,64 @@
+// Join / leave ordering, held updates, defeats, respawns and resumes, played by HeadlessClients against a real server
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, settle } = require('./helpers.js');
+const { RESUME_GRACE_PERIOD } = require('../server/room.js');
+
+const LIFECYCLE_TYPES = ['init', 'playerJoined', 'playerReconnecting', 'playerResumed', 'playerLeft'];
+const lifecycleOf = (client) => client.receivedTypes().filter(type => LIFECYCLE_TYPES.includes(type));
+
+test('players see joins and leaves in order', async (t) => {
+    const { clock, join } = await startServer(t);
+    const alice = await join('Alice'); const joined = alice.waitFor('playerJoined');
+    const bob = await join('Bob'); const bobId = bob.playerId; await joined;
+    assert.equal(bob.receivedTypes()[0], 'init'); assert.ok(bob.players.has(alice.playerId), "Bob's init lists Alice");
+    const reconnecting = alice.waitFor('playerReconnecting'); bob.close(); await reconnecting;
+    const left = alice.waitFor('playerLeft'); clock.advance(RESUME_GRACE_PERIOD + 100); assert.equal((await left).playerId, bobId);
+    assert.deepEqual(lifecycleOf(alice), ['init', 'playerJoined', 'playerReconnecting', 'playerLeft']);
+    assert.ok(!alice.players.has(bobId));
+});
+
+test('updates about an unknown player wait until it joins', async (t) => {
+    const { join } = await startServer(t);
+    const alice = await join('Alice'); const ghost = { id: 'ghost', name: 'Ghost', position: { x: 0, y: 0, z: 0 }, rotation: 0, health: 100 };
+    alice.receive(JSON.stringify({ type: 'playerDefeated', playerId: 'ghost', killerId: null }));
+    assert.equal(alice.playerUpdates.pendingUpdates.get('ghost').length, 1); assert.ok(!alice.receivedTypes().includes('playerDefeated'));
+    alice.receive(JSON.stringify({ type: 'playerJoined', player: ghost }));
+    assert.ok(!alice.playerUpdates.pendingUpdates.has('ghost')); assert.deepEqual(alice.receivedTypes().slice(-2), ['playerJoined', 'playerDefeated']);
+    assert.equal(alice.players.get('ghost').health, 0);
+});
+
+test('a defeated ship respawns after settings.respawnTime', async (t) => {
+    const { clock, gameServer, join, room } = await startServer(t);
+    const alice = await join('Alice'); const bob = await join('Bob');
+    const shooter = room().gameState.players.get(alice.playerId); const target = room().gameState.players.get(bob.playerId);
+    Object.assign(shooter, { position: { x: 0, y: 0, z: 0 }, rotation: 0 }); target.position = { x: 0, y: 0, z: -20 }; // Dead ahead
+    const defeated = bob.waitFor('playerDefeated', data => data.playerId === bob.playerId, 5000);
+    for (let shot = 0; shot < 12 && target.health > 0; shot++) { alice.fire(); await settle(5); clock.advance(200); }
+    assert.equal((await defeated).killerId, alice.playerId); assert.equal(target.health, 0);
+    const respawnTime = gameServer.settings.respawnTime; clock.advance(respawnTime - 250); // The defeat fell in the last 200ms
+    assert.equal(target.health, 0, 'still sunk before respawnTime');
+    const respawned = bob.waitFor('playerRespawned', data => data.player.id === bob.playerId); clock.advance(250);
+    assert.equal((await respawned).player.health, 100); assert.equal(bob.localShip.health, 100);
+});
+
+test('a dropped player resumes the same ship within the grace period', async (t) => {
+    const { clock, join, room } = await startServer(t);
+    const alice = await join('Alice'); const bob = await join('Bob'); const playerId = bob.playerId;
+    const reconnecting = alice.waitFor('playerReconnecting'); bob.drop(); await reconnecting;
+    clock.advance(RESUME_GRACE_PERIOD - 1000);
+    const resumed = alice.waitFor('playerResumed'); const init = bob.waitFor('init'); await bob.resume();
+    assert.equal((await init).resumed, true); assert.equal(bob.playerId, playerId); assert.equal((await resumed).player.id, playerId);
+    clock.advance(2000); await settle();
+    assert.ok(room().gameState.players.get(playerId).connected); assert.deepEqual(lifecycleOf(alice), ['init', 'playerJoined', 'playerReconnecting', 'playerResumed']);
+});
+
+test('a resume after the grace period joins as a new ship', async (t) => {
+    const { clock, join, room } = await startServer(t);
+    const alice = await join('Alice'); const bob = await join('Bob'); const playerId = bob.playerId;
+    const reconnecting = alice.waitFor('playerReconnecting'); bob.drop(); await reconnecting;
+    const left = alice.waitFor('playerLeft'); clock.advance(RESUME_GRACE_PERIOD + 100); assert.equal((await left).playerId, playerId);
+    assert.ok(!room().gameState.players.has(playerId));
+    const init = bob.waitFor('init'); await bob.resume();
+    assert.ok(!(await init).resumed); assert.notEqual(bob.playerId, playerId); assert.ok(room().gameState.players.has(bob.playerId));
+});
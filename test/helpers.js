@@ -0,0 +1,41 @@
+// Shared setup for the tests: a game server on a random port, driven by a manual clock, and clients joining it
+const WebSocket = require('ws');
+const Protocol = require('../js/protocol.js');
+const { createGameServer } = require('../server/gameServer.js');
+const { createManualClock } = require('../server/clock.js');
+const { createRandom } = require('../server/random.js');
+const { HeadlessClient } = require('../server/headlessClient.js');
+
+// Silences the console.log / console.warn of code running in this process for the rest of test t
+function muteConsole(t) { t.mock.method(console, 'log', () => {}); t.mock.method(console, 'warn', () => {}); }
+
+// Starts a server for test t (closed with its clients when t ends); the server's console output is muted.
+// options are passed to createGameServer. Returns { clock, gameServer, port, join(name, roomRequest), room(id) }.
+async function startServer(t, options = {}) {
+    muteConsole(t); const clock = createManualClock(1000); const gameServer = createGameServer({ publicWorld: { seed: 'test' }, clock, random: createRandom('test'), staticDir: null, ...options });
+    const port = await gameServer.listen(0); const clients = [];
+    t.after(async () => { clients.forEach(client => client.close()); await gameServer.close(); });
+    // Resolves with the HeadlessClient once its init arrived
+    const join = async (name, roomRequest = undefined) => {
+        const client = new HeadlessClient({ url: `ws://localhost:${port}`, identity: { name }, roomRequest }); clients.push(client);
+        const init = client.waitFor('init'); await client.connect(); await init; return client;
+    };
+    return { clock, gameServer, port, join, room: (roomId = 'public') => gameServer.roomManager.getRoom(roomId) };
+}
+
+// Lets the sockets deliver what the server sent (the manual clock never waits on its own)
+function settle(ms = 10) { return new Promise(resolve => setTimeout(resolve, ms)); }
+
+// A raw socket speaking the current protocol as JSON (unless roomRequest sets protocol) that records every message and sends roomRequest once open; next(predicate) resolves with the first (past or future) match.
+// Resolves once the server answered the room request: init is its init message, or roomError the reason it refused.
+async function connect(t, port, roomRequest = { type: 'joinRoom', roomId: 'public' }) {
+    const ws = new WebSocket(`ws://localhost:${port}`); const received = []; const waiting = [];
+    ws.on('open', () => ws.send(JSON.stringify({ protocol: { version: Protocol.PROTOCOL_VERSION, encoding: 'json' }, ...roomRequest })));
+    ws.on('message', raw => { const data = JSON.parse(raw); received.push(data); waiting.filter(entry => entry.predicate(data)).forEach(entry => { waiting.splice(waiting.indexOf(entry), 1); entry.resolve(data); }); });
+    t.after(() => ws.close());
+    const next = (predicate) => new Promise(resolve => { const found = received.find(predicate); if (found) resolve(found); else waiting.push({ predicate, resolve }); });
+    const reply = await next(data => data.type === 'init' || data.type === 'roomError');
+    return { ws, received, next, init: reply.type === 'init' ? reply : null, roomError: reply.type === 'roomError' ? reply.reason : null, send: data => ws.send(JSON.stringify(data)) };
+}
+
+module.exports = { startServer, settle, connect, muteConsole };
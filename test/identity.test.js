@@ -0,0 +1,46 @@
+// Player names, ship colours and the scoreboard
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { sanitizePlayerName, sanitizeShipColor, MAX_NAME_LENGTH, SHIP_COLORS } = require('../server/identity.js'); const { Room } = require('../server/room.js');
+const { startServer, connect, muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); } });
+
+test('names are stripped to the allowed characters, trimmed and cut to the maximum length', () => {
+    assert.equal(sanitizePlayerName('  Anne   Bonny  '), 'Anne Bonny'); assert.equal(sanitizePlayerName("<b>Cap'n</b> Kidd!"), "bCap'nb Kidd");
+    assert.equal(sanitizePlayerName('x'.repeat(40)).length, MAX_NAME_LENGTH);
+    for (const name of ['', '   ', '<<>>', null, 42, { name: 'x' }]) assert.match(sanitizePlayerName(name), /^Pirate \d{4}$/, String(name));
+});
+
+test('names already taken in the room get a numbered suffix that still fits', () => {
+    assert.equal(sanitizePlayerName('Blackbeard', new Set(['blackbeard'])), 'Blackbeard 2');
+    assert.equal(sanitizePlayerName('BLACKBEARD', new Set(['blackbeard', 'blackbeard 2'])), 'BLACKBEARD 3');
+    const long = 'y'.repeat(MAX_NAME_LENGTH); const renamed = sanitizePlayerName(long, new Set([long])); assert.equal(renamed.length, MAX_NAME_LENGTH); assert.ok(renamed.endsWith(' 2'));
+});
+
+test('ship colours must be #rrggbb, anything else takes a palette colour', () => {
+    assert.equal(sanitizeShipColor('#A1B2C3'), '#a1b2c3');
+    for (const color of ['red', '#abc', '#12345g', 'javascript:1', undefined]) assert.equal(sanitizeShipColor(color, 3), SHIP_COLORS[3], String(color));
+    assert.equal(sanitizeShipColor('nope', SHIP_COLORS.length + 1), SHIP_COLORS[1]);
+});
+
+test('the scoreboard ranks by kills, then fewest deaths, then damage, and is pushed only after a change', (t) => {
+    muteConsole(t); const room = new Room({ id: 'r', world: { seed: 'scores' } }); const ws = fakeSocket();
+    const anne = room.addPlayer(ws, { name: 'Anne', color: '#ff0000' }); const jack = room.addPlayer(fakeSocket(), { name: 'anne' }); const mary = room.addPlayer(fakeSocket(), { name: 'Mary' });
+    assert.equal(jack.name, 'anne 2'); assert.equal(anne.color, '#ff0000'); assert.equal(mary.color, SHIP_COLORS[2]);
+    for (let i = 0; i < 10; i++) room.handlePlayerHit(mary, jack, jack.position); // Mary sinks Jack
+    room.handlePlayerHit(anne, mary, mary.position);
+    assert.deepEqual(room.getScoreboard().map(entry => [entry.name, entry.kills, entry.deaths, entry.damageDealt]), [['Mary', 1, 0, 100], ['Anne', 0, 0, 10], ['anne 2', 0, 1, 0]]);
+    const pushes = () => ws.sent.filter(data => data.type === 'scoreboard').length;
+    for (let i = 0; i < 30; i++) room.simulationTick(); assert.equal(pushes(), 1);
+    for (let i = 0; i < 60; i++) room.simulationTick(); assert.equal(pushes(), 1, 'nothing changed since the last push');
+    room.respawnTimeouts.forEach(clearTimeout);
+});
+
+test('the join handshake carries the name and colour to everyone in the room', async (t) => {
+    const { port } = await startServer(t); const first = await connect(t, port, { type: 'joinRoom', roomId: 'public', player: { name: 'Calico Jack', color: '#00ff00' } });
+    const second = await connect(t, port, { type: 'joinRoom', roomId: 'public', player: { name: 'calico jack', color: 'green' } });
+    const joined = await first.next(data => data.type === 'playerJoined'); assert.equal(joined.player.name, 'calico jack 2'); assert.equal(joined.player.color, SHIP_COLORS[1]);
+    const seen = second.init.gameState.players.find(player => player.id === first.init.playerId); assert.equal(seen.name, 'Calico Jack'); assert.equal(seen.color, '#00ff00');
+    assert.deepEqual(second.init.scoreboard.map(entry => entry.name).sort(), ['Calico Jack', 'calico jack 2']);
+});
@@ -0,0 +1,54 @@
+// Player input: the gamepad dead zone and combining sources, saved bindings from older versions, and rebinding taking a key from another action
+const test = require('node:test'); const assert = require('node:assert/strict');
+
+const BROWSER_GLOBALS = ['localStorage', 'navigator', 'HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement', 'HTMLButtonElement'];
+let imports = 0;
+// A fresh InputManager (the module exports a singleton, so each test imports its own copy) over stubbed browser globals.
+// saved: what localStorage holds for the bindings; pad.buttons / pad.axes can be changed between frames.
+async function loadInput(t, saved = null) {
+    const storage = new Map(saved === null ? [] : [['pirateControls', saved]]); const pad = { id: 'Test pad', connected: true, axes: [0, 0], buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })) };
+    const stubs = { localStorage: { getItem: key => storage.get(key) ?? null, setItem: (key, value) => storage.set(key, value) }, navigator: { getGamepads: () => [null, pad] } };
+    ['HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement', 'HTMLButtonElement'].forEach(name => { stubs[name] = class {}; });
+    BROWSER_GLOBALS.forEach(name => Object.defineProperty(globalThis, name, { value: stubs[name], configurable: true, writable: true }));
+    t.after(() => BROWSER_GLOBALS.forEach(name => delete globalThis[name]));
+    const { default: input } = await import(`../js/input.js?test=${++imports}`); return { input, pad, storage };
+}
+const press = (pad, index, value = 1) => { pad.buttons[index] = { pressed: value > 0.5, value }; };
+const keyDown = (input, code, target = {}) => input.handleKeyDown({ code, target, repeat: false, preventDefault() {}, stopImmediatePropagation() {} });
+
+test('the gamepad stick has a dead zone, and sources add up to at most full throttle and rudder', async (t) => {
+    const { input, pad } = await loadInput(t);
+    pad.axes = [0.1, -0.14]; assert.deepEqual(input.read(), { throttle: 0, rudder: 0, fire: false }, 'a stick resting off centre does nothing');
+    pad.axes = [-1, -0.575]; const { throttle, rudder } = input.read(); assert.ok(Math.abs(throttle - 0.5) < 1e-9, 'scaled from the edge of the dead zone'); assert.equal(rudder, 1, 'stick left steers left');
+    press(pad, 7, 1); assert.equal(input.read().throttle, 1, 'the stronger of stick and triggers');
+    pad.axes = [0, 0]; press(pad, 7, 0); press(pad, 6, 0.1); assert.equal(input.read().throttle, 0, 'triggers have the dead zone too');
+    keyDown(input, 'KeyW'); pad.axes = [0, -1]; press(pad, 0); assert.deepEqual(input.read(), { throttle: 1, rudder: 0, fire: true });
+    input.releaseAll(); pad.axes = [0, 0]; assert.equal(input.read().throttle, 0);
+});
+
+test('keys typed into a text field are not controls, and each press fires its action once', async (t) => {
+    const { input, pad } = await loadInput(t); const fired = []; input.on('fire', () => fired.push('fire'));
+    keyDown(input, 'KeyW', new HTMLInputElement()); assert.equal(input.isPressed('forward'), false);
+    keyDown(input, 'Space'); input.handleKeyDown({ code: 'Space', target: {}, repeat: true, preventDefault() {}, stopImmediatePropagation() {} }); assert.deepEqual(fired, ['fire'], 'not on key repeat');
+    press(pad, 5); input.update(); input.update(); assert.deepEqual(fired, ['fire', 'fire'], 'a held button is one press');
+});
+
+test('saved bindings keep what is valid and fall back to the defaults for the rest', async (t) => {
+    const saved = { forward: { keys: ['KeyI'], buttons: [] }, left: 'KeyJ', fire: { keys: ['Space', 7, 'KeyF', 'KeyG', 'KeyH'], buttons: [-1, 2.5, 4] } }; // No upgrades: saved before it existed
+    const { input } = await loadInput(t, JSON.stringify(saved));
+    assert.deepEqual(input.getBindings('forward'), { keys: ['KeyI'], buttons: [] }); assert.deepEqual(input.getBindings('left'), { keys: ['KeyA', 'ArrowLeft'], buttons: [14] });
+    assert.deepEqual(input.getBindings('fire'), { keys: ['Space', 'KeyF', 'KeyG'], buttons: [4] }); assert.deepEqual(input.getBindings('upgrades'), { keys: ['KeyU'], buttons: [3] });
+    const { input: corrupt } = await loadInput(t, '{not json'); assert.deepEqual(corrupt.getBindings('forward'), { keys: ['KeyW', 'ArrowUp'], buttons: [12] });
+});
+
+test('binding a key or button takes it from any other action and is saved', async (t) => {
+    const { input, pad, storage } = await loadInput(t); let changes = 0; input.on('bindingsChanged', () => changes++);
+    input.bind('fire', { key: 'KeyW' }); assert.deepEqual(input.getBindings('forward').keys, ['ArrowUp']); assert.deepEqual(input.getBindings('fire').keys, ['Space', 'KeyW']);
+    assert.equal(changes, 1); assert.deepEqual(JSON.parse(storage.get('pirateControls')).fire.keys, ['Space', 'KeyW']);
+    input.bind('fire', { key: 'KeyF' }); input.bind('fire', { key: 'KeyG' }); assert.deepEqual(input.getBindings('fire').keys, ['KeyW', 'KeyF', 'KeyG'], 'a fourth drops the oldest');
+    const fired = []; input.on('fire', () => fired.push('fire')); let bound;
+    input.rebind('upgrades', (result) => { bound = result; }); press(pad, 0); input.update();
+    assert.deepEqual(bound, { button: 0 }); assert.equal(input.capturing, false); assert.deepEqual(fired, [], 'the button being bound does nothing else');
+    assert.deepEqual(input.getBindings('upgrades').buttons, [3, 0]); assert.deepEqual(input.getBindings('fire').buttons, [5]); assert.equal(input.describeButtons('upgrades'), 'Y, A');
+    input.rebind('forward', (result) => { bound = result; }); keyDown(input, 'Escape'); assert.equal(bound, null, 'Escape cancels'); assert.deepEqual(input.getBindings('forward').keys, ['ArrowUp']);
+});
@@ -0,0 +1,51 @@
+// Floating loot: wrecks of sunk ships, island treasure, pickup by sailing over it, gold credit and expiry
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js'); const { LootField } = require('../server/loot.js'); const { Room } = require('../server/room.js');
+const { parseMap } = require('../server/world.js'); const { createManualClock } = require('../server/clock.js');
+const { muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {} });
+const openSea = parseMap({ worldBounds: { minX: -500, maxX: 500, minZ: -500, maxZ: 500 }, islands: [] }, 'open-sea');
+const islandSea = parseMap({ worldBounds: { minX: -500, maxX: 500, minZ: -500, maxZ: 500 }, islands: [{ x: 0, z: 0, size: 30 }, { x: 200, z: 200, size: 20 }] }, 'island-sea');
+const ship = (id, x, z, gold = 0) => ({ id, position: { x, y: 0, z }, health: 100, gold });
+const playersOf = (...ships) => new Map(ships.map(player => [player.id, player]));
+
+test('a sunk ship leaves a wreck worth 20 gold plus a quarter of its own gold, which it loses', () => {
+    const field = new LootField(openSea, 0); const victim = ship('victim', 10, -20, 101);
+    const wreck = field.dropWreck(victim, 1000); assert.deepEqual(wreck, { id: 1, kind: 'wreck', x: 10, z: -20, gold: 45, expiresAt: 61000 }); assert.equal(victim.gold, 76);
+    assert.equal(field.dropWreck(ship('broke', 0, 0), 1000).gold, 20); assert.deepEqual(field.serialize().map(loot => loot.id), [1, 2]);
+});
+
+test('loot is collected within the pickup radius by a living ship, which is credited its gold', () => {
+    const field = new LootField(openSea, 0); field.nextIslandSpawn = Infinity; const loot = field.add('wreck', 0, 0, 30);
+    const far = ship('far', 6.5, 0); const dead = Object.assign(ship('dead', 0, 0), { health: 0 }); const near = ship('near', 0, 5.9, 5);
+    assert.deepEqual(field.update(playersOf(far, dead), 0).collected, [], 'out of reach, or sunk'); assert.equal(field.loot.size, 1);
+    const { collected } = field.update(playersOf(far, dead, near), 0); assert.deepEqual(collected, [{ loot, player: near }]);
+    assert.equal(near.gold, 35); assert.equal(far.gold, 0); assert.equal(field.loot.size, 0); assert.deepEqual(field.update(playersOf(near), 0).collected, [], 'collected only once');
+});
+
+test('wrecks sink after their lifetime; island loot washes up off the coast on a timer, up to a limit', () => {
+    const field = new LootField(openSea, 0); field.nextIslandSpawn = Infinity; const wreck = field.dropWreck(ship('victim', 0, 0), 0);
+    assert.deepEqual(field.update(new Map(), 59999).expired, []); assert.deepEqual(field.update(new Map(), 60000).expired, [wreck.id]);
+    const islands = new LootField(islandSea, 0); let spawned = 0;
+    for (let now = 0; now < 8000 * 20; now += 1000) spawned += islands.update(new Map(), now).spawned.length;
+    assert.equal(spawned, 12, 'one every 8 s until 12 are afloat'); assert.equal(islands.update(new Map(), 8000 * 21).spawned.length, 0);
+    islands.loot.forEach(loot => { assert.equal(loot.kind, 'treasure'); assert.ok(loot.gold >= 15 && loot.gold <= 40); assert.ok(!ShipPhysics.collidesWithIslands(loot.x, loot.z, islandSea.islands, 6), 'reachable by a ship'); });
+    assert.equal(new LootField(openSea, 0).update(new Map(), 0).spawned.length, 0, 'no islands, no island loot');
+});
+
+test('the same world seed washes up the same loot', () => {
+    const positions = () => { const field = new LootField(islandSea, 0); for (let now = 0; now <= 8000 * 3; now += 8000) field.update(new Map(), now); return field.serialize(); };
+    assert.deepEqual(positions(), positions());
+});
+
+test('in a room, sinking a ship spills a wreck and sailing over it pays out', (t) => {
+    muteConsole(t); const room = new Room({ id: 'loot', world: { map: 'skull-cove' }, clock: createManualClock(0) }); room.loot.nextIslandSpawn = Infinity;
+    const shooterWs = fakeSocket(); const shooter = room.addPlayer(shooterWs, { name: 'Shooter' }); const target = room.addPlayer(fakeSocket(), { name: 'Target' });
+    Object.assign(target, { health: 10, gold: 40, position: { x: 30, y: 0, z: 30 } }); room.handlePlayerHit(shooter, target, target.position);
+    const spawned = shooterWs.sent.find(data => data.type === 'lootSpawned'); assert.deepEqual(spawned.loot, { id: 1, kind: 'wreck', x: 30, z: 30, gold: 30 }); assert.equal(target.gold, 30);
+    shooter.position = { x: 32, y: 0, z: 30 }; room.updateLoot();
+    assert.deepEqual(shooterWs.sent.find(data => data.type === 'lootCollected'), { type: 'lootCollected', lootId: 1, collectorId: shooter.id, gold: 30 });
+    assert.deepEqual(shooterWs.sent.find(data => data.type === 'updateGold'), { type: 'updateGold', gold: 30, change: 30, source: 'loot' });
+});
@@ -0,0 +1,66 @@
+// Match phases and the team modes: lobby -> countdown -> active -> results, limits, friendly fire and the treasure
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { Room } = require('../server/room.js'); const { createManualClock } = require('../server/clock.js');
+const { muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {}, terminate() {} });
+const place = (ship, x, z) => Object.assign(ship, { position: { x, y: 0, z }, speed: 0 });
+// Moves the manual clock on and runs one tick, which is when the match checks its phase
+const tickAfter = (room, ms = 0) => { room.clock.advance(ms); room.simulationTick(); };
+// A seeded room with the given mode and two humans (one per team); ticks are run by hand
+function createRoom(t, mode) {
+    muteConsole(t); const room = new Room({ id: 'match', world: { map: 'skull-cove' }, mode, clock: createManualClock(0) }); const sockets = [fakeSocket(), fakeSocket()];
+    const [anne, mary] = sockets.map((ws, index) => room.addPlayer(ws, { name: ['Anne', 'Mary'][index] })); return { room, anne, mary, sockets };
+}
+function startMatch(room) { tickAfter(room); tickAfter(room, 10000); assert.equal(room.match.phase, 'active'); }
+const lastMatchState = (ws) => ws.sent.filter(data => data.type === 'matchState').at(-1);
+
+test('a team match goes lobby -> countdown -> active -> results and back to countdown', (t) => {
+    muteConsole(t); const room = new Room({ id: 'match', world: { map: 'skull-cove' }, mode: 'tdm', clock: createManualClock(0) }); const ws = fakeSocket();
+    const anne = room.addPlayer(ws, { name: 'Anne' }); tickAfter(room); assert.equal(room.match.phase, 'lobby', 'one ship is not a match');
+    const mary = room.addPlayer(fakeSocket(), { name: 'Mary' }); assert.notEqual(anne.team, mary.team, 'joins fill the smaller team');
+    tickAfter(room); assert.equal(room.match.phase, 'countdown'); assert.equal(lastMatchState(ws).timeLeft, 10000);
+    anne.stats.kills = 4; anne.health = 40; tickAfter(room, 9999); assert.equal(room.match.phase, 'countdown');
+    tickAfter(room, 1); assert.equal(room.match.phase, 'active'); assert.equal(lastMatchState(ws).event, 'The match has begun!');
+    assert.equal(anne.health, 100); assert.equal(anne.stats.kills, 0, 'every ship starts the match fresh'); assert.deepEqual(room.match.scores, [0, 0]);
+    tickAfter(room, room.match.mode.timeLimit - 1); assert.equal(room.match.phase, 'active');
+    tickAfter(room, 1); assert.equal(room.match.phase, 'results'); assert.deepEqual(lastMatchState(ws).winner, { draw: true }, 'time ran out on 0 : 0');
+    tickAfter(room, 15000); assert.equal(room.match.phase, 'countdown', 'the next match follows the results');
+    room.handlePlayerCleanup(mary.id, 'test'); tickAfter(room); assert.equal(room.match.phase, 'lobby', 'a countdown needs two ships');
+});
+
+test('the score limit ends a team deathmatch, and kills score for the shooter\'s team', (t) => {
+    const { room, anne, mary, sockets } = createRoom(t, 'tdm'); startMatch(room); room.match.scores[anne.team] = 24;
+    mary.health = 10; room.handlePlayerHit(anne, mary, mary.position); assert.equal(room.match.scores[anne.team], 25);
+    tickAfter(room); assert.equal(room.match.phase, 'results'); assert.deepEqual(lastMatchState(sockets[0]).winner, { team: anne.team });
+});
+
+test('there is no friendly fire in team deathmatch, and no damage outside the active phase', (t) => {
+    const { room, anne, mary } = createRoom(t, 'tdm'); const ben = room.addPlayer(fakeSocket(), { name: 'Ben' }); const mate = [anne, mary].find(player => player.team === ben.team); const enemy = [anne, mary].find(player => player.team !== ben.team);
+    room.handlePlayerHit(ben, enemy, enemy.position); assert.equal(enemy.health, 100, 'the lobby is for sailing, not fighting');
+    startMatch(room); room.handlePlayerHit(ben, mate, mate.position); assert.equal(mate.health, 100);
+    room.handlePlayerHit(ben, enemy, enemy.position); assert.equal(enemy.health, 90);
+});
+
+test('the treasure is picked up, delivered home for a point and dropped when its carrier sinks', (t) => {
+    const { room, anne, mary } = createRoom(t, 'treasure'); startMatch(room); const objectives = room.match.objectives; const chest = { ...objectives.treasure };
+    assert.equal(chest.onIsland, true); assert.equal(chest.carrierId, null);
+    place(anne, chest.x + 20, chest.z); tickAfter(room); assert.equal(objectives.treasure.carrierId, null, 'out of pickup range');
+    place(anne, chest.x + 10, chest.z); tickAfter(room); assert.equal(objectives.treasure.carrierId, anne.id);
+    place(anne, 40, 40); tickAfter(room); assert.deepEqual([objectives.treasure.x, objectives.treasure.z], [40, 40], 'the chest travels with its carrier');
+    mary.health = 10; room.handlePlayerHit(anne, mary, mary.position); assert.equal(objectives.treasure.carrierId, anne.id, 'killing someone else keeps it');
+    anne.health = 10; room.handlePlayerHit(mary, anne, anne.position);
+    assert.deepEqual(objectives.treasure, { x: 40, z: 40, carrierId: null, onIsland: false }); assert.equal(room.match.scores[anne.team], 0);
+    room.respawnPlayer(mary.id); place(mary, 40, 40); tickAfter(room); assert.equal(objectives.treasure.carrierId, mary.id, 'anyone can grab a chest adrift');
+    const home = objectives.homes[mary.team]; place(mary, home.x, home.z); tickAfter(room);
+    assert.equal(room.match.scores[mary.team], 1); assert.equal(objectives.treasure.carrierId, null); assert.equal(objectives.treasure.onIsland, true, 'a new chest is placed');
+});
+
+test('a carrier whose connection drops loses the treasure, and a disconnected ship cannot pick it up', (t) => {
+    const { room, anne, sockets } = createRoom(t, 'treasure'); startMatch(room); const objectives = room.match.objectives;
+    place(anne, objectives.treasure.x, objectives.treasure.z); tickAfter(room); assert.equal(objectives.treasure.carrierId, anne.id);
+    room.handleDisconnect(sockets[0], 'test'); assert.equal(objectives.treasure.carrierId, null, 'not held through the grace period');
+    assert.equal(lastMatchState(sockets[1]).event, 'Anne lost the connection, the treasure is adrift!');
+    tickAfter(room); assert.equal(objectives.treasure.carrierId, null, 'the idle ship is still on top of it');
+});
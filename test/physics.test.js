@@ -0,0 +1,75 @@
+// Shared ship physics and the client's prediction / reconciliation against the server's authoritative steps
+const test = require('node:test'); const assert = require('node:assert/strict');
+const ShipPhysics = require('../js/physics.js'); const PlayerUpdates = require('../js/playerUpdates.js'); const PirateProtocol = require('../js/protocol.js');
+
+const island = { x: 0, z: -20, size: 5, scaleX: 1, scaleZ: 1, rotation: 0 };
+const newShip = () => ({ position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0, health: 100 });
+// What the server does for each queued input (server.js simulatePlayer)
+function serverStep(ship, command, islands = []) { ShipPhysics.stepShip(ship, command, ShipPhysics.TICK_DT, islands, null); ship.lastInputSeq = command.seq; }
+// The client's own ship in a snapshot ('self'), as server/room.js sendSnapshots writes it
+const ownEntry = (ship) => ({ x: ship.position.x, z: ship.position.z, r: ship.rotation, s: ship.speed, q: ship.lastInputSeq });
+// The browser's NetworkManager singleton, with window.ShipPhysics / PlayerUpdates / PirateProtocol provided and send() recording instead of using a socket
+async function loadNetworkManager(t) {
+    t.mock.method(console, 'log', () => {}); globalThis.window = { ShipPhysics, PlayerUpdates, PirateProtocol }; t.after(() => { delete globalThis.window; });
+    const { default: networkManager } = await import('../js/network.js'); const sent = [];
+    networkManager.send = data => sent.push(data); networkManager.connected = true;
+    networkManager.handleInit({ type: 'init', playerId: 'me', tick: 0, gameState: { players: [{ id: 'me', ...newShip() }], world: { islands: [island], worldBounds: null } } });
+    return { networkManager, sent };
+}
+
+test('clampInput limits inputs to [-1, 1] and zeroes anything that is not a finite number', () => {
+    assert.equal(ShipPhysics.clampInput(0.5), 0.5); assert.equal(ShipPhysics.clampInput(4), 1); assert.equal(ShipPhysics.clampInput(-4), -1);
+    for (const value of [NaN, Infinity, '1', null, undefined]) assert.equal(ShipPhysics.clampInput(value), 0);
+});
+
+test('stepShip caps forward and reverse speed', () => {
+    const ship = newShip(); for (let i = 0; i < 300; i++) ShipPhysics.stepShip(ship, { throttle: 1, rudder: 0 }, ShipPhysics.TICK_DT, []);
+    assert.equal(ship.speed, ShipPhysics.SHIP_MAX_SPEED); assert.ok(ship.position.z < 0, 'rotation 0 sails towards -z');
+    for (let i = 0; i < 300; i++) ShipPhysics.stepShip(ship, { throttle: -1, rudder: 0 }, ShipPhysics.TICK_DT, []);
+    assert.equal(ship.speed, -ShipPhysics.SHIP_MAX_REVERSE_SPEED);
+});
+
+test('stepShip stops the ship at islands and at the world bounds instead of moving it', () => {
+    const ship = newShip(); let collided = false;
+    for (let i = 0; i < 120 && !collided; i++) collided = ShipPhysics.stepShip(ship, { throttle: 1, rudder: 0 }, ShipPhysics.TICK_DT, [island]);
+    assert.ok(collided); assert.equal(ship.speed, 0); assert.ok(!ShipPhysics.collidesWithIslands(ship.position.x, ship.position.z, [island]));
+    const bounded = newShip(); const bounds = { minX: -1, maxX: 1, minZ: -1, maxZ: 1 };
+    collided = false; for (let i = 0; i < 60 && !collided; i++) collided = ShipPhysics.stepShip(bounded, { throttle: 1, rudder: 0 }, ShipPhysics.TICK_DT, [], bounds);
+    assert.ok(collided); assert.equal(bounded.speed, 0); assert.ok(ShipPhysics.isInsideBounds(bounded.position.x, bounded.position.z, bounds));
+});
+
+test('the wind factor never exceeds WIND_MAX_SPEED_FACTOR, and reaches it just abaft the beam at full strength', () => {
+    let peak = 0; for (let step = 0; step <= 3600; step++) for (const strength of [0.2, 0.5, 1]) peak = Math.max(peak, ShipPhysics.getWindSpeedFactor(step / 3600 * Math.PI * 2, { direction: 0, strength }));
+    assert.ok(peak <= ShipPhysics.WIND_MAX_SPEED_FACTOR + 1e-12); assert.ok(ShipPhysics.WIND_MAX_SPEED_FACTOR - peak < 1e-5, `sampled peak ${peak}`);
+    assert.equal(ShipPhysics.getWindSpeedFactor(0, null), 1); assert.equal(ShipPhysics.getWindSpeedFactor(Math.PI, { direction: 0, strength: 1 }), 0.5, 'head-on');
+    const ship = newShip(); const wind = { direction: Math.acos(0.3), strength: 1, drift: 0 }; // Sailing at the peak alignment
+    for (let i = 0; i < 600; i++) ShipPhysics.stepShip(ship, { throttle: 1, rudder: 0 }, ShipPhysics.TICK_DT, [], null, wind);
+    assert.ok(Math.abs(ship.speed - ShipPhysics.SHIP_MAX_SPEED * ShipPhysics.WIND_MAX_SPEED_FACTOR) < 1e-9, 'what the server allows a ship to move per tick');
+});
+
+test('the client prediction and the server end up with the same ship for the same inputs', async (t) => {
+    const { networkManager, sent } = await loadNetworkManager(t); const server = newShip();
+    for (let i = 0; i < 90; i++) networkManager.applyLocalInput({ throttle: 1, rudder: i < 45 ? 0.5 : -1 });
+    assert.equal(sent.length, 90); assert.deepEqual(sent.map(input => input.seq), Array.from({ length: 90 }, (_, i) => i + 1));
+    sent.forEach(command => serverStep(server, command, [island]));
+    assert.deepEqual(networkManager.localShip.position, server.position); assert.equal(networkManager.localShip.rotation, server.rotation); assert.equal(networkManager.localShip.speed, server.speed);
+});
+
+test('a snapshot rewinds the local ship and replays only the inputs the server has not processed', async (t) => {
+    const { networkManager, sent } = await loadNetworkManager(t); const server = newShip();
+    for (let i = 0; i < 30; i++) networkManager.applyLocalInput({ throttle: 1, rudder: 0.25 });
+    sent.slice(0, 20).forEach(command => serverStep(server, command));
+    server.position.x += 2; // The server disagrees with the prediction (e.g. it was nudged by something the client didn't see)
+    networkManager.handleSnapshot({ type: 'snapshot', tick: 20, self: ownEntry(server), players: [] });
+    assert.deepEqual(networkManager.pendingInputs.map(command => command.seq), sent.slice(20).map(command => command.seq));
+    sent.slice(20).forEach(command => serverStep(server, command));
+    assert.deepEqual(networkManager.localShip.position, server.position); assert.equal(networkManager.localShip.speed, server.speed);
+    networkManager.handleSnapshot({ type: 'snapshot', tick: 30, self: ownEntry(server), players: [] });
+    assert.equal(networkManager.pendingInputs.length, 0);
+});
+
+test('a defeated ship predicts no movement from its inputs', async (t) => {
+    const { networkManager } = await loadNetworkManager(t); networkManager.handleMessage({ type: 'updateHealth', health: 0 });
+    for (let i = 0; i < 10; i++) networkManager.applyLocalInput({ throttle: 1, rudder: 1 });
+    assert.deepEqual(networkManager.localShip.position, { x: 0, y: 0, z: 0 }); assert.equal(networkManager.localShip.rotation, 0);
+});
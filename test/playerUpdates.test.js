@@ -0,0 +1,37 @@
+// Updates about players the client hasn't seen join yet: the shared buffer, and both clients handing messages on in the same order
+const test = require('node:test'); const assert = require('node:assert/strict');
+const ShipPhysics = require('../js/physics.js'); const PlayerUpdates = require('../js/playerUpdates.js'); const PirateProtocol = require('../js/protocol.js'); const { PlayerUpdateBuffer } = PlayerUpdates;
+const { HeadlessClient } = require('../server/headlessClient.js');
+
+const ghost = { id: 'ghost', name: 'Ghost', position: { x: 0, y: 0, z: 0 }, rotation: 0, health: 100 };
+const init = { type: 'init', playerId: 'me', tick: 0, gameState: { players: [{ id: 'me', position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0, health: 100 }, { id: 'alice', position: { x: 5, y: 0, z: 5 }, rotation: 0 }], world: { islands: [] } } };
+// After init: two updates about a ship we haven't seen join, its join, Alice leaving and a late update about her
+const MESSAGES = [{ type: 'playerDefeated', playerId: 'ghost', killerId: 'alice' }, { type: 'playerReconnecting', playerId: 'ghost' }, { type: 'playerJoined', player: ghost }, { type: 'playerLeft', playerId: 'alice' }, { type: 'playerDefeated', playerId: 'alice', killerId: null }];
+const EXPECTED = ['playerJoined ghost', 'playerDefeated ghost', 'playerReconnecting ghost', 'playerLeft alice'];
+const describe = (data) => `${data.type} ${data.playerId || data.player?.id}`;
+
+test('updates about an unknown player wait for its join and follow it, in arrival order', () => {
+    const buffer = new PlayerUpdateBuffer(); const handled = []; const handle = data => handled.push(describe(data));
+    buffer.reset('me', init.gameState.players); assert.deepEqual([...buffer.knownPlayers], ['alice']);
+    MESSAGES.slice(0, 2).forEach(data => buffer.dispatch(data, 'me', handle)); assert.deepEqual(handled, []); assert.equal(buffer.pendingUpdates.get('ghost').length, 2);
+    MESSAGES.slice(2).forEach(data => buffer.dispatch(data, 'me', handle));
+    assert.deepEqual(handled, EXPECTED); assert.ok(!buffer.pendingUpdates.has('ghost')); assert.deepEqual([...buffer.knownPlayers], ['ghost']);
+    assert.equal(buffer.pendingUpdates.get('alice').length, 1, 'a player who left is unknown again');
+});
+
+test('our own updates and messages without a player pass straight through; reset drops what was held', () => {
+    const buffer = new PlayerUpdateBuffer(); const handled = []; const handle = data => handled.push(data.type);
+    buffer.reset('me', []); [{ type: 'updateHealth', playerId: 'me', health: 90 }, { type: 'snapshot', tick: 1, players: [] }, { type: 'playerDefeated', playerId: 'ghost' }].forEach(data => buffer.dispatch(data, 'me', handle));
+    assert.deepEqual(handled, ['updateHealth', 'snapshot']); buffer.reset('me', [ghost]); buffer.releaseKnown('me', handle);
+    assert.deepEqual(handled, ['updateHealth', 'snapshot'], 'held updates belong to the previous session'); assert.equal(buffer.pendingUpdates.size, 0);
+});
+
+test('the browser NetworkManager and the HeadlessClient hand on the same messages in the same order', async (t) => {
+    t.mock.method(console, 'log', () => {}); globalThis.window = { ShipPhysics, PlayerUpdates, PirateProtocol }; t.after(() => { delete globalThis.window; });
+    const { default: networkManager } = await import('../js/network.js'); const browserOrder = [];
+    ['playerJoined', 'playerDefeated', 'playerReconnecting', 'playerLeft'].forEach(type => networkManager.on(type, data => browserOrder.push(describe(data))));
+    networkManager.receive(init); await new Promise(resolve => setTimeout(resolve, 0)); MESSAGES.forEach(data => networkManager.receive(data));
+    const headless = new HeadlessClient(); headless.receive(JSON.stringify(init)); MESSAGES.forEach(data => headless.receive(JSON.stringify(data)));
+    assert.deepEqual(browserOrder, EXPECTED); assert.deepEqual(headless.received.slice(1).map(describe), EXPECTED);
+    assert.equal(headless.players.get('ghost').health, 0, 'the defeat applied to the ship that joined');
+});
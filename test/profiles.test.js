@@ -0,0 +1,68 @@
+// Player profiles (server/profiles.js) and the account routes' rate limits (server/accounts.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, muteConsole } = require('./helpers.js');
+const { createManualClock } = require('../server/clock.js');
+const { ProfileStore, getWeekId } = require('../server/profiles.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PASSWORD = 'correct horse';
+const createStore = (startTime = Date.parse('2026-10-19T12:00:00Z')) => { const clock = createManualClock(startTime); return { clock, profiles: new ProfileStore({ clock }) }; };
+
+test('register and login', async (t) => {
+    muteConsole(t); const { profiles } = createStore();
+    const registered = await profiles.register('Captain_Ro', PASSWORD);
+    assert.equal(registered.profile.username, 'Captain_Ro'); assert.equal(profiles.findByToken(registered.token), registered.profile);
+    assert.ok(registered.profile.passwordHash.startsWith('scrypt$') && !registered.profile.passwordHash.includes(PASSWORD));
+    const login = await profiles.login('captain_ro', PASSWORD); // Usernames are case-insensitive
+    assert.equal(login.profile, registered.profile); assert.notEqual(login.token, registered.token);
+    assert.equal(await profiles.login('Captain_Ro', 'wrong password'), null); assert.equal(await profiles.login('nobody', PASSWORD), null);
+    assert.deepEqual(await profiles.register('CAPTAIN_RO', PASSWORD), { error: 'That username is taken.' });
+    assert.match((await profiles.register('no spaces', PASSWORD)).error, /Usernames are/); assert.match((await profiles.register('Shorty', 'short')).error, /Passwords are/);
+});
+
+test('tokens are stored hashed and can be revoked', async (t) => {
+    muteConsole(t); const { profiles } = createStore();
+    const { profile, token } = profiles.resolve(null, 'Guest');
+    assert.deepEqual(profile.tokenHashes, [crypto.createHash('sha256').update(token).digest('hex')]); assert.ok(!JSON.stringify(profile).includes(token));
+    assert.equal(profiles.resolve(token, 'Guest').profile, profile, 'the token finds the same profile again');
+    assert.equal(profiles.revokeToken(token), true); assert.equal(profiles.findByToken(token), null); assert.equal(profiles.revokeToken(token), false);
+    const tokens = Array.from({ length: 6 }, () => profiles.issueToken(profile)); // Keeps the newest MAX_TOKENS_PER_PROFILE (5)
+    assert.equal(profiles.findByToken(tokens[0]), null); tokens.slice(1).forEach(kept => assert.equal(profiles.findByToken(kept), profile));
+    assert.equal(profiles.findByToken(undefined), null); assert.equal(profiles.findByToken('not-a-token'), null);
+});
+
+test('a registering guest keeps its stats', async (t) => {
+    muteConsole(t); const { profiles } = createStore();
+    const guest = profiles.resolve(null, 'Salty'); profiles.addStats(guest.profile.id, { kills: 3, gold: 120, bogus: 5 });
+    const registered = await profiles.register('Salty', PASSWORD, guest.profile);
+    assert.equal(registered.profile, guest.profile); assert.equal(registered.profile.stats.kills, 3); assert.equal(registered.profile.stats.gold, 120); assert.ok(!('bogus' in registered.profile.stats));
+    assert.equal(profiles.findByToken(guest.token), registered.profile, 'the guest token still works');
+    assert.deepEqual(await profiles.register('Salty2', PASSWORD, guest.profile), { error: 'This profile already has a username.' });
+    assert.equal(profiles.getLeaderboard('all', 'kills').entries[0].name, 'Salty');
+});
+
+test('weekly stats reset when the ISO week changes', (t) => {
+    muteConsole(t); const { clock, profiles } = createStore(Date.parse('2026-10-25T23:00:00Z')); // A Sunday
+    assert.equal(getWeekId(Date.parse('2026-10-25T23:59:59Z')), '2026-W43'); assert.equal(getWeekId(Date.parse('2026-10-26T00:00:00Z')), '2026-W44');
+    assert.equal(getWeekId(Date.parse('2026-01-01T00:00:00Z')), '2026-W01'); assert.equal(getWeekId(Date.parse('2024-12-31T00:00:00Z')), '2025-W01'); // Weeks belong to the year of their Thursday
+    const { profile } = profiles.resolve(null, 'Weekly'); profiles.addStats(profile.id, { kills: 2 });
+    assert.equal(profiles.getLeaderboard('week', 'kills').entries.length, 1);
+    clock.advance(2 * 60 * 60 * 1000); // Monday
+    assert.equal(profiles.getLeaderboard('week', 'kills').entries.length, 0, 'last week no longer counts'); assert.equal(profiles.getLeaderboard('all', 'kills').entries[0].kills, 2);
+    profiles.addStats(profile.id, { kills: 1 });
+    assert.equal(profile.week.id, '2026-W44'); assert.equal(profile.week.stats.kills, 1); assert.equal(profile.stats.kills, 3);
+    clock.advance(7 * DAY); assert.equal(profiles.getLeaderboard('week', 'kills').week, '2026-W45');
+});
+
+test('registrations and failed logins are rate limited per address', async (t) => {
+    const { clock, port } = await startServer(t);
+    const post = (route, body) => fetch(`http://localhost:${port}/api/profile/${route}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then(res => res.status);
+    for (let attempt = 0; attempt < 5; attempt++) assert.equal(await post('register', { username: `Pirate${attempt}`, password: 'short' }), 400);
+    assert.equal(await post('register', { username: 'Pirate9', password: PASSWORD }), 429, 'limited before hashing');
+    for (let attempt = 0; attempt < 5; attempt++) assert.equal(await post('login', { username: 'Pirate0', password: PASSWORD }), 401);
+    assert.equal(await post('login', { username: 'Pirate0', password: PASSWORD }), 429);
+    clock.advance(60001);
+    assert.equal(await post('register', { username: 'Pirate9', password: PASSWORD }), 200); assert.equal(await post('login', { username: 'Pirate9', password: PASSWORD }), 200);
+});
@@ -0,0 +1,43 @@
+// Server-owned cannonballs: the shared flight / hit rules, and a real server deciding a hit on its own
+const test = require('node:test'); const assert = require('node:assert/strict');
+const ShipPhysics = require('../js/physics.js'); const { startServer, settle } = require('./helpers.js');
+
+const shipAt = (x, z, rotation = 0) => ({ position: { x, y: 0, z }, rotation, speed: 0 });
+// Flies a projectile tick by tick like server.js simulateProjectile; returns 'ship', 'island' or 'expired'
+function fly(projectile, ships, islands = []) {
+    for (;;) {
+        const inFlight = ShipPhysics.stepProjectile(projectile, ShipPhysics.TICK_DT);
+        if (ShipPhysics.collidesWithIslands(projectile.position.x, projectile.position.z, islands)) return 'island';
+        if (ships.some(ship => ShipPhysics.isProjectileHittingShip(projectile, ship))) return 'ship';
+        if (!inFlight) return 'expired';
+    }
+}
+
+test('cannonballs leave the bow and fly along the heading of the ship', () => {
+    const projectile = ShipPhysics.createProjectile(shipAt(10, 10, Math.PI / 2));
+    assert.ok(Math.abs(projectile.position.x - 7.5) < 1e-9); assert.ok(Math.abs(projectile.position.z - 10) < 1e-9); assert.equal(projectile.position.y, 0.7);
+    ShipPhysics.stepProjectile(projectile, ShipPhysics.TICK_DT);
+    assert.ok(Math.abs(projectile.position.x - (7.5 - ShipPhysics.PROJECTILE_SPEED)) < 1e-9); assert.ok(Math.abs(projectile.position.z - 10) < 1e-9);
+});
+
+test('cannonballs hit ships in range, miss ships beyond it and stop at islands', () => {
+    const shooter = shipAt(0, 0);
+    assert.equal(fly(ShipPhysics.createProjectile(shooter), [shipAt(0, -40)]), 'ship');
+    assert.equal(fly(ShipPhysics.createProjectile(shooter), [shipAt(0, -40)], [{ x: 0, z: -20, size: 5, scaleX: 1, scaleZ: 1, rotation: 0 }]), 'island');
+    const projectile = ShipPhysics.createProjectile(shooter); assert.equal(fly(projectile, [shipAt(0, -ShipPhysics.PROJECTILE_MAX_DISTANCE - 10)]), 'expired');
+    assert.ok(projectile.distanceTraveled >= ShipPhysics.PROJECTILE_MAX_DISTANCE);
+    assert.equal(fly(ShipPhysics.createProjectile(shooter), [shipAt(ShipPhysics.SHIP_HIT_RADIUS + 1, -40)]), 'expired', 'a ship beside the line of fire is missed');
+});
+
+test('the server spawns the cannonball, decides the hit and ignores damage claimed by clients', async (t) => {
+    const { clock, join, room } = await startServer(t); const shooter = await join('Shooter'); const target = await join('Target');
+    // Line them up in the island-free middle of the map, the shooter facing the target (rotation 0 faces -z)
+    Object.assign(room().gameState.players.get(shooter.playerId), { position: { x: 0, y: 0, z: 0 }, rotation: 0 }); Object.assign(room().gameState.players.get(target.playerId), { position: { x: 0, y: 0, z: -60 }, rotation: 0 });
+    target.send({ type: 'playerHit', targetId: shooter.playerId, damage: 100, position: { x: 0, y: 0, z: 0 } }); // The old client-side hit message
+    const spawned = target.waitFor('projectileSpawned'); const impact = shooter.waitFor('projectileImpact'); const health = target.waitFor('updateHealth');
+    shooter.fire(); await settle(); clock.advance(1000);
+    assert.equal((await spawned).projectile.ownerId, shooter.playerId);
+    assert.equal((await impact).projectileId, (await spawned).projectile.id); assert.equal((await impact).targetId, target.playerId);
+    assert.equal((await health).health, 90); await settle();
+    assert.ok(!shooter.receivedTypes().includes('updateHealth'), 'the claimed hit did no damage');
+});
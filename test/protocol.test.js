@@ -0,0 +1,55 @@
+// Binary encoding of the high-frequency messages (js/protocol.js) and the versioned join handshake
+const test = require('node:test'); const assert = require('node:assert/strict');
+const Protocol = require('../js/protocol.js'); const { HeadlessClient } = require('../server/headlessClient.js');
+const { startServer, connect, settle } = require('./helpers.js');
+
+const roundTrip = (message) => Protocol.decode(Protocol.encode(message));
+
+test('quantizeAxis keeps the ends and the middle exact', () => {
+    assert.equal(Protocol.quantizeAxis(-1), -1); assert.equal(Protocol.quantizeAxis(0), 0); assert.equal(Protocol.quantizeAxis(1), 1);
+    assert.equal(Protocol.quantizeAxis(-5), -1); assert.equal(Protocol.quantizeAxis(5), 1);
+});
+
+test('input and fire messages round-trip', () => {
+    [[-1, 1], [0, 0], [1, -1]].forEach(([throttle, rudder]) => assert.deepEqual(roundTrip({ type: 'input', seq: 42, throttle, rudder }), { type: 'input', seq: 42, throttle, rudder }));
+    const quantized = Protocol.quantizeAxis(0.37); assert.deepEqual(roundTrip({ type: 'input', seq: 0xffffffff, throttle: quantized, rudder: 0 }), { type: 'input', seq: 0xffffffff, throttle: quantized, rudder: 0 });
+    assert.deepEqual(roundTrip({ type: 'fire' }), { type: 'fire' });
+});
+
+test('snapshots round-trip with and without self and removed', () => {
+    const players = [{ id: 'ship-1', x: 12.34, z: -56.78, r: 1.234, s: 0.5 }, { id: 'ship-2', r: -3.141 }, { id: 'ship-3' }];
+    const self = { x: 1.23456789, z: -9.87654321, r: 0.1234567, s: 0.3333333, q: 77 };
+    assert.deepEqual(roundTrip({ type: 'snapshot', tick: 100, self, players, removed: ['ship-4', 'ship-5'] }), { type: 'snapshot', tick: 100, self, players, removed: ['ship-4', 'ship-5'] });
+    assert.deepEqual(roundTrip({ type: 'snapshot', tick: 101, players: [] }), { type: 'snapshot', tick: 101, players: [] }); // self is optional
+    assert.deepEqual(roundTrip({ type: 'snapshot', tick: 102, self, players: [], removed: [] }), { type: 'snapshot', tick: 102, self, players: [], removed: [] });
+    assert.deepEqual(roundTrip({ type: 'snapshot', tick: 103, players: [{ id: 'Käpt’n 🏴‍☠️', x: 0 }] }).players, [{ id: 'Käpt’n 🏴‍☠️', x: 0 }]);
+});
+
+test('encode refuses messages that do not fit their schema', () => {
+    assert.throws(() => Protocol.encode({ type: 'chat', text: 'hi' }), /No binary encoding/);
+    assert.throws(() => Protocol.encode({ type: 'input', seq: -1, throttle: 0, rudder: 0 }), /seq/);
+    assert.throws(() => Protocol.encode({ type: 'input', seq: 1, throttle: NaN, rudder: 0 }), /throttle/);
+    assert.throws(() => Protocol.encode({ type: 'snapshot', tick: 1, players: [{ id: 'x'.repeat(256) }] }), /longer than 255 bytes/);
+});
+
+test('decode returns null for truncated, padded or unknown messages', () => {
+    const snapshot = Protocol.encode({ type: 'snapshot', tick: 5, self: { x: 1, z: 2, r: 3, s: 0, q: 1 }, players: [{ id: 'ship-1', x: 1 }], removed: ['ship-2'] });
+    for (let length = 0; length < snapshot.length; length++) assert.equal(Protocol.decode(snapshot.slice(0, length)), null, `truncated to ${length} bytes`);
+    const padded = new Uint8Array(snapshot.length + 1); padded.set(snapshot); assert.equal(Protocol.decode(padded), null);
+    assert.equal(Protocol.decode(new Uint8Array([0])), null); assert.equal(Protocol.decode(new Uint8Array([200, 0, 0])), null);
+    assert.equal(Protocol.decode(new Uint8Array([...Protocol.encode({ type: 'fire' }), 0])), null);
+    assert.deepEqual(Protocol.decode(Buffer.from(Protocol.encode({ type: 'fire' }))), { type: 'fire' }); // Node Buffers, as the server receives them
+});
+
+test('the handshake turns away outdated clients and serves each client the encoding it asked for', async (t) => {
+    const { port, clock } = await startServer(t); const url = `ws://localhost:${port}`;
+    const outdated = new HeadlessClient({ url, identity: { name: 'Old' }, protocolVersion: Protocol.PROTOCOL_VERSION - 1 }); t.after(() => outdated.close());
+    const refused = outdated.waitFor('roomError'); await outdated.connect(); assert.equal((await refused).reason, 'The game was updated. Reload the page to keep playing.');
+    if (!outdated.closeEvent) await outdated.waitFor('disconnected'); assert.equal(outdated.closeEvent.code, Protocol.CLOSE_CODE_OUTDATED);
+    const legacy = await connect(t, port, { type: 'joinRoom', roomId: 'public', protocol: undefined }); assert.match(legacy.roomError, /Reload the page/, 'no protocol at all is outdated too');
+    const clients = ['binary', 'json'].map(encoding => new HeadlessClient({ url, identity: { name: encoding }, encoding })); t.after(() => clients.forEach(client => client.close()));
+    for (const client of clients) { const frames = []; const init = client.waitFor('init'); await client.connect(); client.ws.on('message', (message, isBinary) => frames.push(isBinary)); client.frames = frames; await init; }
+    clock.advance(200); await settle(); clients.forEach(client => client.sendInput({ throttle: 1 })); clock.advance(200); await settle();
+    const [binary, json] = clients; assert.ok(binary.frames.includes(true), 'snapshots arrive as binary frames'); assert.ok(!json.frames.includes(true), 'a json client gets no binary frames');
+    assert.ok(binary.receivedTypes().includes('snapshot') && json.receivedTypes().includes('snapshot'));
+});
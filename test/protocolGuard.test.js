@@ -0,0 +1,101 @@
+// Message validation, rate limits and the warn -> kick -> ban escalation (server/protocolGuard.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { muteConsole, startServer } = require('./helpers.js');
+const { WEAPON_COOLDOWN } = require('../server/room.js');
+const { ProtocolGuard, MAX_MESSAGE_BYTES } = require('../server/protocolGuard.js'); const { CLOSE_CODE_KICKED, CLOSE_CODE_BANNED } = require('../js/protocol.js');
+
+const IP = '203.0.113.7';
+// A guard on a manual time and a fake socket recording what the guard sends and how it closes it
+function setup(t) {
+    muteConsole(t); let time = 1000; const guard = new ProtocolGuard({ now: () => time });
+    const connect = (ip = IP) => { const ws = { readyState: WebSocket.OPEN, sent: [], closed: null, send(message) { this.sent.push(JSON.parse(message)); }, close(code, reason) { this.closed = { code, reason }; this.readyState = WebSocket.CLOSED; } }; guard.attach(ws, ip); return ws; };
+    return { guard, connect, advance: (ms) => { time += ms; } };
+}
+const json = (data) => JSON.stringify(data);
+const scoreAfter = (guard, ws, message) => { const before = ws.guard.score; const result = guard.inspect(ws, message); return { result, added: ws.guard.score - before }; };
+
+test('valid messages pass unscored', (t) => {
+    const { guard, connect, advance } = setup(t); const ws = connect();
+    assert.deepEqual(guard.inspect(ws, json({ type: 'joinRoom', roomId: 'public', player: { name: 'Anne', color: '#ff0000' } })), { type: 'joinRoom', roomId: 'public', player: { name: 'Anne', color: '#ff0000' } });
+    assert.equal(guard.inspect(ws, Buffer.from(json({ type: 'input', seq: 1, throttle: 1, rudder: -0.5 }))).type, 'input');
+    assert.equal(guard.inspect(ws, json({ type: 'resume', roomId: 'public', resumeToken: 'f'.repeat(32) })).type, 'resume');
+    advance(WEAPON_COOLDOWN); assert.deepEqual(guard.inspect(ws, json({ type: 'fire' })), { type: 'fire' });
+    assert.equal(ws.guard.score, 0);
+});
+
+test('oversized, malformed and off-schema messages are dropped and scored', (t) => {
+    const { guard, connect } = setup(t); const ws = connect();
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'createRoom', name: 'x'.repeat(MAX_MESSAGE_BYTES) })), { result: null, added: 5 });
+    assert.deepEqual(scoreAfter(guard, ws, '{not json'), { result: null, added: 3 });
+    assert.deepEqual(scoreAfter(guard, ws, json({ roomId: 'public' })), { result: null, added: 3 }); // No type
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'teleport' })), { result: null, added: 3 });
+    ws.guard.score = 0; // Stay below the kick
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'input', seq: 1, throttle: 2, rudder: 0 })), { result: null, added: 2 });
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'input', seq: 0, throttle: 0, rudder: 0 })), { result: null, added: 2 });
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'joinRoom', roomId: 42 })), { result: null, added: 2 });
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'joinRoom', player: { name: 'x'.repeat(33) } })), { result: null, added: 2 });
+    assert.deepEqual(scoreAfter(guard, ws, json({ type: 'resume', roomId: 'public' })), { result: null, added: 2 }); // resumeToken is required
+});
+
+test('the token bucket allows a burst, then refills over time', (t) => {
+    const { guard, connect, advance } = setup(t); const ws = connect(); const listRooms = json({ type: 'listRooms' });
+    for (let i = 0; i < 120; i++) assert.ok(guard.inspect(ws, listRooms), `message ${i} of the burst`);
+    assert.deepEqual(scoreAfter(guard, ws, listRooms), { result: null, added: 1 });
+    advance(100); for (let i = 0; i < 10; i++) assert.ok(guard.inspect(ws, listRooms)); // 100 per second come back
+    assert.equal(guard.inspect(ws, listRooms), null);
+});
+
+test('inputs faster than the tick rate and fire faster than the cooldown are implausible', (t) => {
+    const { guard, connect, advance } = setup(t); const ws = connect(); const input = (seq) => json({ type: 'input', seq, throttle: 0, rudder: 0 });
+    for (let seq = 1; seq <= 90; seq++) assert.ok(guard.inspect(ws, input(seq))); // 1.5x the 60Hz tick rate
+    assert.deepEqual(scoreAfter(guard, ws, input(91)), { result: null, added: 2 });
+    advance(1000); assert.ok(guard.inspect(ws, input(92)), 'a new second starts a new count');
+    assert.ok(guard.inspect(ws, json({ type: 'fire' })));
+    advance(WEAPON_COOLDOWN / 2 - 1); assert.deepEqual(scoreAfter(guard, ws, json({ type: 'fire' })), { result: null, added: 1 });
+    advance(WEAPON_COOLDOWN); assert.ok(guard.inspect(ws, json({ type: 'fire' })));
+});
+
+test('the score decays by one every 5 seconds', (t) => {
+    const { guard, connect, advance } = setup(t); const ws = connect();
+    for (let i = 0; i < 4; i++) guard.inspect(ws, '{'); assert.equal(ws.guard.score, 12); assert.ok(ws.guard.warned);
+    advance(4999); guard.inspect(ws, json({ type: 'listRooms' })); assert.equal(ws.guard.score, 12);
+    advance(1); guard.inspect(ws, json({ type: 'listRooms' })); assert.equal(ws.guard.score, 11);
+    advance(10000); guard.inspect(ws, json({ type: 'listRooms' })); assert.equal(ws.guard.score, 9); assert.ok(!ws.guard.warned, 'below the warning again');
+    advance(60000); guard.inspect(ws, json({ type: 'listRooms' })); assert.equal(ws.guard.score, 0);
+});
+
+test('violations warn once, then kick, and repeated kicks ban the address', (t) => {
+    const { guard, connect, advance } = setup(t);
+    const misbehave = (ws) => { for (let i = 0; i < 9 && !ws.closed; i++) guard.inspect(ws, '{'); }; // 3 points each: warned at 12, kicked at 27
+    for (let kick = 1; kick <= 2; kick++) {
+        const ws = connect(); misbehave(ws);
+        assert.deepEqual(ws.sent.map(message => message.type), ['warning']); assert.deepEqual(ws.closed, { code: CLOSE_CODE_KICKED, reason: 'Kicked' });
+        assert.equal(guard.inspect(ws, json({ type: 'listRooms' })), null, 'a kicked socket is ignored'); assert.ok(!guard.isBanned(IP)); advance(1000);
+    }
+    const bystander = connect('198.51.100.1'); misbehave(bystander); assert.equal(bystander.closed.code, CLOSE_CODE_KICKED, 'kicks count per address');
+    const third = connect(); misbehave(third);
+    assert.deepEqual(third.closed, { code: CLOSE_CODE_BANNED, reason: 'Banned' }); assert.ok(guard.isBanned(IP));
+    advance(15 * 60 * 1000); assert.ok(!guard.isBanned(IP), 'bans expire');
+});
+
+test('kicks outside the window are forgotten', (t) => {
+    const { guard, connect, advance } = setup(t); const kickOnce = () => { const ws = connect(); for (let i = 0; i < 9 && !ws.closed; i++) guard.inspect(ws, '{'); return ws.closed.code; };
+    kickOnce(); kickOnce(); advance(10 * 60 * 1000); assert.equal(kickOnce(), CLOSE_CODE_KICKED, 'the first two kicks expired');
+    kickOnce(); assert.equal(kickOnce(), CLOSE_CODE_BANNED);
+});
+
+test('a kicked player loses the ship at once instead of getting a resume grace period', (t) => {
+    const { guard, connect } = setup(t); const ws = connect(); let cleanedUp = null;
+    ws.room = { handlePlayerCleanup: (playerId, reason) => { cleanedUp = { playerId, reason }; } }; ws.playerId = 'p1';
+    for (let i = 0; i < 9 && !ws.closed; i++) guard.inspect(ws, '{');
+    assert.equal(cleanedUp.playerId, 'p1'); assert.match(cleanedUp.reason, /Kicked by guard/);
+});
+
+test('the server closes a misbehaving socket with the kick code', async (t) => {
+    const { port } = await startServer(t); const ws = new WebSocket(`ws://localhost:${port}`); await new Promise(resolve => ws.on('open', resolve));
+    const closed = new Promise(resolve => ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+    for (let i = 0; i < 9; i++) ws.send('{');
+    assert.deepEqual(await closed, { code: CLOSE_CODE_KICKED, reason: 'Kicked' });
+});
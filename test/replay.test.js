@@ -0,0 +1,65 @@
+// Replay recording: what a recording file holds, which rooms get one, retention, and serving only replay file names
+const test = require('node:test'); const assert = require('node:assert/strict');
+const fs = require('node:fs'); const os = require('node:os'); const path = require('node:path'); const zlib = require('node:zlib');
+const WebSocket = require('ws');
+const { Room } = require('../server/room.js'); const { createManualClock } = require('../server/clock.js');
+const { listReplays, pruneReplays, resolveReplayPath, REPLAY_VERSION } = require('../server/replayRecorder.js');
+const { startServer, muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {} });
+function tempDir(t) { const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-')); t.after(() => fs.rmSync(dir, { recursive: true, force: true })); return dir; }
+async function readReplay(recorder) { await recorder.finished; return zlib.gunzipSync(fs.readFileSync(recorder.filePath)).toString().trim().split('\n').map(line => JSON.parse(line)); }
+function createRoom(t, options = {}) { muteConsole(t); const replayDir = tempDir(t); return { replayDir, room: new Room({ id: 'Deck-1', world: { map: 'skull-cove' }, clock: createManualClock(5000), replayDir, ...options }) }; }
+
+test('a recording holds a header, the broadcast events and only the ship states that changed', async (t) => {
+    const { room } = createRoom(t); const anne = room.addPlayer(fakeSocket(), { name: 'Anne' }); const recorder = room.recorder;
+    assert.equal(recorder.fileName, 'deck-1-5000.replay.gz');
+    const mary = room.addPlayer(fakeSocket(), { name: 'Mary' });
+    anne.position = { x: 12.3456, y: 0, z: -7 }; room.simulationTick(); room.simulationTick();
+    room.handlePlayerCleanup(mary.id, 'test'); room.handlePlayerCleanup(anne.id, 'test'); assert.equal(room.recorder, null, 'the recording ends with the last human');
+    const [header, ...records] = await readReplay(recorder);
+    assert.equal(header.type, 'replayHeader'); assert.equal(header.version, REPLAY_VERSION); assert.equal(header.room.id, 'Deck-1'); assert.equal(header.world.mapName, 'Skull Cove');
+    assert.deepEqual(header.players, [], 'recording starts just before the first human joins');
+    assert.deepEqual(records.filter(record => record[1] === 'e' && record[2].type.startsWith('player')).map(record => `${record[2].type} ${record[2].player?.name || record[2].playerId}`), ['playerJoined Anne', 'playerJoined Mary', `playerLeft ${mary.id}`, `playerLeft ${anne.id}`]);
+    const states = records.filter(record => record[1] === 's'); assert.equal(states.length, 1, 'the second tick changed nothing');
+    assert.equal(states[0][0], 1); assert.deepEqual(states[0][2].map(tuple => tuple[0]), [anne.id, mary.id], 'every ship once it has a state');
+    assert.deepEqual(states[0][2][0], [anne.id, 12.35, -7, 0, 0, 100]);
+});
+
+test('private rooms are never recorded, and a new world starts a new file', async (t) => {
+    const { room: privateRoom, replayDir } = createRoom(t, { isPublic: false }); privateRoom.addPlayer(fakeSocket(), { name: 'Anne' });
+    assert.equal(privateRoom.recorder, null); assert.deepEqual(listReplays(replayDir), []);
+    const { room } = createRoom(t); room.addPlayer(fakeSocket(), { name: 'Anne' }); const first = room.recorder;
+    room.clock.advance(1000); room.loadWorld({ seed: 'second' }); assert.notEqual(room.recorder, first); assert.equal(room.recorder.fileName, 'deck-1-6000.replay.gz');
+    const second = room.recorder; room.stopRecording();
+    assert.equal((await readReplay(first))[0].world.mapName, 'Skull Cove'); assert.equal((await readReplay(second))[0].world.seed, 'second');
+});
+
+test('listReplays puts the newest first and pruneReplays keeps only the newest files', (t) => {
+    const replayDir = tempDir(t); muteConsole(t); ['public-900.replay.gz', 'abc-1000.replay.gz', 'public-1100.replay.gz', 'notes.txt'].forEach(file => fs.writeFileSync(path.join(replayDir, file), ''));
+    assert.deepEqual(listReplays(replayDir), ['public-1100.replay.gz', 'abc-1000.replay.gz', 'public-900.replay.gz']);
+    pruneReplays(replayDir, 2); assert.deepEqual(fs.readdirSync(replayDir).sort(), ['abc-1000.replay.gz', 'notes.txt', 'public-1100.replay.gz']);
+});
+
+test('resolveReplayPath only accepts replay file names', () => {
+    assert.equal(resolveReplayPath('/data/replays', 'public-1.replay.gz'), path.join('/data/replays', 'public-1.replay.gz'));
+    ['../public-1.replay.gz', '..%2Fpublic-1.replay.gz', 'sub/public-1.replay.gz', '/etc/passwd', 'public-1.replay.gz/..', '..', '', 'PUBLIC-1.replay.gz', null, ['public-1.replay.gz']].forEach(fileName => assert.equal(resolveReplayPath('/data/replays', fileName), null, String(fileName)));
+});
+
+test('the server lists and serves recordings, and nothing outside the replay folder', async (t) => {
+    const replayDir = tempDir(t); const { port, join } = await startServer(t, { replayDir }); await join('Anne');
+    const { replays } = await (await fetch(`http://localhost:${port}/api/replays`)).json(); assert.equal(replays.length, 1); assert.match(replays[0], /^public-\d+\.replay\.gz$/);
+    assert.equal((await fetch(`http://localhost:${port}/replays/${replays[0]}`)).status, 200);
+    fs.writeFileSync(path.join(replayDir, '..', 'secret.replay.gz'), 'secret'); t.after(() => fs.rmSync(path.join(replayDir, '..', 'secret.replay.gz'), { force: true }));
+    for (const file of ['..%2Fsecret.replay.gz', '%2E%2E%2Fsecret.replay.gz', 'notes.txt']) assert.equal((await fetch(`http://localhost:${port}/replays/${file}`)).status, 404, file);
+});
+
+test('each team match gets its own file, ending with its result', async (t) => {
+    const { room } = createRoom(t, { mode: 'tdm' }); room.addPlayer(fakeSocket(), { name: 'Anne' }); room.addPlayer(fakeSocket(), { name: 'Mary' }); const lobby = room.recorder;
+    room.simulationTick(); room.clock.advance(10000); room.simulationTick(); const match = room.recorder; assert.notEqual(match, lobby, 'the match starts a new file');
+    const phasesOf = (records) => records.filter(record => record[1] === 'e' && record[2].type === 'matchState').map(record => record[2].phase);
+    assert.deepEqual(phasesOf(await readReplay(lobby)), ['countdown']);
+    room.clock.advance(room.match.mode.timeLimit); room.simulationTick(); assert.notEqual(room.recorder, match, 'the results start another');
+    const [header, ...records] = await readReplay(match); assert.equal(header.match.phase, 'countdown', 'the header has the ships as respawned for the match');
+    assert.deepEqual(phasesOf(records), ['active', 'results']);
+});
@@ -0,0 +1,59 @@
+// Dropped ships are held for a grace period and reclaimed with the resume token from init
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { RoomManager, PUBLIC_ROOM_ID } = require('../server/roomManager.js');
+const { startServer, connect, muteConsole } = require('./helpers.js');
+
+const GRACE_PERIOD = 30000;
+function createManager(t) { muteConsole(t); t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] }); const manager = new RoomManager({ publicWorld: { seed: 'resume' } }); t.after(() => manager.stopAll()); return manager; }
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {}, terminate() { this.terminated = true; } });
+const messagesOf = (ws, type) => ws.sent.filter(data => data.type === type);
+// Joins two sockets to the public sea; returns { room, ws, player, other } with ws's player dropped
+function joinAndDrop(manager) {
+    const ws = fakeSocket(); const other = fakeSocket(); const { room, player } = manager.joinRoom(PUBLIC_ROOM_ID, ws, { name: 'Dropper' }); manager.joinRoom(PUBLIC_ROOM_ID, other, { name: 'Watcher' });
+    room.handleDisconnect(ws, 'test'); return { room, ws, player, other };
+}
+
+test('a dropped ship stays in the room, marked as reconnecting, until the grace period ends', (t) => {
+    const manager = createManager(t); const { room, player, other } = joinAndDrop(manager);
+    assert.deepEqual(messagesOf(other, 'playerReconnecting').map(data => data.playerId), [player.id]); assert.equal(player.connected, false); assert.equal(room.gameState.players.get(player.id), player);
+    t.mock.timers.tick(GRACE_PERIOD - 1); assert.ok(room.gameState.players.has(player.id));
+    t.mock.timers.tick(1); assert.ok(!room.gameState.players.has(player.id)); assert.deepEqual(messagesOf(other, 'playerLeft').map(data => data.playerId), [player.id]);
+});
+
+test('resuming within the grace period reclaims the same ship and restarts its input sequence', (t) => {
+    const manager = createManager(t); const { room, ws, player, other } = joinAndDrop(manager); player.lastQueuedSeq = 500; player.lastInputSeq = 480; player.stats.kills = 3;
+    const token = messagesOf(ws, 'init')[0].resumeToken; const resumedWs = fakeSocket(); t.mock.timers.tick(GRACE_PERIOD - 1000);
+    const resumed = manager.resumeSession(PUBLIC_ROOM_ID, resumedWs, token, { name: 'Someone else' });
+    assert.equal(resumed.resumed, true); assert.equal(resumed.player, player); assert.equal(player.connected, true); assert.equal(player.lastQueuedSeq, 0); assert.equal(player.stats.kills, 3); assert.equal(player.name, 'Dropper');
+    const init = messagesOf(resumedWs, 'init')[0]; assert.equal(init.resumed, true); assert.equal(init.playerId, player.id);
+    assert.deepEqual(messagesOf(other, 'playerResumed').map(data => data.player.id), [player.id]);
+    t.mock.timers.tick(GRACE_PERIOD); assert.ok(room.gameState.players.has(player.id), 'the grace timeout was cancelled');
+    room.handleDisconnect(ws, 'late close of the old socket'); assert.equal(player.connected, true, 'a replaced socket closing does not drop the ship');
+});
+
+test('resuming while the server still holds the old socket replaces and terminates it', (t) => {
+    const manager = createManager(t); const ws = fakeSocket(); const { player } = manager.joinRoom(PUBLIC_ROOM_ID, ws);
+    const resumedWs = fakeSocket(); assert.equal(manager.resumeSession(PUBLIC_ROOM_ID, resumedWs, player.resumeToken).player, player);
+    assert.equal(ws.terminated, true); assert.equal(manager.getRoom(PUBLIC_ROOM_ID).sockets.get(player.id), resumedWs);
+});
+
+test('an expired or unknown token joins as a new player instead', (t) => {
+    const manager = createManager(t); const { player } = joinAndDrop(manager); t.mock.timers.tick(GRACE_PERIOD);
+    const late = manager.resumeSession(PUBLIC_ROOM_ID, fakeSocket(), player.resumeToken, { name: 'Dropper' }); assert.ok(!late.resumed); assert.notEqual(late.player.id, player.id);
+    assert.ok(!manager.resumeSession(PUBLIC_ROOM_ID, fakeSocket(), 'not-a-token').resumed); assert.ok(!manager.resumeSession(PUBLIC_ROOM_ID, fakeSocket(), { token: 1 }).resumed);
+    assert.match(manager.resumeSession('gone', fakeSocket(), player.resumeToken).error, /does not exist/);
+});
+
+test('the resume token only ever goes to its own client', (t) => {
+    const manager = createManager(t); const ws = fakeSocket(); const other = fakeSocket(); const { player } = manager.joinRoom(PUBLIC_ROOM_ID, ws); manager.joinRoom(PUBLIC_ROOM_ID, other);
+    assert.equal(messagesOf(ws, 'init')[0].resumeToken, player.resumeToken); assert.match(player.resumeToken, /^[0-9a-f]{32}$/);
+    assert.ok(![...ws.sent, ...other.sent].some(data => data !== ws.sent[0] && JSON.stringify(data).includes(player.resumeToken)));
+});
+
+test('over the socket, a reconnect with the resume token gets its ship back', async (t) => {
+    const { port } = await startServer(t); const watcher = await connect(t, port); const sailor = await connect(t, port, { type: 'joinRoom', roomId: PUBLIC_ROOM_ID, player: { name: 'Sailor' } });
+    sailor.ws.close(); assert.equal((await watcher.next(data => data.type === 'playerReconnecting')).playerId, sailor.init.playerId);
+    const back = await connect(t, port, { type: 'resume', roomId: PUBLIC_ROOM_ID, resumeToken: sailor.init.resumeToken }); assert.equal(back.init.resumed, true); assert.equal(back.init.playerId, sailor.init.playerId);
+    assert.equal((await watcher.next(data => data.type === 'playerResumed')).player.name, 'Sailor'); assert.ok(!watcher.received.some(data => data.type === 'playerLeft'));
+});
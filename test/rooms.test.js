@@ -0,0 +1,60 @@
+// Rooms: creating, joining and listing them, their caps, and closing empty ones
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { RoomManager, PUBLIC_ROOM_ID } = require('../server/roomManager.js'); const { DEFAULT_MAX_PLAYERS } = require('../server/room.js');
+const { startServer, connect, muteConsole } = require('./helpers.js');
+
+// A RoomManager whose tick loops, heartbeats and removal timeouts only run when the test ticks the mocked timers
+function createManager(t) {
+    muteConsole(t); t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] });
+    const manager = new RoomManager(); t.after(() => manager.stopAll()); return manager;
+}
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {}, terminate() {} });
+
+test('createRoom trims the name, clamps maxPlayers and falls back to a generated name', (t) => {
+    const manager = createManager(t);
+    const { room } = manager.createRoom({ name: `  ${'x'.repeat(40)}  `, maxPlayers: 1 }); assert.equal(room.name, 'x'.repeat(32)); assert.equal(room.maxPlayers, 2); assert.equal(room.isPublic, false);
+    assert.equal(manager.createRoom({ maxPlayers: 500 }).room.maxPlayers, DEFAULT_MAX_PLAYERS);
+    const unnamed = manager.createRoom({ name: '   ', maxPlayers: 'lots' }).room; assert.equal(unnamed.name, `Room ${unnamed.id}`); assert.equal(unnamed.maxPlayers, DEFAULT_MAX_PLAYERS);
+});
+
+test('no more than 50 rooms can be open at once', (t) => {
+    const manager = createManager(t); while (manager.rooms.size < 50) assert.ok(manager.createRoom({ name: 'filler' }).room);
+    assert.match(manager.createRoom({ name: 'one too many' }).error, /Too many rooms/);
+});
+
+test('joinRoom puts the socket in the room and refuses unknown or full rooms', (t) => {
+    const manager = createManager(t); const { room } = manager.createRoom({ name: 'Duel', maxPlayers: 2, isPublic: true });
+    const first = fakeSocket(); const joined = manager.joinRoom(room.id, first); assert.equal(joined.room, room); assert.equal(first.room, room); assert.equal(first.sent[0].type, 'init'); assert.equal(first.sent[0].room.id, room.id);
+    manager.joinRoom(room.id, fakeSocket()); assert.match(manager.joinRoom(room.id, fakeSocket()).error, /is full \(2 players\)/);
+    assert.match(manager.joinRoom('nowhere', fakeSocket()).error, /does not exist/);
+    assert.equal(manager.joinRoom(undefined, fakeSocket()).room.id, PUBLIC_ROOM_ID, 'no room id means the public sea');
+});
+
+test('listRooms shows public rooms with space and hides private and full ones', (t) => {
+    const manager = createManager(t); const open = manager.createRoom({ name: 'Open', isPublic: true }).room; manager.createRoom({ name: 'Secret' }); const full = manager.createRoom({ name: 'Full', maxPlayers: 2, isPublic: true }).room;
+    manager.joinRoom(open.id, fakeSocket()); manager.joinRoom(full.id, fakeSocket()); manager.joinRoom(full.id, fakeSocket());
+    assert.deepEqual(manager.listRooms().map(room => room.id).sort(), [PUBLIC_ROOM_ID, open.id].sort());
+    assert.deepEqual(manager.listRooms().find(room => room.id === open.id), { id: open.id, name: 'Open', players: 1, bots: 0, spectators: 0, maxPlayers: DEFAULT_MAX_PLAYERS, isPublic: true, seed: open.gameState.world.seed, map: null, mode: 'ffa', modeName: 'Free-for-all' });
+});
+
+test('empty rooms close a minute after their last player leaves, the public sea never does', (t) => {
+    const manager = createManager(t); const { room } = manager.createRoom({ name: 'Brief' }); const ws = fakeSocket(); manager.joinRoom(room.id, ws);
+    t.mock.timers.tick(60000); assert.equal(manager.getRoom(room.id), room, 'a room with a player stays open');
+    room.handlePlayerCleanup(ws.playerId, 'test'); t.mock.timers.tick(59000); assert.equal(manager.getRoom(room.id), room);
+    manager.joinRoom(room.id, fakeSocket()); t.mock.timers.tick(5000); assert.equal(manager.getRoom(room.id), room, 'rejoining cancels the removal');
+    const unused = manager.createRoom({ name: 'Never joined' }).room; t.mock.timers.tick(60000); assert.equal(manager.getRoom(unused.id), null);
+    const publicWs = fakeSocket(); manager.joinRoom(PUBLIC_ROOM_ID, publicWs); manager.getRoom(PUBLIC_ROOM_ID).handlePlayerCleanup(publicWs.playerId, 'test'); t.mock.timers.tick(120000);
+    assert.ok(manager.getRoom(PUBLIC_ROOM_ID));
+});
+
+test('over the socket, players create and join rooms and see the lobby listing', async (t) => {
+    const { port } = await startServer(t);
+    const host = await connect(t, port, { type: 'createRoom', name: 'Friends only', isPrivate: true, maxPlayers: 2 }); assert.equal(host.init.room.name, 'Friends only'); assert.equal(host.init.room.isPublic, false);
+    const guest = await connect(t, port, { type: 'joinRoom', roomId: host.init.room.id }); assert.deepEqual(guest.init.gameState.players.map(player => player.id).sort(), [host.init.playerId, guest.init.playerId].sort());
+    assert.equal((await host.next(data => data.type === 'playerJoined')).player.id, guest.init.playerId);
+    assert.match((await connect(t, port, { type: 'joinRoom', roomId: host.init.room.id })).roomError, /is full/);
+    assert.match((await connect(t, port, { type: 'joinRoom', roomId: 'nowhere' })).roomError, /does not exist/);
+    const sailor = await connect(t, port); assert.equal(sailor.init.room.id, PUBLIC_ROOM_ID); assert.ok(!sailor.received.some(data => data.type === 'playerJoined'), 'rooms do not see each other');
+    const { rooms } = await (await fetch(`http://localhost:${port}/api/rooms`)).json(); assert.deepEqual(rooms.map(room => room.id), [PUBLIC_ROOM_ID]);
+});
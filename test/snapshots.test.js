@@ -0,0 +1,67 @@
+// Per-client delta snapshots: full entries first, then only changed fields, limited to the view radius
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js'); const PlayerUpdates = require('../js/playerUpdates.js'); const PirateProtocol = require('../js/protocol.js'); const { Room } = require('../server/room.js'); const { SpatialGrid } = require('../server/spatialGrid.js');
+const { muteConsole } = require('./helpers.js');
+
+const VIEW_RADIUS = 400;
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); } });
+const lastSnapshot = (ws) => ws.sent.filter(data => data.type === 'snapshot').at(-1);
+// A room with a viewer at the origin and one other ship at (x, 0)
+function createRoom(t, otherX = 100) {
+    muteConsole(t); const room = new Room({ id: 'r', world: { map: 'skull-cove' } }); room.gameState.world.islands = []; const ws = fakeSocket();
+    const viewer = room.addPlayer(ws, { name: 'Viewer' }); const other = room.addPlayer(fakeSocket(), { name: 'Other' });
+    Object.assign(viewer, { position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0 }); Object.assign(other, { position: { x: otherX, y: 0, z: 0 }, rotation: 0, speed: 0 });
+    return { room, ws, viewer, other };
+}
+
+test('SpatialGrid returns only the ids inside the circle', () => {
+    const grid = new SpatialGrid(100); grid.insert('a', 0, 0); grid.insert('b', 99, 0); grid.insert('c', 150, 150); grid.insert('d', -250, 0);
+    assert.deepEqual(grid.query(0, 0, 100).sort(), ['a', 'b']); assert.deepEqual(grid.query(0, 0, 400).sort(), ['a', 'b', 'c', 'd']); assert.deepEqual(grid.query(-250, 0, 10), ['d']);
+    grid.clear(); assert.deepEqual(grid.query(0, 0, 1000), []);
+});
+
+test('the first snapshot carries full entries, later ones only what changed', (t) => {
+    const { room, ws, viewer, other } = createRoom(t);
+    room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players, [{ id: other.id, x: 100, z: 0, r: 0, s: 0 }]);
+    room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players, [], 'an unchanged ship is left out'); assert.deepEqual(lastSnapshot(ws).self, { x: 0, z: 0, r: 0, s: 0, q: 0 }, 'our own is always sent');
+    other.position.z = 12.3456; other.rotation = 1.23456; room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players[0], { id: other.id, z: 12.35, r: 1.235 });
+    other.position.z = 12.3512; room.sendSnapshots(); assert.equal(lastSnapshot(ws).players.length, 0, 'changes below the rounding are not sent');
+    room.sendInit(ws, viewer.id); room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players[0], { id: other.id, x: 100, z: 12.35, r: 1.235, s: 0 }, 'a new init starts from full entries again');
+});
+
+test('self keeps full precision and the last processed input', (t) => {
+    const { room, ws, viewer } = createRoom(t); Object.assign(viewer, { position: { x: 1.234567, y: 0, z: -7.654321 }, rotation: 0.1234567, lastInputSeq: 42 });
+    room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).self, { x: 1.234567, z: -7.654321, r: 0.1234567, s: 0, q: 42 });
+});
+
+test('ships entering the view radius arrive in full, ships leaving it are listed in removed', (t) => {
+    const { room, ws, other } = createRoom(t, VIEW_RADIUS + 50);
+    room.sendSnapshots(); assert.equal(lastSnapshot(ws).players.length, 0); assert.equal(lastSnapshot(ws).removed, undefined);
+    other.position.x = VIEW_RADIUS - 50; room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players[0], { id: other.id, x: VIEW_RADIUS - 50, z: 0, r: 0, s: 0 });
+    other.position.x = VIEW_RADIUS + 50; room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).removed, [other.id]); assert.equal(lastSnapshot(ws).players.length, 0);
+    room.sendSnapshots(); assert.equal(lastSnapshot(ws).removed, undefined, 'a ship is removed once');
+    other.position.x = 10; room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).players[0], { id: other.id, x: 10, z: 0, r: 0, s: 0 }, 'coming back into view sends it in full again');
+});
+
+test('ships that leave the room are removed from the next snapshot', (t) => {
+    const { room, ws, other } = createRoom(t); room.sendSnapshots(); room.handlePlayerCleanup(other.id, 'test');
+    room.sendSnapshots(); assert.deepEqual(lastSnapshot(ws).removed, [other.id]);
+});
+
+test('cannonball events only go to clients that can see them', (t) => {
+    const { room, ws, viewer, other } = createRoom(t, 3000); const farWs = room.sockets.get(other.id); room.handleFire(viewer);
+    assert.ok(ws.sent.some(data => data.type === 'projectileSpawned')); assert.ok(!farWs.sent.some(data => data.type === 'projectileSpawned'));
+});
+
+test('the client merges deltas into the last full state and forgets removed ships', async (t) => {
+    t.mock.method(console, 'log', () => {}); globalThis.window = { ShipPhysics, PlayerUpdates, PirateProtocol }; t.after(() => { delete globalThis.window; });
+    const { default: networkManager } = await import('../js/network.js'); const events = []; networkManager.on('snapshot', data => events.push(data));
+    networkManager.handleInit({ type: 'init', playerId: 'me', tick: 0, gameState: { players: [{ id: 'me', position: { x: 0, y: 0, z: 0 }, rotation: 0, speed: 0, health: 100 }, { id: 'other' }], world: { islands: [] } } });
+    networkManager.handleSnapshot({ type: 'snapshot', tick: 3, self: { x: 0, z: 0, r: 0, s: 0, q: 0 }, players: [{ id: 'other', x: 5, z: 6, r: 0.5, s: 0.1 }, { id: 'stranger', z: 1 }] });
+    networkManager.handleSnapshot({ type: 'snapshot', tick: 6, self: { x: 0, z: 0, r: 0, s: 0, q: 0 }, players: [{ id: 'other', z: 7 }] });
+    assert.deepEqual(events.at(-1).players, [{ id: 'other', position: { x: 5, y: 0, z: 7 }, rotation: 0.5, speed: 0.1 }]); assert.equal(networkManager.remoteStates.has('stranger'), false, 'a delta without a base state is dropped');
+    assert.deepEqual(networkManager.remoteBuffers.get('other').map(sample => sample.tick), [3, 6]);
+    networkManager.handleSnapshot({ type: 'snapshot', tick: 9, self: { x: 0, z: 0, r: 0, s: 0, q: 0 }, players: [], removed: ['other'] });
+    assert.equal(networkManager.remoteStates.has('other'), false); assert.equal(networkManager.getInterpolatedPlayer('other'), null); assert.deepEqual(events.at(-1).removed, ['other']);
+});
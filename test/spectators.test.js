@@ -0,0 +1,43 @@
+// Spectators: every ship and event without a ship of their own, left out of player counts, and never heard from
+const test = require('node:test'); const assert = require('node:assert/strict');
+const { RESUME_GRACE_PERIOD } = require('../server/room.js');
+const { startServer, settle } = require('./helpers.js');
+
+const SPECTATE = { type: 'joinRoom', roomId: 'public', spectate: true };
+const snapshotsOf = (client) => client.received.filter(data => data.type === 'snapshot');
+
+test('a spectator gets the world and every ship, but has no ship or player data of its own', async (t) => {
+    const { clock, join, room } = await startServer(t); const anne = await join('Anne'); const mary = await join('Mary'); const watcher = await join('Watcher', SPECTATE);
+    const init = watcher.received[0]; assert.equal(init.spectator, true); assert.equal(watcher.spectating, true); assert.match(init.playerId, /^spectator-/);
+    assert.deepEqual(init.gameState.players.map(player => player.name), ['Anne', 'Mary']); assert.ok(init.gameState.world.islands.length > 0);
+    assert.equal(init.resumeToken, undefined); assert.equal(init.economy, null); assert.ok(!room().gameState.players.has(watcher.playerId));
+    room().gameState.players.get(mary.playerId).position = { x: 3000, y: 0, z: 3000 }; // Far out of any ship's view radius
+    clock.advance(200); await settle(); const farAway = (client) => snapshotsOf(client).some(snapshot => snapshot.players.some(entry => entry.id === mary.playerId && entry.x === 3000));
+    assert.ok(snapshotsOf(watcher).every(snapshot => snapshot.self === undefined)); assert.deepEqual(snapshotsOf(watcher)[0].players.map(entry => entry.id).sort(), [anne.playerId, mary.playerId].sort());
+    assert.ok(farAway(watcher), 'no view radius'); assert.ok(!farAway(anne), 'players still only see what is near');
+});
+
+test('spectators are left out of player counts, the scoreboard and the room list, and take no slot', async (t) => {
+    const { port, join, room } = await startServer(t, { adminToken: 'token' }); const host = await join('Host', { type: 'createRoom', name: 'Duel', maxPlayers: 1 }); const roomId = host.room.id;
+    const watcher = await join('Watcher', { type: 'joinRoom', roomId, spectate: true }); assert.equal(watcher.received[0].room.id, roomId, 'a full room can still be watched');
+    assert.equal(room(roomId).playerCount, 1); assert.equal(room(roomId).spectators.size, 1); assert.deepEqual(room(roomId).getScoreboard().map(entry => entry.name), ['Host']);
+    const listed = (await (await fetch(`http://localhost:${port}/api/rooms`)).json()).rooms.find(entry => entry.id === roomId); assert.equal(listed.players, 1); assert.equal(listed.spectators, 1);
+    const metrics = await (await fetch(`http://localhost:${port}/metrics`, { headers: { authorization: 'Bearer token' } })).text();
+    assert.ok(metrics.includes(`pirate_room_players{room="${roomId}"} 1`)); assert.ok(metrics.includes(`pirate_room_spectators{room="${roomId}"} 1`));
+});
+
+test('a spectator never keeps an empty room open', async (t) => {
+    const { clock, join, gameServer } = await startServer(t); const host = await join('Host', { type: 'createRoom', name: 'Cove' }); const roomId = host.room.id;
+    const watcher = await join('Watcher', { type: 'joinRoom', roomId, spectate: true }); const closed = watcher.waitFor('disconnected');
+    host.close(); await settle(); for (let waited = 0; waited < RESUME_GRACE_PERIOD + 60000; waited += 5000) { clock.advance(5000); await settle(); } // Steps, so the spectator's pongs keep it alive assert.equal(gameServer.roomManager.getRoom(roomId), null); assert.equal((await closed).code, 1001);
+});
+
+test('anything a spectator sends is ignored, and it never sees team chat', async (t) => {
+    const { clock, join, room } = await startServer(t, { publicMode: 'tdm' }); const anne = await join('Anne'); const mary = await join('Mary');
+    const watcher = await join('Watcher', SPECTATE); const ships = room().gameState.players.size;
+    watcher.send({ type: 'input', seq: 1, throttle: 1, rudder: 1 }); watcher.send({ type: 'fire' }); watcher.send({ type: 'chat', channel: 'room', text: 'ahoy from the stands' }); watcher.send({ type: 'buyUpgrade', upgrade: 'hull' });
+    anne.sendChat('secret plan', 'team'); const heard = watcher.waitFor('chat', data => data.text === 'hello all'); anne.sendChat('hello all'); await heard; clock.advance(200); await settle();
+    assert.equal(room().gameState.players.size, ships); assert.equal(room().gameState.projectiles.size, 0); assert.ok(!mary.received.some(data => data.text === 'ahoy from the stands'));
+    assert.ok(!watcher.received.some(data => data.channel === 'team'), 'team chat stays with the team');
+    const late = await join('Late', SPECTATE); assert.deepEqual(late.received[0].chat.filter(data => data.senderId).map(data => data.text), ['hello all'], 'in the history too');
+});
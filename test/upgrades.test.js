@@ -0,0 +1,51 @@
+// Ship upgrades: costs, level caps, the stats they set, and the fastest reload staying legal for the protocol guard
+const test = require('node:test'); const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const ShipPhysics = require('../js/physics.js'); const { Room, WEAPON_COOLDOWN } = require('../server/room.js'); const { createManualClock } = require('../server/clock.js');
+const { createUpgrades, applyUpgrades, purchaseUpgrade, getUpgradeCatalog, BASE_HEALTH } = require('../server/upgrades.js');
+const { ProtocolGuard, FIRE_INTERVAL_TOLERANCE } = require('../server/protocolGuard.js');
+const { muteConsole } = require('./helpers.js');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); }, ping() {}, close() {} });
+const newPlayer = (gold = 0) => { const player = { health: BASE_HEALTH, gold, upgrades: createUpgrades() }; applyUpgrades(player); return player; };
+// Buys upgrade until it is refused; returns the refusal
+const buyAll = (player, upgrade) => { let error; while (!(error = purchaseUpgrade(player, upgrade))); return error; };
+
+test('a new ship has the base stats', () => {
+    assert.deepEqual(newPlayer(), { health: 100, gold: 0, upgrades: { hull: 0, range: 0, reload: 0, speed: 0 }, maxHealth: 100, maxSpeed: ShipPhysics.SHIP_MAX_SPEED, weaponRange: ShipPhysics.PROJECTILE_MAX_DISTANCE, weaponCooldown: WEAPON_COOLDOWN });
+});
+
+test('each level costs its price, and a ship without the gold is refused', () => {
+    const player = newPlayer(100);
+    assert.equal(purchaseUpgrade(player, 'speed'), null); assert.equal(player.gold, 60); assert.equal(player.upgrades.speed, 1); assert.ok(Math.abs(player.maxSpeed - ShipPhysics.SHIP_MAX_SPEED * 1.1) < 1e-9);
+    assert.equal(purchaseUpgrade(player, 'speed'), 'Extra Sails costs 80 gold.'); assert.equal(player.gold, 60); assert.equal(player.upgrades.speed, 1);
+    assert.equal(purchaseUpgrade(player, 'cannons'), 'Unknown upgrade.'); assert.equal(purchaseUpgrade(player, '__proto__'), 'Unknown upgrade.');
+});
+
+test('every upgrade stops at three levels, after spending exactly the catalog prices', () => {
+    for (const { id, name, costs } of getUpgradeCatalog()) {
+        const player = newPlayer(10000); assert.equal(buyAll(player, id), `${name} is fully upgraded.`);
+        assert.equal(player.upgrades[id], 3); assert.equal(costs.length, 3); assert.equal(player.gold, 10000 - costs.reduce((sum, cost) => sum + cost, 0));
+    }
+});
+
+test('hull planks raise max health and come undamaged; a sunk ship stays sunk', () => {
+    const player = newPlayer(1000); player.health = 40; purchaseUpgrade(player, 'hull'); assert.equal(player.maxHealth, 125); assert.equal(player.health, 65);
+    const sunk = newPlayer(1000); sunk.health = 0; purchaseUpgrade(sunk, 'hull'); assert.equal(sunk.health, 0);
+});
+
+test('the fastest reload still fires slower than the protocol guard allows', (t) => {
+    muteConsole(t); const player = newPlayer(10000); buyAll(player, 'reload');
+    assert.ok(Math.abs(player.weaponCooldown - WEAPON_COOLDOWN * 0.55) < 1e-9); assert.ok(player.weaponCooldown > WEAPON_COOLDOWN * FIRE_INTERVAL_TOLERANCE);
+    let time = 1000; const guard = new ProtocolGuard({ now: () => time }); const ws = { readyState: WebSocket.OPEN, send() {}, close() {} }; guard.attach(ws, '203.0.113.7');
+    for (let shot = 0; shot < 20; shot++) { assert.ok(guard.inspect(ws, JSON.stringify({ type: 'fire' }))); time += Math.ceil(player.weaponCooldown); }
+    assert.equal(ws.guard.score, 0, 'an upgraded gun crew firing flat out is never flagged');
+});
+
+test('the room sells upgrades over the socket and reports the result to the buyer', (t) => {
+    muteConsole(t); const room = new Room({ id: 'shop', world: { map: 'skull-cove' }, clock: createManualClock(0) }); const ws = fakeSocket(); const player = room.addPlayer(ws, { name: 'Anne' });
+    room.handleMessage(player.id, { type: 'buyUpgrade', upgrade: 'hull' }); assert.equal(ws.sent.at(-1).error, 'Reinforced Hull costs 60 gold.');
+    player.gold = 70; room.handleMessage(player.id, { type: 'buyUpgrade', upgrade: 'hull' });
+    assert.deepEqual(ws.sent.findLast(data => data.type === 'upgrades'), { type: 'upgrades', gold: 10, upgrades: { hull: 1, range: 0, reload: 0, speed: 0 }, maxHealth: 125, maxSpeed: ShipPhysics.SHIP_MAX_SPEED, weaponRange: ShipPhysics.PROJECTILE_MAX_DISTANCE, weaponCooldown: WEAPON_COOLDOWN, error: null });
+    assert.deepEqual(ws.sent.at(-1), { type: 'updateHealth', health: 125, maxHealth: 125, oldHealth: 100, damage: 0, source: 'upgrade' });
+});
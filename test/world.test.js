@@ -0,0 +1,87 @@
+// Seeded island placement, spawn points and the JSON map format
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { muteConsole } = require('./helpers.js');
+const { createRandom } = require('../server/random.js');
+const WebSocket = require('ws');
+const { Room } = require('../server/room.js'); const { RoomManager } = require('../server/roomManager.js');
+const { generateIslands, createWorld, parseMap, loadMap, buildWorld, getRandomSpawnPoint } = require('../server/world.js');
+
+const SEEDS = ['alpha', 'bravo', 12345, 'skull'];
+const VALID_MAP = { worldBounds: { minX: -500, maxX: 500, minZ: -500, maxZ: 500 }, islands: [{ x: 100, z: 0, size: 10 }] };
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, sent: [], send(message) { this.sent.push(JSON.parse(message)); } });
+const spawnSequence = (world, seed, count = 10) => { const random = createRandom(seed); return Array.from({ length: count }, () => getRandomSpawnPoint(world, random)); };
+
+test('a seed always gives the same islands and spawn sequence', (t) => {
+    muteConsole(t);
+    SEEDS.forEach(seed => {
+        const first = createWorld({ seed }); const second = buildWorld({ seed });
+        assert.deepEqual(second.islands, first.islands); assert.equal(first.islands.length, 12);
+        assert.deepEqual(spawnSequence(second, seed), spawnSequence(first, seed));
+    });
+    assert.notDeepEqual(createWorld({ seed: 'alpha' }).islands, createWorld({ seed: 'bravo' }).islands);
+    assert.deepEqual(generateIslands(2000, createRandom('x')), generateIslands(2000, createRandom('x')));
+});
+
+test('no two islands overlap under the combined-radius rule', (t) => {
+    muteConsole(t);
+    SEEDS.forEach(seed => {
+        const islands = createWorld({ seed }).islands; const radius = (island) => island.size * Math.max(island.scaleX, island.scaleZ);
+        islands.forEach((a, i) => islands.slice(i + 1).forEach(b => {
+            const buffer = a.isLarge || b.isLarge ? 1.8 : 1.5; // Same margins as generateIslands
+            assert.ok(Math.hypot(a.x - b.x, a.z - b.z) >= (radius(a) + radius(b)) * buffer, `seed ${seed}: islands at (${a.x}, ${a.z}) and (${b.x}, ${b.z}) overlap`);
+        }));
+    });
+});
+
+test('spawn points stay in the spawn zone and clear of islands', (t) => {
+    muteConsole(t);
+    const world = parseMap({ ...VALID_MAP, spawnZones: [{ x: 200, z: 200, radius: 50 }] });
+    spawnSequence(world, 'spawns', 50).forEach(point => { assert.ok(Math.hypot(point.x - 200, point.z - 200) <= 50); assert.ok(Math.hypot(point.x - 100, point.z) > 10); });
+});
+
+test('parseMap accepts a valid map and fills in defaults', () => {
+    const world = parseMap(VALID_MAP, 'test-map');
+    assert.deepEqual(world.islands, [{ x: 100, z: 0, size: 10, scaleX: 1, scaleZ: 1, rotation: 0, isLarge: false }]);
+    assert.equal(world.mapName, 'test-map'); assert.equal(world.oceanSize, 1000); assert.equal(world.spawnZones.length, 1);
+});
+
+test('parseMap rejects bad bounds, islands and zones', () => {
+    const bad = (changes, message) => assert.throws(() => parseMap({ ...VALID_MAP, ...changes }, 'bad'), { message });
+    assert.throws(() => parseMap(null, 'bad'), /must be a JSON object/);
+    bad({ worldBounds: undefined }, /needs worldBounds/);
+    bad({ worldBounds: { minX: 500, maxX: -500, minZ: -500, maxZ: 500 } }, /needs worldBounds/);
+    bad({ worldBounds: { minX: -500, maxX: 500, minZ: 0, maxZ: 0 } }, /needs worldBounds/);
+    bad({ worldBounds: { minX: '-500', maxX: 500, minZ: -500, maxZ: 500 } }, /needs worldBounds/);
+    bad({ islands: 'none' }, /needs an islands array/);
+    bad({ islands: [{ x: 0, z: 0, size: 0 }] }, /island 0 needs numeric x, z and a positive size/);
+    bad({ islands: [{ x: 0, z: 0, size: 5 }, { x: NaN, z: 0, size: 5 }] }, /island 1 needs/);
+    bad({ spawnZones: [{ x: 0, z: 0, radius: -1 }] }, /spawn zone 0 needs numeric x, z and a positive radius/);
+    bad({ spawnZones: [{ x: 0, radius: 10 }] }, /spawn zone 0 needs/);
+});
+
+test('loadMap only accepts plain map names', () => {
+    ['../package', 'Skull-Cove', 'skull_cove', 'maps/skull-cove', '', 'a.json', 42, null].forEach(name => assert.throws(() => loadMap(name), /Invalid map name/, String(name)));
+    assert.throws(() => loadMap('no-such-map'), /not found/);
+    assert.ok(loadMap('skull-cove').islands.length > 0);
+});
+
+test('rooms built from the same seed place their ships at the same spawn points', (t) => {
+    muteConsole(t); const spawns = (room) => [1, 2, 3].map(() => room.addPlayer(fakeSocket()).position);
+    const first = new Room({ id: 'a', world: { seed: 'harbour' } }); const second = new Room({ id: 'b', world: { seed: 'harbour' } });
+    assert.deepEqual(second.gameState.world.islands, first.gameState.world.islands); assert.deepEqual(spawns(second), spawns(first));
+    assert.equal(first.getSummary().seed, 'harbour'); assert.equal(new Room({ id: 'c', world: { map: 'skull-cove' } }).getSummary().map, 'Skull Cove');
+});
+
+test('loadWorld swaps the islands, respawns every ship and sends everyone a fresh init', (t) => {
+    muteConsole(t); const room = new Room({ id: 'r', world: { seed: 'before' } }); const ws = fakeSocket(); const player = room.addPlayer(ws);
+    Object.assign(player, { health: 20, speed: 0.5, lastInputSeq: 40 }); room.loadWorld({ map: 'skull-cove' });
+    assert.equal(room.gameState.world.mapName, 'Skull Cove'); assert.equal(player.health, 100); assert.equal(player.speed, 0); assert.equal(player.lastInputSeq, 0);
+    const init = ws.sent.at(-1); assert.equal(init.type, 'init'); assert.equal(init.room.map, 'Skull Cove'); assert.deepEqual(init.gameState.world.islands, room.gameState.world.islands);
+});
+
+test('a room asking for a missing map is refused instead of created', (t) => {
+    muteConsole(t); t.mock.timers.enable({ apis: ['setInterval', 'setTimeout'] }); const manager = new RoomManager({ publicWorld: { seed: 'x' } }); t.after(() => manager.stopAll());
+    assert.match(manager.createRoom({ name: 'Lost', world: { map: 'atlantis' } }).error, /not found/); assert.equal(manager.rooms.size, 1);
+    assert.throws(() => new RoomManager({ publicWorld: { map: '../secrets' } }), /Invalid map name/);
+});